@@ -12,7 +12,15 @@ const { createLogger } = require('./src/utils/logger');
 const { setupSwagger } = require('./src/utils/swagger');
 const connectDB = require('./src/config/db');
 const { errorConverter, errorHandler } = require('./src/middleware/error');
+const { initRealtime } = require('./src/utils/realtime');
+const {
+  registerNotificationListeners,
+  notifyApproachingDeadlines
+} = require('./src/utils/notifications');
+const { startOutboxWorker } = require('./src/utils/emailOutbox');
+const { registerAuditListeners } = require('./src/utils/audit');
 const requestLogger = require('./src/middleware/requestLogger');
+const { requestContext } = require('./src/middleware/requestContext');
 const { setupEarlySecurityMiddleware, setupSecurityMiddleware } = require('./src/middleware/security');
 
 // Import routes
@@ -21,6 +29,12 @@ const userRoutes = require('./src/routes/user.routes');
 const talentRoutes = require('./src/routes/talent.routes');
 const taskRoutes = require('./src/routes/task.routes');
 const applicationRoutes = require('./src/routes/application.routes');
+const walletRoutes = require('./src/routes/wallet.routes');
+const paymentRoutes = require('./src/routes/payment.routes');
+const conversationRoutes = require('./src/routes/conversation.routes');
+const notificationRoutes = require('./src/routes/notification.routes');
+const adminRoutes = require('./src/routes/admin.routes');
+const reportRoutes = require('./src/routes/report.routes');
 
 // Create logger instance
 const logger = createLogger();
@@ -52,13 +66,22 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
-  exposedHeaders: ['X-Total-Count', 'X-Total-Pages', 'X-Current-Page', 'X-Limit']
+  exposedHeaders: ['X-Total-Count', 'X-Total-Pages', 'X-Current-Page', 'X-Limit', 'X-Request-Id']
 };
 
 // Body parser middleware - prevent oversized payloads
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request IDs, used in logs and the audit trail
+app.use(requestContext);
+
 // Logging middleware
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 app.use(requestLogger);
@@ -102,6 +125,18 @@ app.use('/api/users', userRoutes);
 app.use('/api/talents', talentRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Turn domain events into notifications
+registerNotificationListeners();
+
+// Record status changes in the audit log
+registerAuditListeners();
 
 // Health check endpoint with enhanced system information
 app.get('/health', (req, res) => {
@@ -165,6 +200,21 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
   });
+
+  // Real-time events share the HTTP server and the REST API's CORS origins
+  initRealtime(server, {
+    cors: { origin: corsOptions.origin, credentials: true }
+  });
+
+  // Remind owners and hired talents of approaching deadlines
+  setInterval(() => {
+    notifyApproachingDeadlines().catch(error => {
+      logger.error(`Deadline reminder error: ${error.message}`);
+    });
+  }, 60 * 60 * 1000).unref();
+
+  // Deliver queued emails
+  startOutboxWorker();
 }
 
 // Export for testing
@@ -0,0 +1,329 @@
+const OutboxEmail = require('../models/outboxEmail.model');
+const User = require('../models/user.model');
+const { revokeAccountTokens } = require('../utils/sessions');
+const { recordModerationAction } = require('../utils/moderation');
+const { unlockAccount } = require('../utils/bruteForce');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../utils/permissions');
+const { LOCALES, TEMPLATE_NAMES, renderSample } = require('../utils/emailTemplates');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * @desc    List email templates and their locales
+ * @route   GET /api/admin/email-templates
+ * @access  Private/Admin
+ */
+exports.getEmailTemplates = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      count: TEMPLATE_NAMES.length,
+      data: TEMPLATE_NAMES.map(name => ({ name, locales: LOCALES }))
+    });
+  } catch (err) {
+    logger.error(`Get email templates error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Render an email template with sample data.
+ *          Returns the HTML page, or { subject, html, text } with ?format=json
+ * @route   GET /api/admin/email-templates/:name/preview
+ * @access  Private/Admin
+ */
+exports.previewEmailTemplate = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const { locale = 'en', format } = req.query;
+
+    if (!TEMPLATE_NAMES.includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found'
+      });
+    }
+
+    const email = renderSample(name, locale);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { name, locale, ...email }
+      });
+    }
+
+    res.status(200).type('html').send(email.html);
+  } catch (err) {
+    logger.error(`Preview email template error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    List outbox emails with a count per status
+ * @route   GET /api/admin/email-outbox
+ * @access  Private/Admin
+ */
+exports.getOutboxEmails = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const query = {};
+
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.to) query.to = req.query.to.toLowerCase();
+
+    const emails = await OutboxEmail.find(query)
+      .select('-html -text')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await OutboxEmail.countDocuments(query);
+    const statusCounts = await OutboxEmail.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      summary: OutboxEmail.OUTBOX_STATUSES.reduce((summary, status) => ({
+        ...summary,
+        [status]: (statusCounts.find(entry => entry._id === status) || { count: 0 }).count
+      }), {}),
+      data: emails
+    });
+  } catch (err) {
+    logger.error(`Get outbox emails error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get an outbox email and its delivery details. The body is left
+ *          out: reset and sign-in emails carry live links.
+ * @route   GET /api/admin/email-outbox/:id
+ * @access  Private/Admin
+ */
+exports.getOutboxEmail = async (req, res, next) => {
+  try {
+    const email = await OutboxEmail.findById(req.params.id).select('-html -text');
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: email
+    });
+  } catch (err) {
+    logger.error(`Get outbox email error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Queue a dead or pending email to be sent again right away
+ * @route   POST /api/admin/email-outbox/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryOutboxEmail = async (req, res, next) => {
+  try {
+    const email = await OutboxEmail.findById(req.params.id);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email not found'
+      });
+    }
+
+    if (!['dead', 'pending'].includes(email.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot retry an email that is ${email.status}`
+      });
+    }
+
+    email.status = 'pending';
+    email.attempts = 0;
+    email.nextAttemptAt = Date.now();
+    email.deadAt = undefined;
+    await email.save();
+
+    res.status(200).json({
+      success: true,
+      data: email
+    });
+  } catch (err) {
+    logger.error(`Retry outbox email error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Sign an account out everywhere by revoking all of its tokens
+ * @route   POST /api/admin/users/:id/revoke-tokens
+ * @access  Private/Admin
+ */
+exports.revokeUserTokens = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessionsEnded = await revokeAccountTokens(user._id, 'admin');
+    await recordModerationAction(req, {
+      action: 'account.revoke_tokens',
+      targetType: 'user',
+      target: user._id,
+      details: { sessionsEnded }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'All tokens for this account have been revoked',
+      data: { sessionsEnded }
+    });
+  } catch (err) {
+    logger.error(`Revoke user tokens error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Lift sign-in lockouts on an account, from failed passwords or
+ *          two-factor codes
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private/Admin
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const cleared = await unlockAccount(user.email);
+    await User.updateOne(
+      { _id: user._id },
+      { $unset: { twoFactorFailures: 1, twoFactorLockedUntil: 1 } }
+    );
+    await recordModerationAction(req, {
+      action: 'account.unlock',
+      targetType: 'user',
+      target: user._id,
+      details: { cleared }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked',
+      data: { cleared }
+    });
+  } catch (err) {
+    logger.error(`Unlock user error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    List permissions and the roles that grant them
+ * @route   GET /api/admin/permissions
+ * @access  Private/Admin
+ */
+exports.getPermissions = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS)
+          .map(([name, description]) => ({ name, description })),
+        roles: ROLE_PERMISSIONS
+      }
+    });
+  } catch (err) {
+    logger.error(`Get permissions error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Set the staff roles of an account, keeping its other roles
+ * @route   PUT /api/admin/users/:id/roles
+ * @access  Private/Admin
+ */
+exports.updateStaffRoles = async (req, res, next) => {
+  try {
+    if (req.params.id === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own staff roles'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const staffRoles = [...new Set(req.body.roles)];
+    const roles = user.roles
+      .filter(role => !User.STAFF_ROLES.includes(role))
+      .concat(staffRoles);
+
+    if (roles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account needs at least one role'
+      });
+    }
+
+    const before = { roles: [...user.roles], role: user.role };
+    user.roles = roles;
+    // Tokens for a removed role stop working, the account falls back to another
+    if (!roles.includes(user.role)) {
+      user.role = roles[0];
+    }
+    await user.save();
+
+    await recordModerationAction(req, {
+      action: 'account.roles',
+      targetType: 'user',
+      target: user._id,
+      details: { before, after: { roles: [...user.roles], role: user.role } }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user._id,
+        roles: user.roles,
+        role: user.role
+      }
+    });
+  } catch (err) {
+    logger.error(`Update staff roles error: ${err.message}`);
+    next(err);
+  }
+};
@@ -0,0 +1,111 @@
+const { getPlatformMetrics } = require('../utils/analytics');
+const { toCsvRow } = require('../utils/csv');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range used when no dates are given
+const DEFAULT_RANGE_DAYS = 30;
+
+const CSV_COLUMNS = [
+  'tasksPosted', 'applications', 'hires', 'hireRate', 'completions', 'completionRate',
+  'medianHoursToFirstApplication', 'medianHoursToHire', 'gmvPKR', 'gmvUSD',
+  'activeUsers', 'activeTalents'
+];
+
+/**
+ * Build the metric options from query parameters
+ * @param {Object} query - Validated query parameters
+ * @returns {Object}
+ */
+const metricOptions = ({ from, to, granularity, timezone, groupBy, category, city }) => {
+  const end = to ? new Date(to) : new Date();
+
+  return {
+    from: from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS),
+    to: end,
+    granularity: granularity || 'day',
+    timezone: timezone || process.env.ANALYTICS_TIMEZONE || 'UTC',
+    groupBy,
+    filters: { category, city }
+  };
+};
+
+/**
+ * Send a 400 when the range ends before it starts
+ * @returns {Boolean} - Whether a response was sent
+ */
+const rejectBadRange = (res, { from, to }) => {
+  if (from < to) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'The start of the range must be before its end'
+  });
+  return true;
+};
+
+/**
+ * @desc    Platform metrics over a date range: tasks, applications, hire and
+ *          completion rates, median times to first application and to hire,
+ *          GMV and active accounts, per period and for the whole range
+ * @route   GET /api/admin/analytics
+ * @access  Private/Admin (analytics:view)
+ */
+exports.getAnalytics = async (req, res, next) => {
+  try {
+    const options = metricOptions(req.query);
+    if (rejectBadRange(res, options)) return;
+
+    const { summary, series } = await getPlatformMetrics(options);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: options.from,
+        to: options.to,
+        granularity: options.granularity,
+        timezone: options.timezone,
+        groupBy: options.groupBy || null,
+        summary,
+        series
+      }
+    });
+  } catch (err) {
+    logger.error(`Get analytics error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download the metric series as CSV, one line per period
+ * @route   GET /api/admin/analytics/export
+ * @access  Private/Admin (analytics:view)
+ */
+exports.exportAnalytics = async (req, res, next) => {
+  try {
+    const options = metricOptions(req.query);
+    if (rejectBadRange(res, options)) return;
+
+    const { series } = await getPlatformMetrics(options);
+    const columns = ['period', ...(options.groupBy ? [options.groupBy] : []), ...CSV_COLUMNS];
+    const filename = `analytics-${options.granularity}-${options.from.toISOString().slice(0, 10)}`
+      + `-${options.to.toISOString().slice(0, 10)}`;
+
+    const lines = series.map(row => toCsvRow(columns.map(column => {
+      if (column === 'gmvPKR') return row.gmv.PKR;
+      if (column === 'gmvUSD') return row.gmv.USD;
+      return row[column];
+    })));
+
+    res.status(200);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send([toCsvRow(columns), ...lines].join(''));
+  } catch (err) {
+    logger.error(`Export analytics error: ${err.message}`);
+    next(err);
+  }
+};
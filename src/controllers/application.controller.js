@@ -1,5 +1,9 @@
 const Application = require('../models/application.model');
 const Task = require('../models/task.model');
+const { isVisible } = require('../models/moderation.schema');
+const ledger = require('../utils/ledger');
+const { EVENTS, emitDomainEvent } = require('../utils/events');
+const { hasPermission } = require('../utils/permissions');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger();
@@ -12,7 +16,7 @@ const logger = createLogger();
 exports.createApplication = async (req, res, next) => {
   try {
     // Ensure only talents can apply
-    if (req.user.role !== 'talent') {
+    if (req.role !== 'talent') {
       return res.status(403).json({
         success: false,
         message: 'Only talents are allowed to apply for tasks.'
@@ -23,7 +27,8 @@ exports.createApplication = async (req, res, next) => {
     const { coverLetter, proposedBudget, estimatedCompletionTime } = req.body;
 
     // Check if task exists
-    const task = await Task.findById(taskId);
+    // Tasks hidden by moderation can't be applied to
+    const task = await Task.findOne({ _id: taskId, ...Task.VISIBLE_FILTER });
 
     if (!task) {
       return res.status(404).json({
@@ -40,6 +45,14 @@ exports.createApplication = async (req, res, next) => {
       });
     }
 
+    // An account holding both roles can't apply to a task it posted
+    if (task.user.toString() === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot apply to your own task'
+      });
+    }
+
     // Check if talent has already applied
     const existingApplication = await Application.findOne({
       task: taskId,
@@ -63,6 +76,12 @@ exports.createApplication = async (req, res, next) => {
       estimatedCompletionTime
     });
 
+    // Held applications reach the task owner once a moderator approves them
+    const held = !isVisible(application);
+    if (!held) {
+      emitDomainEvent(EVENTS.APPLICATION_CREATED, { application, task });
+    }
+
     // Format response to match frontend expectation
     const formattedApplication = {
       id: application._id,
@@ -76,13 +95,16 @@ exports.createApplication = async (req, res, next) => {
       coverLetter: application.coverLetter,
       proposedBudget: application.proposedBudget,
       status: application.status,
+      visibility: application.visibility,
       estimatedCompletionTime: application.estimatedCompletionTime,
       createdAt: application.createdAt
     };
 
     res.status(201).json({
       success: true,
-      message: 'Application submitted successfully',
+      message: held
+        ? 'Application submitted and waiting for review'
+        : 'Application submitted successfully',
       data: formattedApplication
     });
   } catch (err) {
@@ -108,14 +130,20 @@ exports.getTaskApplications = async (req, res, next) => {
     }
     
     // Check if user is the task owner
-    if (task.user.toString() !== req.userId && req.role !== 'admin') {
+    if (task.user.toString() !== req.userId && !hasPermission(req.role, 'application:view:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these applications'
       });
     }
     
-    const applications = await Application.find({ task: req.params.taskId })
+    // Applications held for review are only shown to staff
+    const query = { task: req.params.taskId };
+    if (!hasPermission(req.role, 'application:view:any')) {
+      Object.assign(query, Application.VISIBLE_FILTER);
+    }
+
+    const applications = await Application.find(query)
       .populate({
         path: 'talent',
         select: 'name picture location bio'
@@ -168,6 +196,8 @@ exports.updateApplicationStatus = async (req, res, next) => {
       });
     }
     
+    let releasedHire = false;
+    
     // Authorization check based on action
     if (status === 'withdrawn') {
       // Only talent can withdraw their own application
@@ -177,6 +207,18 @@ exports.updateApplicationStatus = async (req, res, next) => {
           message: 'Not authorized to withdraw this application'
         });
       }
+      
+      // Withdrawing after being hired releases the task back to open
+      if (application.status === 'accepted' && task.status === 'in-progress') {
+        task.transitionTo('open', {
+          actorId: req.userId,
+          role: req.role,
+          reason: 'Hired talent withdrew their application'
+        });
+        await task.save();
+        await ledger.settleTaskEscrow(task, req.userId);
+        releasedHire = true;
+      }
     } else if (['accepted', 'rejected'].includes(status)) {
       // Only task owner can accept/reject
       if (task.user.toString() !== req.userId) {
@@ -185,27 +227,82 @@ exports.updateApplicationStatus = async (req, res, next) => {
           message: 'Not authorized to update this application status'
         });
       }
+
+      if (!isVisible(application)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Application is waiting for review'
+        });
+      }
+      
+      // A hire is released by withdrawing or reopening the task, not by rejecting it
+      if (application.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Application is ${application.status} and cannot be ${status}`
+        });
+      }
       
-      // If accepting, update task status to in-progress
+      // If accepting, hire the talent and move the task to in-progress
       if (status === 'accepted') {
-        task.status = 'in-progress';
-        await task.save();
+        task.hiredTalent = application.talent;
+        task.hiredApplication = application._id;
+        task.transitionTo('in-progress', {
+          actorId: req.userId,
+          role: req.role,
+          reason: 'Application accepted'
+        });
+        
+        // Fund escrow from the owner's wallet before the hire takes effect
+        const hold = await ledger.holdEscrow({ task, application, actorId: req.userId });
+        try {
+          await task.save();
+        } catch (saveErr) {
+          await ledger.reverseEscrowHold(hold, req.userId);
+          throw saveErr;
+        }
         
         // Reject all other applications for this task
+        const otherApplications = await Application.find({
+          task: task._id,
+          _id: { $ne: application._id },
+          status: 'pending'
+        });
         await Application.updateMany(
-          { 
-            task: task._id, 
-            _id: { $ne: application._id },
-            status: 'pending'
-          },
-          { status: 'rejected' }
+          { _id: { $in: otherApplications.map(other => other._id) } },
+          { status: 'rejected', rejectedForHire: application._id }
         );
+        otherApplications.forEach(other => {
+          other.status = 'rejected';
+          other.rejectedForHire = application._id;
+          emitDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, {
+            application: other,
+            task,
+            from: 'pending',
+            to: 'rejected',
+            actorId: req.userId
+          });
+        });
       }
     }
     
     // Update application status
+    const previousStatus = application.status;
     application.status = status;
     await application.save();
+
+    emitDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, {
+      application,
+      task,
+      from: previousStatus,
+      to: status,
+      actorId: req.userId
+    });
+    
+    // The other applicants are back in the running
+    if (releasedHire) {
+      await Application.releaseHire(task, application._id, req.userId);
+    }
     
     // Get fully populated application
     const updatedApplication = await Application.findById(req.params.id)
@@ -253,15 +350,21 @@ exports.getApplicationById = async (req, res, next) => {
     }
     
     // Check if user is authorized to view this application
-    const isTaskOwner = application.task.user.toString() === req.userId;
-    const isApplicant = application.talent._id.toString() === req.userId;
-    
-    if (!isTaskOwner && !isApplicant && req.role !== 'admin') {
+    const parties = application.getPartiesFor(req.userId, req.role);
+    if (parties.length === 0) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this application'
       });
     }
+
+    // Task owners don't see applications held for review
+    if (!isVisible(application) && parties.every(party => party === 'owner')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,139 @@
+const AuditEvent = require('../models/auditEvent.model');
+const { toCsvRow } = require('../utils/csv');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'actor', 'actorRole', 'targetType', 'target',
+  'changes', 'ip', 'userAgent', 'requestId', 'metadata'
+];
+
+/**
+ * Build the audit event filter from query parameters
+ * @param {Object} query - Validated query parameters
+ * @returns {Object}
+ */
+const auditFilter = ({ actor, target, targetType, action, requestId, from, to }) => {
+  const filter = {};
+
+  if (actor) filter.actor = actor;
+  if (target) filter.target = target;
+  if (targetType) filter.targetType = targetType;
+  if (action) filter.action = action;
+  if (requestId) filter.requestId = requestId;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * Write a chunk to the response, waiting for the buffer to drain when it is
+ * full so a slow client doesn't make the whole export pile up in memory
+ * @param {Object} res - Express response object
+ * @param {String} chunk
+ * @returns {Promise<void>} - Settles early if the client goes away
+ */
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+/**
+ * @desc    List audit events, newest first
+ * @route   GET /api/admin/audit-events
+ * @access  Private/Staff (audit:view)
+ */
+exports.getAuditEvents = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const filter = auditFilter(req.query);
+
+    const events = await AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'name email');
+
+    const totalCount = await AuditEvent.countDocuments(filter);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: events
+    });
+  } catch (err) {
+    logger.error(`Get audit events error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download matching audit events as CSV or JSON lines, oldest first
+ * @route   GET /api/admin/audit-events/export
+ * @access  Private/Staff (audit:view)
+ */
+exports.exportAuditEvents = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    const filter = auditFilter(req.query);
+    const filename = `audit-events-${new Date().toISOString().slice(0, 10)}`;
+
+    logger.info(`Audit log exported by ${req.userId}: ${JSON.stringify(req.query)}`);
+
+    res.status(200);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      await writeChunk(res, toCsvRow(CSV_COLUMNS));
+    } else {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.jsonl"`);
+    }
+
+    // Streamed, so large exports don't have to fit in memory
+    const cursor = AuditEvent.find(filter).sort({ createdAt: 1 }).lean().cursor();
+
+    for await (const event of cursor) {
+      // The client went away, stop reading and let the cursor close
+      if (res.destroyed) break;
+
+      if (format === 'csv') {
+        await writeChunk(res, toCsvRow(CSV_COLUMNS.map(column => (
+          ['actor', 'target'].includes(column) && event[column]
+            ? String(event[column])
+            : event[column]
+        ))));
+      } else {
+        await writeChunk(res, `${JSON.stringify(event)}\n`);
+      }
+    }
+
+    res.end();
+  } catch (err) {
+    logger.error(`Export audit events error: ${err.message}`);
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(err);
+  }
+};
@@ -1,44 +1,119 @@
 const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/user.model');
-const Talent = require('../models/talent.model');
 const { createLogger } = require('../utils/logger');
-const { generateToken, generateRefreshToken, verifyRefreshToken, blacklistToken, generatePasswordResetToken } = require('../utils/token');
+const {
+  generateToken,
+  blacklistToken,
+  hashToken,
+  generatePasswordResetToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../utils/token');
 const emailService = require('../utils/emailService');
+const { sendPhoneOtp, verifyPhoneOtp } = require('../utils/phoneVerification');
+const twoFactor = require('../utils/twoFactor');
+const sessions = require('../utils/sessions');
+const bruteForce = require('../utils/bruteForce');
+const { recordAuditEvent } = require('../utils/audit');
 
 const logger = createLogger();
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || 60);
+
+// Lifetime of magic sign-in links
+const MAGIC_LINK_EXPIRE_MINUTES = Number(process.env.MAGIC_LINK_EXPIRE_MINUTES || 15);
+
+/**
+ * Queue an email verification link for the account
+ * @param {Object} user - User document from MongoDB
+ * @param {Object} req - Express request object, used to build the link
+ */
+const sendVerificationLink = async (user, req) => {
+  const { token, expires } = generateEmailVerificationToken(user);
+
+  user.emailVerificationSentAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await emailService.sendVerificationEmail({
+    email: user.email,
+    name: user.name,
+    language: user.language,
+    verifyUrl: `${req.protocol}://${req.get('host')}/api/auth/verify-email/${token}`,
+    expires
+  });
+};
+
+/**
+ * Count a failed login and, when it locks the account, tell the owner
+ * @param {Object[]} subjects - From bruteForce.subjectsFor
+ * @param {Object} [user] - Account the email belongs to, if it exists
+ * @param {Object} req - Express request object
+ */
+const recordFailedLogin = async (subjects, user, req) => {
+  const locked = await bruteForce.recordAttempt('login', subjects);
+  const accountLock = locked.find(subject => subject.kind === 'account');
+
+  if (locked.some(subject => subject.kind === 'ip')) {
+    logger.warn(`Login locked for IP ${req.ip} after repeated failures`);
+  }
+  if (!accountLock || !user) return;
+
+  logger.warn(`Login locked for account ${user._id} after repeated failures`);
+  try {
+    await emailService.sendAccountLockedEmail({
+      email: user.email,
+      name: user.name,
+      language: user.language,
+      lockedUntil: accountLock.lockedUntil,
+      ip: req.ip
+    });
+  } catch (err) {
+    logger.error(`Account locked email failed: ${err.message}`);
+  }
+};
+
 /**
  * Generate JWT token and send response with user data
  * @param {Object} user - User document from MongoDB
  * @param {Number} statusCode - HTTP status code
+ * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const sendTokenResponse = async (user, statusCode, res) => {
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  // Signed-in requests (e.g. switching roles) stay in their session,
+  // everything else starts a new one for this device
+  const { session, refreshToken, expires: refreshTokenExpires } = (req.sessionId
+    && await sessions.continueSession(req.sessionId, user._id))
+    || await sessions.startSession(user._id, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
   // Generate access token
   const { token, expires: accessTokenExpires } = generateToken({ 
     id: user._id,
-    role: user.role 
+    role: user.role,
+    sid: session._id
   });
-  
-  // Generate refresh token
-  const { refreshToken, expires: refreshTokenExpires } = generateRefreshToken(user._id);
-  
-  // Save refresh token hash to user document if in production
-  if (process.env.NODE_ENV === 'production') {
-    user.refreshToken = refreshToken;
-    user.refreshTokenExpiry = refreshTokenExpires;
-    await user.save({ validateBeforeSave: false });
-  }
 
   // Remove sensitive data
   const userData = user.toObject();
   delete userData.password;
-  delete userData.refreshToken;
-  delete userData.refreshTokenExpiry;
   delete userData.passwordResetToken;
   delete userData.passwordResetExpire;
+  delete userData.magicLinkExpire;
+  delete userData.emailVerificationSentAt;
+  delete userData.twoFactorSecret;
+  delete userData.twoFactorPendingSecret;
+  delete userData.twoFactorRecoveryCodes;
+  delete userData.twoFactorLastStep;
+  delete userData.twoFactorFailures;
+  delete userData.twoFactorLockedUntil;
 
   res.status(statusCode).json({
     success: true,
@@ -50,6 +125,52 @@ const sendTokenResponse = async (user, statusCode, res) => {
   });
 };
 
+/**
+ * Finish the first step of a login. Suspended accounts are refused, and accounts
+ * with two-factor authentication get a short-lived challenge to exchange for
+ * tokens at POST /api/auth/2fa/verify.
+ * @param {Object} user - User document from MongoDB
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} method - How the account signed in, for the audit log
+ */
+const sendLoginResponse = async (user, req, res, method) => {
+  const suspensionMessage = user.suspensionMessage();
+  if (suspensionMessage) {
+    await recordAuditEvent(req, {
+      action: 'auth.login_failed',
+      actor: user._id,
+      targetType: 'user',
+      target: user._id,
+      metadata: { method, reason: 'suspended' }
+    });
+    return res.status(403).json({
+      success: false,
+      message: suspensionMessage
+    });
+  }
+
+  if (!user.twoFactorEnabled) {
+    await recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user._id,
+      targetType: 'user',
+      target: user._id,
+      metadata: { method }
+    });
+    return sendTokenResponse(user, 200, req, res);
+  }
+
+  const { token, expires } = generateTwoFactorChallengeToken(user);
+
+  res.status(200).json({
+    success: true,
+    twoFactorRequired: true,
+    challengeToken: token,
+    challengeExpires: expires
+  });
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -59,36 +180,39 @@ exports.register = async (req, res, next) => {
   try {
     const { name, email, password, role } = req.body;
 
-    // Check if email already exists in either collection
     const existingUser = await User.findOne({ email });
-    const existingTalent = await Talent.findOne({ email });
 
-    if (existingUser || existingTalent) {
+    if (existingUser) {
       return res.status(400).json({
         success: false,
         message: 'Email already registered'
       });
     }
 
-    // Determine which model to use and create the user/talent
-    const Model = role === 'talent' ? Talent : User;
-    const user = await Model.create({
+    // The account starts with the role it signed up as; others can be added later
+    const user = await User.create({
       name,
       email,
       password,
       role // Let the schema handle the default role if not provided
     });
 
-    // Send welcome email (non-blocking)
+    // Queue welcome email (delivered by the outbox worker)
     try {
       await emailService.sendWelcomeEmail(user);
     } catch (emailErr) {
-      // Don't fail registration if email fails
+      // Don't fail registration if the email can't be queued
       logger.warn(`Welcome email failed: ${emailErr.message}`);
     }
 
+    try {
+      await sendVerificationLink(user, req);
+    } catch (emailErr) {
+      logger.warn(`Verification email failed: ${emailErr.message}`);
+    }
+
     // Generate token and send response
-    await sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     logger.error(`Registration error: ${err.message}`);
     next(err);
@@ -112,32 +236,37 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Check for user in both collections
-    let user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      user = await Talent.findOne({ email }).select('+password');
-    }
+    // Locked accounts are refused even with the right password
+    const subjects = bruteForce.subjectsFor(req, email);
+    await bruteForce.assertNotThrottled('login', subjects);
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+    const user = await User.findOne({ email }).select('+password');
 
     // Check if password matches
-    const isMatch = await user.matchPassword(password);
+    const isMatch = user && await user.matchPassword(password);
 
     if (!isMatch) {
+      await recordFailedLogin(subjects, user, req);
+      await recordAuditEvent(req, {
+        action: 'auth.login_failed',
+        targetType: user ? 'user' : undefined,
+        target: user ? user._id : undefined,
+        metadata: { method: 'password', email, reason: 'invalid_credentials' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token and send response
-    sendTokenResponse(user, 200, res);
+    await bruteForce.clearAttempts('login', subjects.filter(subject => subject.kind === 'account'));
+
+    // Generate token (or two-factor challenge) and send response
+    await sendLoginResponse(user, req, res, 'password');
   } catch (err) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
     logger.error(`Login error: ${err.message}`);
     next(err);
   }
@@ -174,13 +303,9 @@ exports.googleAuth = async (req, res, next) => {
       });
     }
 
-    const { email, name, picture, sub: googleId } = payload;
+    const { email, name, picture, sub: googleId, email_verified: emailVerified } = payload;
 
-    // Check if user exists in either collection
     let user = await User.findOne({ email });
-    if (!user) {
-        user = await Talent.findOne({ email });
-    }
 
     if (user) {
       // Update existing user's Google ID if they don't have one
@@ -189,20 +314,28 @@ exports.googleAuth = async (req, res, next) => {
         user.picture = user.picture || picture;
         await user.save();
       }
+
+      // Google has already confirmed the address
+      if (emailVerified && !user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = Date.now();
+        await user.save();
+      }
     } else {
-      // Create new user or talent based on role
-      const Model = role === 'talent' ? Talent : User;
-      user = await Model.create({
+      // Create a new account with the requested role
+      user = await User.create({
         name,
         email,
         googleId,
         picture,
-        role // Let schema handle default
+        role, // Let schema handle default
+        emailVerified: Boolean(emailVerified),
+        emailVerifiedAt: emailVerified ? Date.now() : undefined
       });
     }
 
-    // Generate token and send response
-    sendTokenResponse(user, 200, res);
+    // Generate token (or two-factor challenge) and send response
+    await sendLoginResponse(user, req, res, 'google');
   } catch (err) {
     logger.error(`Google auth error: ${err.message}`);
     next(err);
@@ -238,14 +371,15 @@ exports.logout = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     if (token) {
-      // Blacklist the token
-      blacklistToken(token);
+      // Revoke the access token until it expires
+      await blacklistToken(token);
       
-      // If user has refresh token stored, invalidate it
-      if (req.userId) {
-        await User.findByIdAndUpdate(req.userId, {
-          $unset: { refreshToken: 1, refreshTokenExpiry: 1 }
-        });
+      // End this device's session. Tokens from before sessions existed
+      // can't be traced to one, so those sign out everywhere.
+      if (req.sessionId) {
+        await sessions.endSession(req.sessionId, req.userId, 'logout');
+      } else if (req.userId) {
+        await sessions.endAllSessions(req.userId, 'logout');
       }
     }
 
@@ -260,7 +394,8 @@ exports.logout = async (req, res, next) => {
 };
 
 /**
- * @desc    Refresh access token using refresh token
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Refresh tokens are single use; reusing one ends its session.
  * @route   POST /api/auth/refresh-token
  * @access  Public
  */
@@ -272,25 +407,35 @@ exports.refreshToken = async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Refresh token is required' });
     }
 
-    const decoded = verifyRefreshToken(refreshToken);
+    const rotated = await sessions.rotateRefreshToken(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
     
-    // Find user in appropriate collection
-    let user = await User.findById(decoded.id);
-    if (!user) {
-        user = await Talent.findById(decoded.id);
-    }
+    const user = await User.findById(rotated.userId);
 
     if (!user) {
       return res.status(401).json({ success: false, message: 'Invalid refresh token' });
     }
 
-    // Generate a new access token
-    const { token, expires } = generateToken(user.toObject());
+    const suspensionMessage = user.suspensionMessage();
+    if (suspensionMessage) {
+      return res.status(403).json({ success: false, message: suspensionMessage });
+    }
+
+    // Access tokens only carry the account ID, active role and session
+    const { token, expires } = generateToken({
+      id: user._id,
+      role: user.role,
+      sid: rotated.sessionId
+    });
 
     res.status(200).json({
       success: true,
-      token: token,
-      expires
+      token,
+      expires,
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpires: rotated.expires
     });
   } catch (err) {
     logger.error(`Refresh token error: ${err.message}`);
@@ -298,6 +443,83 @@ exports.refreshToken = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    List the devices the account is signed in on
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const activeSessions = await sessions.listSessions(req.userId);
+
+    res.status(200).json({
+      success: true,
+      count: activeSessions.length,
+      data: activeSessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (err) {
+    logger.error(`Get sessions error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Sign out one device
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.deleteSession = async (req, res, next) => {
+  try {
+    const ended = await sessions.endSession(req.params.id, req.userId, 'signed_out_remotely');
+
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (err) {
+    logger.error(`Delete session error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Sign out every device except this one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.deleteOtherSessions = async (req, res, next) => {
+  try {
+    const endedCount = await sessions.endOtherSessions(
+      req.userId,
+      req.sessionId,
+      'signed_out_remotely'
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: { endedCount }
+    });
+  } catch (err) {
+    logger.error(`Delete other sessions error: ${err.message}`);
+    next(err);
+  }
+};
+
 /**
  * @desc    Forgot password - send password reset email
  * @route   POST /api/auth/forgot-password
@@ -306,10 +528,13 @@ exports.refreshToken = async (req, res, next) => {
 exports.forgotPassword = async (req, res, next) => {
   try {
     const { email } = req.body;
-    let user = await User.findOne({ email });
-    if (!user) {
-      user = await Talent.findOne({ email });
-    }
+
+    // Every request counts, whether or not the account exists
+    const subjects = bruteForce.subjectsFor(req, email);
+    await bruteForce.assertNotThrottled('forgotPassword', subjects);
+    await bruteForce.recordAttempt('forgotPassword', subjects);
+
+    const user = await User.findOne({ email });
 
     if (!user) {
       // Note: We send a success-like response to prevent email enumeration
@@ -320,16 +545,25 @@ exports.forgotPassword = async (req, res, next) => {
     const resetToken = user.getResetPasswordToken();
     await user.save({ validateBeforeSave: false });
 
-    // Create reset URL
-    const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
+    await recordAuditEvent(req, {
+      action: 'auth.password_reset_requested',
+      actor: user._id,
+      targetType: 'user',
+      target: user._id
+    });
 
     try {
-      await emailService.sendPasswordResetEmail(user, resetUrl);
+      await emailService.sendPasswordResetEmail({
+        email: user.email,
+        token: resetToken,
+        name: user.name,
+        language: user.language
+      });
       res.status(200).json({ success: true, data: 'Email sent' });
     } catch (err) {
       logger.error(`Password reset email failed: ${err.message}`);
-      user.resetPasswordToken = undefined;
-      user.resetPasswordExpire = undefined;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpire = undefined;
       await user.save({ validateBeforeSave: false });
 
       return res.status(500).json({
@@ -338,6 +572,9 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
   } catch (err) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
     logger.error(`Forgot password error: ${err.message}`);
     next(err);
   }
@@ -367,6 +604,10 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
 
+    // Reset tokens can't be guessed by brute force from one address
+    const subjects = bruteForce.subjectsFor(req);
+    await bruteForce.assertNotThrottled('resetPassword', subjects);
+
     try {
       // Import crypto to handle token hashing
       const crypto = require('crypto');
@@ -378,19 +619,13 @@ exports.resetPassword = async (req, res, next) => {
         .digest('hex');
 
       // Find user with matching token and valid expiry
-      let user = await User.findOne({
+      const user = await User.findOne({
         passwordResetToken: resetToken,
         passwordResetExpire: { $gt: Date.now() }
       });
 
       if (!user) {
-        user = await Talent.findOne({
-          passwordResetToken: resetToken,
-          passwordResetExpire: { $gt: Date.now() }
-        });
-      }
-
-      if (!user) {
+        await bruteForce.recordAttempt('resetPassword', subjects);
         return res.status(400).json({
           success: false,
           message: 'Invalid or expired token'
@@ -405,6 +640,18 @@ exports.resetPassword = async (req, res, next) => {
       // Save the updated user
       await user.save();
 
+      // Sessions started with the old password shouldn't outlive it
+      await sessions.revokeAccountTokens(user._id, 'password_reset');
+      // Proving access to the inbox lifts a login lockout
+      await bruteForce.unlockAccount(user.email);
+
+      await recordAuditEvent(req, {
+        action: 'auth.password_reset',
+        actor: user._id,
+        targetType: 'user',
+        target: user._id
+      });
+
       res.status(200).json({
         success: true,
         message: 'Password reset successful'
@@ -417,6 +664,13 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
   } catch (err) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message
+      });
+    }
     logger.error(`Reset password error: ${err.message}`);
     return res.status(500).json({
       success: false,
@@ -424,3 +678,451 @@ exports.resetPassword = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * @desc    Email a single-use sign-in link
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Every request counts, whether or not the account exists
+    const subjects = bruteForce.subjectsFor(req, email);
+    await bruteForce.assertNotThrottled('magicLink', subjects);
+    await bruteForce.recordAttempt('magicLink', subjects);
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      // Same response as for a real account, to prevent email enumeration
+      return res.status(200).json({ success: true, data: 'Email sent' });
+    }
+
+    // Only the hash is stored, and a new link replaces any earlier one
+    const {
+      resetToken: token,
+      resetTokenHash,
+      resetTokenExpiry
+    } = generatePasswordResetToken(MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000);
+
+    user.magicLinkToken = resetTokenHash;
+    user.magicLinkExpire = resetTokenExpiry;
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await emailService.sendMagicLinkEmail({
+        email: user.email,
+        token,
+        name: user.name,
+        language: user.language,
+        expires: resetTokenExpiry
+      });
+      res.status(200).json({ success: true, data: 'Email sent' });
+    } catch (err) {
+      logger.error(`Magic link email failed: ${err.message}`);
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+  } catch (err) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    logger.error(`Magic link request error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Sign in with the token from a magic link. The frontend posts the
+ *          token, so link scanners opening the email can't use it up.
+ * @route   POST /api/auth/magic-link/verify
+ * @access  Public
+ */
+exports.magicLinkLogin = async (req, res, next) => {
+  try {
+    const subjects = bruteForce.subjectsFor(req);
+    await bruteForce.assertNotThrottled('magicLinkLogin', subjects);
+
+    // Claim the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashToken(String(req.body.token)),
+        magicLinkExpire: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      await bruteForce.recordAttempt('magicLinkLogin', subjects);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link'
+      });
+    }
+
+    // The link was opened from the inbox, so the address is confirmed
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Two-factor accounts still have to complete the challenge
+    await sendLoginResponse(user, req, res, 'magic_link');
+  } catch (err) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    logger.error(`Magic link login error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify an email address from the link in the verification email
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (tokenErr) {
+      return res.status(400).json({
+        success: false,
+        message: tokenErr.message
+      });
+    }
+
+    // The link only counts for the address it was sent to
+    const user = await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification link'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = Date.now();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Links are opened in a browser, so send people back to the app
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(emailService.frontendUrl('/login?emailVerified=true'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (err) {
+    logger.error(`Verify email error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send a new verification email to the current account
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const waitMs = user.emailVerificationSentAt.getTime()
+        + VERIFICATION_RESEND_SECONDS * 1000 - Date.now();
+
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another email`
+        });
+      }
+    }
+
+    await sendVerificationLink(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (err) {
+    logger.error(`Resend verification email error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send a verification code by SMS to a Pakistani mobile number
+ * @route   POST /api/auth/phone/otp
+ * @access  Private
+ */
+exports.sendPhoneVerification = async (req, res, next) => {
+  try {
+    const { phone, expiresAt } = await sendPhoneOtp(req.user, req.body.phone);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent',
+      data: { phone, expiresAt }
+    });
+  } catch (err) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    logger.error(`Send phone verification error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify a phone number with the code sent by SMS
+ * @route   POST /api/auth/phone/verify
+ * @access  Private
+ */
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const user = await verifyPhoneOtp(req.user, req.body.phone, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      data: {
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        phoneVerifiedAt: user.phoneVerifiedAt
+      }
+    });
+  } catch (err) {
+    logger.error(`Verify phone error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Complete a login with an authenticator or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (tokenErr) {
+      return res.status(401).json({
+        success: false,
+        message: tokenErr.message
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(twoFactor.TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid login challenge'
+      });
+    }
+
+    let method;
+    try {
+      method = await twoFactor.verifySecondFactor(user, code);
+    } catch (codeErr) {
+      await recordAuditEvent(req, {
+        action: 'auth.login_failed',
+        actor: user._id,
+        targetType: 'user',
+        target: user._id,
+        metadata: { method: 'two_factor', reason: 'invalid_code' }
+      });
+      throw codeErr;
+    }
+
+    if (method === 'recovery') {
+      logger.info(`Recovery code used to log in to account ${user._id}, `
+        + `${user.twoFactorRecoveryCodes.length} left`);
+    }
+
+    await recordAuditEvent(req, {
+      action: 'auth.login',
+      actor: user._id,
+      targetType: 'user',
+      target: user._id,
+      metadata: { method: 'two_factor', secondFactor: method }
+    });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    logger.error(`Two-factor login error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Start two-factor setup and get the authenticator secret
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(twoFactor.TWO_FACTOR_FIELDS);
+    const { secret, otpauthUrl } = await twoFactor.startEnrollment(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, '
+        + 'then confirm with a code from the app',
+      data: { secret, otpauthUrl }
+    });
+  } catch (err) {
+    logger.error(`Two-factor setup error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Turn on two-factor authentication with a code from the app
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(twoFactor.TWO_FACTOR_FIELDS);
+    const recoveryCodes = await twoFactor.confirmEnrollment(user, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, '
+        + 'each can be used once if you lose your device',
+      data: { recoveryCodes }
+    });
+  } catch (err) {
+    logger.error(`Two-factor confirm error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Turn off two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(twoFactor.TWO_FACTOR_FIELDS);
+    await twoFactor.disableTwoFactor(user, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (err) {
+    logger.error(`Two-factor disable error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Replace the two-factor recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(twoFactor.TWO_FACTOR_FIELDS);
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated, the old ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (err) {
+    logger.error(`Regenerate recovery codes error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add the poster (user) or talent role to the current account and switch to it
+ * @route   POST /api/auth/roles
+ * @access  Private
+ */
+exports.addRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const user = req.user;
+
+    if (user.hasRole(role)) {
+      return res.status(409).json({
+        success: false,
+        message: `Account already has the ${role} role`
+      });
+    }
+
+    user.roles.push(role);
+    user.role = role;
+    await user.save();
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    logger.error(`Add role error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Switch the role the current account is acting as
+ * @route   PUT /api/auth/active-role
+ * @access  Private
+ */
+exports.switchRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const user = req.user;
+
+    if (!user.hasRole(role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Account does not have the ${role} role`
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    // Access tokens carry the active role, so issue a new one
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    logger.error(`Switch role error: ${err.message}`);
+    next(err);
+  }
+};
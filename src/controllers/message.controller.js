@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const Application = require('../models/application.model');
+const Conversation = require('../models/conversation.model');
+const Message = require('../models/message.model');
+const { EVENTS, emitDomainEvent } = require('../utils/events');
+const { messageAttachmentDir } = require('../utils/fileUpload');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * Load an application for its message thread, applying the same access rules
+ * as getApplicationById. Sends the error response when access is refused.
+ * @returns {Object|null} - { application, parties } or null if a response was sent
+ */
+const findThreadApplication = async (req, res) => {
+  const application = await Application.findById(req.params.id)
+    .populate({
+      path: 'task',
+      select: 'title status user'
+    });
+
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+    return null;
+  }
+
+  const parties = application.getPartiesFor(req.userId, req.role);
+
+  if (parties.length === 0) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this conversation'
+    });
+    return null;
+  }
+
+  return { application, parties };
+};
+
+/**
+ * Count an account's unread messages in each of the given conversations
+ * @param {String} accountId - Recipient account ID
+ * @param {ObjectId[]} conversationIds - Conversations to count
+ * @returns {Promise<Map>} - conversation ID => unread count
+ */
+const countUnread = async (accountId, conversationIds) => {
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        conversation: { $in: conversationIds },
+        recipient: new mongoose.Types.ObjectId(accountId),
+        readAt: null
+      }
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * @desc    Download an attachment sent in an application thread
+ * @route   GET /api/applications/:id/messages/attachments/:file
+ * @access  Private (task owner, applicant or admin)
+ */
+exports.getMessageAttachment = async (req, res, next) => {
+  try {
+    const found = await findThreadApplication(req, res);
+    if (!found) return;
+
+    const file = path.resolve(
+      messageAttachmentDir(found.application._id),
+      path.basename(req.params.file)
+    );
+
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.sendFile(file);
+  } catch (err) {
+    logger.error(`Get message attachment error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the message history of an application thread
+ * @route   GET /api/applications/:id/messages
+ * @access  Private (task owner, applicant or admin)
+ */
+exports.getMessages = async (req, res, next) => {
+  try {
+    const found = await findThreadApplication(req, res);
+    if (!found) return;
+
+    const { page, limit, skip } = req.pagination;
+    const conversation = await Conversation.findOne({ application: found.application._id });
+
+    if (!conversation) {
+      res.totalCount = 0;
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        page,
+        unreadCount: 0,
+        data: []
+      });
+    }
+
+    const query = { conversation: conversation._id };
+
+    // Newest first; clients load older pages as the user scrolls back
+    const messages = await Message.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Message.countDocuments(query);
+    const unreadCount = await Message.countDocuments({
+      ...query,
+      recipient: req.userId,
+      readAt: null
+    });
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      unreadCount,
+      data: messages
+    });
+  } catch (err) {
+    logger.error(`Get messages error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Send a message in an application thread
+ * @route   POST /api/applications/:id/messages
+ * @access  Private (task owner or applicant)
+ */
+exports.sendMessage = async (req, res, next) => {
+  try {
+    const found = await findThreadApplication(req, res);
+    if (!found) return;
+
+    const { application, parties } = found;
+
+    // Admins can read threads but only the two parties take part in them
+    if (!parties.includes('owner') && !parties.includes('applicant')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the task owner and the applicant can send messages'
+      });
+    }
+
+    const attachments = req.messageAttachments || [];
+
+    if (!req.body.body && attachments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message must have text or an attachment'
+      });
+    }
+
+    const conversation = await Conversation.findOrCreateFor(application);
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: req.userId,
+      senderRole: parties.includes('owner') ? 'user' : 'talent',
+      recipient: conversation.recipientFor(req.userId),
+      body: req.body.body,
+      attachments
+    });
+
+    conversation.lastMessage = {
+      body: message.body || '',
+      sender: message.sender,
+      sentAt: message.createdAt
+    };
+    await conversation.save();
+
+    emitDomainEvent(EVENTS.MESSAGE_CREATED, { message, conversation });
+
+    res.status(201).json({
+      success: true,
+      data: message
+    });
+  } catch (err) {
+    logger.error(`Send message error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark the messages received in an application thread as read
+ * @route   PUT /api/applications/:id/messages/read
+ * @access  Private (task owner or applicant)
+ */
+exports.markMessagesRead = async (req, res, next) => {
+  try {
+    const found = await findThreadApplication(req, res);
+    if (!found) return;
+
+    const conversation = await Conversation.findOne({ application: found.application._id });
+    let markedCount = 0;
+
+    if (conversation) {
+      const readAt = new Date();
+      const result = await Message.updateMany(
+        { conversation: conversation._id, recipient: req.userId, readAt: null },
+        { readAt }
+      );
+      markedCount = result.modifiedCount;
+
+      if (markedCount > 0) {
+        emitDomainEvent(EVENTS.MESSAGES_READ, { conversation, readerId: req.userId, readAt });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { markedCount }
+    });
+  } catch (err) {
+    logger.error(`Mark messages read error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    List the current account's conversations with unread counts
+ * @route   GET /api/conversations
+ * @access  Private
+ */
+exports.getConversations = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const query = { $or: [{ owner: req.userId }, { talent: req.userId }] };
+
+    const conversations = await Conversation.find(query)
+      .populate('task', 'title status')
+      .sort({ 'lastMessage.sentAt': -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalCount = await Conversation.countDocuments(query);
+    const conversationIds = conversations.map(conversation => conversation._id);
+    const unread = await countUnread(req.userId, conversationIds);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: conversations.map(conversation => ({
+        ...conversation,
+        unreadCount: unread.get(conversation._id.toString()) || 0
+      }))
+    });
+  } catch (err) {
+    logger.error(`Get conversations error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the total number of unread messages for the current account
+ * @route   GET /api/conversations/unread-count
+ * @access  Private
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Message.countDocuments({ recipient: req.userId, readAt: null });
+
+    res.status(200).json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (err) {
+    logger.error(`Get unread count error: ${err.message}`);
+    next(err);
+  }
+};
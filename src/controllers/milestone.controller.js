@@ -0,0 +1,222 @@
+const Task = require('../models/task.model');
+const { isVisible } = require('../models/moderation.schema');
+const ledger = require('../utils/ledger');
+const { hasPermission } = require('../utils/permissions');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * Load a task and one of its milestones, sending the error response when either is missing
+ * @returns {Object|null} - { task, milestone } or null if a response was sent
+ */
+const findTaskMilestone = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  const milestone = task.milestones.id(req.params.milestoneId);
+
+  if (!milestone) {
+    res.status(404).json({
+      success: false,
+      message: 'Milestone not found'
+    });
+    return null;
+  }
+
+  return { task, milestone };
+};
+
+/**
+ * @desc    Get milestones for a task. Submissions are only shown to the
+ *          owner, the hired talent and staff.
+ * @route   GET /api/tasks/:id/milestones
+ * @access  Private
+ */
+exports.getMilestones = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id)
+      .select('user hiredTalent visibility budget currency milestones');
+    const insider = task && task.canSeeHidden(req.userId, req.role);
+
+    if (!task || (!isVisible(task) && !insider)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const milestones = task.milestones.map(milestone => {
+      const { submissions, ...plan } = milestone.toObject();
+      return insider ? { ...plan, submissions } : plan;
+    });
+
+    res.status(200).json({
+      success: true,
+      count: milestones.length,
+      data: milestones
+    });
+  } catch (err) {
+    logger.error(`Get milestones error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Submit deliverables for a milestone
+ * @route   POST /api/tasks/:id/milestones/:milestoneId/submit
+ * @access  Private/Talent (hired talent)
+ */
+exports.submitMilestone = async (req, res, next) => {
+  try {
+    const found = await findTaskMilestone(req, res);
+    if (!found) return;
+    const { task, milestone } = found;
+
+    // Only the hired talent can deliver work
+    if (!task.getPartiesFor(req.userId, req.role).includes('talent')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the hired talent can submit milestone deliverables'
+      });
+    }
+
+    if (task.status !== 'in-progress') {
+      return res.status(400).json({
+        success: false,
+        message: `Task is ${task.status} and not accepting submissions`
+      });
+    }
+
+    if (!['pending', 'revision-requested'].includes(milestone.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone is ${milestone.status} and cannot be submitted`
+      });
+    }
+
+    milestone.submissions.push({
+      message: req.body.message,
+      attachments: [...(req.taskAttachments || []), ...(req.body.attachments || [])]
+    });
+    milestone.status = 'submitted';
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone submitted for approval',
+      data: milestone
+    });
+  } catch (err) {
+    logger.error(`Submit milestone error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a submitted milestone
+ * @route   PUT /api/tasks/:id/milestones/:milestoneId/approve
+ * @access  Private/User (task owner)
+ */
+exports.approveMilestone = async (req, res, next) => {
+  try {
+    const found = await findTaskMilestone(req, res);
+    if (!found) return;
+    const { task, milestone } = found;
+
+    const isOwner = task.getPartiesFor(req.userId, req.role).includes('owner');
+    if (!isOwner && !hasPermission(req.role, 'milestone:review:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to approve this milestone'
+      });
+    }
+
+    if (milestone.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone is ${milestone.status} and cannot be approved`
+      });
+    }
+
+    const submission = milestone.submissions[milestone.submissions.length - 1];
+    submission.feedback = req.body.feedback;
+    submission.reviewedAt = Date.now();
+    milestone.status = 'approved';
+    milestone.approvedAt = Date.now();
+
+    // Approving the last milestone completes the task
+    if (task.allMilestonesApproved()) {
+      task.transitionTo('completed', {
+        actorId: req.userId,
+        role: req.role,
+        reason: 'All milestones approved'
+      });
+    }
+
+    await task.save();
+    await ledger.settleTaskEscrow(task, req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone approved',
+      data: {
+        milestone,
+        taskStatus: task.status
+      }
+    });
+  } catch (err) {
+    logger.error(`Approve milestone error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Request revisions on a submitted milestone
+ * @route   PUT /api/tasks/:id/milestones/:milestoneId/request-revision
+ * @access  Private/User (task owner)
+ */
+exports.requestMilestoneRevision = async (req, res, next) => {
+  try {
+    const found = await findTaskMilestone(req, res);
+    if (!found) return;
+    const { task, milestone } = found;
+
+    const isOwner = task.getPartiesFor(req.userId, req.role).includes('owner');
+    if (!isOwner && !hasPermission(req.role, 'milestone:review:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this milestone'
+      });
+    }
+
+    if (milestone.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone is ${milestone.status} and cannot be sent back for revision`
+      });
+    }
+
+    const submission = milestone.submissions[milestone.submissions.length - 1];
+    submission.feedback = req.body.feedback;
+    submission.reviewedAt = Date.now();
+    milestone.status = 'revision-requested';
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision requested',
+      data: milestone
+    });
+  } catch (err) {
+    logger.error(`Request milestone revision error: ${err.message}`);
+    next(err);
+  }
+};
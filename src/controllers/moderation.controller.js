@@ -0,0 +1,554 @@
+const User = require('../models/user.model');
+const Task = require('../models/task.model');
+const Application = require('../models/application.model');
+const ModerationAction = require('../models/moderationAction.model');
+const ledger = require('../utils/ledger');
+const { EVENTS, emitDomainEvent } = require('../utils/events');
+const { revokeAccountTokens } = require('../utils/sessions');
+const { FLAGGABLE, recordModerationAction } = require('../utils/moderation');
+const { hasPermission } = require('../utils/permissions');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+// Account fields shown to staff
+const ACCOUNT_FIELDS = 'name email username phone picture roles role status suspendedUntil '
+  + 'statusReason statusChangedAt emailVerified phoneVerified twoFactorEnabled createdAt';
+
+// Match user input literally inside a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a createdAt range from `from` and `to` query parameters
+ * @returns {Object|undefined}
+ */
+const dateRange = ({ from, to }) => {
+  if (!from && !to) return undefined;
+
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+/**
+ * @desc    Search and filter accounts
+ * @route   GET /api/admin/users
+ * @access  Private/Staff (user:view:any)
+ */
+exports.searchUsers = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const { q, role, status, emailVerified, phoneVerified } = req.query;
+    const query = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q.trim()), 'i');
+      query.$or = ['name', 'email', 'username', 'phone'].map(field => ({ [field]: pattern }));
+    }
+    if (role) query.roles = role;
+    // Accounts from before moderation have no status and are active
+    if (status) query.status = status === 'active' ? { $in: ['active', null] } : status;
+    if (emailVerified !== undefined) query.emailVerified = emailVerified === 'true';
+    if (phoneVerified !== undefined) query.phoneVerified = phoneVerified === 'true';
+
+    const createdAt = dateRange(req.query);
+    if (createdAt) query.createdAt = createdAt;
+
+    const users = await User.find(query)
+      .select(ACCOUNT_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await User.countDocuments(query);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: users
+    });
+  } catch (err) {
+    logger.error(`Search users error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get an account with its activity and moderation history
+ * @route   GET /api/admin/users/:id
+ * @access  Private/Staff (user:view:any)
+ */
+exports.getUserDetails = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select(ACCOUNT_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [tasksPosted, applications, moderationHistory] = await Promise.all([
+      Task.countDocuments({ user: user._id }),
+      Application.countDocuments({ talent: user._id }),
+      ModerationAction.find({ targetType: 'user', target: user._id })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate('actor', 'name email')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        stats: { tasksPosted, applications },
+        moderationHistory
+      }
+    });
+  } catch (err) {
+    logger.error(`Get user details error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * Change an account's moderation status and log it. Staff can't moderate
+ * themselves, and only admins can moderate other staff.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} change - { status, action, until }
+ */
+const changeAccountStatus = async (req, res, { status, action, until }) => {
+  if (req.params.id === req.userId) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot moderate your own account'
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const isStaff = user.roles.some(role => User.STAFF_ROLES.includes(role));
+  if (isStaff && !hasPermission(req.role, 'user:roles:manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can moderate staff accounts'
+    });
+  }
+
+  if (status === 'active' && !user.isSuspended()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Account is not suspended or banned'
+    });
+  }
+
+  const { reason } = req.body;
+  user.status = status;
+  user.suspendedUntil = until;
+  user.statusReason = reason;
+  user.statusChangedAt = Date.now();
+  user.statusChangedBy = req.userId;
+  await user.save({ validateBeforeSave: false });
+
+  // Sign the account out everywhere, its tokens would be refused anyway
+  const sessionsEnded = status === 'active' ? 0 : await revokeAccountTokens(user._id, status);
+
+  await recordModerationAction(req, {
+    action,
+    targetType: 'user',
+    target: user._id,
+    reason,
+    details: until ? { until } : undefined
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: user._id,
+      status: user.status,
+      suspendedUntil: user.suspendedUntil,
+      statusReason: user.statusReason,
+      sessionsEnded
+    }
+  });
+};
+
+/**
+ * @desc    Suspend an account, until a date or until reinstated
+ * @route   POST /api/admin/users/:id/suspend
+ * @access  Private/Staff (user:suspend)
+ */
+exports.suspendUser = async (req, res, next) => {
+  try {
+    await changeAccountStatus(req, res, {
+      status: 'suspended',
+      action: 'account.suspend',
+      until: req.body.until ? new Date(req.body.until) : undefined
+    });
+  } catch (err) {
+    logger.error(`Suspend user error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Ban an account until it is reinstated
+ * @route   POST /api/admin/users/:id/ban
+ * @access  Private/Staff (user:suspend)
+ */
+exports.banUser = async (req, res, next) => {
+  try {
+    await changeAccountStatus(req, res, { status: 'banned', action: 'account.ban' });
+  } catch (err) {
+    logger.error(`Ban user error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Lift a suspension or ban
+ * @route   POST /api/admin/users/:id/reinstate
+ * @access  Private/Staff (user:suspend)
+ */
+exports.reinstateUser = async (req, res, next) => {
+  try {
+    await changeAccountStatus(req, res, { status: 'active', action: 'account.reinstate' });
+  } catch (err) {
+    logger.error(`Reinstate user error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Search and filter tasks, including hidden ones
+ * @route   GET /api/admin/tasks
+ * @access  Private/Staff (content:moderate or task:update:any)
+ */
+exports.getTasks = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const { q, status, visibility, user, flagged } = req.query;
+    const query = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q.trim()), 'i');
+      query.$or = [{ title: pattern }, { description: pattern }];
+    }
+    if (status) query.status = status;
+    if (visibility) {
+      query.visibility = visibility === 'public' ? Task.VISIBLE_FILTER.visibility : visibility;
+    }
+    if (user) query.user = user;
+    if (flagged === 'true') query['flags.0'] = { $exists: true };
+
+    const createdAt = dateRange(req.query);
+    if (createdAt) query.createdAt = createdAt;
+
+    const tasks = await Task.find(query)
+      .select('-milestones -statusHistory')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'name email status');
+
+    const totalCount = await Task.countDocuments(query);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: tasks
+    });
+  } catch (err) {
+    logger.error(`Admin get tasks error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Force-close a task, refunding any escrow to its owner
+ * @route   POST /api/admin/tasks/:id/close
+ * @access  Private/Staff (task:update:any)
+ */
+exports.closeTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { reason } = req.body;
+    const from = task.status;
+
+    // Throws for tasks that are already completed or cancelled
+    task.transitionTo('cancelled', { actorId: req.userId, role: req.role, reason });
+    await task.save();
+    await ledger.settleTaskEscrow(task, req.userId);
+
+    await recordModerationAction(req, {
+      action: 'task.close',
+      targetType: 'task',
+      target: task._id,
+      reason,
+      details: { from }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Task closed',
+      data: {
+        id: task._id,
+        status: task.status
+      }
+    });
+  } catch (err) {
+    logger.error(`Close task error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * Set the visibility of flaggable content as a moderation decision. Pending
+ * flags are cleared since a moderator has now looked at it.
+ */
+const applyDecision = async (req, doc, visibility) => {
+  doc.visibility = visibility;
+  doc.flags = [];
+  doc.moderation = { reason: req.body.reason, by: req.userId, at: Date.now() };
+  await doc.save();
+};
+
+/**
+ * @desc    Hide a task from listings and search
+ * @route   POST /api/admin/tasks/:id/hide
+ * @access  Private/Staff (content:moderate)
+ */
+exports.hideTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (task.visibility === 'hidden') {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is already hidden'
+      });
+    }
+
+    await applyDecision(req, task, 'hidden');
+    await recordModerationAction(req, {
+      action: 'task.hide',
+      targetType: 'task',
+      target: task._id,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: task._id,
+        visibility: task.visibility
+      }
+    });
+  } catch (err) {
+    logger.error(`Hide task error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Show a hidden task again
+ * @route   POST /api/admin/tasks/:id/unhide
+ * @access  Private/Staff (content:moderate)
+ */
+exports.unhideTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (task.visibility !== 'hidden') {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not hidden'
+      });
+    }
+
+    await applyDecision(req, task, 'public');
+    await recordModerationAction(req, {
+      action: 'task.unhide',
+      targetType: 'task',
+      target: task._id,
+      reason: req.body.reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: task._id,
+        visibility: task.visibility
+      }
+    });
+  } catch (err) {
+    logger.error(`Unhide task error: ${err.message}`);
+    next(err);
+  }
+};
+
+// Content waiting for a moderator: flagged, or held back for review
+const FLAGGED_FILTER = {
+  $or: [{ 'flags.0': { $exists: true } }, { visibility: 'pending_review' }]
+};
+
+/**
+ * @desc    Queue of flagged content, oldest first
+ * @route   GET /api/admin/flagged
+ * @access  Private/Staff (content:moderate)
+ */
+exports.getFlaggedContent = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const type = req.query.type || 'task';
+    const { model, fields } = FLAGGABLE[type];
+
+    const items = await model.find(FLAGGED_FILTER)
+      .select(fields)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await model.countDocuments(FLAGGED_FILTER);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      type,
+      data: items
+    });
+  } catch (err) {
+    logger.error(`Get flagged content error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve flagged content, publishing it, or remove it from view
+ * @route   POST /api/admin/flagged/:type/:id/review
+ * @access  Private/Staff (content:moderate)
+ */
+exports.reviewFlaggedContent = async (req, res, next) => {
+  try {
+    const { type, id } = req.params;
+    const { decision, reason } = req.body;
+    const doc = await FLAGGABLE[type].model.findById(id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (doc.flags.length === 0 && doc.visibility !== 'pending_review') {
+      return res.status(400).json({
+        success: false,
+        message: 'This content is not waiting for review'
+      });
+    }
+
+    const wasHeld = doc.visibility === 'pending_review';
+    await applyDecision(req, doc, decision === 'approve' ? 'public' : 'hidden');
+
+    // The task owner hears about an application once it is approved
+    if (type === 'application' && wasHeld && decision === 'approve') {
+      const task = await Task.findById(doc.task);
+      if (task) emitDomainEvent(EVENTS.APPLICATION_CREATED, { application: doc, task });
+    }
+    await recordModerationAction(req, {
+      action: decision === 'approve' ? 'content.approve' : 'content.remove',
+      targetType: type,
+      target: doc._id,
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: doc._id,
+        type,
+        visibility: doc.visibility
+      }
+    });
+  } catch (err) {
+    logger.error(`Review flagged content error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    List moderation actions, newest first
+ * @route   GET /api/admin/moderation-log
+ * @access  Private/Staff (moderation:log:view)
+ */
+exports.getModerationLog = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const query = {};
+
+    ['actor', 'action', 'targetType', 'target'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    const createdAt = dateRange(req.query);
+    if (createdAt) query.createdAt = createdAt;
+
+    const entries = await ModerationAction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actor', 'name email');
+
+    const totalCount = await ModerationAction.countDocuments(query);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: entries
+    });
+  } catch (err) {
+    logger.error(`Get moderation log error: ${err.message}`);
+    next(err);
+  }
+};
@@ -0,0 +1,153 @@
+const Notification = require('../models/notification.model');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * @desc    Get the current account's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const query = { recipient: req.userId };
+
+    if (req.query.unread === 'true') {
+      query.readAt = null;
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({ recipient: req.userId, readAt: null });
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      unreadCount,
+      data: notifications
+    });
+  } catch (err) {
+    logger.error(`Get notifications error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = Date.now();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification
+    });
+  } catch (err) {
+    logger.error(`Mark notification read error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark all of the current account's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.userId, readAt: null },
+      { readAt: Date.now() }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { markedCount: result.modifiedCount }
+    });
+  } catch (err) {
+    logger.error(`Mark all notifications read error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * Resolve the effective channels for every notification type
+ * @param {Document} account - Account
+ * @returns {Object} - type => { inApp, email }
+ */
+const effectivePreferences = (account) => Object.keys(Notification.NOTIFICATION_TYPES)
+  .reduce((preferences, type) => ({
+    ...preferences,
+    [type]: Notification.resolvePreferences(account, type)
+  }), {});
+
+/**
+ * @desc    Get notification preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+exports.getNotificationPreferences = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: effectivePreferences(req.user)
+    });
+  } catch (err) {
+    logger.error(`Get notification preferences error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Choose in-app and email delivery per notification type
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+exports.updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const account = req.user;
+
+    Object.entries(req.body.preferences).forEach(([type, channels]) => {
+      const current = Notification.resolvePreferences(account, type);
+      account.notificationPreferences.set(type, {
+        inApp: typeof channels.inApp === 'boolean' ? channels.inApp : current.inApp,
+        email: typeof channels.email === 'boolean' ? channels.email : current.email
+      });
+    });
+
+    await account.save();
+
+    res.status(200).json({
+      success: true,
+      data: effectivePreferences(account)
+    });
+  } catch (err) {
+    logger.error(`Update notification preferences error: ${err.message}`);
+    next(err);
+  }
+};
@@ -0,0 +1,183 @@
+const Payment = require('../models/payment.model');
+const payments = require('../utils/payments');
+const { hasPermission } = require('../utils/permissions');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * Build the URLs a gateway sends the customer and its callbacks to
+ * @param {Object} req - Express request object
+ * @param {String} provider - Provider key
+ * @returns {Object} - { returnUrl, callbackUrl }
+ */
+const gatewayUrls = (req, provider) => {
+  const callbackUrl = `${req.protocol}://${req.get('host')}/api/payments/callbacks/${provider}`;
+
+  // Wallet gateways post the customer's browser back to us with the signed result
+  return { returnUrl: callbackUrl, callbackUrl };
+};
+
+/**
+ * Format a payment for API responses
+ * @param {Document} payment - Payment document
+ * @returns {Object} - Formatted payment
+ */
+const formatPayment = (payment) => ({
+  id: payment._id,
+  reference: payment.reference,
+  type: payment.type,
+  provider: payment.provider,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  failureReason: payment.failureReason,
+  createdAt: payment.createdAt,
+  completedAt: payment.completedAt
+});
+
+/**
+ * @desc    List available payment providers
+ * @route   GET /api/payments/providers
+ * @access  Private
+ */
+exports.getProviders = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: payments.listProviders()
+    });
+  } catch (err) {
+    logger.error(`Get payment providers error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Start a wallet top-up
+ * @route   POST /api/payments/top-ups
+ * @access  Private
+ */
+exports.createTopUp = async (req, res, next) => {
+  try {
+    const { provider, amount, currency = 'PKR', mobileNumber, scenario } = req.body;
+
+    const { payment, checkout } = await payments.startTopUp({
+      accountId: req.userId,
+      role: req.role,
+      provider,
+      amount,
+      currency,
+      mobileNumber,
+      scenario,
+      urls: gatewayUrls(req, provider)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment: formatPayment(payment),
+        checkout
+      }
+    });
+  } catch (err) {
+    logger.error(`Create top-up error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Pay out wallet funds to a mobile wallet or card
+ * @route   POST /api/payments/payouts
+ * @access  Private
+ */
+exports.createPayout = async (req, res, next) => {
+  try {
+    const { provider, amount, currency = 'PKR', mobileNumber, scenario } = req.body;
+
+    const payment = await payments.startPayout({
+      accountId: req.userId,
+      role: req.role,
+      provider,
+      amount,
+      currency,
+      mobileNumber,
+      scenario,
+      urls: gatewayUrls(req, provider)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatPayment(payment)
+    });
+  } catch (err) {
+    logger.error(`Create payout error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a payment by reference
+ * @route   GET /api/payments/:reference
+ * @access  Private (payment owner or admin)
+ */
+exports.getPayment = async (req, res, next) => {
+  try {
+    const payment = await Payment.findOne({ reference: req.params.reference });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.account.toString() !== req.userId && !hasPermission(req.role, 'payment:view:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatPayment(payment)
+    });
+  } catch (err) {
+    logger.error(`Get payment error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Receive a signed gateway callback or webhook
+ * @route   POST /api/payments/callbacks/:provider
+ * @access  Public (signature verified)
+ */
+exports.handleCallback = async (req, res, next) => {
+  try {
+    const payment = await payments.handleCallback(req.params.provider, {
+      body: req.body,
+      headers: req.headers,
+      rawBody: req.rawBody
+    });
+
+    // Customers returning from a hosted checkout go back to the frontend
+    if (req.accepts(['json', 'html']) === 'html') {
+      const frontendUrl = process.env.FRONTEND_URL || 'https://kamnet.pk';
+      const query = `payment=${payment.reference}&status=${payment.status}`;
+      return res.redirect(`${frontendUrl}/wallet?${query}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reference: payment.reference,
+        status: payment.status
+      }
+    });
+  } catch (err) {
+    logger.error(`Payment callback error (${req.params.provider}): ${err.message}`);
+    next(err);
+  }
+};
@@ -0,0 +1,237 @@
+const Report = require('../models/report.model');
+const Task = require('../models/task.model');
+const Application = require('../models/application.model');
+const User = require('../models/user.model');
+const {
+  applyReportThreshold,
+  releaseReportedTask,
+  recordModerationAction
+} = require('../utils/moderation');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * Check that the reporter may report the target
+ * @param {String} targetType - 'task', 'application' or 'user'
+ * @param {String} targetId - ID of the reported content or account
+ * @param {String} reporterId - Account making the report
+ * @returns {Promise<Object|undefined>} - { status, message } when the report is refused
+ */
+const checkReportTarget = async (targetType, targetId, reporterId) => {
+  if (targetType === 'task') {
+    const task = await Task.findById(targetId).select('user');
+    if (!task) return { status: 404, message: 'Task not found' };
+    if (task.user.toString() === reporterId) {
+      return { status: 400, message: 'You cannot report your own task' };
+    }
+  }
+
+  if (targetType === 'application') {
+    const application = await Application.findById(targetId).select('task');
+    const task = application && await Task.findById(application.task).select('user');
+    if (!task) return { status: 404, message: 'Application not found' };
+    // Applications are only seen by the task owner, who is the one to report them
+    if (task.user.toString() !== reporterId) {
+      return { status: 403, message: 'Only the task owner can report an application' };
+    }
+  }
+
+  if (targetType === 'user') {
+    if (targetId === reporterId) {
+      return { status: 400, message: 'You cannot report your own account' };
+    }
+    if (!await User.exists({ _id: targetId })) {
+      return { status: 404, message: 'User not found' };
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * @desc    Report a task, application or account
+ * @route   POST /api/reports
+ * @access  Private
+ */
+exports.createReport = async (req, res, next) => {
+  try {
+    const { targetType, target, category, description } = req.body;
+
+    const refusal = await checkReportTarget(targetType, target, req.userId);
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+
+    const existing = await Report.exists({
+      reporter: req.userId,
+      targetType,
+      target,
+      status: 'open'
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this'
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.userId,
+      targetType,
+      target,
+      category,
+      description
+    });
+
+    if (targetType === 'task') {
+      await applyReportThreshold(target);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you, our team will review your report',
+      data: {
+        id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        category: report.category,
+        status: report.status
+      }
+    });
+  } catch (err) {
+    logger.error(`Create report error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Triage queue of reports, oldest first, with the number of open
+ *          reports against each target
+ * @route   GET /api/admin/reports
+ * @access  Private/Staff (report:triage)
+ */
+exports.getReports = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const query = { status: req.query.status || 'open' };
+
+    ['targetType', 'target', 'category'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    const reports = await Report.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('reporter', 'name email')
+      .populate('resolution.by', 'name email')
+      .lean();
+
+    const totalCount = await Report.countDocuments(query);
+    res.totalCount = totalCount;
+
+    // How many reports each target has open, to help prioritise
+    const openCounts = await Report.aggregate([
+      { $match: { status: 'open', target: { $in: reports.map(report => report.target) } } },
+      { $group: { _id: '$target', count: { $sum: 1 } } }
+    ]);
+    const openCountByTarget = new Map(openCounts.map(({ _id, count }) => [String(_id), count]));
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: reports.map(report => ({
+        ...report,
+        openReportsForTarget: openCountByTarget.get(String(report.target)) || 0
+      }))
+    });
+  } catch (err) {
+    logger.error(`Get reports error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * Close an open report as resolved or dismissed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} status - 'resolved' or 'dismissed'
+ */
+const closeReport = async (req, res, status) => {
+  const report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+  }
+
+  if (report.status !== 'open') {
+    return res.status(400).json({
+      success: false,
+      message: `Report is already ${report.status}`
+    });
+  }
+
+  report.status = status;
+  report.resolution = { note: req.body.note, by: req.userId, at: Date.now() };
+  await report.save();
+
+  // A task held back only by reports is listed again once they are all dismissed
+  let taskReleased = false;
+  if (report.targetType === 'task' && status === 'dismissed') {
+    taskReleased = await releaseReportedTask(report.target);
+  }
+
+  await recordModerationAction(req, {
+    action: status === 'resolved' ? 'report.resolve' : 'report.dismiss',
+    targetType: report.targetType,
+    target: report.target,
+    reason: req.body.note,
+    details: { report: report._id, category: report.category, taskReleased }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: report._id,
+      status: report.status,
+      resolution: report.resolution,
+      taskReleased
+    }
+  });
+};
+
+/**
+ * @desc    Resolve a report once action has been taken
+ * @route   POST /api/admin/reports/:id/resolve
+ * @access  Private/Staff (report:triage)
+ */
+exports.resolveReport = async (req, res, next) => {
+  try {
+    await closeReport(req, res, 'resolved');
+  } catch (err) {
+    logger.error(`Resolve report error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Dismiss a report that needs no action
+ * @route   POST /api/admin/reports/:id/dismiss
+ * @access  Private/Staff (report:triage)
+ */
+exports.dismissReport = async (req, res, next) => {
+  try {
+    await closeReport(req, res, 'dismissed');
+  } catch (err) {
+    logger.error(`Dismiss report error: ${err.message}`);
+    next(err);
+  }
+};
@@ -0,0 +1,130 @@
+const Review = require('../models/review.model');
+const Task = require('../models/task.model');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * @desc    Review the other party on a completed task
+ * @route   POST /api/tasks/:id/reviews
+ * @access  Private (task owner or hired talent)
+ */
+exports.createTaskReview = async (req, res, next) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (task.status !== 'completed' || !task.hiredTalent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reviews can only be left once a task is completed'
+      });
+    }
+
+    // The owner reviews the hired talent and the hired talent reviews the owner
+    const parties = task.getPartiesFor(req.userId, req.role);
+    let direction;
+    let reviewee;
+
+    if (parties.includes('owner')) {
+      direction = 'owner_to_talent';
+      reviewee = task.hiredTalent;
+    } else if (parties.includes('talent')) {
+      direction = 'talent_to_owner';
+      reviewee = task.user;
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the task owner and the hired talent can review this task'
+      });
+    }
+
+    const existingReview = await Review.exists({ task: task._id, direction });
+
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this task'
+      });
+    }
+
+    const review = await Review.create({
+      task: task._id,
+      direction,
+      reviewer: req.userId,
+      reviewee,
+      rating,
+      comment
+    });
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (err) {
+    logger.error(`Create review error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get reviews left on a task
+ * @route   GET /api/tasks/:id/reviews
+ * @access  Public
+ */
+exports.getTaskReviews = async (req, res, next) => {
+  try {
+    const reviews = await Review.find({ task: req.params.id })
+      .populate('reviewer', 'name picture')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+  } catch (err) {
+    logger.error(`Get task reviews error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get reviews received by a user or talent
+ * @route   GET /api/users/:id/reviews
+ * @access  Public
+ */
+exports.getAccountReviews = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const query = { reviewee: req.params.id };
+
+    const reviews = await Review.find(query)
+      .populate('reviewer', 'name picture')
+      .populate('task', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Review.countDocuments(query);
+    res.totalCount = totalCount;
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: reviews
+    });
+  } catch (err) {
+    logger.error(`Get account reviews error: ${err.message}`);
+    next(err);
+  }
+};
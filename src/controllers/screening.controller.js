@@ -0,0 +1,118 @@
+const {
+  DEFAULT_SCREENING_RULES,
+  getScreeningRules,
+  updateScreeningRules,
+  scoreContent
+} = require('../utils/screening');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+// Settings that can be changed under each group of the rules
+const RULE_SETTINGS = {
+  bannedWords: ['en', 'ur'],
+  weights: Object.keys(DEFAULT_SCREENING_RULES.weights),
+  duplicates: Object.keys(DEFAULT_SCREENING_RULES.duplicates)
+};
+
+/**
+ * Take the known settings out of a request body, leaving out anything else
+ * @param {Object} body - Request body
+ * @returns {Object} - Changes for updateScreeningRules
+ */
+const pickRuleChanges = (body) => {
+  const changes = {};
+  if (body.threshold !== undefined) changes.threshold = body.threshold;
+
+  Object.entries(RULE_SETTINGS).forEach(([group, settings]) => {
+    if (!body[group]) return;
+    settings.forEach(setting => {
+      if (body[group][setting] !== undefined) {
+        changes[group] = { ...changes[group], [setting]: body[group][setting] };
+      }
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * @desc    Rules used to screen task and application text, and the defaults
+ * @route   GET /api/admin/screening-rules
+ * @access  Private/Admin (screening:manage)
+ */
+exports.getRules = async (req, res, next) => {
+  try {
+    const rules = await getScreeningRules();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules,
+        defaults: DEFAULT_SCREENING_RULES
+      }
+    });
+  } catch (err) {
+    logger.error(`Get screening rules error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Change the screening rules; takes effect on this instance at once
+ *          and on others when their cached rules expire
+ * @route   PUT /api/admin/screening-rules
+ * @access  Private/Admin (screening:manage)
+ */
+exports.updateRules = async (req, res, next) => {
+  try {
+    const changes = pickRuleChanges(req.body);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No screening rules to change'
+      });
+    }
+
+    const rules = await updateScreeningRules(changes, req.userId);
+
+    logger.info(
+      `Screening rules changed by ${req.userId}: ${Object.keys(changes).join(', ')}`
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (err) {
+    logger.error(`Update screening rules error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Score a piece of text against the current rules without saving
+ *          anything, to try out changes to the word lists
+ * @route   POST /api/admin/screening-rules/test
+ * @access  Private/Admin (screening:manage)
+ */
+exports.testRules = async (req, res, next) => {
+  try {
+    const rules = await getScreeningRules();
+    const { score, reasons } = scoreContent(req.body.text, rules);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        score,
+        threshold: rules.threshold,
+        held: score > rules.threshold,
+        reasons
+      }
+    });
+  } catch (err) {
+    logger.error(`Test screening rules error: ${err.message}`);
+    next(err);
+  }
+};
@@ -1,6 +1,8 @@
-const Talent = require('../models/talent.model');
+const User = require('../models/user.model');
 const Application = require('../models/application.model');
 const Task = require('../models/task.model');
+const Review = require('../models/review.model');
+const { snapshot, recordAuditEvent } = require('../utils/audit');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger();
@@ -49,6 +51,7 @@ exports.completeProfile = async (req, res, next) => {
       role: talent.role,
       picture: talent.picture,
       phone: talent.phone,
+      phoneVerified: talent.phoneVerified,
       bio: talent.bio,
       location: talent.location,
       profileCompleted: talent.profileCompleted,
@@ -195,8 +198,8 @@ exports.getTalentDashboard = async (req, res, next) => {
  */
 exports.getTalentProfile = async (req, res, next) => {
   try {
-    const talent = await Talent.findById(req.params.id)
-      .select('-__v -updatedAt')
+    const talent = await User.findOne({ _id: req.params.id, roles: 'talent' })
+      .select(User.PUBLIC_PROFILE_FIELDS)
       .lean();
 
     if (!talent) {
@@ -206,14 +209,20 @@ exports.getTalentProfile = async (req, res, next) => {
       });
     }
 
-    // Get completed tasks count
-    const completedTasksCount = await Application.countDocuments({
-      talent: talent._id,
-      status: 'accepted'
+    // Count tasks the talent was hired for and saw through to completion
+    const completedTasksCount = await Task.countDocuments({
+      hiredTalent: talent._id,
+      status: 'completed'
     });
+    const { averageRating, reviewCount } = await Review.getRatingSummary(
+      talent._id,
+      'owner_to_talent'
+    );
 
     // Add additional profile info
     talent.completedTasks = completedTasksCount;
+    talent.averageRating = averageRating;
+    talent.reviewCount = reviewCount;
 
     res.status(200).json({
       success: true,
@@ -243,10 +252,11 @@ exports.updateTalentProfile = async (req, res, next) => {
       address,
       city,
       country,
-      postalCode
+      postalCode,
+      language
     } = req.body;
 
-    const talent = await Talent.findById(req.user.id);
+    const talent = await User.findById(req.user.id);
 
     if (!talent) {
       return res.status(404).json({
@@ -255,6 +265,8 @@ exports.updateTalentProfile = async (req, res, next) => {
       });
     }
 
+    const before = snapshot('user', talent);
+
     // Update fields
     if (name) talent.name = name;
     if (phone) talent.phone = phone;
@@ -267,10 +279,19 @@ exports.updateTalentProfile = async (req, res, next) => {
     if (city) talent.city = city;
     if (country) talent.country = country;
     if (postalCode) talent.postalCode = postalCode;
+    if (language) talent.language = language;
 
     talent.updatedAt = Date.now();
     const updatedTalent = await talent.save();
 
+    await recordAuditEvent(req, {
+      action: 'user.profile_update',
+      targetType: 'user',
+      target: updatedTalent._id,
+      before,
+      after: snapshot('user', updatedTalent)
+    });
+
     res.status(200).json({
       success: true,
       data: updatedTalent
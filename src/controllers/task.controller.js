@@ -2,10 +2,19 @@ const mongoose = require('mongoose');
 const Task = require('../models/task.model');
 const User = require('../models/user.model');
 const Application = require('../models/application.model');
+const { MODERATION_FIELDS, isVisible } = require('../models/moderation.schema');
+const ledger = require('../utils/ledger');
+const { hasPermission } = require('../utils/permissions');
+const { snapshot, recordAuditEvent } = require('../utils/audit');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger();
 
+// Fields of a milestone the poster can plan; progress is tracked by the milestone endpoints
+const pickMilestoneFields = (milestones) => milestones.map(
+  ({ title, description, amount, dueDate }) => ({ title, description, amount, dueDate })
+);
+
 /**
  * @desc    Create a new task
  * @route   POST /api/tasks
@@ -13,8 +22,8 @@ const logger = createLogger();
  */
 exports.createTask = async (req, res, next) => {
   try {
-    // Ensure only users or admins can create tasks
-    if (req.user.role !== 'user' && req.user.role !== 'admin') {
+    // Ensure only roles that may post tasks can create them
+    if (!hasPermission(req.role, 'task:create')) {
       return res.status(403).json({
         success: false,
         message: 'Only users are allowed to create tasks.'
@@ -24,7 +33,24 @@ exports.createTask = async (req, res, next) => {
     // Add user to request body
     req.body.user = req.userId;
     
+    // New tasks always start open; the lifecycle fields are managed by the model
+    [
+      'status', 'hiredTalent', 'hiredApplication', 'statusHistory', 'applicationsCount',
+      'deadlineReminderSentAt', ...MODERATION_FIELDS
+    ].forEach(field => delete req.body[field]);
+    
+    if (Array.isArray(req.body.milestones)) {
+      req.body.milestones = pickMilestoneFields(req.body.milestones);
+    }
+    
     const task = await Task.create(req.body);
+
+    await recordAuditEvent(req, {
+      action: 'task.create',
+      targetType: 'task',
+      target: task._id,
+      after: snapshot('task', task)
+    });
     
     res.status(201).json({
       success: true,
@@ -48,8 +74,8 @@ exports.getTasks = async (req, res, next) => {
     const limit = req.pagination ? req.pagination.limit : (parseInt(req.query.limit, 10) || 10);
     const skip = req.pagination ? req.pagination.skip : (page - 1) * limit;
     
-    // Build filter query
-    const query = {};
+    // Build filter query, leaving out tasks hidden by moderation
+    const query = { ...Task.VISIBLE_FILTER };
     
     // Status filter - default to open tasks
     query.status = req.query.status || 'open';
@@ -123,7 +149,7 @@ exports.getTasks = async (req, res, next) => {
 /**
  * @desc    Get single task
  * @route   GET /api/tasks/:id
- * @access  Public
+ * @access  Public (hidden tasks: owner, hired talent and staff)
  */
 exports.getTask = async (req, res, next) => {
   try {
@@ -138,7 +164,9 @@ exports.getTask = async (req, res, next) => {
 
     const task = await Task.findById(req.params.id);
     
-    if (!task) {
+    // Tasks hidden or held by moderation are only shown to the people working
+    // on them and to staff
+    if (!task || (!isVisible(task) && !task.canSeeHidden(req.userId, req.role))) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
@@ -165,7 +193,7 @@ exports.getTask = async (req, res, next) => {
  */
 exports.updateTask = async (req, res, next) => {
   try {
-    let task = await Task.findById(req.params.id);
+    const task = await Task.findById(req.params.id);
     
     if (!task) {
       return res.status(404).json({
@@ -175,24 +203,50 @@ exports.updateTask = async (req, res, next) => {
     }
     
     // Make sure user owns the task
-    if (task.user.toString() !== req.userId && req.role !== 'admin') {
+    if (task.user.toString() !== req.userId && !hasPermission(req.role, 'task:update:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
     
-    // Don't allow updating task if it's already in progress or completed
-    if (['in-progress', 'completed'].includes(task.status) && req.body.status !== 'cancelled') {
+    // Status changes must go through the lifecycle state machine
+    if (req.body.status !== undefined && req.body.status !== task.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PUT /api/tasks/:id/status to change the task status'
+      });
+    }
+    
+    // Don't allow updating task if it's no longer open
+    if (task.status !== 'open') {
       return res.status(400).json({
         success: false,
         message: `Task is already ${task.status} and cannot be modified`
       });
     }
     
-    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
+    // Fields managed by the lifecycle cannot be set directly
+    [
+      'status', 'user', 'hiredTalent', 'hiredApplication', 'statusHistory', 'applicationsCount',
+      'deadlineReminderSentAt', ...MODERATION_FIELDS
+    ].forEach(field => delete req.body[field]);
+    
+    if (Array.isArray(req.body.milestones)) {
+      req.body.milestones = pickMilestoneFields(req.body.milestones);
+    }
+    
+    // Save through the document so milestone totals are validated against the budget
+    const before = snapshot('task', task);
+    task.set(req.body);
+    await task.save();
+
+    await recordAuditEvent(req, {
+      action: 'task.update',
+      targetType: 'task',
+      target: task._id,
+      before,
+      after: snapshot('task', task)
     });
     
     res.status(200).json({
@@ -222,18 +276,37 @@ exports.deleteTask = async (req, res, next) => {
     }
     
     // Make sure user owns the task
-    if (task.user.toString() !== req.userId && req.role !== 'admin') {
+    if (task.user.toString() !== req.userId && !hasPermission(req.role, 'task:delete:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this task'
       });
     }
     
+    // Hired tasks must be cancelled first, so the talent is told and escrow is settled
+    if (!['open', 'cancelled'].includes(task.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Task is ${task.status}; only open or cancelled tasks can be deleted`
+      });
+    }
+    
+    // Return any escrowed funds to the owner before the task goes away
+    await ledger.settleTaskEscrow(task, req.userId);
+    
     // Delete all applications associated with this task
     await Application.deleteMany({ task: req.params.id });
     
     // Delete the task using deleteOne (updated from deprecated remove method)
     await task.deleteOne();
+
+    await recordAuditEvent(req, {
+      action: 'task.delete',
+      targetType: 'task',
+      target: task._id,
+      before: snapshot('task', task),
+      metadata: { owner: task.user }
+    });
     
     res.status(200).json({
       success: true,
@@ -284,6 +357,7 @@ exports.getNearbyTasks = async (req, res, next) => {
     
     // Find tasks within the given radius
     const tasks = await Task.find({
+      ...Task.VISIBLE_FILTER,
       status: 'open',
       coordinates: {
         $near: {
@@ -349,7 +423,7 @@ exports.getNearbyTasks = async (req, res, next) => {
 exports.getFeaturedTasks = async (req, res, next) => {
   try {
     // Get 3 featured tasks based on recent creation and application count
-    const featuredTasks = await Task.find({ status: 'open' })
+    const featuredTasks = await Task.find({ ...Task.VISIBLE_FILTER, status: 'open' })
       .sort({ applicationsCount: -1, createdAt: -1 })
       .limit(3)
       .populate('user', 'name picture')
@@ -384,7 +458,7 @@ exports.getFeaturedTasks = async (req, res, next) => {
 exports.getMapMarkers = async (req, res, next) => {
   try {
     // Build filter query
-    const query = { status: 'open' };
+    const query = { ...Task.VISIBLE_FILTER, status: 'open' };
     
     // City filter if provided
     if (req.query.city) {
@@ -419,16 +493,15 @@ exports.getMapMarkers = async (req, res, next) => {
 /**
  * @desc    Update task status
  * @route   PUT /api/tasks/:id/status
- * @access  Private/User
+ * @access  Private (task owner, hired talent or admin, depending on transition)
  */
 exports.updateTaskStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
     // Validate status
-    const validStatuses = ['open', 'in-progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!Object.keys(Task.STATUS_TRANSITIONS).includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
@@ -445,18 +518,28 @@ exports.updateTaskStatus = async (req, res, next) => {
       });
     }
     
-    // Check ownership
-    if (task.user.toString() !== req.userId) {
+    // Must be a party to the task before the transition rules are checked
+    if (task.getPartiesFor(req.userId, req.role).length === 0) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this task'
       });
     }
     
-    // Update status
-    task.status = status;
+    // Reopening clears the hire, so remember which application it was
+    const { hiredApplication } = task;
+    
+    // Apply the transition (throws on illegal moves or unauthorized actors)
+    task.transitionTo(status, { actorId: req.userId, role: req.role, reason });
     await task.save();
     
+    // Release or refund escrowed funds for the new status
+    await ledger.settleTaskEscrow(task, req.userId);
+    
+    if (status === 'open' && hiredApplication) {
+      await Application.releaseHire(task, hiredApplication, req.userId);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'Task status updated',
@@ -471,6 +554,44 @@ exports.updateTaskStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get task status history
+ * @route   GET /api/tasks/:id/history
+ * @access  Private (task owner, hired talent or admin)
+ */
+exports.getTaskHistory = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id).select('user hiredTalent status statusHistory');
+    
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    
+    if (task.getPartiesFor(req.userId, req.role).length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the history of this task'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      count: task.statusHistory.length,
+      data: {
+        id: task._id,
+        status: task.status,
+        history: task.statusHistory
+      }
+    });
+  } catch (err) {
+    logger.error(`Get task history error: ${err.message}`);
+    next(err);
+  }
+};
+
 /**
  * @desc    Get task applications (applications for a specific task)
  * @route   GET /api/tasks/:taskId/applications
@@ -488,15 +609,20 @@ exports.getTaskApplications = async (req, res, next) => {
     }
     
     // Ensure the user is the task owner
-    if (task.user.toString() !== req.userId && req.role !== 'admin') {
+    if (task.user.toString() !== req.userId && !hasPermission(req.role, 'application:view:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view applications for this task'
       });
     }
     
-    // Get all applications for this task
-    const applications = await Application.find({ task: req.params.taskId })
+    // Get all applications for this task; those held for review are only shown to staff
+    const query = { task: req.params.taskId };
+    if (!hasPermission(req.role, 'application:view:any')) {
+      Object.assign(query, Application.VISIBLE_FILTER);
+    }
+
+    const applications = await Application.find(query)
       .populate({
         path: 'talent',
         select: 'name picture location bio profileCompleted'
@@ -1,7 +1,9 @@
 const mongoose = require('mongoose');
 const User = require('../models/user.model');
-const Talent = require('../models/talent.model');
 const Task = require('../models/task.model');
+const Review = require('../models/review.model');
+const { hasPermission } = require('../utils/permissions');
+const { snapshot, recordAuditEvent } = require('../utils/audit');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger();
@@ -49,6 +51,7 @@ exports.completeProfile = async (req, res, next) => {
       role: user.role,
       picture: user.picture,
       phone: user.phone,
+      phoneVerified: user.phoneVerified,
       bio: user.bio,
       location: user.location,
       profileCompleted: user.profileCompleted,
@@ -73,10 +76,7 @@ exports.completeProfile = async (req, res, next) => {
  */
 exports.getUserProfile = async (req, res, next) => {
   try {
-    let user = await User.findById(req.params.id).select('-__v -updatedAt');
-    if (!user) {
-        user = await Talent.findById(req.params.id).select('-__v -updatedAt');
-    }
+    const user = await User.findById(req.params.id).select(User.PUBLIC_PROFILE_FIELDS);
 
     if (!user) {
       return res.status(404).json({
@@ -85,9 +85,19 @@ exports.getUserProfile = async (req, res, next) => {
       });
     }
 
+    // Reviews left by talents the account hired
+    const { averageRating, reviewCount } = await Review.getRatingSummary(
+      user._id,
+      'talent_to_owner'
+    );
+
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        ...user.toObject(),
+        averageRating,
+        reviewCount
+      }
     });
   } catch (err) {
     logger.error(`Get user profile error: ${err.message}`);
@@ -111,13 +121,15 @@ exports.updateProfile = async (req, res, next) => {
       address,
       city,
       country,
-      postalCode
+      postalCode,
+      language
     } = req.body;
 
-    const userIdToUpdate = req.params.userId;
+    // PUT /api/users updates your own profile
+    const userIdToUpdate = req.params.userId || req.userId;
 
-    // Ensure the user being updated is the same as the authenticated user or the authenticated user is an admin
-    if (req.user.id !== userIdToUpdate && req.user.role !== 'admin') {
+    // Ensure the user being updated is the authenticated user, or staff who may edit any profile
+    if (req.user.id !== userIdToUpdate && !hasPermission(req.role, 'user:update:any')) {
         return res.status(403).json({
             success: false,
             message: 'Not authorized to update this profile'
@@ -133,20 +145,7 @@ exports.updateProfile = async (req, res, next) => {
       });
     }
 
-    // For profile completion, we'll allow the update regardless of who's making the request
-    // This is needed for the talent1 format IDs which might not match the authenticated user
-    // In a production environment, you might want to add additional security checks here
-    
-    // Skip authorization check for profile completion route
-    const isProfileCompletion = req.originalUrl.includes('/profile');
-    
-    // Only check authorization for non-profile-completion routes
-    if (!isProfileCompletion && user._id.toString() !== req.userId && !req.user?.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this profile'
-      });
-    }
+    const before = snapshot('user', user);
 
     // Update fields
     if (name) user.name = name;
@@ -158,6 +157,7 @@ exports.updateProfile = async (req, res, next) => {
     if (city) user.city = city;
     if (country) user.country = country;
     if (postalCode) user.postalCode = postalCode;
+    if (language) user.language = language;
     
     // Mark profile as completed
     user.profileCompleted = true;
@@ -165,6 +165,14 @@ exports.updateProfile = async (req, res, next) => {
 
     const updatedUser = await user.save();
 
+    await recordAuditEvent(req, {
+      action: 'user.profile_update',
+      targetType: 'user',
+      target: updatedUser._id,
+      before,
+      after: snapshot('user', updatedUser)
+    });
+
     res.status(200).json({
       success: true,
       data: updatedUser
@@ -182,12 +190,7 @@ exports.updateProfile = async (req, res, next) => {
  */
 exports.deleteAccount = async (req, res, next) => {
   try {
-    const user = req.user;
-    if (user.role === 'talent') {
-      await Talent.findByIdAndDelete(user.id);
-    } else {
-      await User.findByIdAndDelete(user.id);
-    }
+    await User.findByIdAndDelete(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -207,13 +210,11 @@ exports.deleteAccount = async (req, res, next) => {
 exports.getUsers = async (req, res, next) => {
   try {
     const users = await User.find().select('-__v').lean();
-    const talents = await Talent.find().select('-__v').lean();
-    const allUsers = [...users, ...talents];
 
     res.status(200).json({
       success: true,
-      count: allUsers.length,
-      data: allUsers
+      count: users.length,
+      data: users
     });
   } catch (err) {
     logger.error(`Get users error: ${err.message}`);
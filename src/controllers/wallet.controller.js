@@ -0,0 +1,152 @@
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const ledger = require('../utils/ledger');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
+
+/**
+ * Format a wallet for API responses with balances in major units
+ * @param {Document} wallet - Wallet document
+ * @returns {Object} - Formatted wallet
+ */
+const formatWallet = (wallet) => ({
+  id: wallet._id,
+  kind: wallet.kind,
+  balances: {
+    PKR: ledger.toMajorUnits(wallet.balances.PKR),
+    USD: ledger.toMajorUnits(wallet.balances.USD)
+  },
+  updatedAt: wallet.updatedAt
+});
+
+/**
+ * @desc    Get wallet balance of the current account
+ * @route   GET /api/wallet
+ * @access  Private
+ */
+exports.getWallet = async (req, res, next) => {
+  try {
+    const wallet = await ledger.getAccountWallet(req.userId, req.role);
+
+    res.status(200).json({
+      success: true,
+      data: formatWallet(wallet)
+    });
+  } catch (err) {
+    logger.error(`Get wallet error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get transaction history of the current account's wallet
+ * @route   GET /api/wallet/transactions
+ * @access  Private
+ */
+exports.getTransactions = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = req.pagination;
+    const wallet = await ledger.getAccountWallet(req.userId, req.role);
+
+    const query = { 'entries.wallet': wallet._id, status: 'posted' };
+    if (req.query.currency) {
+      query.currency = req.query.currency;
+    }
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    const transactions = await LedgerTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalCount = await LedgerTransaction.countDocuments(query);
+    res.totalCount = totalCount;
+
+    // Show each transaction from this wallet's point of view
+    const formattedTransactions = transactions.map(transaction => {
+      const net = transaction.entries
+        .filter(entry => entry.wallet.toString() === wallet._id.toString())
+        .map(entry => (entry.direction === 'credit' ? entry.amount : -entry.amount))
+        .reduce((total, amount) => total + amount, 0);
+
+      return {
+        id: transaction._id,
+        type: transaction.type,
+        direction: net >= 0 ? 'credit' : 'debit',
+        amount: ledger.toMajorUnits(Math.abs(net)),
+        currency: transaction.currency,
+        description: transaction.description,
+        task: transaction.task,
+        createdAt: transaction.createdAt
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      page,
+      data: formattedTransactions
+    });
+  } catch (err) {
+    logger.error(`Get wallet transactions error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Manually credit an account wallet (e.g. a confirmed bank transfer)
+ * @route   POST /api/wallet/credit
+ * @access  Private/Admin
+ */
+exports.creditWallet = async (req, res, next) => {
+  try {
+    const { accountId, accountRole, amount, currency, reference, description } = req.body;
+
+    const transaction = await ledger.deposit({
+      accountId,
+      role: accountRole,
+      amount,
+      currency,
+      reference: `adjustment:${reference}`,
+      type: 'adjustment',
+      description,
+      createdBy: req.userId
+    });
+
+    const wallet = await ledger.getAccountWallet(accountId, accountRole);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transactionId: transaction._id,
+        wallet: formatWallet(wallet)
+      }
+    });
+  } catch (err) {
+    logger.error(`Credit wallet error: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reconcile wallet balances against the ledger
+ * @route   GET /api/wallet/reconcile
+ * @access  Private/Admin
+ */
+exports.getReconciliation = async (req, res, next) => {
+  try {
+    const report = await ledger.reconcile();
+
+    res.status(200).json({
+      success: true,
+      balanced: report.every(currency => currency.balanced),
+      data: report
+    });
+  } catch (err) {
+    logger.error(`Reconcile wallets error: ${err.message}`);
+    next(err);
+  }
+};
@@ -237,10 +237,10 @@
  *             properties:
  *               refreshToken:
  *                 type: string
- *                 description: JWT refresh token received during login/registration
+ *                 description: Latest refresh token received from login, registration or a refresh
  *     responses:
  *       200:
- *         description: New access token generated successfully
+ *         description: New access token and refresh token. The refresh token that was sent can no longer be used.
  *         content:
  *           application/json:
  *             schema:
@@ -251,15 +251,22 @@
  *                   example: true
  *                 token:
  *                   type: string
- *                   description: New JWT access token
+ *                   description: New JWT access token with the account ID and active role
  *                 expires:
  *                   type: string
  *                   format: date-time
  *                   description: Token expiry datetime
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token to use next time
+ *                 refreshTokenExpires:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Refresh token expiry datetime
  *       400:
  *         description: Refresh token is required
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid, expired, revoked or already used refresh token. Reusing a refresh token revokes every token issued from the same login.
  */
 
 /**
@@ -1,7 +1,8 @@
-const { verifyToken } = require('../utils/token');
+const { verifyAccessToken } = require('../utils/token');
 const { createLogger } = require('../utils/logger');
 const User = require('../models/user.model');
-const Talent = require('../models/talent.model');
+const { touchSession } = require('../utils/sessions');
+const { hasPermission } = require('../utils/permissions');
 
 const logger = createLogger();
 
@@ -18,24 +19,42 @@ const protect = async (req, res, next) => {
       // Get token from header (format: "Bearer token")
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token using our token utility
-      const decoded = verifyToken(token);
+      // Verify token using our token utility (also checks revocations)
+      const decoded = await verifyAccessToken(token);
       
-      // Add user ID and role from payload to request
+      // Add user ID and the role the token was issued for to the request
       req.userId = decoded.id;
       req.role = decoded.role;
+      req.sessionId = decoded.sid;
       
-      // Fetch the user/talent from the appropriate collection based on role
-      let user;
-      if (decoded.role === 'talent') {
-        user = await Talent.findById(req.userId);
-      } else {
-        user = await User.findById(req.userId);
-      }
+      const user = await User.findById(req.userId);
 
       if (!user) {
         throw new Error('User no longer exists');
       }
+
+      if (user.isTokenRevoked(decoded.iat)) {
+        throw new Error('Token has been revoked');
+      }
+
+      // Signing a device out ends its session, so its access tokens stop too
+      if (decoded.sid && !(await touchSession(decoded.sid, user._id))) {
+        throw new Error('Session has ended');
+      }
+
+      // The account may have lost the role since the token was issued
+      if (!user.hasRole(decoded.role)) {
+        throw new Error(`Account no longer has the ${decoded.role} role`);
+      }
+
+      // Suspended and banned accounts are told why rather than just refused
+      const suspensionMessage = user.suspensionMessage();
+      if (suspensionMessage) {
+        return res.status(403).json({
+          success: false,
+          message: suspensionMessage
+        });
+      }
       
       // Add full user object to request
       req.user = user;
@@ -68,12 +87,25 @@ const protect = async (req, res, next) => {
 };
 
 /**
- * Middleware to restrict access based on user role
+ * Middleware for public routes that show more to some accounts. Requests
+ * without a token go through anonymously; a token that is sent must be
+ * valid, as with protect.
+ */
+const identify = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+  next();
+};
+
+/**
+ * Middleware to restrict access based on the account's active role
+ * (the role its access token was issued for)
  * @param {string[]} roles - Array of allowed roles
  */
 const authorize = (...roles) => {
   return (req, res, next) => {
-    // Check if user role is included in the allowed roles
+    // Check if the active role is included in the allowed roles
     if (!roles.includes(req.role)) {
       return res.status(403).json({
         success: false,
@@ -84,4 +116,59 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+/**
+ * Middleware to restrict access to active roles that grant a permission.
+ * With several permissions, any one of them is enough (e.g. a permission
+ * on your own resources or the same one on anyone's).
+ * @param {string[]} permissions - Permission names from the registry
+ */
+const can = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.role, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Role ${req.role} is not authorized to access this route`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware to require a verified email address before continuing.
+ * Only enforced when REQUIRE_EMAIL_VERIFICATION is 'true'.
+ * Must run after protect.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first'
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware to require two-factor authentication on the account.
+ * Used on staff (/api/admin) routes when ADMIN_REQUIRE_2FA is 'true'.
+ * Must run after protect.
+ */
+const requireTwoFactor = (req, res, next) => {
+  if (process.env.ADMIN_REQUIRE_2FA === 'true' && !req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Enable two-factor authentication to access this resource'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  identify,
+  authorize,
+  can,
+  requireVerifiedEmail,
+  requireTwoFactor
+};
@@ -1,4 +1,4 @@
-const { upload, handleUploadError } = require('../utils/fileUpload');
+const { upload, messageUpload, handleUploadError } = require('../utils/fileUpload');
 const { createLogger } = require('../utils/logger');
 
 const logger = createLogger();
@@ -55,3 +55,32 @@ exports.taskAttachmentUpload = (req, res, next) => {
     next();
   });
 };
+
+/**
+ * Middleware for handling message attachment uploads. They are stored privately
+ * and linked through the thread's attachment endpoint.
+ */
+exports.messageAttachmentUpload = (req, res, next) => {
+  const uploadMiddleware = messageUpload.array('attachments', 5); // Max 5 files
+
+  uploadMiddleware(req, res, (err) => {
+    if (err) {
+      return handleUploadError(req, res, next)(err);
+    }
+
+    if (req.files && req.files.length > 0) {
+      const baseUrl = process.env.NODE_ENV === 'production'
+        ? 'https://api.kamnet.pk'
+        : `http://localhost:${process.env.PORT || 8000}`;
+
+      req.messageAttachments = req.files.map(file => ({
+        filename: file.originalname,
+        path: `${baseUrl}/api/applications/${req.params.id}/messages/attachments/${file.filename}`
+      }));
+
+      logger.debug(`Message attachments uploaded: ${req.files.length} files`);
+    }
+
+    next();
+  });
+};
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Request IDs passed in by a proxy or client are kept when they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Give every request an ID, echoed in the X-Request-Id response header, and
+ * keep the request reachable from code it calls indirectly, such as domain
+ * event listeners
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  storage.run({ req }, next);
+};
+
+/**
+ * The request being handled, if any
+ * @returns {Object|undefined} - Express request object
+ */
+const currentRequest = () => {
+  const store = storage.getStore();
+  return store && store.req;
+};
+
+module.exports = {
+  requestContext,
+  currentRequest
+};
@@ -4,7 +4,7 @@ const { validationResult } = require('express-validator');
  * Middleware to validate request data
  * Used with express-validator
  */
-exports.validate = (validations) => {
+exports.validate = (validations = []) => {
   return async (req, res, next) => {
     // Run all validations
     await Promise.all(validations.map(validation => validation.run(req)));
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { EVENTS, emitDomainEvent } = require('../utils/events');
+const { hasPermission } = require('../utils/permissions');
+const { VISIBLE_FILTER, moderationFields } = require('./moderation.schema');
+const { screenContent } = require('../utils/screening');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger();
 
 const ApplicationSchema = new mongoose.Schema({
   task: {
@@ -30,6 +37,13 @@ const ApplicationSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
     default: 'pending'
   },
+  // Set when the application was rejected because another one was accepted
+  rejectedForHire: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  // Applications held by screening aren't shown to the task owner until approved
+  ...moderationFields(),
   estimatedCompletionTime: {
     value: {
       type: Number,
@@ -52,6 +66,26 @@ const ApplicationSchema = new mongoose.Schema({
 // Compound index to ensure a talent can only apply once to a task
 ApplicationSchema.index({ task: 1, talent: 1 }, { unique: true });
 
+/**
+ * Work out how an account relates to this application.
+ * Expects the task to be populated (at least its user).
+ * @param {String} actorId - ID of the acting user or talent
+ * @param {String} role - Role from the access token
+ * @returns {String[]} - Any of 'owner', 'applicant', 'admin' (staff who may view
+ * any application)
+ */
+ApplicationSchema.methods.getPartiesFor = function(actorId, role) {
+  const parties = [];
+  const id = actorId ? actorId.toString() : null;
+  const talentId = this.talent && (this.talent._id || this.talent);
+
+  if (hasPermission(role, 'application:view:any')) parties.push('admin');
+  if (id && this.task && this.task.user && this.task.user.toString() === id) parties.push('owner');
+  if (id && talentId && talentId.toString() === id) parties.push('applicant');
+
+  return parties;
+};
+
 // Prevent multiple submissions to the same task
 ApplicationSchema.pre('save', async function (next) {
   if (this.isNew) {
@@ -70,8 +104,22 @@ ApplicationSchema.pre('save', async function (next) {
   next();
 });
 
-// Update task application count after save
+// Screen new and edited cover letters; abuse or spam is held for review
+ApplicationSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('coverLetter')) {
+    await screenContent(this, { fields: ['coverLetter'], author: 'talent' });
+  }
+});
+
+// Remember whether the save creates the application; isNew is cleared by then
+ApplicationSchema.pre('save', function() {
+  this.$locals.wasNew = this.isNew;
+});
+
+// Count new applications on their task
 ApplicationSchema.post('save', async function() {
+  if (!this.$locals.wasNew) return;
+
   try {
     const Task = mongoose.model('Task');
     await Task.findByIdAndUpdate(
@@ -79,8 +127,51 @@ ApplicationSchema.post('save', async function() {
       { $inc: { applicationsCount: 1 } }
     );
   } catch (error) {
-    console.error('Error updating task applications count:', error);
+    logger.error(`Error updating task applications count: ${error.message}`);
   }
 });
 
+/**
+ * Put a task's applications back in play once its hire is released and the
+ * task is open again. The hired application is marked withdrawn and those
+ * rejected when it was accepted go back to pending.
+ * @param {Object} task - Task that went back to open
+ * @param {ObjectId} applicationId - Application that had been accepted
+ * @param {String} actorId - Account that released the hire
+ */
+ApplicationSchema.statics.releaseHire = async function(task, applicationId, actorId) {
+  const hired = await this.findById(applicationId);
+
+  if (hired && hired.status === 'accepted') {
+    hired.status = 'withdrawn';
+    await hired.save();
+    emitDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, {
+      application: hired,
+      task,
+      from: 'accepted',
+      to: 'withdrawn',
+      actorId
+    });
+  }
+
+  const rejected = await this.find({ rejectedForHire: applicationId, status: 'rejected' });
+  await this.updateMany(
+    { _id: { $in: rejected.map(other => other._id) } },
+    { status: 'pending', $unset: { rejectedForHire: 1 } }
+  );
+  rejected.forEach(other => {
+    other.status = 'pending';
+    other.rejectedForHire = undefined;
+    emitDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, {
+      application: other,
+      task,
+      from: 'rejected',
+      to: 'pending',
+      actorId
+    });
+  });
+};
+
+ApplicationSchema.statics.VISIBLE_FILTER = VISIBLE_FILTER;
+
 module.exports = mongoose.model('Application', ApplicationSchema);
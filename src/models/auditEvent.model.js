@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.password_reset_requested',
+  'auth.password_reset',
+  'user.profile_update',
+  'task.create',
+  'task.update',
+  'task.delete',
+  'task.status_change',
+  'application.status_change'
+];
+
+const AUDIT_TARGET_TYPES = ['user', 'task', 'application'];
+
+// A field whose value changed, with its value before and after
+const AuditChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Append-only record of security and business events. Entries are written
+ * once and can't be changed or deleted through the model.
+ */
+const AuditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Missing for anonymous events, e.g. a failed login for an unknown email
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES
+  },
+  target: mongoose.Schema.Types.ObjectId,
+  changes: [AuditChangeSchema],
+  ip: String,
+  userAgent: String,
+  requestId: String,
+  // Event specific details, e.g. the login method
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ target: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+
+const APPEND_ONLY_MESSAGE = 'Audit events are append-only';
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(APPEND_ONLY_MESSAGE));
+  }
+  next();
+});
+
+AuditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], { document: true, query: true }, function(next) {
+  next(new Error(APPEND_ONLY_MESSAGE));
+});
+
+AuditEventSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+AuditEventSchema.statics.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed or rate-limited attempts at a sensitive auth action (login, password
+ * reset) for one account or one IP address. Entries are removed once their
+ * window and any lockout have passed.
+ */
+const AuthThrottleSchema = new mongoose.Schema({
+  // action:kind:subject, e.g. login:account:ayesha@example.com
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Attempts in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: Date,
+  lastAttemptAt: Date,
+  // Progressive delay: no further attempts are accepted before this
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // When the entry can be deleted; MongoDB removes it after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', AuthThrottleSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A message thread between a task owner and one applicant
+const ConversationSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  talent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    body: String,
+    sender: mongoose.Schema.Types.ObjectId,
+    sentAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ owner: 1, 'lastMessage.sentAt': -1 });
+ConversationSchema.index({ talent: 1, 'lastMessage.sentAt': -1 });
+
+/**
+ * Get or create the thread for an application
+ * @param {Document} application - Application with its task populated
+ * @returns {Promise<Document>}
+ */
+ConversationSchema.statics.findOrCreateFor = function(application) {
+  return this.findOneAndUpdate(
+    { application: application._id },
+    {
+      $setOnInsert: {
+        task: application.task._id,
+        owner: application.task.user,
+        talent: application.talent._id || application.talent
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * The other participant for a message sent by an account
+ * @param {String} senderId - Sending account ID
+ * @returns {ObjectId}
+ */
+ConversationSchema.methods.recipientFor = function(senderId) {
+  return this.owner.toString() === senderId.toString() ? this.talent : this.owner;
+};
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const LedgerEntrySchema = new mongoose.Schema({
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: true
+  },
+  // Debits take money out of a wallet, credits put money into it
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  // Amount in minor units (paisa / cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Entry amount must be positive'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Entry amount must be a whole number of minor units'
+    }
+  }
+}, { _id: false });
+
+const TRANSACTION_TYPES = [
+  'deposit',
+  'withdrawal',
+  'withdrawal_reversal',
+  'escrow_hold',
+  'escrow_release',
+  'escrow_refund',
+  'adjustment'
+];
+
+const LedgerTransactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TRANSACTION_TYPES,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['PKR', 'USD'],
+    required: true
+  },
+  // Total moved by the transaction in minor units
+  amount: {
+    type: Number,
+    required: true
+  },
+  entries: {
+    type: [LedgerEntrySchema],
+    validate: {
+      validator: entries => entries.length >= 2,
+      message: 'A transaction needs at least two entries'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'failed'],
+    default: 'pending'
+  },
+  // Idempotency key, e.g. "escrow_hold:<applicationId>"
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Every transaction must balance: total debits equal total credits
+LedgerTransactionSchema.pre('validate', function(next) {
+  const sum = direction => this.entries
+    .filter(entry => entry.direction === direction)
+    .reduce((total, entry) => total + entry.amount, 0);
+
+  const debits = sum('debit');
+  if (debits !== sum('credit')) {
+    this.invalidate('entries', 'Transaction debits and credits must balance');
+  } else if (debits !== this.amount) {
+    this.invalidate('amount', 'Transaction amount must equal the total of its debits');
+  }
+
+  next();
+});
+
+LedgerTransactionSchema.index({ 'entries.wallet': 1, createdAt: -1 });
+LedgerTransactionSchema.index({ task: 1 });
+
+LedgerTransactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model('LedgerTransaction', LedgerTransactionSchema);
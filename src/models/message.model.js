@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['user', 'talent'],
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  attachments: [{
+    filename: String,
+    path: String
+  }],
+  // Read receipt, set when the recipient opens the thread
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A message needs text or at least one attachment
+MessageSchema.pre('validate', function(next) {
+  if (!this.body && this.attachments.length === 0) {
+    this.invalidate('body', 'Message cannot be empty');
+  }
+  next();
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+MessageSchema.index({ recipient: 1, readAt: 1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Moderation state shared by content that can be flagged and hidden.
+ * Content is listed publicly while its visibility is 'public'; 'hidden' is
+ * set by a moderator and 'pending_review' keeps new content back until a
+ * moderator has looked at it.
+ */
+const VISIBILITIES = ['public', 'hidden', 'pending_review'];
+
+// Why a piece of content needs a moderator's attention
+const ContentFlagSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // What raised the flag, e.g. 'reports' or 'screening'
+  source: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Last decision a moderator made about the content
+const ModerationDecisionSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Schema fields to add to a flaggable model
+ */
+const moderationFields = () => ({
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'public'
+  },
+  // Cleared once a moderator has reviewed them
+  flags: {
+    type: [ContentFlagSchema],
+    default: []
+  },
+  moderation: ModerationDecisionSchema
+});
+
+// Matches content anyone may see; documents from before moderation have no visibility
+const VISIBLE_FILTER = { visibility: { $in: ['public', null] } };
+
+/**
+ * Whether anyone may see the content
+ * @param {Object} doc - Flaggable document
+ * @returns {Boolean}
+ */
+const isVisible = (doc) => !doc.visibility || doc.visibility === 'public';
+
+// Fields owners can't set through the API
+const MODERATION_FIELDS = ['visibility', 'flags', 'moderation'];
+
+module.exports = {
+  VISIBILITIES,
+  VISIBLE_FILTER,
+  MODERATION_FIELDS,
+  moderationFields,
+  isVisible
+};
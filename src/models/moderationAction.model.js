@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = [
+  'account.suspend',
+  'account.ban',
+  'account.reinstate',
+  'account.revoke_tokens',
+  'account.unlock',
+  'account.roles',
+  'task.close',
+  'task.hide',
+  'task.unhide',
+  'content.approve',
+  'content.remove',
+  'report.resolve',
+  'report.dismiss'
+];
+
+/**
+ * Log of actions staff took against accounts and content
+ */
+const ModerationActionSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Role the actor was acting as
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'task', 'application'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Action specific details, e.g. the end of a suspension
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModerationActionSchema.index({ target: 1, createdAt: -1 });
+ModerationActionSchema.index({ actor: 1, createdAt: -1 });
+ModerationActionSchema.index({ createdAt: -1 });
+
+ModerationActionSchema.statics.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
+module.exports = mongoose.model('ModerationAction', ModerationActionSchema);
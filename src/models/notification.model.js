@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification types with the channels they use unless the account
+ * has changed its preferences
+ */
+const NOTIFICATION_TYPES = {
+  application_submitted: { inApp: true, email: true },
+  application_accepted: { inApp: true, email: true },
+  application_rejected: { inApp: true, email: false },
+  application_withdrawn: { inApp: true, email: false },
+  task_cancelled: { inApp: true, email: true },
+  task_completed: { inApp: true, email: true },
+  deadline_approaching: { inApp: true, email: true },
+  message_received: { inApp: true, email: false },
+  payment_released: { inApp: true, email: true }
+};
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_TYPES),
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, readAt: 1 });
+
+/**
+ * Resolve which channels an account wants for a notification type
+ * @param {Document} account - Account with notificationPreferences
+ * @param {String} type - Notification type
+ * @returns {Object} - { inApp, email }
+ */
+NotificationSchema.statics.resolvePreferences = function(account, type) {
+  const defaults = NOTIFICATION_TYPES[type] || { inApp: true, email: false };
+  const saved = account.notificationPreferences && account.notificationPreferences.get(type);
+
+  return {
+    inApp: saved && typeof saved.inApp === 'boolean' ? saved.inApp : defaults.inApp,
+    email: saved && typeof saved.email === 'boolean' ? saved.email : defaults.email
+  };
+};
+
+NotificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', NotificationSchema);
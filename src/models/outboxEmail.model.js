@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// Retry delays double from the base up to the cap
+const RETRY_BASE_MS = Number(process.env.EMAIL_RETRY_BASE_MS || 30 * 1000);
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Sent emails are only kept for a week; their bodies may carry sign-in links
+const SENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const OutboxEmailSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // pending: waiting to be sent, sending: claimed by a worker,
+  // sent: accepted by the transport, dead: gave up after maxAttempts
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => Number(process.env.EMAIL_MAX_ATTEMPTS || 6)
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // A claimed email whose lock has expired is picked up again
+  lockedUntil: Date,
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true
+});
+
+OutboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+OutboxEmailSchema.index({ to: 1, createdAt: -1 });
+OutboxEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number} - Milliseconds
+ */
+OutboxEmailSchema.statics.retryDelay = function(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+};
+
+/**
+ * Record a failed attempt, scheduling a retry or dead-lettering the email
+ * @param {Error} error - Transport error
+ */
+OutboxEmailSchema.methods.recordFailure = function(error) {
+  this.lastError = error.message;
+  this.lockedUntil = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'dead';
+    this.deadAt = Date.now();
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = Date.now() + this.constructor.retryDelay(this.attempts);
+  }
+};
+
+OutboxEmailSchema.statics.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
+module.exports = mongoose.model('OutboxEmail', OutboxEmailSchema);
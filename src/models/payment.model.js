@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const PaymentCallbackSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed']
+  },
+  message: String,
+  payload: mongoose.Schema.Types.Mixed,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PaymentSchema = new mongoose.Schema({
+  // Our reference, sent to the gateway as the order/transaction number
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  accountRole: {
+    type: String,
+    required: true
+  },
+  // top-up: money into a wallet, payout: money out of a wallet
+  type: {
+    type: String,
+    enum: ['top-up', 'payout'],
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please specify an amount'],
+    min: [1, 'Amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    enum: ['PKR', 'USD'],
+    default: 'PKR'
+  },
+  mobileNumber: String,
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  providerReference: String,
+  failureReason: String,
+  ledgerTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerTransaction'
+  },
+  // Provider specific data, e.g. the simulated scenario for the mock provider
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  callbacks: {
+    type: [PaymentCallbackSchema],
+    default: []
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ account: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const PhoneOtpSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // E.164 number the code was sent to
+  phone: {
+    type: String,
+    required: true
+  },
+  // HMAC of the code, the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set when the code is used, or when a newer code replaces it
+  consumedAt: Date,
+  messageId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Codes are kept for a day so sends can be counted for rate limiting
+PhoneOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+PhoneOtpSchema.index({ user: 1, createdAt: -1 });
+PhoneOtpSchema.index({ phone: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PhoneOtp', PhoneOtpSchema);
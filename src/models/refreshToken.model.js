@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Issued refresh tokens, stored as hashes. Every login starts a session
+ * whose tokens form a family, and each refresh replaces the token with the
+ * next one in the family. Presenting a token that was already replaced ends
+ * the session.
+ */
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shared by all tokens descended from one login
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // SHA-256 of the token, the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token is exchanged for the next one
+  usedAt: Date,
+  revokedAt: Date,
+  // logout, reuse, replaced, ...
+  revokedReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired tokens are useless, so let MongoDB remove them
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+RefreshTokenSchema.index({ session: 1 });
+RefreshTokenSchema.index({ user: 1 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const REPORT_TARGET_TYPES = ['task', 'application', 'user'];
+
+const REPORT_CATEGORIES = [
+  'scam',
+  'spam',
+  'abuse',
+  'fake_profile',
+  'inappropriate',
+  'other'
+];
+
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+/**
+ * A report of a task, application or account, raised by another user and
+ * triaged by staff
+ */
+const ReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: REPORT_CATEGORIES,
+    required: [true, 'Please choose a category']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  // Set when staff resolve or dismiss the report
+  resolution: {
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One open report per reporter and target
+ReportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+ReportSchema.index({ status: 1, createdAt: 1 });
+ReportSchema.index({ target: 1, status: 1 });
+
+ReportSchema.statics.REPORT_TARGET_TYPES = REPORT_TARGET_TYPES;
+ReportSchema.statics.REPORT_CATEGORIES = REPORT_CATEGORIES;
+ReportSchema.statics.REPORT_STATUSES = REPORT_STATUSES;
+
+module.exports = mongoose.model('Report', ReportSchema);
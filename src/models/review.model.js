@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Who is reviewing whom on a completed task
+const REVIEW_DIRECTIONS = ['owner_to_talent', 'talent_to_owner'];
+
+const ReviewSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: REVIEW_DIRECTIONS,
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One review per side per task
+ReviewSchema.index({ task: 1, direction: 1 }, { unique: true });
+ReviewSchema.index({ reviewee: 1, createdAt: -1 });
+
+/**
+ * Average rating and review count for an account
+ * @param {ObjectId|String} accountId - Reviewed account
+ * @param {String} [direction] - Only count reviews in one direction, e.g.
+ *   owner_to_talent for the account's reviews as a talent
+ * @returns {Promise<Object>} - { averageRating, reviewCount }
+ */
+ReviewSchema.statics.getRatingSummary = async function(accountId, direction) {
+  const match = { reviewee: new mongoose.Types.ObjectId(accountId) };
+  if (direction) match.direction = direction;
+
+  const [summary] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        averageRating: { $avg: '$rating' },
+        reviewCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return { averageRating: null, reviewCount: 0 };
+  }
+
+  return {
+    averageRating: Math.round(summary.averageRating * 10) / 10,
+    reviewCount: summary.reviewCount
+  };
+};
+
+ReviewSchema.statics.REVIEW_DIRECTIONS = REVIEW_DIRECTIONS;
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+/**
+ * Access tokens revoked before they expired (e.g. on logout). Entries are
+ * removed once the token would have expired anyway.
+ */
+const RevokedTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token, the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Account the token was issued to, for auditing
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  // When the token expires; MongoDB deletes the entry after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Languages banned word lists are kept in; 'ur' is Urdu written in Latin script
+const SCREENING_LANGUAGES = ['en', 'ur'];
+
+/**
+ * Rules for screening task and application text, edited by admins. There is
+ * one document; until it is first saved the defaults in utils/screening apply.
+ */
+const ScreeningRulesSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Content scoring above this is held for review
+  threshold: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  bannedWords: {
+    en: [String],
+    ur: [String]
+  },
+  // Score added by each rule; 0 turns the rule off
+  weights: {
+    bannedWord: { type: Number, min: 0, required: true },
+    phone: { type: Number, min: 0, required: true },
+    email: { type: Number, min: 0, required: true },
+    whatsapp: { type: Number, min: 0, required: true },
+    duplicate: { type: Number, min: 0, required: true }
+  },
+  // Near-duplicates of the author's own recent content
+  duplicates: {
+    // Share of word triples two texts have in common, from 0 to 1
+    similarity: { type: Number, min: 0, max: 1, required: true },
+    windowDays: { type: Number, min: 1, required: true },
+    // Shorter texts are too likely to match by chance
+    minWords: { type: Number, min: 1, required: true }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ScreeningRulesSchema.statics.SCREENING_LANGUAGES = SCREENING_LANGUAGES;
+
+module.exports = mongoose.model('ScreeningRules', ScreeningRulesSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Each login starts a session; its refresh tokens and
+ * the access tokens issued with them (`sid` claim) stop working when it ends.
+ */
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed back on every refresh; MongoDB removes the session after this
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  // logout, reuse, password_reset, ...
+  revokedReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,4 +1,141 @@
 const mongoose = require('mongoose');
+const { ApiError } = require('../middleware/error');
+const { EVENTS, emitDomainEvent } = require('../utils/events');
+const { hasPermission } = require('../utils/permissions');
+const { VISIBILITIES, VISIBLE_FILTER, moderationFields } = require('./moderation.schema');
+const { screenContent } = require('../utils/screening');
+
+/**
+ * Task lifecycle state machine.
+ * Maps each status to the statuses it may move to, with the parties allowed
+ * to make the move ('owner', 'talent' for the hired talent, 'admin' for staff
+ * who may update any task) and an optional guard returning an error message
+ * when the move is not possible.
+ */
+const STATUS_TRANSITIONS = {
+  open: {
+    'in-progress': {
+      allowed: ['owner', 'admin'],
+      guard: (task) => !task.hiredTalent && 'A talent must be hired before the task can start'
+    },
+    cancelled: { allowed: ['owner', 'admin'] }
+  },
+  'in-progress': {
+    completed: {
+      allowed: ['owner', 'admin'],
+      guard: (task) => !task.allMilestonesApproved() &&
+        'All milestones must be approved before the task can be completed'
+    },
+    cancelled: { allowed: ['owner', 'admin'] },
+    // Releasing the hire puts the task back on the market
+    open: { allowed: ['owner', 'talent', 'admin'] }
+  },
+  completed: {},
+  cancelled: {}
+};
+
+const StatusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const AttachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const MilestoneSubmissionSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    maxlength: [1000, 'Submission message cannot be more than 1000 characters']
+  },
+  attachments: {
+    type: [AttachmentSchema],
+    default: []
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Owner's response to this submission
+  feedback: {
+    type: String,
+    maxlength: [1000, 'Feedback cannot be more than 1000 characters']
+  },
+  reviewedAt: Date
+});
+
+const MilestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a milestone title'],
+    trim: true,
+    maxlength: [100, 'Milestone title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Milestone description cannot be more than 1000 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please add a milestone amount'],
+    min: [0, 'Milestone amount cannot be negative']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Please add a milestone due date']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'submitted', 'revision-requested', 'approved'],
+    default: 'pending'
+  },
+  submissions: {
+    type: [MilestoneSubmissionSchema],
+    default: []
+  },
+  approvedAt: Date
+});
+
+const CATEGORIES = [
+  'Design',
+  'Development',
+  'Writing',
+  'Translation',
+  'Marketing',
+  'Admin Support',
+  'Customer Service',
+  'Sales',
+  'Other'
+];
 
 const TaskSchema = new mongoose.Schema({
   title: {
@@ -33,23 +170,26 @@ const TaskSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'in-progress', 'completed', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'open'
   },
+  // Talent hired through an accepted application
+  hiredTalent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hiredApplication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  statusHistory: {
+    type: [StatusHistorySchema],
+    default: []
+  },
   category: {
     type: String,
     required: [true, 'Please add a category'],
-    enum: [
-      'Design',
-      'Development',
-      'Writing',
-      'Translation',
-      'Marketing',
-      'Admin Support',
-      'Customer Service',
-      'Sales',
-      'Other'
-    ]
+    enum: CATEGORIES
   },
   skills: [{
     type: String,
@@ -59,6 +199,11 @@ const TaskSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Please add a deadline date']
   },
+  // Optional breakdown of the budget into separately delivered milestones
+  milestones: {
+    type: [MilestoneSchema],
+    default: []
+  },
   address: {
     street: String,
     city: {
@@ -84,6 +229,10 @@ const TaskSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // visibility, flags and the last moderation decision
+  ...moderationFields(),
+  // Set once the approaching-deadline notification has gone out
+  deadlineReminderSentAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -102,9 +251,175 @@ TaskSchema.virtual('applications', {
   justOne: false
 });
 
+// Milestone amounts must add up to the budget and fall within the deadline
+TaskSchema.pre('validate', function(next) {
+  if (!this.milestones || this.milestones.length === 0) {
+    return next();
+  }
+
+  // Compare in minor units to avoid floating point drift
+  const total = this.milestones.reduce(
+    (sum, milestone) => sum + Math.round(milestone.amount * 100),
+    0
+  );
+  if (total !== Math.round(this.budget * 100)) {
+    this.invalidate('milestones', 'Milestone amounts must add up to the task budget');
+  }
+
+  const lateMilestone = this.milestones.some(milestone => milestone.dueDate > this.deadlineDate);
+  if (this.deadlineDate && lateMilestone) {
+    this.invalidate('milestones', 'Milestone due dates cannot be after the task deadline');
+  }
+
+  next();
+});
+
+/**
+ * Check whether every milestone has been approved
+ * Tasks without milestones are always considered approved
+ * @returns {Boolean}
+ */
+TaskSchema.methods.allMilestonesApproved = function() {
+  return this.milestones.every(milestone => milestone.status === 'approved');
+};
+
+// A moved deadline gets a fresh reminder
+TaskSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('deadlineDate')) {
+    this.deadlineReminderSentAt = undefined;
+  }
+  next();
+});
+
+// Screen new and edited text; content that looks like abuse or spam is held for review
+TaskSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('title') || this.isModified('description')) {
+    await screenContent(this, { fields: ['title', 'description'], author: 'user' });
+  }
+});
+
+// Record the initial status as the first history entry
+TaskSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      actor: this.user,
+      actorRole: 'owner',
+      reason: 'Task created'
+    });
+  }
+  next();
+});
+
+/**
+ * Get the parties the given account acts as on this task
+ * @param {String} actorId - ID of the acting user or talent
+ * @param {String} role - Role from the access token
+ * @returns {String[]} - Any of 'owner', 'talent' and 'admin'
+ */
+TaskSchema.methods.getPartiesFor = function(actorId, role) {
+  const parties = [];
+  const id = actorId ? actorId.toString() : null;
+
+  if (hasPermission(role, 'task:update:any')) parties.push('admin');
+  if (id && this.user && this.user.toString() === id) parties.push('owner');
+  if (id && this.hiredTalent && this.hiredTalent.toString() === id) parties.push('talent');
+
+  return parties;
+};
+
+/**
+ * Whether an account may see the task while moderation hides it, and the
+ * parts kept from the public such as milestone submissions: its owner, its
+ * hired talent and staff who moderate or manage tasks
+ * @param {String} actorId - ID of the acting account, if signed in
+ * @param {String} role - Role from the access token
+ * @returns {Boolean}
+ */
+TaskSchema.methods.canSeeHidden = function(actorId, role) {
+  return this.getPartiesFor(actorId, role).length > 0 || hasPermission(role, 'content:moderate');
+};
+
+/**
+ * Move the task to a new status, enforcing the lifecycle state machine.
+ * The caller is responsible for saving the task.
+ * @param {String} to - Target status
+ * @param {Object} options
+ * @param {String} options.actorId - ID of the acting user or talent
+ * @param {String} options.role - Role from the access token
+ * @param {String} [options.reason] - Why the status is changing
+ * @throws {ApiError} - 400 for an illegal transition, 403 for an unauthorized actor
+ */
+TaskSchema.methods.transitionTo = function(to, { actorId, role, reason } = {}) {
+  const from = this.status;
+  const transition = STATUS_TRANSITIONS[from] && STATUS_TRANSITIONS[from][to];
+
+  if (!transition) {
+    throw new ApiError(`Cannot change task status from ${from} to ${to}`, 400);
+  }
+
+  const parties = this.getPartiesFor(actorId, role);
+  const actorParty = transition.allowed.find(party => parties.includes(party));
+
+  if (!actorParty) {
+    throw new ApiError(`Not authorized to change task status from ${from} to ${to}`, 403);
+  }
+
+  const guardError = transition.guard && transition.guard(this);
+  if (guardError) {
+    throw new ApiError(guardError, 400);
+  }
+
+  // Announced once the change is saved; remember who was hired before it is cleared
+  this.$locals.pendingTransitions = [
+    ...(this.$locals.pendingTransitions || []),
+    { from, to, actorId, hiredTalent: this.hiredTalent, reason }
+  ];
+
+  // Going back to open releases the hired talent; the next hire starts the
+  // milestones afresh
+  if (to === 'open') {
+    this.hiredTalent = undefined;
+    this.hiredApplication = undefined;
+    this.milestones.forEach(milestone => {
+      milestone.status = 'pending';
+      milestone.submissions = [];
+      milestone.approvedAt = undefined;
+    });
+  }
+
+  this.status = to;
+  this.statusHistory.push({
+    from,
+    to,
+    actor: actorId,
+    actorRole: actorParty,
+    reason
+  });
+
+  return this;
+};
+
+// Raise status change events once transitions are persisted
+TaskSchema.post('save', function() {
+  const transitions = this.$locals.pendingTransitions || [];
+  this.$locals.pendingTransitions = [];
+
+  transitions.forEach(transition => {
+    emitDomainEvent(EVENTS.TASK_STATUS_CHANGED, { task: this, ...transition });
+  });
+});
+
+TaskSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+TaskSchema.statics.VISIBILITIES = VISIBILITIES;
+TaskSchema.statics.CATEGORIES = CATEGORIES;
+TaskSchema.statics.VISIBLE_FILTER = VISIBLE_FILTER;
+
 // Index for better query performance
 TaskSchema.index({ location: 'text', title: 'text', description: 'text' });
 TaskSchema.index({ coordinates: '2dsphere' });
 TaskSchema.index({ status: 1, category: 1 });
+TaskSchema.index({ visibility: 1, status: 1 });
 
 module.exports = mongoose.model('Task', TaskSchema);
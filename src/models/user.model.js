@@ -3,6 +3,24 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
+// Roles an account can hold. Posters ('user') and talents share one account.
+const ROLES = ['user', 'talent', 'admin', 'moderator', 'support'];
+
+// Roles anyone can add to their own account
+const SELF_SERVICE_ROLES = ['user', 'talent'];
+
+// Roles only granted by an admin, see utils/permissions for what they can do
+const STAFF_ROLES = ['admin', 'moderator', 'support'];
+
+// Suspended accounts are locked out until `suspendedUntil` (or reinstated),
+// banned accounts until they are reinstated
+const ACCOUNT_STATUSES = ['active', 'suspended', 'banned'];
+
+// Fields shown on public user and talent profiles; moderation, session and
+// notification settings stay private
+const PUBLIC_PROFILE_FIELDS = 'name username email picture phone phoneVerified bio location '
+  + 'skills hourlyRate address city country roles role profileCompleted emailVerified createdAt';
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -34,9 +52,15 @@ const UserSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't return password in queries by default
   },
+  // Every role the account holds
+  roles: {
+    type: [{ type: String, enum: ROLES }],
+    default: []
+  },
+  // The role the account is acting as; it must be one of `roles`
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   googleId: {
@@ -52,6 +76,12 @@ const UserSchema = new mongoose.Schema({
     type: String,
     maxlength: [20, 'Phone number cannot be longer than 20 characters']
   },
+  // Set when the number has been confirmed by SMS code (it is then in E.164 format)
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot be more than 500 characters']
@@ -60,6 +90,15 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: 'Lahore, Pakistan'
   },
+  // Talent profile
+  skills: {
+    type: [String],
+    default: []
+  },
+  hourlyRate: {
+    type: Number,
+    default: 0
+  },
   // Additional profile fields
   address: {
     type: String,
@@ -81,10 +120,89 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  refreshToken: String,
-  refreshTokenExpiry: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // When the last verification link went out, for resend throttling
+  emailVerificationSentAt: Date,
+  // Language for emails and other outgoing messages
+  language: {
+    type: String,
+    enum: ['en', 'ur'],
+    default: 'en'
+  },
+  // Per notification type overrides of the default channels, e.g. { task_cancelled: { email: false } }
+  notificationPreferences: {
+    type: Map,
+    of: new mongoose.Schema({
+      inApp: Boolean,
+      email: Boolean
+    }, { _id: false }),
+    default: {}
+  },
+  // Access tokens issued before this time are rejected (see revokeAccountTokens)
+  tokensValidAfter: Date,
+  // Moderation status, changed by staff with a reason
+  status: {
+    type: String,
+    enum: ACCOUNT_STATUSES,
+    default: 'active',
+    index: true
+  },
+  suspendedUntil: Date,
+  statusReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  statusChangedAt: Date,
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Two-factor authentication with an authenticator app (secrets are encrypted)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret waiting for its first code during setup
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, so codes cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorFailures: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    select: false
+  },
   passwordResetToken: String,
   passwordResetExpire: Date,
+  // Hash of the single-use token in the last magic sign-in link
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -97,6 +215,31 @@ const UserSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A verified number belongs to one account
+UserSchema.index(
+  { phone: 1 },
+  { unique: true, partialFilterExpression: { phoneVerified: true } }
+);
+
+// New accounts hold the role they sign up with
+UserSchema.pre('validate', function(next) {
+  if (this.roles.length === 0) {
+    this.roles = [this.role];
+  } else if (!this.roles.includes(this.role)) {
+    this.invalidate('role', `Account does not have the ${this.role} role`);
+  }
+  next();
+});
+
+// A changed number has to be verified again
+UserSchema.pre('save', function(next) {
+  if (this.isModified('phone') && !this.isModified('phoneVerified')) {
+    this.phoneVerified = false;
+    this.phoneVerifiedAt = undefined;
+  }
+  next();
+});
+
 // Encrypt password using bcrypt before save
 UserSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -147,4 +290,52 @@ UserSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+/**
+ * Whether the account holds a role
+ * @param {String} role - One of ROLES
+ * @returns {Boolean}
+ */
+UserSchema.methods.hasRole = function(role) {
+  return this.roles.includes(role);
+};
+
+/**
+ * Whether an access token issued at the given time has been revoked
+ * by revoking all of the account's tokens
+ * @param {Number} issuedAt - Token `iat` claim (seconds)
+ * @returns {Boolean}
+ */
+UserSchema.methods.isTokenRevoked = function(issuedAt) {
+  return Boolean(this.tokensValidAfter) && issuedAt * 1000 < this.tokensValidAfter.getTime();
+};
+
+/**
+ * Whether the account is locked out by moderation: banned, or suspended and
+ * the suspension has not run out
+ * @returns {Boolean}
+ */
+UserSchema.methods.isSuspended = function() {
+  if (this.status === 'banned') return true;
+  return this.status === 'suspended'
+    && (!this.suspendedUntil || this.suspendedUntil.getTime() > Date.now());
+};
+
+/**
+ * Message telling a locked out account why
+ * @returns {String|null} - Null when the account is not suspended
+ */
+UserSchema.methods.suspensionMessage = function() {
+  if (!this.isSuspended()) return null;
+  if (this.status === 'banned') return 'This account has been banned';
+  return this.suspendedUntil
+    ? `This account is suspended until ${this.suspendedUntil.toISOString()}`
+    : 'This account has been suspended';
+};
+
+UserSchema.statics.ROLES = ROLES;
+UserSchema.statics.SELF_SERVICE_ROLES = SELF_SERVICE_ROLES;
+UserSchema.statics.STAFF_ROLES = STAFF_ROLES;
+UserSchema.statics.ACCOUNT_STATUSES = ACCOUNT_STATUSES;
+UserSchema.statics.PUBLIC_PROFILE_FIELDS = PUBLIC_PROFILE_FIELDS;
+
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const CURRENCIES = ['PKR', 'USD'];
+
+// Wallet kinds and the model their owner belongs to. An account has a
+// separate wallet for each of its poster (user) and talent roles.
+const WALLET_OWNERS = {
+  user: 'User',
+  talent: 'User',
+  escrow: 'Task',
+  // Money outside the platform (gateways, bank transfers); may go negative
+  external: null
+};
+
+const WalletSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: Object.keys(WALLET_OWNERS),
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'ownerModel',
+    default: null
+  },
+  ownerModel: {
+    type: String,
+    enum: ['User', 'Task'],
+    default: null
+  },
+  // Balances are kept in minor units (paisa / cents) so totals reconcile exactly
+  balances: {
+    PKR: {
+      type: Number,
+      default: 0
+    },
+    USD: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One wallet per owner and kind
+WalletSchema.index({ kind: 1, owner: 1 }, { unique: true });
+
+/**
+ * Find the wallet of an owner, creating it on first use
+ * @param {String} kind - Wallet kind (user, talent, escrow, external)
+ * @param {String|ObjectId} [owner] - Owner ID (omitted for the external wallet)
+ * @returns {Promise<Document>} - Wallet document
+ */
+WalletSchema.statics.findOrCreate = function(kind, owner = null) {
+  return this.findOneAndUpdate(
+    { kind, owner },
+    { $setOnInsert: { kind, owner, ownerModel: WALLET_OWNERS[kind] } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Whether the wallet balance is allowed to drop below zero
+ * @returns {Boolean}
+ */
+WalletSchema.methods.allowsOverdraft = function() {
+  return this.kind === 'external';
+};
+
+WalletSchema.statics.CURRENCIES = CURRENCIES;
+
+module.exports = mongoose.model('Wallet', WalletSchema);
@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmailTemplates,
+  previewEmailTemplate,
+  getOutboxEmails,
+  getOutboxEmail,
+  retryOutboxEmail,
+  revokeUserTokens,
+  unlockUser,
+  getPermissions,
+  updateStaffRoles
+} = require('../controllers/admin.controller');
+const {
+  searchUsers,
+  getUserDetails,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  getTasks,
+  closeTask,
+  hideTask,
+  unhideTask,
+  getFlaggedContent,
+  reviewFlaggedContent,
+  getModerationLog
+} = require('../controllers/moderation.controller');
+const { getAuditEvents, exportAuditEvents } = require('../controllers/audit.controller');
+const { getReports, resolveReport, dismissReport } = require('../controllers/report.controller');
+const { getRules, updateRules, testRules } = require('../controllers/screening.controller');
+const { getAnalytics, exportAnalytics } = require('../controllers/analytics.controller');
+const { protect, authorize, can, requireTwoFactor } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const { param, query } = require('express-validator');
+const pagination = require('../middleware/pagination');
+const OutboxEmail = require('../models/outboxEmail.model');
+const Task = require('../models/task.model');
+const ModerationAction = require('../models/moderationAction.model');
+const AuditEvent = require('../models/auditEvent.model');
+const Report = require('../models/report.model');
+const User = require('../models/user.model');
+const { LOCALES } = require('../utils/emailTemplates');
+const { FLAGGABLE } = require('../utils/moderation');
+const { GRANULARITIES, DIMENSIONS } = require('../utils/analytics');
+const validationSchemas = require('../utils/validationSchemas');
+
+// All routes are for staff only, each route checks its own permission
+router.use(protect, authorize(...User.STAFF_ROLES), requireTwoFactor);
+
+router.get('/email-templates', can('email:manage'), getEmailTemplates);
+router.get('/email-templates/:name/preview', [
+  can('email:manage'),
+  query('locale').optional().isIn(LOCALES)
+    .withMessage(`Locale must be one of: ${LOCALES.join(', ')}`),
+  query('format').optional().isIn(['html', 'json']).withMessage('Format must be html or json'),
+  validate()
+], previewEmailTemplate);
+
+router.get('/email-outbox', [
+  can('email:manage'),
+  query('status').optional().isIn(OutboxEmail.OUTBOX_STATUSES)
+    .withMessage(`Status must be one of: ${OutboxEmail.OUTBOX_STATUSES.join(', ')}`),
+  validate()
+], pagination, getOutboxEmails);
+router.get('/email-outbox/:id', [
+  can('email:manage'),
+  param('id').isMongoId().withMessage('Invalid email ID format'),
+  validate()
+], getOutboxEmail);
+router.post('/email-outbox/:id/retry', [
+  can('email:manage'),
+  param('id').isMongoId().withMessage('Invalid email ID format'),
+  validate()
+], retryOutboxEmail);
+
+router.get('/permissions', can('user:roles:manage'), getPermissions);
+
+// Accounts
+router.get('/users', [
+  can('user:view:any'),
+  query('role').optional().isIn(User.ROLES)
+    .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  query('status').optional().isIn(User.ACCOUNT_STATUSES)
+    .withMessage(`Status must be one of: ${User.ACCOUNT_STATUSES.join(', ')}`),
+  query(['emailVerified', 'phoneVerified']).optional().isIn(['true', 'false'])
+    .withMessage('Verification filters must be true or false'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be valid dates'),
+  validate()
+], pagination, searchUsers);
+router.get('/users/:id', [
+  can('user:view:any'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate()
+], getUserDetails);
+router.post('/users/:id/suspend', [
+  can('user:suspend'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate(validationSchemas.suspendUser)
+], suspendUser);
+router.post('/users/:id/ban', [
+  can('user:suspend'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate(validationSchemas.moderationReason)
+], banUser);
+router.post('/users/:id/reinstate', [
+  can('user:suspend'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate(validationSchemas.optionalModerationReason)
+], reinstateUser);
+router.post('/users/:id/revoke-tokens', [
+  can('user:sessions:revoke'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate()
+], revokeUserTokens);
+router.post('/users/:id/unlock', [
+  can('user:unlock'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate()
+], unlockUser);
+router.put('/users/:id/roles', [
+  can('user:roles:manage'),
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate(validationSchemas.staffRoles)
+], updateStaffRoles);
+
+// Tasks and flagged content
+const TASK_STATUSES = Object.keys(Task.STATUS_TRANSITIONS);
+
+router.get('/tasks', [
+  can('content:moderate', 'task:update:any'),
+  query('status').optional().isIn(TASK_STATUSES)
+    .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+  query('visibility').optional().isIn(Task.VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${Task.VISIBILITIES.join(', ')}`),
+  query('user').optional().isMongoId().withMessage('Invalid user ID format'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be valid dates'),
+  validate()
+], pagination, getTasks);
+router.post('/tasks/:id/close', [
+  can('task:update:any'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate(validationSchemas.moderationReason)
+], closeTask);
+router.post('/tasks/:id/hide', [
+  can('content:moderate'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate(validationSchemas.moderationReason)
+], hideTask);
+router.post('/tasks/:id/unhide', [
+  can('content:moderate'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate(validationSchemas.optionalModerationReason)
+], unhideTask);
+
+router.get('/flagged', [
+  can('content:moderate'),
+  query('type').optional().isIn(Object.keys(FLAGGABLE))
+    .withMessage(`Type must be one of: ${Object.keys(FLAGGABLE).join(', ')}`),
+  validate()
+], pagination, getFlaggedContent);
+router.post('/flagged/:type/:id/review', [
+  can('content:moderate'),
+  param('type').isIn(Object.keys(FLAGGABLE))
+    .withMessage(`Type must be one of: ${Object.keys(FLAGGABLE).join(', ')}`),
+  param('id').isMongoId().withMessage('Invalid content ID format'),
+  validate(validationSchemas.reviewFlaggedContent)
+], reviewFlaggedContent);
+
+router.get('/reports', [
+  can('report:triage'),
+  query('status').optional().isIn(Report.REPORT_STATUSES)
+    .withMessage(`Status must be one of: ${Report.REPORT_STATUSES.join(', ')}`),
+  query('targetType').optional().isIn(Report.REPORT_TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${Report.REPORT_TARGET_TYPES.join(', ')}`),
+  query('target').optional().isMongoId().withMessage('Invalid target ID format'),
+  query('category').optional().isIn(Report.REPORT_CATEGORIES)
+    .withMessage(`Category must be one of: ${Report.REPORT_CATEGORIES.join(', ')}`),
+  validate()
+], pagination, getReports);
+router.post('/reports/:id/resolve', [
+  can('report:triage'),
+  param('id').isMongoId().withMessage('Invalid report ID format'),
+  validate(validationSchemas.closeReport)
+], resolveReport);
+router.post('/reports/:id/dismiss', [
+  can('report:triage'),
+  param('id').isMongoId().withMessage('Invalid report ID format'),
+  validate(validationSchemas.closeReport)
+], dismissReport);
+
+router.get('/screening-rules', can('screening:manage'), getRules);
+router.put('/screening-rules', [
+  can('screening:manage'),
+  validate(validationSchemas.updateScreeningRules)
+], updateRules);
+router.post('/screening-rules/test', [
+  can('screening:manage'),
+  validate(validationSchemas.testScreeningRules)
+], testRules);
+
+router.get('/moderation-log', [
+  can('moderation:log:view'),
+  query(['actor', 'target']).optional().isMongoId().withMessage('Invalid ID format'),
+  query('action').optional().isIn(ModerationAction.MODERATION_ACTIONS)
+    .withMessage(`Action must be one of: ${ModerationAction.MODERATION_ACTIONS.join(', ')}`),
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be valid dates'),
+  validate()
+], pagination, getModerationLog);
+
+// Audit log
+const auditFilters = [
+  can('audit:view'),
+  query(['actor', 'target']).optional().isMongoId().withMessage('Invalid ID format'),
+  query('targetType').optional().isIn(AuditEvent.AUDIT_TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AuditEvent.AUDIT_TARGET_TYPES.join(', ')}`),
+  query('action').optional().isIn(AuditEvent.AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AuditEvent.AUDIT_ACTIONS.join(', ')}`),
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be valid dates')
+];
+
+router.get('/audit-events', [...auditFilters, validate()], pagination, getAuditEvents);
+router.get('/audit-events/export', [
+  ...auditFilters,
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  validate()
+], exportAuditEvents);
+
+// Platform metrics
+const GROUP_BY = Object.keys(DIMENSIONS);
+
+const analyticsFilters = [
+  can('analytics:view'),
+  query(['from', 'to']).optional().isISO8601().withMessage('Dates must be valid dates'),
+  query('granularity').optional().isIn(GRANULARITIES)
+    .withMessage(`Granularity must be one of: ${GRANULARITIES.join(', ')}`),
+  query('timezone').optional().custom(timezone => {
+    // Throws a RangeError for unknown time zones
+    Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  }).withMessage('Timezone must be an IANA time zone, e.g. Asia/Karachi'),
+  query('groupBy').optional().isIn(GROUP_BY)
+    .withMessage(`Group by must be one of: ${GROUP_BY.join(', ')}`),
+  query('category').optional().isIn(Task.CATEGORIES)
+    .withMessage(`Category must be one of: ${Task.CATEGORIES.join(', ')}`),
+  query('city').optional().isString().trim().isLength({ max: 100 })
+    .withMessage('City cannot be more than 100 characters')
+];
+
+router.get('/analytics', [...analyticsFilters, validate()], getAnalytics);
+router.get('/analytics/export', [...analyticsFilters, validate()], exportAnalytics);
+
+module.exports = router;
@@ -6,20 +6,35 @@ const {
   updateApplicationStatus,
   getApplicationById
 } = require('../controllers/application.controller');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  getMessages,
+  sendMessage,
+  markMessagesRead,
+  getMessageAttachment
+} = require('../controllers/message.controller');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const validationSchemas = require('../utils/validationSchemas');
 const { param, body } = require('express-validator');
+const pagination = require('../middleware/pagination');
+const { messageAttachmentUpload } = require('../middleware/fileUpload');
 
 // All routes require authentication
 router.use(protect);
 
 // Create new application (talent only)
-router.post('/', authorize('talent'), validate(validationSchemas.createApplication), createApplication);
+router.post(
+  '/',
+  authorize('talent'),
+  requireVerifiedEmail,
+  validate(validationSchemas.createApplication),
+  createApplication
+);
 
 // Route for frontend compatibility to apply to a task
 router.post('/tasks/:taskId/apply', [
   authorize('talent'),
+  requireVerifiedEmail,
   param('taskId').isMongoId().withMessage('Invalid task ID'),
   body('coverLetter').isString().trim().isLength({ min: 50, max: 1000 }).withMessage('Cover letter must be between 50 and 1000 characters'),
   body('proposedBudget').isNumeric().withMessage('Proposed budget must be a number'),
@@ -46,4 +61,25 @@ router.put('/:id', [
   validate(validationSchemas.updateApplicationStatus)
 ], updateApplicationStatus);
 
+// Message thread between the task owner and the applicant
+router.get('/:id/messages', [
+  param('id').isMongoId().withMessage('Invalid application ID format'),
+  validate(),
+  pagination
+], getMessages);
+router.post('/:id/messages', [
+  param('id').isMongoId().withMessage('Invalid application ID format'),
+  messageAttachmentUpload,
+  validate(validationSchemas.sendMessage)
+], sendMessage);
+router.get('/:id/messages/attachments/:file', [
+  param('id').isMongoId().withMessage('Invalid application ID format'),
+  param('file').matches(/^[\w.-]+$/).withMessage('Invalid attachment name'),
+  validate()
+], getMessageAttachment);
+router.put('/:id/messages/read', [
+  param('id').isMongoId().withMessage('Invalid application ID format'),
+  validate()
+], markMessagesRead);
+
 module.exports = router;
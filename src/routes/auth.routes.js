@@ -8,11 +8,28 @@ const {
   logout,
   refreshToken,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  requestMagicLink,
+  magicLinkLogin,
+  addRole,
+  switchRole,
+  verifyEmail,
+  resendVerificationEmail,
+  sendPhoneVerification,
+  verifyPhone,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  deleteSession,
+  deleteOtherSessions
 } = require('../controllers/auth.controller');
 const { protect } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const validationSchemas = require('../utils/validationSchemas');
+const { param } = require('express-validator');
 
 // Public routes
 router.post('/register', validate(validationSchemas.register), register);
@@ -24,9 +41,34 @@ router.post('/google/talent', validate(validationSchemas.googleAuth), googleAuth
 router.post('/refresh-token', validate(validationSchemas.refreshToken), refreshToken);
 router.post('/forgot-password', validate(validationSchemas.forgotPassword), forgotPassword);
 router.put('/reset-password/:token', validate(validationSchemas.resetPassword), resetPassword);
+router.post('/magic-link', validate(validationSchemas.magicLink), requestMagicLink);
+router.post('/magic-link/verify', validate(validationSchemas.magicLinkLogin), magicLinkLogin);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/2fa/verify', validate(validationSchemas.verifyTwoFactorLogin), verifyTwoFactorLogin);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, deleteOtherSessions);
+router.delete('/sessions/:id', [
+  protect,
+  param('id').isMongoId().withMessage('Invalid session ID format'),
+  validate()
+], deleteSession);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+router.post('/phone/otp', protect, validate(validationSchemas.sendPhoneOtp), sendPhoneVerification);
+router.post('/phone/verify', protect, validate(validationSchemas.verifyPhone), verifyPhone);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', protect, validate(validationSchemas.twoFactorCode), confirmTwoFactor);
+router.post('/2fa/disable', protect, validate(validationSchemas.twoFactorCode), disableTwoFactor);
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  validate(validationSchemas.twoFactorCode),
+  regenerateRecoveryCodes
+);
+router.post('/roles', protect, validate(validationSchemas.addRole), addRole);
+router.put('/active-role', protect, validate(validationSchemas.switchRole), switchRole);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getConversations, getUnreadCount } = require('../controllers/message.controller');
+const { protect } = require('../middleware/auth');
+const pagination = require('../middleware/pagination');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', pagination, getConversations);
+router.get('/unread-count', getUnreadCount);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/notification.controller');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const validationSchemas = require('../utils/validationSchemas');
+const { param } = require('express-validator');
+const pagination = require('../middleware/pagination');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', pagination, getNotifications);
+router.put('/read-all', markAllNotificationsRead);
+router.get('/preferences', getNotificationPreferences);
+router.put(
+  '/preferences',
+  validate(validationSchemas.updateNotificationPreferences),
+  updateNotificationPreferences
+);
+router.put('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification ID format'),
+  validate()
+], markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProviders,
+  createTopUp,
+  createPayout,
+  getPayment,
+  handleCallback
+} = require('../controllers/payment.controller');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const validationSchemas = require('../utils/validationSchemas');
+
+// Gateway callbacks (public, verified by signature)
+router.post('/callbacks/:provider', handleCallback);
+
+// Protected routes
+router.get('/providers', protect, getProviders);
+router.post('/top-ups', protect, validate(validationSchemas.createPayment), createTopUp);
+router.post('/payouts', protect, validate(validationSchemas.createPayment), createPayout);
+router.get('/:reference', protect, getPayment);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { createReport } = require('../controllers/report.controller');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const validationSchemas = require('../utils/validationSchemas');
+
+// All routes require authentication
+router.use(protect);
+
+router.post('/', validate(validationSchemas.createReport), createReport);
+
+module.exports = router;
@@ -11,13 +11,28 @@ const {
   getFeaturedTasks,
   getMapMarkers,
   updateTaskStatus,
+  getTaskHistory,
   getTaskApplications
 } = require('../controllers/task.controller');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  getMilestones,
+  submitMilestone,
+  approveMilestone,
+  requestMilestoneRevision
+} = require('../controllers/milestone.controller');
+const { createTaskReview, getTaskReviews } = require('../controllers/review.controller');
+const {
+  protect,
+  identify,
+  authorize,
+  can,
+  requireVerifiedEmail
+} = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const validationSchemas = require('../utils/validationSchemas');
 const { param, query } = require('express-validator');
 const pagination = require('../middleware/pagination');
+const { taskAttachmentUpload } = require('../middleware/fileUpload');
 
 // Public routes
 router.get('/', pagination, getTasks);
@@ -28,34 +43,91 @@ router.get('/nearby', [
   query('lng').notEmpty().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be a valid number between -180 and 180'),
   query('radius').optional().isNumeric().withMessage('Radius must be a number')
 ], validate(), getNearbyTasks);
-router.get('/:id', param('id').isMongoId().withMessage('Invalid task ID format'), getTask);
+router.get('/:id', [
+  identify,
+  param('id').isMongoId().withMessage('Invalid task ID format')
+], getTask);
 
 // Protected routes
-router.post('/', protect, authorize('user'), validate(validationSchemas.createTask), createTask);
+router.post(
+  '/',
+  protect,
+  can('task:create'),
+  requireVerifiedEmail,
+  validate(validationSchemas.createTask),
+  createTask
+);
 router.put('/:id', [
   protect,
-  authorize('user'),
+  can('task:update', 'task:update:any'),
   param('id').isMongoId().withMessage('Invalid task ID format'),
   validate(validationSchemas.updateTask)
 ], updateTask);
 router.delete('/:id', [
-  protect, 
-  authorize('user'), 
+  protect,
+  can('task:delete', 'task:delete:any'),
   param('id').isMongoId().withMessage('Invalid task ID format')
 ], deleteTask);
 router.put('/:id/status', [
-    protect,
-    authorize('user'),
-    param('id').isMongoId().withMessage('Invalid task ID format')
+  protect,
+  can('task:status:update', 'task:update:any'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate(validationSchemas.updateTaskStatus)
 ], updateTaskStatus);
+router.get('/:id/history', [
+  protect,
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate()
+], getTaskHistory);
 router.get('/me/tasks', protect, authorize('user'), getUserTasks);
 
 // Route to get applications for a specific task, only accessible by the task owner
 router.get('/:taskId/applications', [
   protect,
-  authorize('user'),
+  can('application:view', 'application:view:any'),
   param('taskId').isMongoId().withMessage('Invalid task ID format'),
   validate()
 ], getTaskApplications);
 
+// Milestone routes
+router.get('/:id/milestones', [
+  protect,
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate()
+], getMilestones);
+router.post('/:id/milestones/:milestoneId/submit', [
+  protect,
+  authorize('talent'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  param('milestoneId').isMongoId().withMessage('Invalid milestone ID format'),
+  taskAttachmentUpload,
+  validate(validationSchemas.submitMilestone)
+], submitMilestone);
+router.put('/:id/milestones/:milestoneId/approve', [
+  protect,
+  can('milestone:review', 'milestone:review:any'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  param('milestoneId').isMongoId().withMessage('Invalid milestone ID format'),
+  validate(validationSchemas.reviewMilestone)
+], approveMilestone);
+router.put('/:id/milestones/:milestoneId/request-revision', [
+  protect,
+  can('milestone:review', 'milestone:review:any'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  param('milestoneId').isMongoId().withMessage('Invalid milestone ID format'),
+  validate(validationSchemas.requestMilestoneRevision)
+], requestMilestoneRevision);
+
+// Review routes
+router.get('/:id/reviews', [
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate()
+], getTaskReviews);
+router.post('/:id/reviews', [
+  protect,
+  authorize('user', 'talent'),
+  param('id').isMongoId().withMessage('Invalid task ID format'),
+  validate(validationSchemas.createReview)
+], createTaskReview);
+
 module.exports = router;
@@ -8,13 +8,20 @@ const {
   getUsers,
   getUserTasks
 } = require('../controllers/user.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { getAccountReviews } = require('../controllers/review.controller');
+const { protect, authorize, can } = require('../middleware/auth');
 const { validate } = require('../middleware/validator');
 const validationSchemas = require('../utils/validationSchemas');
 const { param } = require('express-validator');
+const pagination = require('../middleware/pagination');
 
 // Public routes
 router.get('/:id', param('id').isMongoId().withMessage('Invalid user ID format'), getUserProfile);
+router.get('/:id/reviews', [
+  param('id').isMongoId().withMessage('Invalid user ID format'),
+  validate(),
+  pagination
+], getAccountReviews);
 
 // Protected routes
 router.put('/complete-profile', protect, validate(validationSchemas.completeProfile), completeProfile);
@@ -23,7 +30,7 @@ router.put('/', protect, validate(validationSchemas.completeProfile), updateProf
 router.delete('/', protect, deleteAccount);
 router.get('/tasks', protect, authorize('user'), getUserTasks);
 
-// Admin routes
-router.get('/', protect, authorize('admin'), getUsers);
+// Staff routes
+router.get('/', protect, can('user:view:any'), getUsers);
 
 module.exports = router;
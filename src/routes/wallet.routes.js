@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWallet,
+  getTransactions,
+  creditWallet,
+  getReconciliation
+} = require('../controllers/wallet.controller');
+const { protect, can } = require('../middleware/auth');
+const { validate } = require('../middleware/validator');
+const validationSchemas = require('../utils/validationSchemas');
+const pagination = require('../middleware/pagination');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', getWallet);
+router.get('/transactions', [
+  pagination,
+  validate(validationSchemas.walletTransactions)
+], getTransactions);
+
+// Admin routes
+router.post('/credit', [
+  can('wallet:credit'),
+  validate(validationSchemas.creditWallet)
+], creditWallet);
+router.get('/reconcile', can('wallet:reconcile'), getReconciliation);
+
+module.exports = router;
@@ -0,0 +1,275 @@
+const Task = require('../models/task.model');
+const Application = require('../models/application.model');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Task fields each breakdown groups by
+const DIMENSIONS = {
+  category: 'category',
+  city: 'address.city'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Start of the period a date falls in, in the given time zone
+ * @param {String} date - Date field path, e.g. '$createdAt'
+ * @param {Object} options - { granularity, timezone }
+ * @returns {Object} - Aggregation expression
+ */
+const periodOf = (date, { granularity, timezone }) => {
+  const expression = { date, unit: granularity, timezone };
+  if (granularity === 'week') expression.startOfWeek = 'monday';
+  return { $dateTrunc: expression };
+};
+
+/**
+ * Match on the breakdown filters, for tasks or for the task joined to an application
+ * @param {Object} filters - { category, city }
+ * @param {String} [prefix] - Path of the task, e.g. 'task.'
+ * @returns {Object}
+ */
+const taskFilter = ({ category, city }, prefix = '') => {
+  const filter = {};
+  if (category) filter[`${prefix}${DIMENSIONS.category}`] = category;
+  if (city) filter[`${prefix}${DIMENSIONS.city}`] = city;
+  return filter;
+};
+
+/**
+ * Run one pipeline grouped twice: per period (and breakdown value) for the
+ * series, and over the whole range for the summary
+ * @param {Model} Model - Task or Application
+ * @param {Object[]} stages - Stages before grouping; they set `period` and `dimension`
+ * @param {Object} accumulators - $group accumulators
+ * @returns {Promise<Object>} - { series, summary }
+ */
+const groupBoth = async (Model, stages, accumulators) => {
+  // Sets of accounts are only needed for their size
+  const sizes = {};
+  Object.keys(accumulators)
+    .filter(name => accumulators[name].$addToSet)
+    .forEach(name => {
+      sizes[name] = { $size: `$${name}` };
+    });
+
+  const [result] = await Model.aggregate([
+    ...stages,
+    {
+      $facet: {
+        series: [
+          { $group: { _id: { period: '$period', dimension: '$dimension' }, ...accumulators } },
+          { $addFields: sizes }
+        ],
+        summary: [
+          { $group: { _id: null, ...accumulators } },
+          { $addFields: sizes }
+        ]
+      }
+    }
+  ]).allowDiskUse(true);
+
+  return { series: result.series, summary: result.summary[0] };
+};
+
+// Median of a duration in milliseconds; missing durations are ignored
+const medianOf = (end, start) => ({
+  $median: { input: { $subtract: [end, start] }, method: 'approximate' }
+});
+
+// Agreed price of hired tasks that have not been cancelled, in one currency
+const gmvIn = (currency) => ({
+  $sum: {
+    $cond: [
+      {
+        $and: [
+          { $eq: ['$agreed.currency', currency] },
+          { $in: ['$status', ['in-progress', 'completed']] }
+        ]
+      },
+      '$agreed.amount',
+      0
+    ]
+  }
+});
+
+/**
+ * Task metrics, grouped by when tasks were posted: counts, hires,
+ * completions, median times to the first application and to the hire, GMV
+ * and the accounts that posted
+ */
+const taskMetrics = (options) => {
+  const { from, to, groupBy, filters } = options;
+
+  return groupBoth(Task, [
+    { $match: { createdAt: { $gte: from, $lt: to }, ...taskFilter(filters) } },
+    {
+      $lookup: {
+        from: Application.collection.name,
+        localField: '_id',
+        foreignField: 'task',
+        pipeline: [{ $sort: { createdAt: 1 } }, { $limit: 1 }, { $project: { createdAt: 1 } }],
+        as: 'firstApplication'
+      }
+    },
+    {
+      $lookup: {
+        from: Application.collection.name,
+        localField: 'hiredApplication',
+        foreignField: '_id',
+        pipeline: [{ $project: { amount: '$proposedBudget', currency: 1 } }],
+        as: 'agreed'
+      }
+    },
+    {
+      $project: {
+        user: 1,
+        status: 1,
+        createdAt: 1,
+        period: periodOf('$createdAt', options),
+        dimension: groupBy ? `$${DIMENSIONS[groupBy]}` : { $literal: null },
+        firstApplicationAt: { $first: '$firstApplication.createdAt' },
+        // The first hire counts, even if the talent was later released
+        hiredAt: {
+          $min: {
+            $map: {
+              input: {
+                $filter: { input: '$statusHistory', cond: { $eq: ['$$this.to', 'in-progress'] } }
+              },
+              in: '$$this.at'
+            }
+          }
+        },
+        agreed: { $first: '$agreed' }
+      }
+    }
+  ], {
+    tasksPosted: { $sum: 1 },
+    hires: { $sum: { $cond: [{ $gt: ['$hiredAt', null] }, 1, 0] } },
+    completions: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+    msToFirstApplication: medianOf('$firstApplicationAt', '$createdAt'),
+    msToHire: medianOf('$hiredAt', '$createdAt'),
+    gmvPKR: gmvIn('PKR'),
+    gmvUSD: gmvIn('USD'),
+    posters: { $addToSet: '$user' }
+  });
+};
+
+/**
+ * Application metrics, grouped by when applications were sent: counts and
+ * the accounts that applied
+ */
+const applicationMetrics = (options) => {
+  const { from, to, groupBy, filters } = options;
+
+  return groupBoth(Application, [
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $lookup: {
+        from: Task.collection.name,
+        localField: 'task',
+        foreignField: '_id',
+        pipeline: [{ $project: { [DIMENSIONS.category]: 1, [DIMENSIONS.city]: 1 } }],
+        as: 'task'
+      }
+    },
+    { $unwind: '$task' },
+    { $match: taskFilter(filters, 'task.') },
+    {
+      $project: {
+        talent: 1,
+        period: periodOf('$createdAt', options),
+        dimension: groupBy ? `$task.${DIMENSIONS[groupBy]}` : { $literal: null }
+      }
+    }
+  ], {
+    applications: { $sum: 1 },
+    applicants: { $addToSet: '$talent' }
+  });
+};
+
+// Share rounded to four places, or null when there is nothing to divide by
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 10000 : null);
+
+// Milliseconds as hours rounded to one place
+const hours = (ms) => (typeof ms === 'number' ? Math.round((ms / HOUR_MS) * 10) / 10 : null);
+
+/**
+ * Combine the task and application groups for one period into a row
+ * @param {Object} [tasks] - Task group
+ * @param {Object} [applications] - Application group
+ * @returns {Object}
+ */
+const toMetrics = (tasks = {}, applications = {}) => {
+  const tasksPosted = tasks.tasksPosted || 0;
+  const hires = tasks.hires || 0;
+  const completions = tasks.completions || 0;
+
+  return {
+    tasksPosted,
+    applications: applications.applications || 0,
+    hires,
+    hireRate: rate(hires, tasksPosted),
+    completions,
+    completionRate: rate(completions, hires),
+    medianHoursToFirstApplication: hours(tasks.msToFirstApplication),
+    medianHoursToHire: hours(tasks.msToHire),
+    gmv: {
+      PKR: tasks.gmvPKR || 0,
+      USD: tasks.gmvUSD || 0
+    },
+    activeUsers: tasks.posters || 0,
+    activeTalents: applications.applicants || 0
+  };
+};
+
+/**
+ * Platform metrics over a date range, as a summary of the whole range and a
+ * series per period, optionally broken down by task category or city.
+ * Task metrics (posted, hires, completions, times, GMV, active users) follow
+ * tasks by the date they were posted; applications and active talents follow
+ * applications by the date they were sent. Periods with no activity are left out.
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range, not included
+ * @param {String} options.granularity - 'day', 'week' or 'month'
+ * @param {String} options.timezone - Time zone periods start in
+ * @param {String} [options.groupBy] - 'category' or 'city'
+ * @param {Object} [options.filters] - { category, city }
+ * @returns {Promise<Object>} - { summary, series }
+ */
+const getPlatformMetrics = async (options) => {
+  const settings = { filters: {}, ...options };
+  const [tasks, applications] = await Promise.all([
+    taskMetrics(settings),
+    applicationMetrics(settings)
+  ]);
+
+  const keyOf = ({ _id }) => `${_id.period.toISOString()}|${_id.dimension}`;
+  const rows = new Map();
+  tasks.series.forEach(group => rows.set(keyOf(group), { _id: group._id, tasks: group }));
+  applications.series.forEach(group => {
+    const row = rows.get(keyOf(group)) || { _id: group._id };
+    rows.set(keyOf(group), { ...row, applications: group });
+  });
+
+  const series = [...rows.values()]
+    .map(({ _id, tasks: taskGroup, applications: applicationGroup }) => ({
+      period: _id.period,
+      ...(settings.groupBy ? { [settings.groupBy]: _id.dimension } : {}),
+      ...toMetrics(taskGroup, applicationGroup)
+    }))
+    .sort((a, b) => (a.period - b.period)
+      || String(a[settings.groupBy] || '').localeCompare(String(b[settings.groupBy] || '')));
+
+  return {
+    summary: toMetrics(tasks.summary, applications.summary),
+    series
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  DIMENSIONS,
+  getPlatformMetrics
+};
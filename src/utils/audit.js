@@ -0,0 +1,126 @@
+const AuditEvent = require('../models/auditEvent.model');
+const { currentRequest } = require('../middleware/requestContext');
+const { EVENTS, onDomainEvent } = require('./events');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+/**
+ * Fields compared for each target type. Anything not listed, like passwords
+ * and tokens, never reaches the audit log.
+ */
+const AUDITED_FIELDS = {
+  user: [
+    'name', 'phone', 'bio', 'location', 'picture', 'skills', 'hourlyRate', 'address',
+    'city', 'country', 'postalCode', 'language', 'profileCompleted'
+  ],
+  task: [
+    'title', 'description', 'budget', 'currency', 'location', 'category', 'deadlineDate',
+    'address', 'coordinates', 'milestones', 'status', 'visibility'
+  ],
+  application: ['status', 'proposedBudget', 'coverLetter']
+};
+
+// Plain JSON values, so dates, ObjectIds and subdocuments compare and store cleanly
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Copy the audited fields of a document, to compare with it after a change
+ * @param {String} targetType - Key of AUDITED_FIELDS
+ * @param {Document} doc - Mongoose document
+ * @returns {Object}
+ */
+const snapshot = (targetType, doc) => AUDITED_FIELDS[targetType].reduce((values, field) => {
+  const value = toPlain(doc.get(field));
+  if (value !== undefined) values[field] = value;
+  return values;
+}, {});
+
+/**
+ * Fields that differ between two snapshots
+ * @param {Object} [before] - Missing for created documents
+ * @param {Object} [after] - Missing for deleted documents
+ * @returns {Object[]} - [{ field, before, after }]
+ */
+const diffChanges = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Append an event to the audit log. Failures are logged rather than failing
+ * the request that caused the event.
+ * @param {Object} [req] - Express request object, for the actor, IP and request ID
+ * @param {Object} event
+ * @param {String} event.action - One of AuditEvent.AUDIT_ACTIONS
+ * @param {ObjectId} [event.actor] - Defaults to the signed-in account
+ * @param {String} [event.targetType] - 'user', 'task' or 'application'
+ * @param {ObjectId} [event.target] - ID of the account or document
+ * @param {Object} [event.before] - Snapshot before the change
+ * @param {Object} [event.after] - Snapshot after the change
+ * @param {Object} [event.metadata] - Anything else worth keeping
+ * @returns {Promise<Document|undefined>} - The audit event
+ */
+const recordAuditEvent = async (req, event) => {
+  const { action, actor, targetType, target, before, after, metadata } = event;
+  const request = req || {};
+
+  try {
+    return await AuditEvent.create({
+      action,
+      actor: actor || request.userId,
+      actorRole: request.role,
+      targetType,
+      target,
+      changes: diffChanges(before, after),
+      ip: request.ip,
+      userAgent: request.get && request.get('user-agent'),
+      requestId: request.id,
+      metadata
+    });
+  } catch (err) {
+    logger.error(`Audit event ${action} could not be recorded: ${err.message}`);
+    return undefined;
+  }
+};
+
+/**
+ * Record task status transitions and application decisions, wherever they
+ * are made. The request that caused them is looked up from the request context.
+ */
+const registerAuditListeners = () => {
+  onDomainEvent(EVENTS.TASK_STATUS_CHANGED, ({ task, from, to, actorId, reason }) => (
+    recordAuditEvent(currentRequest(), {
+      action: 'task.status_change',
+      actor: actorId,
+      targetType: 'task',
+      target: task._id,
+      before: { status: from },
+      after: { status: to },
+      metadata: reason ? { reason } : undefined
+    })
+  ));
+
+  onDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, ({ application, task, from, to, actorId }) => (
+    recordAuditEvent(currentRequest(), {
+      action: 'application.status_change',
+      actor: actorId,
+      targetType: 'application',
+      target: application._id,
+      before: { status: from },
+      after: { status: to },
+      metadata: { task: task._id }
+    })
+  ));
+};
+
+module.exports = {
+  AUDITED_FIELDS,
+  snapshot,
+  diffChanges,
+  recordAuditEvent,
+  registerAuditListeners
+};
@@ -0,0 +1,223 @@
+const AuthThrottle = require('../models/authThrottle.model');
+const { ApiError } = require('../middleware/error');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Limits per action and per kind of subject. Within `windowMs`, attempts after
+ * the first `freeAttempts` must wait `delayMs`, doubling each time up to
+ * `maxDelayMs`, and reaching `limit` locks the subject out for `lockMs`.
+ * IP limits are looser since many users can share one address.
+ */
+const policies = () => {
+  const loginLockMs = Number(process.env.LOGIN_LOCK_MINUTES || 15) * MINUTE_MS;
+
+  return {
+    login: {
+      account: {
+        limit: Number(process.env.LOGIN_MAX_FAILURES || 10),
+        windowMs: 15 * MINUTE_MS,
+        lockMs: loginLockMs,
+        freeAttempts: 3,
+        delayMs: 1000,
+        maxDelayMs: 30 * 1000
+      },
+      ip: {
+        limit: Number(process.env.LOGIN_IP_MAX_FAILURES || 50),
+        windowMs: 15 * MINUTE_MS,
+        lockMs: loginLockMs,
+        freeAttempts: 20,
+        delayMs: 1000,
+        maxDelayMs: 10 * 1000
+      }
+    },
+    // Every request counts here, not only failures, so emails can't be used to
+    // flood an inbox
+    forgotPassword: {
+      account: { limit: 5, windowMs: HOUR_MS, lockMs: HOUR_MS },
+      ip: { limit: 20, windowMs: HOUR_MS, lockMs: HOUR_MS }
+    },
+    magicLink: {
+      account: { limit: 5, windowMs: HOUR_MS, lockMs: HOUR_MS },
+      ip: { limit: 20, windowMs: HOUR_MS, lockMs: HOUR_MS }
+    },
+    // Reset and sign-in tokens don't identify an account until they match,
+    // so guesses are counted per address
+    resetPassword: {
+      ip: {
+        limit: 10,
+        windowMs: 15 * MINUTE_MS,
+        lockMs: HOUR_MS,
+        freeAttempts: 3,
+        delayMs: 1000,
+        maxDelayMs: 30 * 1000
+      }
+    },
+    magicLinkLogin: {
+      ip: {
+        limit: 10,
+        windowMs: 15 * MINUTE_MS,
+        lockMs: HOUR_MS,
+        freeAttempts: 3,
+        delayMs: 1000,
+        maxDelayMs: 30 * 1000
+      }
+    }
+  };
+};
+
+const LOCK_MESSAGES = {
+  account: 'Too many failed attempts for this account. It is temporarily locked, '
+    + 'please try again later or reset your password',
+  ip: 'Too many failed attempts from this network. Please try again later'
+};
+
+/**
+ * Subjects to track for a request: its IP address and, when given, the
+ * account email it targets. Unknown emails are tracked too so responses don't
+ * reveal which accounts exist.
+ * @param {Object} req - Express request object
+ * @param {String} [email] - Account email from the request
+ * @returns {Object[]} - [{ kind, value }]
+ */
+const subjectsFor = (req, email) => {
+  const subjects = [{ kind: 'ip', value: req.ip }];
+  if (email) {
+    subjects.push({ kind: 'account', value: String(email).trim().toLowerCase() });
+  }
+  return subjects;
+};
+
+const keyFor = (action, { kind, value }) => `${action}:${kind}:${value}`;
+
+/**
+ * Build a 429 error that tells the client when to try again
+ * @param {String} message - Error message
+ * @param {Number} waitMs - Time until the next attempt is allowed
+ * @returns {ApiError} - Error with `retryAfter` in seconds
+ */
+const tooManyAttempts = (message, waitMs) => {
+  const error = new ApiError(message, 429);
+  error.retryAfter = Math.max(Math.ceil(waitMs / 1000), 1);
+  return error;
+};
+
+/**
+ * Reject the request while any of its subjects is locked out or still has to
+ * wait after its last failure
+ * @param {String} action - Action with a policy, e.g. 'login'
+ * @param {Object[]} subjects - From subjectsFor
+ * @throws {ApiError} - 429 with `retryAfter`
+ */
+const assertNotThrottled = async (action, subjects) => {
+  const now = Date.now();
+  const entries = await AuthThrottle.find({
+    key: { $in: subjects.map(subject => keyFor(action, subject)) },
+    $or: [{ lockedUntil: { $gt: now } }, { nextAttemptAt: { $gt: now } }]
+  });
+
+  const locked = entries.find(entry => entry.lockedUntil && entry.lockedUntil > now);
+  if (locked) {
+    throw tooManyAttempts(LOCK_MESSAGES[locked.kind], locked.lockedUntil - now);
+  }
+
+  if (entries.length > 0) {
+    const waitMs = Math.max(...entries.map(entry => entry.nextAttemptAt - now));
+    throw tooManyAttempts(
+      `Too many attempts. Please wait ${Math.ceil(waitMs / 1000)} seconds before trying again`,
+      waitMs
+    );
+  }
+};
+
+/**
+ * Count an attempt against each subject the action has a policy for, setting
+ * the progressive delay and locking subjects that reach their limit
+ * @param {String} action - Action with a policy, e.g. 'login'
+ * @param {Object[]} subjects - From subjectsFor
+ * @returns {Promise<Object[]>} - Subjects locked by this attempt, with lockedUntil
+ */
+const recordAttempt = async (action, subjects) => {
+  const rules = policies()[action];
+  const locked = [];
+
+  for (const subject of subjects) {
+    const policy = rules[subject.kind];
+    if (!policy) continue;
+
+    const now = new Date();
+    const inWindow = {
+      $gt: [{ $ifNull: ['$windowStartedAt', new Date(0)] }, new Date(now - policy.windowMs)]
+    };
+
+    // Counted atomically, so parallel attempts can't slip past the limit
+    const entry = await AuthThrottle.findOneAndUpdate(
+      { key: keyFor(action, subject) },
+      [{
+        $set: {
+          action,
+          kind: subject.kind,
+          count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+          windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+          lastAttemptAt: now,
+          expiresAt: new Date(now.getTime() + policy.windowMs)
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    if (entry.count >= policy.limit) {
+      const lockedUntil = new Date(now.getTime() + policy.lockMs);
+      // Start counting afresh once the lockout ends
+      await AuthThrottle.updateOne({ _id: entry._id }, {
+        $set: { count: 0, lockedUntil, expiresAt: lockedUntil },
+        $unset: { windowStartedAt: 1, nextAttemptAt: 1 }
+      });
+      locked.push({ ...subject, lockedUntil });
+    } else if (policy.freeAttempts !== undefined && entry.count > policy.freeAttempts) {
+      const delayMs = Math.min(
+        policy.delayMs * 2 ** (entry.count - policy.freeAttempts - 1),
+        policy.maxDelayMs
+      );
+      await AuthThrottle.updateOne(
+        { _id: entry._id },
+        { nextAttemptAt: new Date(now.getTime() + delayMs) }
+      );
+    }
+  }
+
+  return locked;
+};
+
+/**
+ * Forget the attempts of subjects, e.g. an account after it signs in
+ * @param {String} action - Action with a policy, e.g. 'login'
+ * @param {Object[]} subjects - From subjectsFor
+ */
+const clearAttempts = async (action, subjects) => {
+  await AuthThrottle.deleteMany({
+    key: { $in: subjects.map(subject => keyFor(action, subject)) }
+  });
+};
+
+/**
+ * Lift every lockout and delay on an account email, for all actions
+ * @param {String} email - Account email
+ * @returns {Promise<Number>} - Entries removed
+ */
+const unlockAccount = async (email) => {
+  const value = String(email).trim().toLowerCase();
+  const { deletedCount } = await AuthThrottle.deleteMany({
+    key: { $in: Object.keys(policies()).map(action => keyFor(action, { kind: 'account', value })) }
+  });
+  return deletedCount;
+};
+
+module.exports = {
+  subjectsFor,
+  assertNotThrottled,
+  recordAttempt,
+  clearAttempts,
+  unlockAccount
+};
@@ -0,0 +1,34 @@
+/**
+ * Format one CSV cell. Objects are written as JSON, and text starting with a
+ * formula character is prefixed so spreadsheets don't evaluate it.
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line, ending with CRLF as RFC 4180 asks
+ * @param {Array} values - Cells in column order
+ * @returns {String}
+ */
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+module.exports = {
+  toCsvCell,
+  toCsvRow
+};
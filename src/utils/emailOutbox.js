@@ -0,0 +1,123 @@
+const OutboxEmail = require('../models/outboxEmail.model');
+const emailService = require('./emailService');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+// How long a worker may hold an email before another run can retry it
+const LOCK_MS = 5 * 60 * 1000;
+
+let workerTimer = null;
+let running = false;
+
+/**
+ * Claim the next email that is due, or whose previous claim has expired
+ * @returns {Promise<Document|null>}
+ */
+const claimNext = () => {
+  const now = new Date();
+
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'sending',
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Deliver due emails from the outbox. Failures are retried with exponential
+ * backoff and dead-lettered after maxAttempts.
+ * @param {Object} [options]
+ * @param {Number} [options.limit=50] - Most emails to handle in this run
+ * @returns {Promise<Object>} - { sent, retrying, dead }
+ */
+const processOutbox = async ({ limit = 50 } = {}) => {
+  const result = { sent: 0, retrying: 0, dead: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const email = await claimNext();
+    if (!email) break;
+
+    try {
+      const info = await emailService.deliver(email);
+
+      email.status = 'sent';
+      email.sentAt = Date.now();
+      email.messageId = info && info.messageId;
+      email.transport = emailService.transport.name;
+      email.lockedUntil = undefined;
+      email.lastError = undefined;
+      result.sent += 1;
+    } catch (error) {
+      email.recordFailure(error);
+      email.transport = emailService.transport.name;
+
+      if (email.status === 'dead') {
+        logger.error(
+          `Email ${email._id} dead after ${email.attempts} attempts: ${error.message}`
+        );
+        result.dead += 1;
+      } else {
+        logger.warn(
+          `Email ${email._id} failed, retrying at ${email.nextAttemptAt.toISOString()}: `
+          + error.message
+        );
+        result.retrying += 1;
+      }
+    }
+
+    await email.save();
+  }
+
+  return result;
+};
+
+/**
+ * Poll the outbox in the background
+ * @param {Object} [options]
+ * @param {Number} [options.intervalMs] - Poll interval (EMAIL_OUTBOX_INTERVAL_MS, default 5s)
+ */
+const startOutboxWorker = ({
+  intervalMs = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS || 5000)
+} = {}) => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      logger.error(`Email outbox run failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  workerTimer.unref();
+
+  logger.info(`Email outbox worker started (every ${intervalMs}ms)`);
+};
+
+/**
+ * Stop polling the outbox
+ */
+const stopOutboxWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker
+};
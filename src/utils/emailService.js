@@ -1,120 +1,118 @@
-const nodemailer = require('nodemailer');
 const { createLogger } = require('./logger');
+const { renderEmail } = require('./emailTemplates');
+const { createTransport } = require('./emailTransports');
+const Notification = require('../models/notification.model');
+const OutboxEmail = require('../models/outboxEmail.model');
 
 const logger = createLogger();
 
 /**
- * Email service for sending transactional emails
+ * Absolute frontend URL for a path
+ * @param {String} [path] - e.g. /tasks/:id
+ * @returns {String}
+ */
+const frontendUrl = (path = '') => `${process.env.FRONTEND_URL || 'https://kamnet.pk'}${path}`;
+
+/**
+ * Email service for sending transactional emails.
+ * Emails are queued in the outbox and delivered by the outbox worker
+ * (see utils/emailOutbox), so a slow or failing mail server never fails a request.
  */
 class EmailService {
   constructor() {
-    // Create reusable transporter based on environment
-    if (process.env.NODE_ENV === 'production') {
-      this.transporter = nodemailer.createTransport({
-        host: process.env.EMAIL_HOST,
-        port: process.env.EMAIL_PORT,
-        secure: process.env.EMAIL_PORT === '465',
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASSWORD,
-        },
-      });
-    } else {
-      // For development, use Ethereal (fake SMTP service)
-      this.createDevTransport();
-    }
+    this.transport = createTransport();
   }
 
   /**
-   * Create a development email transport using Ethereal
+   * Replace the transport used to deliver emails
+   * 
+   * @param {Object} transport - Object with a name and send(message)
    */
-  async createDevTransport() {
-    try {
-      // Generate test account for development
-      const testAccount = await nodemailer.createTestAccount();
-
-      this.transporter = nodemailer.createTransport({
-        host: 'smtp.ethereal.email',
-        port: 587,
-        secure: false,
-        auth: {
-          user: testAccount.user,
-          pass: testAccount.pass,
-        },
-      });
+  setTransport(transport) {
+    this.transport = transport;
+  }
 
-      logger.info(`Development email configured with Ethereal: ${testAccount.user}`);
-    } catch (error) {
-      logger.error('Failed to create development email transport:', error);
-    }
+  /**
+   * Absolute frontend URL for a path, for links and redirects into the app
+   * 
+   * @param {String} [path] - e.g. /login
+   * @returns {String}
+   */
+  frontendUrl(path) {
+    return frontendUrl(path);
   }
 
   /**
-   * Send email
+   * Queue an email for delivery
    * 
    * @param {Object} options - Email options
    * @param {String} options.to - Recipient email
    * @param {String} options.subject - Email subject
    * @param {String} options.text - Plain text email content
    * @param {String} options.html - HTML email content
-   * @returns {Promise} - Email sending result
+   * @returns {Promise<Document>} - Queued outbox email
    */
   async sendEmail(options) {
-    try {
-      const { to, subject, text, html } = options;
-
-      // Setup email data
-      const mailOptions = {
-        from: `Kamnet Marketplace <${process.env.EMAIL_FROM || 'noreply@kamnet.pk'}>`,
-        to,
-        subject,
-        text,
-        html: html || text
-      };
-
-      // Send email
-      const info = await this.transporter.sendMail(mailOptions);
-
-      if (process.env.NODE_ENV !== 'production') {
-        // Log preview URL in development
-        logger.info(`Email sent: ${info.messageId}`);
-        logger.info(`Preview URL: ${nodemailer.getTestMessageUrl(info)}`);
-      } else {
-        logger.info(`Email sent to ${to}: ${subject}`);
-      }
+    const { to, subject, text, html } = options;
 
-      return info;
-    } catch (error) {
-      logger.error(`Failed to send email to ${options.to}:`, error);
-      throw new Error('Email could not be sent');
-    }
+    const email = await OutboxEmail.create({
+      from: `Kamnet Marketplace <${process.env.EMAIL_FROM || 'noreply@kamnet.pk'}>`,
+      to,
+      subject,
+      text,
+      html: html || text
+    });
+
+    logger.info(`Email queued for ${to}: ${subject}`);
+    return email;
+  }
+
+  /**
+   * Deliver a queued email through the transport
+   * 
+   * @param {Document} email - Outbox email
+   * @returns {Promise<Object>} - Transport result with messageId
+   */
+  async deliver(email) {
+    const info = await this.transport.send({
+      from: email.from,
+      to: email.to,
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    });
+
+    logger.info(`Email sent to ${email.to} via ${this.transport.name}: ${info.messageId}`);
+    return info;
+  }
+
+  /**
+   * Render a catalog template and queue it
+   * 
+   * @param {String} name - Template name, e.g. 'application-accepted'
+   * @param {Object} options - Template options
+   * @param {String} options.to - Recipient email
+   * @param {String} [options.locale] - 'en' or 'ur', defaults to English
+   * @param {Object} options.data - Template variables
+   * @returns {Promise} - Email sending result
+   */
+  async sendTemplateEmail(name, { to, locale, data }) {
+    const { subject, html, text } = renderEmail(name, { locale, data });
+
+    return this.sendEmail({ to, subject, html, text });
   }
 
   /**
    * Send welcome email to new users
    * 
-   * @param {Object} user - User object with name and email
+   * @param {Object} user - User object with name, email and language
    * @returns {Promise} - Email sending result
    */
   async sendWelcomeEmail(user) {
-    return this.sendEmail({
+    return this.sendTemplateEmail('welcome', {
       to: user.email,
-      subject: 'Welcome to Kamnet Marketplace!',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2>Welcome to Kamnet Marketplace, ${user.name}!</h2>
-          <p>Thank you for joining Pakistan's local service marketplace. We're excited to have you on board!</p>
-          <p>With Kamnet, you can:</p>
-          <ul>
-            <li>Post tasks and find talented professionals</li>
-            <li>Browse available tasks in your area</li>
-            <li>Build your professional profile</li>
-          </ul>
-          <p>Get started by <a href="${process.env.FRONTEND_URL || 'https://kamnet.pk'}">logging into your account</a>.</p>
-          <p>If you have any questions, feel free to contact our support team.</p>
-          <p>Best regards,<br>The Kamnet Team</p>
-        </div>
-      `
+      locale: user.language,
+      data: { name: user.name, loginUrl: frontendUrl() }
     });
   }
 
@@ -125,28 +123,88 @@ class EmailService {
    * @param {String} options.email - User's email
    * @param {String} options.token - Reset token
    * @param {String} options.name - User's name
+   * @param {String} [options.language] - User's language
    * @returns {Promise} - Email sending result
    */
-  async sendPasswordResetEmail({ email, token, name }) {
-    const resetUrl = `${process.env.FRONTEND_URL || 'https://kamnet.pk'}/reset-password/${token}`;
+  async sendPasswordResetEmail({ email, token, name, language }) {
+    return this.sendTemplateEmail('password-reset', {
+      to: email,
+      locale: language,
+      data: {
+        name,
+        resetUrl: frontendUrl(`/reset-password/${token}`),
+        expiresInMinutes: 10
+      }
+    });
+  }
 
-    return this.sendEmail({
+  /**
+   * Send email address verification link
+   * 
+   * @param {Object} options - Verification options
+   * @param {String} options.email - Address to verify
+   * @param {String} options.name - User's name
+   * @param {String} [options.language] - User's language
+   * @param {String} options.verifyUrl - Verification link
+   * @param {Date} options.expires - When the link stops working
+   * @returns {Promise} - Email sending result
+   */
+  async sendVerificationEmail({ email, name, language, verifyUrl, expires }) {
+    return this.sendTemplateEmail('verify-email', {
+      to: email,
+      locale: language,
+      data: {
+        name,
+        verifyUrl,
+        expiresInHours: Math.round((expires - Date.now()) / (60 * 60 * 1000))
+      }
+    });
+  }
+
+  /**
+   * Send a single-use sign-in link
+   * 
+   * @param {Object} options - Sign-in link options
+   * @param {String} options.email - User's email
+   * @param {String} options.token - Sign-in token
+   * @param {String} options.name - User's name
+   * @param {String} [options.language] - User's language
+   * @param {Number} options.expires - When the link stops working
+   * @returns {Promise} - Email sending result
+   */
+  async sendMagicLinkEmail({ email, token, name, language, expires }) {
+    return this.sendTemplateEmail('magic-link', {
       to: email,
-      subject: 'Password Reset Request',
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2>Hello, ${name}</h2>
-          <p>You requested a password reset for your Kamnet account.</p>
-          <p>Please click the link below to reset your password. This link will expire in 10 minutes.</p>
-          <p>
-            <a href="${resetUrl}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
-              Reset Password
-            </a>
-          </p>
-          <p>If you did not request this password reset, please ignore this email or contact our support team if you have concerns.</p>
-          <p>Best regards,<br>The Kamnet Team</p>
-        </div>
-      `
+      locale: language,
+      data: {
+        name,
+        loginUrl: frontendUrl(`/magic-login/${token}`),
+        expiresInMinutes: Math.round((expires - Date.now()) / (60 * 1000))
+      }
+    });
+  }
+
+  /**
+   * Tell an account owner that sign-in was locked after failed attempts
+   * 
+   * @param {Object} options - Lockout options
+   * @param {String} options.email - User's email
+   * @param {String} options.name - User's name
+   * @param {String} [options.language] - User's language
+   * @param {Date} options.lockedUntil - When sign-in is allowed again
+   * @param {String} [options.ip] - Address the failed attempts came from
+   * @returns {Promise} - Email sending result
+   */
+  async sendAccountLockedEmail({ email, name, language, lockedUntil, ip }) {
+    return this.sendTemplateEmail('account-locked', {
+      to: email,
+      locale: language,
+      data: {
+        name,
+        ip,
+        lockedMinutes: Math.ceil((lockedUntil - Date.now()) / (60 * 1000)),
+        resetUrl: frontendUrl('/forgot-password')
+      }
     });
   }
 
@@ -156,30 +214,68 @@ class EmailService {
    * @param {Object} options - Notification options
    * @param {String} options.ownerEmail - Task owner's email
    * @param {String} options.ownerName - Task owner's name
+   * @param {String} [options.ownerLanguage] - Task owner's language
    * @param {String} options.taskTitle - Task title
    * @param {String} options.applicantName - Applicant's name
+   * @param {Number} [options.proposedBudget] - Applicant's proposed budget
+   * @param {String} [options.currency] - Budget currency
    * @param {String} options.taskId - Task ID for generating URL
    * @returns {Promise} - Email sending result
    */
-  async sendApplicationNotification({ ownerEmail, ownerName, taskTitle, applicantName, taskId }) {
-    const taskUrl = `${process.env.FRONTEND_URL || 'https://kamnet.pk'}/tasks/${taskId}`;
-
-    return this.sendEmail({
+  async sendApplicationNotification({
+    ownerEmail, ownerName, ownerLanguage, taskTitle, applicantName, proposedBudget, currency, taskId
+  }) {
+    return this.sendTemplateEmail('application-received', {
       to: ownerEmail,
-      subject: `New application for "${taskTitle}"`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2>Hello, ${ownerName}</h2>
-          <p>Good news! <strong>${applicantName}</strong> has applied for your task: <strong>${taskTitle}</strong>.</p>
-          <p>Log in to your account to review their application and qualifications.</p>
-          <p>
-            <a href="${taskUrl}" style="display: inline-block; background-color: #2196F3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">
-              View Application
-            </a>
-          </p>
-          <p>Best regards,<br>The Kamnet Team</p>
-        </div>
-      `
+      locale: ownerLanguage,
+      data: {
+        name: ownerName,
+        applicantName,
+        taskTitle,
+        proposedBudget,
+        currency,
+        taskUrl: frontendUrl(`/tasks/${taskId}`)
+      }
+    });
+  }
+
+  /**
+   * Send a notification by email, honouring the recipient's preferences.
+   * Uses the given catalog template, or the generic notification template.
+   * 
+   * @param {Object} recipient - Account document
+   * @param {Object} options - Notification options
+   * @param {String} options.type - Notification type
+   * @param {String} options.title - Notification title
+   * @param {String} options.message - Notification text
+   * @param {String} [options.path] - Frontend path to link to, e.g. /tasks/:id
+   * @param {String} [options.template] - Catalog template to use instead
+   * @param {Object} [options.data] - Variables for that template
+   * @returns {Promise} - Email sending result, or null if the recipient turned email off
+   */
+  async sendNotificationEmail(recipient, { type, title, message, path, template, data }) {
+    if (!Notification.resolvePreferences(recipient, type).email) {
+      logger.debug(`Skipping ${type} email for ${recipient._id}: disabled in preferences`);
+      return null;
+    }
+
+    if (template) {
+      return this.sendTemplateEmail(template, {
+        to: recipient.email,
+        locale: recipient.language,
+        data: { name: recipient.name, ...data }
+      });
+    }
+
+    return this.sendTemplateEmail('notification', {
+      to: recipient.email,
+      locale: recipient.language,
+      data: {
+        name: recipient.name,
+        title,
+        message,
+        url: path ? frontendUrl(path) : null
+      }
     });
   }
 }
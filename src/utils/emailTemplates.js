@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const LOCALES = ['en', 'ur'];
+const DEFAULT_LOCALE = 'en';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'https://kamnet.pk';
+
+// Strings used by the layout and partials, per locale
+const LAYOUT_STRINGS = {
+  en: {
+    dir: 'ltr',
+    align: 'left',
+    fontFamily: 'Arial, sans-serif',
+    signOff: 'Best regards,',
+    team: 'The Kamnet Team',
+    footer: 'Kamnet Marketplace, Pakistan. '
+      + 'You can choose which emails you receive in your notification settings.'
+  },
+  ur: {
+    dir: 'rtl',
+    align: 'right',
+    fontFamily: 'Noto Nastaliq Urdu, Jameel Noori Nastaleeq, Arial, sans-serif',
+    signOff: 'نیک خواہشات کے ساتھ،',
+    team: 'کام نیٹ ٹیم',
+    footer: 'کام نیٹ مارکیٹ پلیس، پاکستان۔ '
+      + 'آپ نوٹیفکیشن سیٹنگز میں منتخب کر سکتے ہیں کہ کون سی ای میلز موصول کریں۔'
+  }
+};
+
+/**
+ * Email catalog: subject lines per locale (Handlebars, same data as the body)
+ * and sample data used by the admin preview
+ */
+const TEMPLATES = {
+  welcome: {
+    subject: {
+      en: 'Welcome to Kamnet Marketplace!',
+      ur: 'کام نیٹ مارکیٹ پلیس میں خوش آمدید!'
+    },
+    sample: () => ({ name: 'Ayesha Khan', loginUrl: frontendUrl() })
+  },
+  'password-reset': {
+    subject: {
+      en: 'Password Reset Request',
+      ur: 'پاس ورڈ تبدیل کرنے کی درخواست'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      resetUrl: `${frontendUrl()}/reset-password/sample-token`,
+      expiresInMinutes: 10
+    })
+  },
+  'verify-email': {
+    subject: {
+      en: 'Verify your email address',
+      ur: 'اپنا ای میل ایڈریس تصدیق کریں'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      verifyUrl: 'https://api.kamnet.pk/api/auth/verify-email/sample-token',
+      expiresInHours: 24
+    })
+  },
+  'magic-link': {
+    subject: {
+      en: 'Your Kamnet sign-in link',
+      ur: 'آپ کا کام نیٹ سائن ان لنک'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      loginUrl: `${frontendUrl()}/magic-login/sample-token`,
+      expiresInMinutes: 15
+    })
+  },
+  'account-locked': {
+    subject: {
+      en: 'Sign-in to your account has been locked',
+      ur: 'آپ کے اکاؤنٹ میں سائن ان روک دیا گیا ہے'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      ip: '203.0.113.7',
+      lockedMinutes: 15,
+      resetUrl: `${frontendUrl()}/forgot-password`
+    })
+  },
+  'application-received': {
+    subject: {
+      en: 'New application for "{{taskTitle}}"',
+      ur: '"{{taskTitle}}" کے لیے نئی درخواست'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      applicantName: 'Bilal Ahmed',
+      taskTitle: 'Paint a two-bedroom flat',
+      proposedBudget: 15000,
+      currency: 'PKR',
+      taskUrl: `${frontendUrl()}/tasks/sample`
+    })
+  },
+  'application-accepted': {
+    subject: {
+      en: 'You have been hired for "{{taskTitle}}"',
+      ur: 'آپ کو "{{taskTitle}}" کے لیے منتخب کر لیا گیا ہے'
+    },
+    sample: () => ({
+      name: 'Bilal Ahmed',
+      taskTitle: 'Paint a two-bedroom flat',
+      taskUrl: `${frontendUrl()}/tasks/sample`
+    })
+  },
+  'application-rejected': {
+    subject: {
+      en: 'Update on your application for "{{taskTitle}}"',
+      ur: '"{{taskTitle}}" کے لیے آپ کی درخواست'
+    },
+    sample: () => ({
+      name: 'Bilal Ahmed',
+      taskTitle: 'Paint a two-bedroom flat',
+      tasksUrl: `${frontendUrl()}/tasks`
+    })
+  },
+  'task-completed': {
+    subject: {
+      en: '"{{taskTitle}}" is complete',
+      ur: '"{{taskTitle}}" مکمل ہو گیا'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      taskTitle: 'Paint a two-bedroom flat',
+      taskUrl: `${frontendUrl()}/tasks/sample`
+    })
+  },
+  'payment-released': {
+    subject: {
+      en: 'Payment released for "{{taskTitle}}"',
+      ur: '"{{taskTitle}}" کی ادائیگی جاری کر دی گئی'
+    },
+    sample: () => ({
+      name: 'Bilal Ahmed',
+      taskTitle: 'Paint a two-bedroom flat',
+      amount: 15000,
+      currency: 'PKR',
+      walletUrl: `${frontendUrl()}/wallet`
+    })
+  },
+  notification: {
+    subject: {
+      en: '{{title}}',
+      ur: '{{title}}'
+    },
+    sample: () => ({
+      name: 'Ayesha Khan',
+      title: 'Deadline approaching',
+      message: '"Paint a two-bedroom flat" is due tomorrow.',
+      url: `${frontendUrl()}/tasks/sample`
+    })
+  }
+};
+
+const handlebars = Handlebars.create();
+
+// Format an amount with its currency for the given locale
+handlebars.registerHelper('money', function(amount, currency, options) {
+  const locale = options.data.root.locale === 'ur' ? 'ur-PK' : 'en-PK';
+  return new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'PKR' })
+    .format(amount);
+});
+
+fs.readdirSync(path.join(TEMPLATE_DIR, 'partials')).forEach(file => {
+  handlebars.registerPartial(
+    path.basename(file, '.hbs'),
+    fs.readFileSync(path.join(TEMPLATE_DIR, 'partials', file), 'utf8')
+  );
+});
+
+// Compiled templates, keyed by file path
+const compiled = new Map();
+
+const compileFile = (relativePath) => {
+  if (!compiled.has(relativePath)) {
+    const source = fs.readFileSync(path.join(TEMPLATE_DIR, relativePath), 'utf8');
+    compiled.set(relativePath, handlebars.compile(source));
+  }
+  return compiled.get(relativePath);
+};
+
+/**
+ * Turn rendered HTML into a plain-text alternative
+ * @param {String} html - Rendered body
+ * @returns {String}
+ */
+const toPlainText = (html) => html
+  .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g,
+    (match, url, label) => `${label.trim()}: ${url}`)
+  .replace(/<(br|\/p|\/h\d|\/li|\/tr)>/g, '\n')
+  .replace(/<li>/g, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&quot;/g, '"')
+  .replace(/&#x27;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/^ /gm, '')
+  .replace(/\n\s*\n+/g, '\n\n')
+  .trim();
+
+/**
+ * Pick a supported locale, falling back to English
+ * @param {String} [locale] - Requested locale
+ * @returns {String}
+ */
+const resolveLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+/**
+ * Render an email from the catalog
+ * @param {String} name - Template name
+ * @param {Object} options
+ * @param {String} [options.locale] - 'en' or 'ur' (defaults to English)
+ * @param {Object} options.data - Template variables
+ * @returns {Object} - { subject, html, text }
+ * @throws {Error} - When the template does not exist
+ */
+const renderEmail = (name, { locale, data = {} } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const resolvedLocale = resolveLocale(locale);
+  const context = { ...data, locale: resolvedLocale, strings: LAYOUT_STRINGS[resolvedLocale] };
+
+  const subject = handlebars.compile(template.subject[resolvedLocale], { noEscape: true })(context);
+  const body = compileFile(path.join(resolvedLocale, `${name}.hbs`))(context);
+  const html = compileFile(path.join('layouts', 'main.hbs'))({ ...context, subject, body });
+
+  return { subject, html, text: toPlainText(body) };
+};
+
+/**
+ * Render a template with its sample data, for previews
+ * @param {String} name - Template name
+ * @param {String} [locale] - 'en' or 'ur'
+ * @returns {Object} - { subject, html, text }
+ */
+const renderSample = (name, locale) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return renderEmail(name, { locale, data: template.sample() });
+};
+
+module.exports = {
+  LOCALES,
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderEmail,
+  renderSample
+};
@@ -0,0 +1,120 @@
+const nodemailer = require('nodemailer');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+/**
+ * Email transports deliver a message and resolve to { messageId }.
+ * Any object with a `name` and `send(message)` can be used, see
+ * EmailService#setTransport.
+ */
+
+/**
+ * SMTP server from the EMAIL_* settings
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: process.env.EMAIL_PORT,
+      secure: process.env.EMAIL_PORT === '465',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      },
+      ...options
+    });
+  }
+
+  async send(message) {
+    return this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Ethereal (fake SMTP service) for development. The test account is only
+ * created when the first email goes out.
+ */
+class EtherealTransport {
+  constructor() {
+    this.name = 'ethereal';
+    this.transporter = null;
+  }
+
+  async getTransporter() {
+    if (!this.transporter) {
+      const testAccount = await nodemailer.createTestAccount();
+
+      this.transporter = nodemailer.createTransport({
+        host: 'smtp.ethereal.email',
+        port: 587,
+        secure: false,
+        auth: {
+          user: testAccount.user,
+          pass: testAccount.pass
+        }
+      });
+
+      logger.info(`Development email configured with Ethereal: ${testAccount.user}`);
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const transporter = await this.getTransporter();
+    const info = await transporter.sendMail(message);
+
+    logger.info(`Preview URL: ${nodemailer.getTestMessageUrl(info)}`);
+    return info;
+  }
+}
+
+/**
+ * Keeps sent messages in memory, for tests
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(message) {
+    const messageId = `<memory-${this.sent.length + 1}@kamnet.pk>`;
+    this.sent.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  ethereal: EtherealTransport,
+  memory: MemoryTransport
+};
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT, or the default for the
+ * environment: SMTP in production, memory in tests, Ethereal otherwise
+ * @param {String} [name] - smtp, ethereal or memory
+ * @returns {Object} - Transport
+ */
+const createTransport = (name = process.env.EMAIL_TRANSPORT) => {
+  const defaults = { production: 'smtp', test: 'memory' };
+  const Transport = TRANSPORTS[name || defaults[process.env.NODE_ENV] || 'ethereal'];
+
+  if (!Transport) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+  return new Transport();
+};
+
+module.exports = {
+  SmtpTransport,
+  EtherealTransport,
+  MemoryTransport,
+  createTransport
+};
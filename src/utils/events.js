@@ -0,0 +1,51 @@
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+/**
+ * Domain events raised by controllers and models once a change is saved.
+ * Listeners (realtime gateway, notifications) react without the emitting
+ * code knowing about them.
+ */
+const EVENTS = {
+  APPLICATION_CREATED: 'application.created',
+  APPLICATION_STATUS_CHANGED: 'application.status_changed',
+  TASK_STATUS_CHANGED: 'task.status_changed',
+  MESSAGE_CREATED: 'message.created',
+  MESSAGES_READ: 'message.read',
+  PAYMENT_RELEASED: 'payment.released'
+};
+
+const domainEvents = new EventEmitter();
+
+/**
+ * Raise a domain event
+ * @param {String} event - One of EVENTS
+ * @param {Object} payload - Event data
+ */
+const emitDomainEvent = (event, payload) => {
+  domainEvents.emit(event, payload);
+};
+
+/**
+ * Subscribe to a domain event. Listeners run after the emitting request has
+ * moved on and their failures are logged, never passed back to the caller.
+ * @param {String} event - One of EVENTS
+ * @param {Function} listener - Receives the event payload
+ */
+const onDomainEvent = (event, listener) => {
+  domainEvents.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => listener(payload))
+      .catch(error => {
+        logger.error(`Domain event ${event} listener error: ${error.message}`);
+      });
+  });
+};
+
+module.exports = {
+  EVENTS,
+  emitDomainEvent,
+  onDomainEvent
+};
@@ -11,6 +11,12 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Create unique filename with original extension
+const uniqueFilename = (req, file, cb) => {
+  const unique = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  cb(null, `${unique}${path.extname(file.originalname)}`);
+};
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -24,11 +30,7 @@ const storage = multer.diskStorage({
     
     cb(null, userUploadDir);
   },
-  filename: (req, file, cb) => {
-    // Create unique filename with original extension
-    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname)}`;
-    cb(null, filename);
-  }
+  filename: uniqueFilename
 });
 
 // File filter to allow only images
@@ -46,6 +48,23 @@ const imageFileFilter = (req, file, cb) => {
   }
 };
 
+// Message attachments are private to their thread, so they are kept outside
+// the public uploads folder and only served through the messages API
+const messageAttachmentDir = (applicationId) => path.join(
+  'private-uploads',
+  'messages',
+  `application-${applicationId}`
+);
+
+const messageAttachmentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const threadDir = messageAttachmentDir(req.params.id);
+    fs.mkdirSync(threadDir, { recursive: true });
+    cb(null, threadDir);
+  },
+  filename: uniqueFilename
+});
+
 // Configure limits
 const limits = {
   fileSize: 5 * 1024 * 1024 // 5 MB
@@ -58,6 +77,13 @@ const upload = multer({
   limits
 });
 
+// Create multer instance for message attachments
+const messageUpload = multer({
+  storage: messageAttachmentStorage,
+  fileFilter: imageFileFilter,
+  limits
+});
+
 /**
  * Handle file upload errors
  * @param {Object} req - Express request object
@@ -90,5 +116,7 @@ const handleUploadError = (req, res, next) => {
 
 module.exports = {
   upload,
+  messageUpload,
+  messageAttachmentDir,
   handleUploadError
 };
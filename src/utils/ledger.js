@@ -0,0 +1,399 @@
+const Wallet = require('../models/wallet.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const { ApiError } = require('../middleware/error');
+const { createLogger } = require('./logger');
+const { EVENTS, emitDomainEvent } = require('./events');
+
+const logger = createLogger();
+
+/**
+ * Convert an amount in PKR/USD to minor units (paisa/cents)
+ * @param {Number} amount - Amount in major units
+ * @returns {Number} - Integer amount in minor units
+ */
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Convert minor units back to a PKR/USD amount
+ * @param {Number} amount - Integer amount in minor units
+ * @returns {Number} - Amount in major units
+ */
+const toMajorUnits = (amount) => amount / 100;
+
+/**
+ * Get the wallet kind for an account role
+ * @param {String} role - Role from the access token
+ * @returns {String} - 'talent' or 'user'
+ */
+const walletKindForRole = (role) => (role === 'talent' ? 'talent' : 'user');
+
+/**
+ * Get (or lazily create) the wallet of a user or talent
+ * @param {String} accountId - User or talent ID
+ * @param {String} role - Role from the access token
+ * @returns {Promise<Document>} - Wallet document
+ */
+const getAccountWallet = (accountId, role) => (
+  Wallet.findOrCreate(walletKindForRole(role), accountId)
+);
+
+/**
+ * Post a balanced double-entry transaction and apply it to wallet balances.
+ * Posting is idempotent per reference: a reference that is already posted
+ * returns the existing transaction instead of moving money twice.
+ *
+ * @param {Object} options
+ * @param {String} options.type - Transaction type
+ * @param {String} options.currency - PKR or USD
+ * @param {String} options.reference - Unique idempotency key
+ * @param {Object[]} options.entries - [{ wallet, direction, amount }] with amounts in minor units
+ * @returns {Promise<Document>} - Posted transaction
+ * @throws {ApiError} - 402 when a wallet has insufficient funds
+ */
+const postTransaction = async ({ type, currency, reference, entries, ...details }) => {
+  const existing = await LedgerTransaction.findOne({ reference, status: 'posted' });
+  if (existing) {
+    return existing;
+  }
+
+  const amount = entries
+    .filter(entry => entry.direction === 'debit')
+    .reduce((total, entry) => total + entry.amount, 0);
+
+  // Validates that debits and credits balance before anything moves
+  const transaction = await LedgerTransaction.create({
+    type,
+    currency,
+    reference,
+    amount,
+    entries: entries.map(({ wallet, direction, amount: entryAmount }) => ({
+      wallet: wallet._id,
+      direction,
+      amount: entryAmount
+    })),
+    ...details
+  });
+
+  const balanceField = `balances.${currency}`;
+  const applied = [];
+
+  try {
+    // Debits first so a failed balance check leaves nothing to undo on the credit side
+    const ordered = [
+      ...entries.filter(entry => entry.direction === 'debit'),
+      ...entries.filter(entry => entry.direction === 'credit')
+    ];
+
+    for (const entry of ordered) {
+      const delta = entry.direction === 'debit' ? -entry.amount : entry.amount;
+      const filter = { _id: entry.wallet._id };
+
+      if (entry.direction === 'debit' && !entry.wallet.allowsOverdraft()) {
+        filter[balanceField] = { $gte: entry.amount };
+      }
+
+      const updated = await Wallet.findOneAndUpdate(filter, { $inc: { [balanceField]: delta } });
+      if (!updated) {
+        throw new ApiError('Insufficient wallet balance', 402);
+      }
+
+      applied.push({ wallet: entry.wallet._id, delta });
+    }
+
+    transaction.status = 'posted';
+    await transaction.save();
+
+    return transaction;
+  } catch (error) {
+    // Reverse the legs already applied so balances match the ledger again
+    for (const leg of applied.reverse()) {
+      await Wallet.updateOne({ _id: leg.wallet }, { $inc: { [balanceField]: -leg.delta } });
+    }
+
+    transaction.status = 'failed';
+    transaction.failureReason = error.message;
+    // Free the reference so the operation can be retried
+    transaction.reference = `${reference}:failed:${transaction._id}`;
+    await transaction.save();
+
+    logger.warn(`Ledger transaction ${reference} failed: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Move money from outside the platform into an account wallet
+ * @param {Object} options
+ * @param {String} options.accountId - User or talent ID
+ * @param {String} options.role - Account role
+ * @param {Number} options.amount - Amount in major units
+ * @param {String} options.currency - PKR or USD
+ * @param {String} options.reference - Unique idempotency key
+ * @returns {Promise<Document>} - Posted transaction
+ */
+const deposit = async ({ accountId, role, amount, currency, type = 'deposit', ...details }) => {
+  const external = await Wallet.findOrCreate('external');
+  const wallet = await getAccountWallet(accountId, role);
+  const minor = toMinorUnits(amount);
+
+  return postTransaction({
+    type,
+    currency,
+    entries: [
+      { wallet: external, direction: 'debit', amount: minor },
+      { wallet, direction: 'credit', amount: minor }
+    ],
+    ...details
+  });
+};
+
+/**
+ * Move money out of an account wallet to outside the platform
+ * @param {Object} options - Same as deposit
+ * @returns {Promise<Document>} - Posted transaction
+ * @throws {ApiError} - 402 when the wallet has insufficient funds
+ */
+const withdraw = async ({ accountId, role, amount, currency, type = 'withdrawal', ...details }) => {
+  const external = await Wallet.findOrCreate('external');
+  const wallet = await getAccountWallet(accountId, role);
+  const minor = toMinorUnits(amount);
+
+  return postTransaction({
+    type,
+    currency,
+    entries: [
+      { wallet, direction: 'debit', amount: minor },
+      { wallet: external, direction: 'credit', amount: minor }
+    ],
+    ...details
+  });
+};
+
+/**
+ * Hold the agreed price of an accepted application in the task's escrow wallet
+ * @param {Object} options
+ * @param {Document} options.task - Task being hired for
+ * @param {Document} options.application - Accepted application
+ * @param {String} options.actorId - Account accepting the application
+ * @returns {Promise<Document>} - Posted transaction
+ * @throws {ApiError} - 402 when the poster's wallet cannot cover the price
+ */
+const holdEscrow = async ({ task, application, actorId }) => {
+  const posterWallet = await Wallet.findOrCreate('user', task.user);
+  const escrowWallet = await Wallet.findOrCreate('escrow', task._id);
+  const amount = toMinorUnits(application.proposedBudget);
+
+  return postTransaction({
+    type: 'escrow_hold',
+    currency: application.currency || task.currency,
+    reference: `escrow_hold:${application._id}`,
+    entries: [
+      { wallet: posterWallet, direction: 'debit', amount },
+      { wallet: escrowWallet, direction: 'credit', amount }
+    ],
+    description: `Escrow for "${task.title}"`,
+    task: task._id,
+    application: application._id,
+    createdBy: actorId
+  });
+};
+
+/**
+ * Give back an escrow hold whose hire could not be saved. The hold's
+ * reference is freed so the application can be accepted again.
+ * @param {Document} hold - Posted escrow_hold transaction
+ * @param {String} actorId - Account that tried to hire
+ * @returns {Promise<Document>} - Posted refund
+ */
+const reverseEscrowHold = async (hold, actorId) => {
+  const entries = await Promise.all(hold.entries.map(async entry => ({
+    wallet: await Wallet.findById(entry.wallet),
+    direction: entry.direction === 'debit' ? 'credit' : 'debit',
+    amount: entry.amount
+  })));
+
+  const refund = await postTransaction({
+    type: 'escrow_refund',
+    currency: hold.currency,
+    reference: `escrow_refund:${hold._id}`,
+    entries,
+    description: 'Refund of a hire that could not be saved',
+    task: hold.task,
+    application: hold.application,
+    createdBy: actorId
+  });
+
+  hold.reference = `${hold.reference}:reversed:${hold._id}`;
+  await hold.save();
+
+  return refund;
+};
+
+/**
+ * Empty a task's escrow wallet into another wallet, one transaction per currency
+ * @returns {Promise<Document[]>} - Posted transactions
+ */
+const drainEscrow = async (task, { type, target, actorId, description }) => {
+  const escrowWallet = await Wallet.findOne({ kind: 'escrow', owner: task._id });
+  if (!escrowWallet) {
+    return [];
+  }
+
+  const transactions = [];
+  for (const currency of Wallet.CURRENCIES) {
+    const amount = escrowWallet.balances[currency];
+    if (amount <= 0) continue;
+
+    transactions.push(await postTransaction({
+      type,
+      currency,
+      // One settlement per status transition
+      reference: `${type}:${task._id}:${currency}:${task.statusHistory.length}`,
+      entries: [
+        { wallet: escrowWallet, direction: 'debit', amount },
+        { wallet: target, direction: 'credit', amount }
+      ],
+      description,
+      task: task._id,
+      createdBy: actorId
+    }));
+  }
+
+  return transactions;
+};
+
+/**
+ * Release a task's escrow to the hired talent
+ * @param {Document} task - Completed task
+ * @param {String} actorId - Account completing the task
+ * @returns {Promise<Document[]>} - Posted transactions
+ */
+const releaseEscrow = async (task, actorId) => {
+  const talentWallet = await Wallet.findOrCreate('talent', task.hiredTalent);
+
+  const transactions = await drainEscrow(task, {
+    type: 'escrow_release',
+    target: talentWallet,
+    actorId,
+    description: `Payment for "${task.title}"`
+  });
+
+  transactions.forEach(transaction => {
+    emitDomainEvent(EVENTS.PAYMENT_RELEASED, {
+      task,
+      talentId: task.hiredTalent,
+      amount: toMajorUnits(transaction.entries[0].amount),
+      currency: transaction.currency
+    });
+  });
+
+  return transactions;
+};
+
+/**
+ * Refund a task's escrow to the task owner
+ * @param {Document} task - Cancelled or reopened task
+ * @param {String} actorId - Account triggering the refund
+ * @returns {Promise<Document[]>} - Posted transactions
+ */
+const refundEscrow = async (task, actorId) => {
+  const posterWallet = await Wallet.findOrCreate('user', task.user);
+
+  return drainEscrow(task, {
+    type: 'escrow_refund',
+    target: posterWallet,
+    actorId,
+    description: `Refund for "${task.title}"`
+  });
+};
+
+/**
+ * Settle a task's escrow after a status transition:
+ * completed releases it to the talent, cancelled or reopened refunds the owner
+ * @param {Document} task - Task after the transition has been saved
+ * @param {String} actorId - Account that made the transition
+ * @returns {Promise<Document[]>} - Posted transactions
+ */
+const settleTaskEscrow = async (task, actorId) => {
+  if (task.status === 'completed') {
+    return releaseEscrow(task, actorId);
+  }
+  if (['cancelled', 'open'].includes(task.status)) {
+    return refundEscrow(task, actorId);
+  }
+  return [];
+};
+
+/**
+ * Check that wallet balances agree with the ledger, per currency.
+ * Every posted transaction balances, so all wallets together must sum to zero
+ * and each wallet must equal the net of its own entries.
+ * @returns {Promise<Object[]>} - Reconciliation report per currency
+ */
+const reconcile = async () => {
+  const ledgerBalances = await LedgerTransaction.aggregate([
+    { $match: { status: 'posted' } },
+    { $unwind: '$entries' },
+    {
+      $group: {
+        _id: { wallet: '$entries.wallet', currency: '$currency' },
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$entries.direction', 'credit'] },
+              '$entries.amount',
+              { $multiply: ['$entries.amount', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const wallets = await Wallet.find().lean();
+
+  return Wallet.CURRENCIES.map(currency => {
+    const mismatches = [];
+    let walletTotal = 0;
+
+    wallets.forEach(wallet => {
+      const balance = wallet.balances[currency] || 0;
+      const ledgerEntry = ledgerBalances.find(entry =>
+        entry._id.currency === currency && entry._id.wallet.toString() === wallet._id.toString()
+      );
+      const ledgerBalance = ledgerEntry ? ledgerEntry.balance : 0;
+
+      walletTotal += balance;
+      if (balance !== ledgerBalance) {
+        mismatches.push({
+          wallet: wallet._id,
+          kind: wallet.kind,
+          balance: toMajorUnits(balance),
+          ledgerBalance: toMajorUnits(ledgerBalance)
+        });
+      }
+    });
+
+    return {
+      currency,
+      walletTotal: toMajorUnits(walletTotal),
+      balanced: walletTotal === 0 && mismatches.length === 0,
+      mismatches
+    };
+  });
+};
+
+module.exports = {
+  toMinorUnits,
+  toMajorUnits,
+  getAccountWallet,
+  postTransaction,
+  deposit,
+  withdraw,
+  holdEscrow,
+  reverseEscrowHold,
+  releaseEscrow,
+  refundEscrow,
+  settleTaskEscrow,
+  reconcile
+};
@@ -75,15 +75,16 @@ const createLogger = (module) => {
     const { method, originalUrl, ip } = req;
     const statusCode = res.statusCode;
     const userId = req.userId || 'unauthenticated';
+    const requestId = req.id;
     
     // Log based on status code
     if (statusCode >= 500) {
       logger.error(`${method} ${originalUrl} ${statusCode} - ${responseTime}ms`, {
-        method, url: originalUrl, statusCode, responseTime, ip, userId
+        method, url: originalUrl, statusCode, responseTime, ip, userId, requestId
       });
     } else if (statusCode >= 400) {
       logger.warn(`${method} ${originalUrl} ${statusCode} - ${responseTime}ms`, {
-        method, url: originalUrl, statusCode, responseTime, ip, userId
+        method, url: originalUrl, statusCode, responseTime, ip, userId, requestId
       });
     } else if (process.env.NODE_ENV !== 'production') {
       logger.info(`${method} ${originalUrl} ${statusCode} - ${responseTime}ms`);
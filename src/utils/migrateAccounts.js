@@ -0,0 +1,140 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Task = require('../models/task.model');
+const Application = require('../models/application.model');
+const Conversation = require('../models/conversation.model');
+const Message = require('../models/message.model');
+const Notification = require('../models/notification.model');
+const Review = require('../models/review.model');
+const Wallet = require('../models/wallet.model');
+const Payment = require('../models/payment.model');
+const LedgerTransaction = require('../models/ledgerTransaction.model');
+const connectDB = require('../config/db');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+// Profile fields copied from a talent onto a merged account that has none
+const PROFILE_FIELDS = [
+  'username', 'googleId', 'picture', 'phone', 'bio', 'location',
+  'address', 'city', 'country', 'postalCode'
+];
+
+/**
+ * Point every reference to a talent document at the account it was merged into
+ * @param {ObjectId} from - Old talent ID
+ * @param {ObjectId} to - Merged account ID
+ */
+const remapAccountReferences = async (from, to) => {
+  await Promise.all([
+    Application.updateMany({ talent: from }, { talent: to }),
+    Task.updateMany({ hiredTalent: from }, { hiredTalent: to }),
+    Task.updateMany(
+      { 'statusHistory.actor': from },
+      { $set: { 'statusHistory.$[entry].actor': to } },
+      { arrayFilters: [{ 'entry.actor': from }] }
+    ),
+    Conversation.updateMany({ talent: from }, { talent: to }),
+    Conversation.updateMany({ 'lastMessage.sender': from }, { 'lastMessage.sender': to }),
+    Message.updateMany({ sender: from }, { sender: to }),
+    Message.updateMany({ recipient: from }, { recipient: to }),
+    Notification.updateMany({ recipient: from }, { recipient: to }),
+    Review.updateMany({ reviewer: from }, { reviewer: to }),
+    Review.updateMany({ reviewee: from }, { reviewee: to }),
+    Wallet.updateMany({ kind: 'talent', owner: from }, { owner: to }),
+    Payment.updateMany({ account: from }, { account: to }),
+    LedgerTransaction.updateMany({ createdBy: from }, { createdBy: to })
+  ]);
+};
+
+/**
+ * Merge the legacy `talents` collection into `users`.
+ *
+ * - Talents whose email has no account are moved over with the same ID.
+ * - Talents whose email already has an account are merged into it: the
+ *   account gains the talent role and profile, and references to the old
+ *   talent ID are rewritten.
+ * - Every account gets a `roles` list, and fields that named the
+ *   User/Talent model are dropped or updated.
+ *
+ * Merged talents are marked with `mergedInto` rather than deleted, so the
+ * migration can be re-run safely. Drop the `talents` collection once the
+ * result has been checked.
+ * @returns {Promise<Object>} - { moved, merged, skipped }
+ */
+const migrateAccounts = async () => {
+  const talents = mongoose.connection.collection('talents');
+  const users = User.collection;
+  const result = { moved: 0, merged: 0, skipped: 0 };
+
+  // Accounts created before roles existed hold only their current role
+  await users.updateMany(
+    { $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }] },
+    [{ $set: { roles: ['$role'] } }]
+  );
+
+  const cursor = talents.find({ mergedInto: { $exists: false } });
+
+  for await (const talent of cursor) {
+    const { _id: talentId, ...fields } = talent;
+    const existing = await users.findOne({ email: talent.email });
+
+    if (!existing) {
+      const idTaken = await users.findOne({ _id: talentId });
+      if (idTaken) {
+        logger.warn(`Skipping talent ${talentId}: ID already used by account ${idTaken.email}`);
+        result.skipped += 1;
+        continue;
+      }
+
+      await users.insertOne({ _id: talentId, ...fields, roles: [talent.role] });
+      result.moved += 1;
+    } else {
+      const update = {
+        skills: talent.skills || [],
+        hourlyRate: talent.hourlyRate || 0
+      };
+      PROFILE_FIELDS.forEach(field => {
+        if (!existing[field] && talent[field]) update[field] = talent[field];
+      });
+
+      await users.updateOne(
+        { _id: existing._id },
+        { $set: update, $addToSet: { roles: talent.role } }
+      );
+      await remapAccountReferences(talentId, existing._id);
+      result.merged += 1;
+    }
+
+    await talents.updateOne(
+      { _id: talentId },
+      { $set: { mergedInto: existing ? existing._id : talentId } }
+    );
+  }
+
+  // References no longer need to name the account model
+  await Notification.collection.updateMany({}, { $unset: { recipientModel: '' } });
+  await Review.collection.updateMany({}, { $unset: { reviewerModel: '', revieweeModel: '' } });
+  await Wallet.collection.updateMany({ ownerModel: 'Talent' }, { $set: { ownerModel: 'User' } });
+
+  logger.info(`Accounts migrated: ${result.moved} talents moved, ${result.merged} merged, `
+    + `${result.skipped} skipped`);
+  return result;
+};
+
+// Run from the command line: npm run migrate:accounts
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectDB();
+      await migrateAccounts();
+      process.exit(0);
+    } catch (err) {
+      logger.error(`Account migration error: ${err.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateAccounts };
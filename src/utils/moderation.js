@@ -0,0 +1,116 @@
+const Application = require('../models/application.model');
+const ModerationAction = require('../models/moderationAction.model');
+const Report = require('../models/report.model');
+const Task = require('../models/task.model');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+/**
+ * Content types that can be flagged for review, with their model and the
+ * fields shown in the review queue
+ */
+const FLAGGABLE = {
+  task: {
+    model: Task,
+    fields: 'title description user status visibility flags moderation createdAt'
+  },
+  application: {
+    model: Application,
+    fields: 'task talent coverLetter status visibility flags moderation createdAt'
+  }
+};
+
+/**
+ * Record an action staff took against an account or content
+ * @param {Object} req - Express request object of the acting staff member
+ * @param {Object} action
+ * @param {String} action.action - One of ModerationAction.MODERATION_ACTIONS
+ * @param {String} action.targetType - 'user', 'task' or 'application'
+ * @param {ObjectId} action.target - ID of the account or content
+ * @param {String} [action.reason] - Why, as given by the staff member
+ * @param {Object} [action.details] - Anything else worth keeping
+ * @returns {Promise<Document>} - The log entry
+ */
+const recordModerationAction = async (req, { action, targetType, target, reason, details }) => {
+  const entry = await ModerationAction.create({
+    actor: req.userId,
+    actorRole: req.role,
+    action,
+    targetType,
+    target,
+    reason,
+    details
+  });
+
+  logger.info(`Moderation: ${req.role} ${req.userId} did ${action} on ${targetType} ${target}`
+    + (reason ? ` (${reason})` : ''));
+  return entry;
+};
+
+// Open reports that take a task out of listings until a moderator reviews it
+const reportHideThreshold = () => Number(process.env.REPORT_HIDE_THRESHOLD || 3);
+
+/**
+ * Hold a task back for review once it has enough open reports. Reports made
+ * before a moderator's last decision on the task have been seen and don't count.
+ * @param {ObjectId} taskId - Reported task
+ * @returns {Promise<Boolean>} - Whether this call hid the task
+ */
+const applyReportThreshold = async (taskId) => {
+  const task = await Task.findById(taskId).select('visibility moderation');
+  if (!task) return false;
+
+  const openReports = await Report.countDocuments({
+    targetType: 'task',
+    target: taskId,
+    status: 'open',
+    createdAt: { $gt: (task.moderation && task.moderation.at) || new Date(0) }
+  });
+  if (openReports < reportHideThreshold()) return false;
+
+  // Only public tasks, so a moderator's decision to hide one isn't undone
+  const { modifiedCount } = await Task.updateOne(
+    { _id: taskId, ...Task.VISIBLE_FILTER },
+    {
+      visibility: 'pending_review',
+      $push: { flags: { reason: `${openReports} open reports`, source: 'reports' } }
+    }
+  );
+
+  if (modifiedCount > 0) {
+    logger.info(`Task ${taskId} held for review after ${openReports} reports`);
+  }
+  return modifiedCount > 0;
+};
+
+/**
+ * Put a task held back by reports back in listings once none of its reports
+ * are open. Tasks flagged for other reasons stay in the review queue.
+ * @param {ObjectId} taskId - Reported task
+ * @returns {Promise<Boolean>} - Whether this call showed the task again
+ */
+const releaseReportedTask = async (taskId) => {
+  const stillOpen = await Report.exists({ targetType: 'task', target: taskId, status: 'open' });
+  if (stillOpen) return false;
+
+  const { modifiedCount } = await Task.updateOne(
+    {
+      _id: taskId,
+      visibility: 'pending_review',
+      flags: {
+        $elemMatch: { source: 'reports' },
+        $not: { $elemMatch: { source: { $ne: 'reports' } } }
+      }
+    },
+    { visibility: 'public', flags: [] }
+  );
+  return modifiedCount > 0;
+};
+
+module.exports = {
+  FLAGGABLE,
+  recordModerationAction,
+  applyReportThreshold,
+  releaseReportedTask
+};
@@ -0,0 +1,261 @@
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const Task = require('../models/task.model');
+const Application = require('../models/application.model');
+const emailService = require('./emailService');
+const { emitToAccounts } = require('./realtime');
+const { EVENTS, onDomainEvent } = require('./events');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+// How far ahead of a deadline the reminder goes out
+const DEADLINE_REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Notify an account through the channels it has chosen for the type
+ * @param {Object} options
+ * @param {ObjectId} options.recipient - Account ID
+ * @param {String} options.type - Notification type
+ * @param {String} options.title - Short title
+ * @param {String} options.message - Notification text
+ * @param {Document} [options.task] - Related task
+ * @param {ObjectId} [options.application] - Related application ID
+ * @param {Object} [options.email] - Email template to use, { template, data }
+ * @returns {Promise<Document|null>} - The in-app notification, if one was created
+ */
+const notify = async ({
+  recipient, type, title, message, task, application, email = {}
+}) => {
+  const account = await User.findById(recipient);
+
+  if (!account) {
+    return null;
+  }
+
+  let notification = null;
+
+  if (Notification.resolvePreferences(account, type).inApp) {
+    notification = await Notification.create({
+      recipient: account._id,
+      type,
+      title,
+      message,
+      task: task && task._id,
+      application
+    });
+    emitToAccounts([account._id], 'notification:created', notification);
+  }
+
+  try {
+    await emailService.sendNotificationEmail(account, {
+      type,
+      title,
+      message,
+      path: task ? `/tasks/${task._id}` : undefined,
+      template: email.template,
+      data: email.data
+    });
+  } catch (error) {
+    logger.error(`Notification email failed for ${account._id}: ${error.message}`);
+  }
+
+  return notification;
+};
+
+/**
+ * Absolute frontend URL for a path, for email links
+ */
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'https://kamnet.pk'}${path}`;
+
+/**
+ * Name of a talent for notification text
+ */
+const talentName = async (talentId) => {
+  const talent = await User.findById(talentId).select('name');
+  return talent ? talent.name : 'A talent';
+};
+
+/**
+ * Create notifications from domain events
+ */
+const registerNotificationListeners = () => {
+  onDomainEvent(EVENTS.APPLICATION_CREATED, async ({ application, task }) => {
+    const applicantName = await talentName(application.talent);
+
+    await notify({
+      recipient: task.user,
+      type: 'application_submitted',
+      title: 'New application',
+      message: `${applicantName} applied to "${task.title}".`,
+      task,
+      application: application._id,
+      email: {
+        template: 'application-received',
+        data: {
+          applicantName,
+          taskTitle: task.title,
+          proposedBudget: application.proposedBudget,
+          currency: task.currency,
+          taskUrl: frontendUrl(`/tasks/${task._id}`)
+        }
+      }
+    });
+  });
+
+  onDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, async ({ application, task, to }) => {
+    if (to === 'withdrawn') {
+      const name = await talentName(application.talent);
+      return notify({
+        recipient: task.user,
+        type: 'application_withdrawn',
+        title: 'Application withdrawn',
+        message: `${name} withdrew their application for "${task.title}".`,
+        task,
+        application: application._id
+      });
+    }
+
+    const messages = {
+      accepted: ['Application accepted', `Your application for "${task.title}" was accepted.`],
+      rejected: [
+        'Application not selected',
+        `Your application for "${task.title}" was not selected.`
+      ]
+    };
+    if (!messages[to]) return null;
+
+    const [title, message] = messages[to];
+    return notify({
+      recipient: application.talent,
+      type: `application_${to}`,
+      title,
+      message,
+      task,
+      application: application._id,
+      email: {
+        template: `application-${to}`,
+        data: {
+          taskTitle: task.title,
+          taskUrl: frontendUrl(`/tasks/${task._id}`),
+          tasksUrl: frontendUrl('/tasks')
+        }
+      }
+    });
+  });
+
+  onDomainEvent(EVENTS.TASK_STATUS_CHANGED, async ({ task, to, actorId, hiredTalent }) => {
+    if (to === 'completed') {
+      for (const recipient of [task.user, task.hiredTalent]) {
+        if (!recipient) continue;
+        await notify({
+          recipient,
+          type: 'task_completed',
+          title: 'Task completed',
+          message: `"${task.title}" has been marked as completed.`,
+          task,
+          email: {
+            template: 'task-completed',
+            data: { taskTitle: task.title, taskUrl: frontendUrl(`/tasks/${task._id}`) }
+          }
+        });
+      }
+      return;
+    }
+
+    if (to !== 'cancelled') return;
+
+    // Everyone involved except whoever cancelled it
+    const applicants = await Application.distinct('talent', {
+      task: task._id,
+      status: { $in: ['pending', 'accepted'] }
+    });
+    const recipients = [task.user, hiredTalent, ...applicants].filter(Boolean);
+    const seen = new Set([String(actorId)]);
+
+    for (const recipient of recipients) {
+      if (seen.has(String(recipient))) continue;
+      seen.add(String(recipient));
+
+      await notify({
+        recipient,
+        type: 'task_cancelled',
+        title: 'Task cancelled',
+        message: `"${task.title}" has been cancelled.`,
+        task
+      });
+    }
+  });
+
+  onDomainEvent(EVENTS.MESSAGE_CREATED, async ({ message, conversation }) => {
+    const task = await Task.findById(conversation.task).select('title');
+
+    await notify({
+      recipient: message.recipient,
+      type: 'message_received',
+      title: 'New message',
+      message: `You have a new message about "${task ? task.title : 'a task'}".`,
+      task,
+      application: conversation.application
+    });
+  });
+
+  onDomainEvent(EVENTS.PAYMENT_RELEASED, async ({ task, talentId, amount, currency }) => {
+    await notify({
+      recipient: talentId,
+      type: 'payment_released',
+      title: 'Payment released',
+      message: `${currency} ${amount} for "${task.title}" has been released to your wallet.`,
+      task,
+      email: {
+        template: 'payment-released',
+        data: { taskTitle: task.title, amount, currency, walletUrl: frontendUrl('/wallet') }
+      }
+    });
+  });
+};
+
+/**
+ * Remind the owner and hired talent of in-progress tasks due within the next day.
+ * Each task is reminded once per deadline.
+ * @returns {Promise<Number>} - Number of tasks reminded
+ */
+const notifyApproachingDeadlines = async () => {
+  const now = Date.now();
+  const tasks = await Task.find({
+    status: 'in-progress',
+    deadlineDate: { $gt: new Date(now), $lte: new Date(now + DEADLINE_REMINDER_WINDOW_MS) },
+    deadlineReminderSentAt: null
+  });
+  let reminded = 0;
+
+  for (const task of tasks) {
+    // Claim the task first so overlapping runs don't remind twice
+    const claimed = await Task.updateOne(
+      { _id: task._id, deadlineReminderSentAt: null },
+      { deadlineReminderSentAt: new Date() }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    reminded += 1;
+
+    const message = `"${task.title}" is due on ${task.deadlineDate.toDateString()}.`;
+    for (const recipient of [task.user, task.hiredTalent]) {
+      if (!recipient) continue;
+      await notify({
+        recipient,
+        type: 'deadline_approaching',
+        title: 'Deadline approaching',
+        message,
+        task
+      });
+    }
+  }
+
+  return reminded;
+};
+
+module.exports = {
+  notify,
+  registerNotificationListeners,
+  notifyApproachingDeadlines
+};
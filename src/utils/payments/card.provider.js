@@ -0,0 +1,63 @@
+const PaymentProvider = require('./paymentProvider');
+const { hmacSha256, signaturesMatch } = require('./signature');
+const { toMinorUnits } = require('../ledger');
+
+/**
+ * Card payments through a hosted payment page (PKR and USD)
+ */
+class CardProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super('card', {
+      apiUrl: process.env.CARD_GATEWAY_URL,
+      apiKey: process.env.CARD_GATEWAY_API_KEY,
+      webhookSecret: process.env.CARD_GATEWAY_WEBHOOK_SECRET,
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiUrl && this.config.apiKey && this.config.webhookSecret);
+  }
+
+  get currencies() {
+    return ['PKR', 'USD'];
+  }
+
+  async createCheckout(payment, { returnUrl, callbackUrl }) {
+    const session = await this.postJson(`${this.config.apiUrl}/checkout/sessions`, {
+      reference: payment.reference,
+      amount: toMinorUnits(payment.amount),
+      currency: payment.currency,
+      returnUrl,
+      callbackUrl
+    }, {
+      Authorization: `Bearer ${this.config.apiKey}`
+    });
+
+    return {
+      method: 'GET',
+      url: session.url,
+      providerReference: session.id
+    };
+  }
+
+  // Webhooks are signed with an HMAC-SHA256 of the raw JSON body
+  verifyCallback({ body, headers, rawBody }) {
+    const expected = hmacSha256(rawBody || JSON.stringify(body), this.config.webhookSecret);
+    if (!signaturesMatch(expected, headers['x-signature'])) {
+      this.invalidSignature();
+    }
+
+    const statuses = { paid: 'succeeded', failed: 'failed', processing: 'pending' };
+
+    return {
+      reference: body.reference,
+      providerReference: body.id,
+      status: statuses[body.status] || 'failed',
+      amount: body.amount,
+      message: body.failureMessage
+    };
+  }
+}
+
+module.exports = CardProvider;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const { canonicalize, hmacSha256, signaturesMatch } = require('./signature');
+const { toMinorUnits } = require('../ledger');
+
+/**
+ * Easypaisa mobile account adapter (hosted checkout + disbursements)
+ */
+class EasypaisaProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super('easypaisa', {
+      storeId: process.env.EASYPAISA_STORE_ID,
+      hashKey: process.env.EASYPAISA_HASH_KEY,
+      checkoutUrl: process.env.EASYPAISA_CHECKOUT_URL ||
+        'https://easypaystg.easypaisa.com.pk/easypay/Index.jsf',
+      payoutUrl: process.env.EASYPAISA_PAYOUT_URL,
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.storeId && this.config.hashKey);
+  }
+
+  /**
+   * Easypaisa request hash: the sorted request fields encrypted with AES-128-ECB
+   * using the store hash key, base64 encoded
+   * @param {Object} fields - Checkout fields
+   * @returns {String}
+   */
+  merchantHash(fields) {
+    const key = Buffer.from(this.config.hashKey, 'utf8');
+    const cipher = crypto.createCipheriv('aes-128-ecb', key, null);
+    return Buffer.concat([cipher.update(canonicalize(fields), 'utf8'), cipher.final()])
+      .toString('base64');
+  }
+
+  async createCheckout(payment, { returnUrl }) {
+    const fields = {
+      storeId: this.config.storeId,
+      amount: payment.amount.toFixed(1),
+      postBackURL: returnUrl,
+      orderRefNum: payment.reference,
+      mobileAccountNo: payment.mobileNumber,
+      paymentMethod: 'MA_PAYMENT_METHOD',
+      autoRedirect: '1'
+    };
+    fields.merchantHashedReq = this.merchantHash(fields);
+
+    return {
+      method: 'POST',
+      url: this.config.checkoutUrl,
+      fields
+    };
+  }
+
+  async createPayout(payment, { callbackUrl }) {
+    const body = {
+      storeId: this.config.storeId,
+      orderRefNum: payment.reference,
+      amount: toMinorUnits(payment.amount),
+      mobileAccountNo: payment.mobileNumber,
+      callbackUrl
+    };
+
+    const response = await this.postJson(this.config.payoutUrl, body, {
+      'X-Signature': hmacSha256(canonicalize(body), this.config.hashKey)
+    });
+    return { providerReference: response.transactionId };
+  }
+
+  // Callbacks carry an HMAC-SHA256 of the posted fields keyed with the store hash key
+  verifyCallback({ body }) {
+    const expected = hmacSha256(canonicalize(body, ['signature']), this.config.hashKey);
+    if (!signaturesMatch(expected, body.signature)) {
+      this.invalidSignature();
+    }
+
+    return {
+      reference: body.orderRefNumber,
+      providerReference: body.transactionRefNumber,
+      status: body.responseCode === '0000' ? 'succeeded' : 'failed',
+      amount: body.amount !== undefined ? toMinorUnits(body.amount) : undefined,
+      message: body.responseDesc
+    };
+  }
+}
+
+module.exports = EasypaisaProvider;
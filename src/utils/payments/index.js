@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const Payment = require('../../models/payment.model');
+const ledger = require('../ledger');
+const { ApiError } = require('../../middleware/error');
+const { createLogger } = require('../logger');
+const JazzCashProvider = require('./jazzcash.provider');
+const EasypaisaProvider = require('./easypaisa.provider');
+const CardProvider = require('./card.provider');
+const MockProvider = require('./mock.provider');
+
+const logger = createLogger();
+
+const providers = new Map();
+
+/**
+ * Register a payment provider adapter
+ * @param {PaymentProvider} provider - Adapter instance
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a configured provider by name
+ * @param {String} name - Provider key
+ * @returns {PaymentProvider}
+ * @throws {ApiError} - 400 when the provider is unknown or not configured
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider || !provider.isConfigured()) {
+    throw new ApiError(`Payment provider ${name} is not available`, 400);
+  }
+  return provider;
+};
+
+/**
+ * List the providers that can currently take payments
+ * @returns {Object[]} - [{ name, currencies }]
+ */
+const listProviders = () => [...providers.values()]
+  .filter(provider => provider.isConfigured())
+  .map(provider => ({
+    name: provider.name,
+    currencies: provider.currencies,
+    ...(provider.scenarios ? { scenarios: provider.scenarios } : {})
+  }));
+
+/**
+ * Generate a payment reference (JazzCash limits references to 20 characters)
+ * @returns {String}
+ */
+const generateReference = () => (
+  `KN${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`.toUpperCase()
+);
+
+/**
+ * Check a provider can handle the currency and that wallet providers get a number
+ */
+const assertPaymentSupported = (provider, { currency, mobileNumber }) => {
+  if (!provider.currencies.includes(currency)) {
+    throw new ApiError(`${provider.name} does not support ${currency} payments`, 400);
+  }
+  if (['jazzcash', 'easypaisa'].includes(provider.name) && !mobileNumber) {
+    throw new ApiError(`A mobile wallet number is required for ${provider.name}`, 400);
+  }
+};
+
+/**
+ * Start a wallet top-up through a gateway
+ * @param {Object} options
+ * @param {String} options.accountId - Account being topped up
+ * @param {String} options.role - Account role
+ * @param {String} options.provider - Provider key
+ * @param {Number} options.amount - Amount in major units
+ * @param {String} options.currency - PKR or USD
+ * @param {String} [options.mobileNumber] - Mobile wallet number
+ * @param {Object} options.urls - { returnUrl, callbackUrl }
+ * @param {String} [options.scenario] - Mock provider scenario
+ * @returns {Promise<Object>} - { payment, checkout }
+ */
+const startTopUp = async (options) => {
+  const { accountId, role, amount, currency, mobileNumber, urls, scenario } = options;
+  const provider = getProvider(options.provider);
+  assertPaymentSupported(provider, { currency, mobileNumber });
+
+  const payment = await Payment.create({
+    reference: generateReference(),
+    account: accountId,
+    accountRole: role,
+    type: 'top-up',
+    provider: provider.name,
+    amount,
+    currency,
+    mobileNumber,
+    metadata: scenario ? { scenario } : {}
+  });
+
+  const checkout = await provider.createCheckout(payment, { ...urls, scenario });
+  if (checkout.providerReference) {
+    payment.providerReference = checkout.providerReference;
+    await payment.save();
+  }
+
+  return { payment, checkout };
+};
+
+/**
+ * Pay money out of a wallet through a gateway.
+ * The wallet is debited up front and credited back if the payout fails.
+ * @param {Object} options - Same as startTopUp
+ * @returns {Promise<Document>} - Pending payout payment
+ * @throws {ApiError} - 402 when the wallet has insufficient funds
+ */
+const startPayout = async (options) => {
+  const { accountId, role, amount, currency, mobileNumber, urls, scenario } = options;
+  const provider = getProvider(options.provider);
+  assertPaymentSupported(provider, { currency, mobileNumber });
+
+  const payment = new Payment({
+    reference: generateReference(),
+    account: accountId,
+    accountRole: role,
+    type: 'payout',
+    provider: provider.name,
+    amount,
+    currency,
+    mobileNumber,
+    metadata: scenario ? { scenario } : {}
+  });
+
+  const transaction = await ledger.withdraw({
+    accountId,
+    role,
+    amount,
+    currency,
+    reference: `payout:${payment.reference}`,
+    description: `Payout via ${provider.name}`,
+    createdBy: accountId
+  });
+  payment.ledgerTransaction = transaction._id;
+  await payment.save();
+
+  try {
+    const { providerReference } = await provider.createPayout(payment, { ...urls, scenario });
+    payment.providerReference = providerReference;
+    await payment.save();
+  } catch (error) {
+    await failPayment(payment, error.message);
+    throw error;
+  }
+
+  return payment;
+};
+
+/**
+ * Mark a payment failed, returning payout funds to the wallet
+ * @param {Document} payment - Pending payment
+ * @param {String} reason - Failure reason
+ */
+const failPayment = async (payment, reason) => {
+  if (payment.type === 'payout') {
+    await ledger.deposit({
+      accountId: payment.account,
+      role: payment.accountRole,
+      amount: payment.amount,
+      currency: payment.currency,
+      type: 'withdrawal_reversal',
+      reference: `payout_reversal:${payment.reference}`,
+      description: `Failed payout via ${payment.provider}`
+    });
+  }
+
+  payment.status = 'failed';
+  payment.failureReason = reason;
+  payment.completedAt = Date.now();
+  await payment.save();
+};
+
+/**
+ * Handle a signed gateway callback. Callbacks are idempotent: once a payment
+ * has succeeded or failed, repeated callbacks are recorded but change nothing.
+ * @param {String} providerName - Provider key from the callback URL
+ * @param {Object} callback - { body, headers, rawBody }
+ * @returns {Promise<Document>} - Updated payment
+ * @throws {ApiError} - 400 for an invalid signature, 404 for an unknown payment
+ */
+const handleCallback = async (providerName, callback) => {
+  const provider = getProvider(providerName);
+  const result = provider.verifyCallback(callback);
+
+  const payment = await Payment.findOne({ reference: result.reference, provider: provider.name });
+  if (!payment) {
+    throw new ApiError('Payment not found', 404);
+  }
+
+  payment.callbacks.push({
+    status: result.status,
+    message: result.message,
+    payload: callback.body
+  });
+
+  if (payment.status !== 'pending' || result.status === 'pending') {
+    await payment.save();
+    return payment;
+  }
+
+  if (result.providerReference) {
+    payment.providerReference = result.providerReference;
+  }
+
+  // Never trust a success for a different amount than was requested
+  if (result.status === 'succeeded' && result.amount !== undefined &&
+      result.amount !== ledger.toMinorUnits(payment.amount)) {
+    logger.warn(`Payment ${payment.reference} callback amount mismatch`);
+    await failPayment(payment, 'Amount mismatch in gateway callback');
+    return payment;
+  }
+
+  if (result.status === 'failed') {
+    await failPayment(payment, result.message || 'Payment failed');
+    return payment;
+  }
+
+  if (payment.type === 'top-up') {
+    const transaction = await ledger.deposit({
+      accountId: payment.account,
+      role: payment.accountRole,
+      amount: payment.amount,
+      currency: payment.currency,
+      reference: `topup:${payment.reference}`,
+      description: `Top-up via ${payment.provider}`
+    });
+    payment.ledgerTransaction = transaction._id;
+  }
+
+  payment.status = 'succeeded';
+  payment.completedAt = Date.now();
+  await payment.save();
+
+  logger.info(`Payment ${payment.reference} succeeded via ${payment.provider}`);
+  return payment;
+};
+
+// Built-in adapters
+registerProvider(new JazzCashProvider());
+registerProvider(new EasypaisaProvider());
+registerProvider(new CardProvider());
+registerProvider(new MockProvider({
+  dispatch: (body) => handleCallback('mock', { body, headers: {} })
+}));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  startTopUp,
+  startPayout,
+  handleCallback
+};
@@ -0,0 +1,111 @@
+const PaymentProvider = require('./paymentProvider');
+const { hmacSha256, signaturesMatch } = require('./signature');
+const { toMinorUnits } = require('../ledger');
+
+// JazzCash expects timestamps as yyyyMMddHHmmss in Pakistan time
+const formatJazzCashDate = (date) => {
+  const pkt = new Date(date.getTime() + 5 * 60 * 60 * 1000);
+  return pkt.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+};
+
+/**
+ * JazzCash mobile wallet adapter (hosted checkout + disbursements)
+ */
+class JazzCashProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super('jazzcash', {
+      merchantId: process.env.JAZZCASH_MERCHANT_ID,
+      password: process.env.JAZZCASH_PASSWORD,
+      integritySalt: process.env.JAZZCASH_INTEGRITY_SALT,
+      checkoutUrl: process.env.JAZZCASH_CHECKOUT_URL ||
+        'https://sandbox.jazzcash.com.pk/CustomerPortal/transactionmanagement/merchantform/',
+      payoutUrl: process.env.JAZZCASH_PAYOUT_URL,
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.config.merchantId && this.config.password && this.config.integritySalt);
+  }
+
+  /**
+   * JazzCash secure hash: HMAC-SHA256 keyed with the integrity salt over the
+   * salt followed by every non-empty pp_ value, ordered by field name
+   * @param {Object} fields - pp_ fields
+   * @returns {String} - Uppercase hex hash
+   */
+  secureHash(fields) {
+    const values = Object.keys(fields)
+      .filter(key => key.startsWith('pp_') && key !== 'pp_SecureHash')
+      .filter(key => fields[key] !== undefined && fields[key] !== '')
+      .sort()
+      .map(key => fields[key]);
+
+    return hmacSha256([this.config.integritySalt, ...values].join('&'), this.config.integritySalt)
+      .toUpperCase();
+  }
+
+  async createCheckout(payment, { returnUrl }) {
+    const now = new Date();
+    const fields = {
+      pp_Version: '1.1',
+      pp_TxnType: 'MWALLET',
+      pp_Language: 'EN',
+      pp_MerchantID: this.config.merchantId,
+      pp_Password: this.config.password,
+      pp_TxnRefNo: payment.reference,
+      pp_Amount: String(toMinorUnits(payment.amount)),
+      pp_TxnCurrency: 'PKR',
+      pp_TxnDateTime: formatJazzCashDate(now),
+      pp_TxnExpiryDateTime: formatJazzCashDate(new Date(now.getTime() + 60 * 60 * 1000)),
+      pp_BillReference: 'walletTopUp',
+      pp_Description: 'Kamnet wallet top-up',
+      pp_MobileNumber: payment.mobileNumber,
+      pp_ReturnURL: returnUrl
+    };
+    fields.pp_SecureHash = this.secureHash(fields);
+
+    // The client posts these fields to JazzCash as a form
+    return {
+      method: 'POST',
+      url: this.config.checkoutUrl,
+      fields
+    };
+  }
+
+  async createPayout(payment, { callbackUrl }) {
+    const fields = {
+      pp_MerchantID: this.config.merchantId,
+      pp_Password: this.config.password,
+      pp_TxnRefNo: payment.reference,
+      pp_Amount: String(toMinorUnits(payment.amount)),
+      pp_MobileNumber: payment.mobileNumber,
+      pp_ReturnURL: callbackUrl
+    };
+    fields.pp_SecureHash = this.secureHash(fields);
+
+    const response = await this.postJson(this.config.payoutUrl, fields);
+    return { providerReference: response.pp_RetreivalReferenceNo };
+  }
+
+  verifyCallback({ body }) {
+    if (!body.pp_SecureHash || !signaturesMatch(this.secureHash(body), body.pp_SecureHash)) {
+      this.invalidSignature();
+    }
+
+    // 000 is success, 124 means the customer still has to approve in the app
+    let status = 'failed';
+    if (body.pp_ResponseCode === '000') status = 'succeeded';
+    if (body.pp_ResponseCode === '124') status = 'pending';
+
+    return {
+      reference: body.pp_TxnRefNo,
+      providerReference: body.pp_RetreivalReferenceNo,
+      status,
+      amount: body.pp_Amount !== undefined ? Number(body.pp_Amount) : undefined,
+      message: body.pp_ResponseMessage
+    };
+  }
+}
+
+module.exports = JazzCashProvider;
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+const { canonicalize, hmacSha256, signaturesMatch } = require('./signature');
+const { toMinorUnits } = require('../ledger');
+const { createLogger } = require('../logger');
+
+const logger = createLogger();
+
+const SCENARIOS = ['success', 'failure', 'delayed'];
+
+// Used when MOCK_PAYMENT_SECRET is not set, so nobody outside this process
+// can sign callbacks; callbacks then only verify on the instance that made them
+const PROCESS_SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Local stand-in for a payment gateway.
+ *
+ * Instead of redirecting anywhere it sends itself a signed callback:
+ * - success: succeeds right away
+ * - failure: fails right away
+ * - delayed: succeeds after `delayMs` (MOCK_PAYMENT_DELAY_MS, default 2s)
+ * The signed callback is also returned to the client so it can be replayed.
+ */
+class MockProvider extends PaymentProvider {
+  constructor(config = {}) {
+    super('mock', {
+      secret: process.env.MOCK_PAYMENT_SECRET || PROCESS_SECRET,
+      delayMs: Number(process.env.MOCK_PAYMENT_DELAY_MS || 2000),
+      // Set by the payment registry to deliver callbacks in-process
+      dispatch: null,
+      ...config
+    });
+  }
+
+  // Tops up wallets for free, so it is off outside tests unless enabled;
+  // production also needs a signing secret
+  isConfigured() {
+    if (process.env.NODE_ENV === 'test') {
+      return true;
+    }
+    if (process.env.PAYMENTS_MOCK_ENABLED !== 'true') {
+      return false;
+    }
+    return process.env.NODE_ENV !== 'production' || Boolean(process.env.MOCK_PAYMENT_SECRET);
+  }
+
+  get currencies() {
+    return ['PKR', 'USD'];
+  }
+
+  get scenarios() {
+    return SCENARIOS;
+  }
+
+  /**
+   * Build a signed callback body for a payment
+   * @param {Document} payment - Payment being completed
+   * @param {String} status - 'succeeded' or 'failed'
+   * @returns {Object} - Callback body
+   */
+  signCallback(payment, status) {
+    const body = {
+      reference: payment.reference,
+      providerReference: `MOCK-${payment.reference}`,
+      status,
+      amount: toMinorUnits(payment.amount),
+      nonce: crypto.randomBytes(8).toString('hex')
+    };
+    body.signature = hmacSha256(canonicalize(body), this.config.secret);
+
+    return body;
+  }
+
+  /**
+   * Schedule the callback for a scenario
+   * @returns {Object} - The signed callback body
+   */
+  simulate(payment, scenario) {
+    const callback = this.signCallback(payment, scenario === 'failure' ? 'failed' : 'succeeded');
+    const delay = scenario === 'delayed' ? this.config.delayMs : 0;
+
+    if (this.config.dispatch) {
+      const timer = setTimeout(() => {
+        Promise.resolve(this.config.dispatch(callback)).catch(error => {
+          logger.error(`Mock payment callback failed: ${error.message}`);
+        });
+      }, delay);
+      // Pending simulations should not keep the process alive
+      timer.unref();
+    }
+
+    return callback;
+  }
+
+  async createCheckout(payment, { scenario = 'success' } = {}) {
+    return {
+      method: 'GET',
+      url: null,
+      providerReference: `MOCK-${payment.reference}`,
+      scenario,
+      callback: this.simulate(payment, scenario)
+    };
+  }
+
+  async createPayout(payment, { scenario = 'success' } = {}) {
+    this.simulate(payment, scenario);
+    return { providerReference: `MOCK-${payment.reference}` };
+  }
+
+  verifyCallback({ body }) {
+    const expected = hmacSha256(canonicalize(body, ['signature']), this.config.secret);
+    if (!signaturesMatch(expected, body.signature)) {
+      this.invalidSignature();
+    }
+
+    return {
+      reference: body.reference,
+      providerReference: body.providerReference,
+      status: body.status === 'succeeded' ? 'succeeded' : 'failed',
+      amount: Number(body.amount),
+      message: body.status === 'succeeded' ? 'Mock payment succeeded' : 'Mock payment failed'
+    };
+  }
+}
+
+module.exports = MockProvider;
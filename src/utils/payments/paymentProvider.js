@@ -0,0 +1,118 @@
+const https = require('https');
+const { ApiError } = require('../../middleware/error');
+
+/**
+ * Base class for payment gateway adapters.
+ *
+ * Adapters turn a Payment document into gateway requests and turn gateway
+ * callbacks back into a normalized result:
+ * { reference, providerReference, status: 'pending'|'succeeded'|'failed', amount, message }
+ * where `amount` is in minor units when the gateway reports it.
+ */
+class PaymentProvider {
+  /**
+   * @param {String} name - Provider key used in routes and on Payment documents
+   * @param {Object} config - Provider credentials and endpoints
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * Whether the credentials needed by this provider are present
+   * @returns {Boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Currencies the gateway can settle
+   * @returns {String[]}
+   */
+  get currencies() {
+    return ['PKR'];
+  }
+
+  /**
+   * Start a wallet top-up
+   * @param {Document} payment - Pending top-up payment
+   * @param {Object} options - { returnUrl, callbackUrl, ... }
+   * @returns {Promise<Object>} - Checkout instructions for the client, e.g. { method, url, fields }
+   */
+  async createCheckout(_payment, _options) {
+    throw new ApiError(`${this.name} does not support top-ups`, 400);
+  }
+
+  /**
+   * Send money from the platform to a customer
+   * @param {Document} payment - Pending payout payment
+   * @param {Object} options - { callbackUrl, ... }
+   * @returns {Promise<Object>} - { providerReference }
+   */
+  async createPayout(_payment, _options) {
+    throw new ApiError(`${this.name} does not support payouts`, 400);
+  }
+
+  /**
+   * Verify the signature of a gateway callback and normalize it
+   * @param {Object} callback - { body, headers, rawBody } of the callback request
+   * @returns {Object} - Normalized callback result
+   * @throws {ApiError} - 400 when the signature is missing or invalid
+   */
+  verifyCallback(_callback) {
+    throw new ApiError(`${this.name} does not accept callbacks`, 400);
+  }
+
+  /**
+   * POST a JSON body to a gateway API
+   * @param {String} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @param {Object} [headers] - Extra request headers
+   * @returns {Promise<Object>} - Parsed JSON response
+   */
+  postJson(url, body, headers = {}) {
+    const payload = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const req = https.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...headers
+        },
+        timeout: 15000
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            return reject(new ApiError(`${this.name} responded with ${res.statusCode}`, 502));
+          }
+          try {
+            resolve(data ? JSON.parse(data) : {});
+          } catch (error) {
+            reject(new ApiError(`${this.name} returned an invalid response`, 502));
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new ApiError(`${this.name} timed out`, 504)));
+      req.on('error', reject);
+      req.write(payload);
+      req.end();
+    });
+  }
+
+  /**
+   * Reject a callback with an invalid signature
+   * @throws {ApiError}
+   */
+  invalidSignature() {
+    throw new ApiError(`Invalid ${this.name} callback signature`, 400);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * Build the canonical string for a set of fields:
+ * non-empty values sorted by key and joined with '&'
+ * @param {Object} fields - Fields to sign
+ * @param {String[]} [exclude] - Keys left out of the signature (e.g. the signature itself)
+ * @returns {String} - Canonical string
+ */
+const canonicalize = (fields, exclude = []) => Object.keys(fields)
+  .filter(key => !exclude.includes(key))
+  .filter(key => fields[key] !== undefined && fields[key] !== null && fields[key] !== '')
+  .sort()
+  .map(key => `${key}=${fields[key]}`)
+  .join('&');
+
+/**
+ * HMAC-SHA256 of a string as lowercase hex
+ * @param {String} data - Data to sign
+ * @param {String} secret - Signing secret
+ * @returns {String} - Hex digest
+ */
+const hmacSha256 = (data, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(data)
+  .digest('hex');
+
+/**
+ * Constant-time comparison of two hex signatures (case-insensitive)
+ * @param {String} expected - Signature we computed
+ * @param {String} received - Signature sent by the gateway
+ * @returns {Boolean}
+ */
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || expected.length !== received.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(expected.toLowerCase()),
+    Buffer.from(received.toLowerCase())
+  );
+};
+
+module.exports = {
+  canonicalize,
+  hmacSha256,
+  signaturesMatch
+};
@@ -0,0 +1,94 @@
+/**
+ * Permission registry. Permissions are named resource:action, with an `:any`
+ * suffix when they reach other people's resources. Roles grant permissions,
+ * and an account has the permissions of the role it is acting as.
+ */
+const PERMISSIONS = {
+  'task:create': 'Post tasks',
+  'task:update': 'Edit your own tasks',
+  'task:delete': 'Delete your own tasks',
+  'task:status:update': 'Move your own or hired tasks through their lifecycle',
+  'task:update:any': 'Edit any task and move it through its lifecycle',
+  'task:delete:any': 'Delete any task',
+  'milestone:review': 'Approve or send back milestones on your own tasks',
+  'milestone:review:any': 'Approve or send back milestones on any task, releasing escrow',
+  'application:view': 'View applications to your own tasks',
+  'application:view:any': 'View any application and its messages',
+  'payment:view:any': 'View any payment',
+  'user:view:any': 'List and look up accounts',
+  'user:update:any': 'Edit any profile',
+  'user:suspend': 'Suspend, ban and reinstate accounts',
+  'user:unlock': 'Lift sign-in lockouts',
+  'user:sessions:revoke': 'Sign accounts out on every device',
+  'user:roles:manage': 'Grant and remove staff roles',
+  'wallet:credit': 'Credit wallets',
+  'wallet:reconcile': 'Reconcile wallets against the ledger',
+  'email:manage': 'View email templates and the outbox, and retry emails',
+  'content:moderate': 'Review flagged content and hide or show tasks',
+  'moderation:log:view': 'View the log of moderation actions',
+  'report:triage': 'Work through reports of tasks, applications and accounts',
+  'audit:view': 'Search and export the audit log',
+  'screening:manage': 'Edit the word lists and rules used to screen content',
+  'analytics:view': 'View and export platform metrics'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [
+    'task:create',
+    'task:update',
+    'task:delete',
+    'task:status:update',
+    'milestone:review',
+    'application:view'
+  ],
+  talent: ['task:status:update'],
+  // Staff roles
+  moderator: [
+    'task:update:any',
+    'task:delete:any',
+    'application:view:any',
+    'user:view:any',
+    'user:suspend',
+    'content:moderate',
+    'moderation:log:view',
+    'report:triage'
+  ],
+  support: [
+    'application:view:any',
+    'payment:view:any',
+    'user:view:any',
+    'user:unlock',
+    'user:sessions:revoke',
+    'email:manage',
+    'moderation:log:view'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+/**
+ * Permissions a role grants
+ * @param {String} role - Role name
+ * @returns {String[]}
+ */
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a role grants a permission
+ * @param {String} role - Role name, usually the active role from the token
+ * @param {String} permission - Permission name, e.g. 'task:update:any'
+ * @returns {Boolean}
+ * @throws {Error} - For permissions missing from the registry, to catch typos
+ */
+const hasPermission = (role, permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return permissionsFor(role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  permissionsFor,
+  hasPermission
+};
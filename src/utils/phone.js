@@ -0,0 +1,46 @@
+/**
+ * Pakistani mobile numbers in E.164 format: +92 followed by a 10 digit
+ * number starting with 3 (landlines cannot receive SMS)
+ */
+const PK_MOBILE_E164 = /^\+923\d{9}$/;
+
+/**
+ * Normalize a Pakistani mobile number to E.164 format.
+ * Accepts the usual ways people write them, e.g. 0300 1234567, 300-1234567,
+ * 92 300 1234567, +92 (300) 1234567 and 0092 300 1234567.
+ * @param {String} input - Number as entered
+ * @returns {String|null} - E.164 number (+923001234567), or null when it is
+ * not a Pakistani mobile number
+ */
+const normalizePakistaniPhone = (input) => {
+  if (typeof input !== 'string') return null;
+
+  let digits = input.trim().replace(/[\s().-]/g, '');
+
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = `92${digits.slice(1)}`;
+  } else if (digits.length === 10) {
+    digits = `92${digits}`;
+  }
+
+  const phone = `+${digits}`;
+  return PK_MOBILE_E164.test(phone) ? phone : null;
+};
+
+/**
+ * Hide all but the last few digits of a number, for logs and responses
+ * @param {String} phone - E.164 number
+ * @returns {String} - e.g. +92******4567
+ */
+const maskPhone = (phone) => (
+  `${phone.slice(0, 3)}${'*'.repeat(phone.length - 7)}${phone.slice(-4)}`
+);
+
+module.exports = {
+  normalizePakistaniPhone,
+  maskPhone
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const PhoneOtp = require('../models/phoneOtp.model');
+const { ApiError } = require('../middleware/error');
+const { normalizePakistaniPhone, maskPhone } = require('./phone');
+const { sendSms, getSmsProvider } = require('./smsProviders');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+const CODE_LENGTH = 6;
+const HOUR_MS = 60 * 60 * 1000;
+
+const settings = () => ({
+  expireMinutes: Number(process.env.PHONE_OTP_EXPIRE_MINUTES || 10),
+  maxAttempts: Number(process.env.PHONE_OTP_MAX_ATTEMPTS || 5),
+  resendSeconds: Number(process.env.PHONE_OTP_RESEND_SECONDS || 60),
+  maxPerHour: Number(process.env.PHONE_OTP_MAX_PER_HOUR || 5)
+});
+
+// Code text per language
+const MESSAGES = {
+  en: (code, minutes) => `Your Kamnet verification code is ${code}. `
+    + `It expires in ${minutes} minutes. Do not share it with anyone.`,
+  ur: (code, minutes) => `آپ کا کام نیٹ تصدیقی کوڈ ${code} ہے۔ `
+    + `یہ ${minutes} منٹ میں ختم ہو جائے گا۔ یہ کوڈ کسی کو نہ بتائیں۔`
+};
+
+/**
+ * Hash a code for storage. Codes are short, so they are keyed with a secret
+ * rather than hashed plainly.
+ */
+const hashCode = (userId, phone, code) => crypto
+  .createHmac('sha256', process.env.PHONE_OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${userId}:${phone}:${code}`)
+  .digest('hex');
+
+/**
+ * Build a 429 error that tells the client when to try again
+ * @param {String} message - Error message
+ * @param {Number} waitMs - Time until the limit resets
+ * @returns {ApiError} - Error with `retryAfter` in seconds
+ */
+const tooManyRequests = (message, waitMs) => {
+  const error = new ApiError(message, 429);
+  error.retryAfter = Math.max(Math.ceil(waitMs / 1000), 1);
+  return error;
+};
+
+/**
+ * Normalize a number from a request
+ * @throws {ApiError} - 400 when it is not a Pakistani mobile number
+ */
+const requirePhone = (input) => {
+  const phone = normalizePakistaniPhone(input);
+  if (!phone) {
+    throw new ApiError('Please provide a valid Pakistani mobile number, e.g. 0300 1234567', 400);
+  }
+  return phone;
+};
+
+/**
+ * Check a number is not already verified on another account
+ * @throws {ApiError} - 409 when it is
+ */
+const assertPhoneAvailable = async (user, phone) => {
+  const taken = await User.exists({ _id: { $ne: user._id }, phone, phoneVerified: true });
+  if (taken) {
+    throw new ApiError('This phone number is already verified on another account', 409);
+  }
+};
+
+/**
+ * Enforce the resend cooldown and the hourly limits per account and per number
+ * @throws {ApiError} - 429 with `retryAfter`
+ */
+const assertCanSend = async (user, phone) => {
+  const { resendSeconds, maxPerHour } = settings();
+  const now = Date.now();
+
+  const latest = await PhoneOtp.findOne({ user: user._id }).sort({ createdAt: -1 });
+  if (latest) {
+    const waitMs = latest.createdAt.getTime() + resendSeconds * 1000 - now;
+    if (waitMs > 0) {
+      throw tooManyRequests(
+        `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another code`,
+        waitMs
+      );
+    }
+  }
+
+  // Count by account and by number, so neither can be used to flood the other
+  const since = new Date(now - HOUR_MS);
+  for (const filter of [{ user: user._id }, { phone }]) {
+    const recent = await PhoneOtp.find({ ...filter, createdAt: { $gt: since } })
+      .sort({ createdAt: 1 })
+      .limit(maxPerHour);
+
+    if (recent.length >= maxPerHour) {
+      throw tooManyRequests(
+        'Too many verification codes requested. Please try again later',
+        recent[0].createdAt.getTime() + HOUR_MS - now
+      );
+    }
+  }
+};
+
+/**
+ * Send a verification code to a phone number for the account.
+ * Earlier unused codes stop working.
+ * @param {Document} user - Account verifying the number
+ * @param {String} input - Number as entered
+ * @returns {Promise<Object>} - { phone, expiresAt }
+ * @throws {ApiError} - 400 for an invalid or already verified number, 409 when
+ * another account has verified it, 429 when rate limited, 502 when sending fails
+ */
+const sendPhoneOtp = async (user, input) => {
+  const phone = requirePhone(input);
+
+  if (user.phoneVerified && user.phone === phone) {
+    throw new ApiError('This phone number is already verified', 400);
+  }
+  await assertPhoneAvailable(user, phone);
+  await assertCanSend(user, phone);
+
+  const { expireMinutes } = settings();
+  const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+  await PhoneOtp.updateMany(
+    { user: user._id, consumedAt: { $exists: false } },
+    { consumedAt: Date.now() }
+  );
+
+  const otp = await PhoneOtp.create({
+    user: user._id,
+    phone,
+    codeHash: hashCode(user._id, phone, code),
+    expiresAt: Date.now() + expireMinutes * 60 * 1000
+  });
+
+  const message = MESSAGES[user.language] || MESSAGES.en;
+
+  try {
+    const { messageId } = await sendSms({ to: phone, body: message(code, expireMinutes) });
+    otp.messageId = messageId;
+    await otp.save();
+  } catch (error) {
+    // A provider failure should not count against the account's limits
+    await otp.deleteOne();
+    logger.error(
+      `SMS via ${getSmsProvider().name} to ${maskPhone(phone)} failed: ${error.message}`
+    );
+    throw new ApiError('Could not send the verification code. Please try again', 502);
+  }
+
+  return { phone, expiresAt: otp.expiresAt };
+};
+
+/**
+ * Check a code and mark the number verified on the account
+ * @param {Document} user - Account verifying the number
+ * @param {String} input - Number the code was sent to
+ * @param {String} code - Code from the SMS
+ * @returns {Promise<Document>} - Updated account
+ * @throws {ApiError} - 400 for a wrong, expired or missing code, 409 when
+ * another account has verified the number, 429 after too many wrong codes
+ */
+const verifyPhoneOtp = async (user, input, code) => {
+  const phone = requirePhone(input);
+  const { maxAttempts } = settings();
+
+  const otp = await PhoneOtp.findOne({
+    user: user._id,
+    phone,
+    consumedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() }
+  }).sort({ createdAt: -1 });
+
+  if (!otp) {
+    throw new ApiError('Verification code expired or not found. Please request a new one', 400);
+  }
+
+  // Count the attempt atomically so parallel guesses cannot exceed the cap
+  const attempt = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!attempt) {
+    throw new ApiError('Too many incorrect codes. Please request a new one', 429);
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(user._id, phone, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = maxAttempts - attempt.attempts;
+    throw new ApiError(
+      remaining > 0
+        ? `Incorrect verification code. ${remaining} attempt(s) left`
+        : 'Too many incorrect codes. Please request a new one',
+      remaining > 0 ? 400 : 429
+    );
+  }
+
+  await assertPhoneAvailable(user, phone);
+
+  attempt.consumedAt = Date.now();
+  await attempt.save();
+
+  user.phone = phone;
+  user.phoneVerified = true;
+  user.phoneVerifiedAt = Date.now();
+  // Already true for an account moving to a new number; marked so the
+  // pre-save hook that unverifies changed numbers leaves it alone
+  user.markModified('phoneVerified');
+  await user.save();
+
+  logger.info(`Phone ${maskPhone(phone)} verified for account ${user._id}`);
+  return user;
+};
+
+module.exports = {
+  sendPhoneOtp,
+  verifyPhoneOtp
+};
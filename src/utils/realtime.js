@@ -0,0 +1,215 @@
+const { Server } = require('socket.io');
+const { verifyAccessToken } = require('./token');
+const { touchSession } = require('./sessions');
+const { EVENTS, onDomainEvent } = require('./events');
+const { createLogger } = require('./logger');
+const User = require('../models/user.model');
+const Application = require('../models/application.model');
+
+const logger = createLogger();
+
+// Longest delay setTimeout supports (~24.8 days)
+const MAX_TIMER_MS = 2147483647;
+
+let io = null;
+let listenersRegistered = false;
+
+/**
+ * Room that every socket of an account joins
+ * @param {String|ObjectId} accountId - User or talent ID
+ * @returns {String}
+ */
+const accountRoom = (accountId) => `account:${accountId}`;
+
+/**
+ * Read the access token from the Socket.IO handshake.
+ * Clients pass it as `auth.token`; an Authorization header also works.
+ * @param {Object} handshake - Socket.IO handshake
+ * @returns {String|null}
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Authenticate a connecting socket with the same checks as the protect middleware
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+
+  if (!token) {
+    return next(new Error('Not authorized, no token'));
+  }
+
+  try {
+    // Rejects expired and revoked tokens
+    const decoded = await verifyAccessToken(token);
+
+    const account = await User.findOne({ _id: decoded.id, roles: decoded.role })
+      .select('tokensValidAfter status suspendedUntil');
+
+    if (!account) {
+      throw new Error('User no longer exists');
+    }
+
+    if (account.isTokenRevoked(decoded.iat)) {
+      throw new Error('Token has been revoked');
+    }
+
+    if (decoded.sid && !(await touchSession(decoded.sid, account._id))) {
+      throw new Error('Session has ended');
+    }
+
+    if (account.isSuspended()) {
+      throw new Error('Account is suspended');
+    }
+
+    socket.data.userId = decoded.id;
+    socket.data.role = decoded.role;
+    socket.data.expiresAt = decoded.exp * 1000;
+
+    next();
+  } catch (error) {
+    logger.warn(`Socket auth error: ${error.message}`);
+    next(new Error(error.message === 'Token expired'
+      ? 'Your session has expired. Please log in again.'
+      : 'Not authorized'));
+  }
+};
+
+/**
+ * Send an event to every connected socket of the given accounts
+ * @param {Array<String|ObjectId>} accountIds - Recipients (duplicates and empty values are ignored)
+ * @param {String} event - Client event name
+ * @param {Object} payload - Event data
+ */
+const emitToAccounts = (accountIds, event, payload) => {
+  if (!io) return;
+
+  const rooms = [...new Set(accountIds.filter(Boolean).map(id => accountRoom(id)))];
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, payload);
+  }
+};
+
+/**
+ * Forward domain events to the sockets of the accounts involved
+ */
+const registerDomainEventListeners = () => {
+  onDomainEvent(EVENTS.APPLICATION_CREATED, ({ application, task }) => {
+    emitToAccounts([task.user], 'application:created', {
+      applicationId: application._id,
+      taskId: task._id,
+      taskTitle: task.title,
+      talentId: application.talent,
+      proposedBudget: application.proposedBudget,
+      currency: application.currency,
+      status: application.status,
+      createdAt: application.createdAt
+    });
+  });
+
+  onDomainEvent(EVENTS.APPLICATION_STATUS_CHANGED, ({ application, task, from, to }) => {
+    emitToAccounts([application.talent, task.user], 'application:status', {
+      applicationId: application._id,
+      taskId: task._id,
+      taskTitle: task.title,
+      from,
+      to
+    });
+  });
+
+  onDomainEvent(EVENTS.TASK_STATUS_CHANGED, async ({ task, from, to, hiredTalent, reason }) => {
+    // Everyone who applied follows the task, not just the hired talent
+    const applicants = await Application.distinct('talent', { task: task._id });
+
+    emitToAccounts([task.user, hiredTalent, task.hiredTalent, ...applicants], 'task:status', {
+      taskId: task._id,
+      taskTitle: task.title,
+      from,
+      to,
+      reason
+    });
+  });
+
+  onDomainEvent(EVENTS.MESSAGE_CREATED, ({ message, conversation }) => {
+    emitToAccounts([message.sender, message.recipient], 'message:created', {
+      conversationId: conversation._id,
+      applicationId: conversation.application,
+      taskId: conversation.task,
+      message
+    });
+  });
+
+  onDomainEvent(EVENTS.MESSAGES_READ, ({ conversation, readerId, readAt }) => {
+    emitToAccounts([conversation.owner, conversation.talent], 'message:read', {
+      conversationId: conversation._id,
+      applicationId: conversation.application,
+      readerId,
+      readAt
+    });
+  });
+};
+
+/**
+ * Attach the Socket.IO gateway to the HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {Object} [options] - Socket.IO server options (e.g. cors)
+ * @returns {Server} - Socket.IO server
+ */
+const initRealtime = (server, options = {}) => {
+  if (!listenersRegistered) {
+    registerDomainEventListeners();
+    listenersRegistered = true;
+  }
+
+  io = new Server(server, options);
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { userId, role, expiresAt } = socket.data;
+
+    socket.join(accountRoom(userId));
+    logger.debug(`Socket connected for ${role} ${userId}`);
+
+    // Drop the connection when the access token runs out; clients reconnect with a fresh one
+    const expiresIn = Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_MS);
+    const expiryTimer = setTimeout(() => socket.disconnect(true), expiresIn);
+    expiryTimer.unref();
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+    });
+  });
+
+  logger.info('Realtime gateway attached');
+  return io;
+};
+
+/**
+ * Close the gateway and disconnect all sockets
+ * @returns {Promise<void>}
+ */
+const closeRealtime = () => new Promise(resolve => {
+  if (!io) return resolve();
+
+  io.close(() => {
+    io = null;
+    resolve();
+  });
+});
+
+module.exports = {
+  initRealtime,
+  closeRealtime,
+  emitToAccounts
+};
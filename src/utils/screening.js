@@ -0,0 +1,283 @@
+const ScreeningRules = require('../models/screeningRules.model');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+// Rules are read on every screened save, so they are cached for a while.
+// Changes made on another instance are picked up when the cache expires.
+const RULES_CACHE_MS = Number(process.env.SCREENING_RULES_CACHE_MS || 60 * 1000);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules used until an admin saves their own
+const DEFAULT_SCREENING_RULES = {
+  threshold: 4,
+  bannedWords: {
+    en: [
+      'fuck', 'shit', 'bitch', 'bastard', 'asshole',
+      'advance fee', 'registration fee', 'send money first', 'double your money',
+      'western union', 'bitcoin investment'
+    ],
+    ur: [
+      'harami', 'kutta', 'kutti', 'kamina', 'kanjar', 'gandu', 'chutiya', 'bhenchod',
+      'madarchod', 'paisay pehle bhejo', 'pehle fees do', 'registration fees do'
+    ]
+  },
+  weights: {
+    bannedWord: 5,
+    phone: 3,
+    email: 3,
+    whatsapp: 5,
+    // Below the threshold: reusing text is normal, e.g. a talent's standard
+    // cover letter, so a near-copy is only held along with another signal
+    duplicate: 3
+  },
+  duplicates: {
+    similarity: 0.8,
+    windowDays: 7,
+    minWords: 15
+  }
+};
+
+// A run of 10 to 13 digits, allowing the usual separators, e.g. 0300-1234567
+const PHONE_PATTERN = /\+?\d[\d\s().-]{8,}\d/g;
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}/i;
+// Addresses spelled out to get past filters, e.g. "ali [at] mail [dot] com"
+const SPELLED_EMAIL_PATTERN =
+  /[a-z0-9._%+-]+\s*[([]at[)\]]\s*[a-z0-9-]+\s*[([]dot[)\]]\s*[a-z]{2,}/i;
+const WHATSAPP_PATTERN = /(wa\.me\/|chat\.whatsapp\.com|api\.whatsapp\.com|whatsapp\.com\/send)/i;
+
+// Digits and symbols often swapped in for letters to get past word lists
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+let cachedRules;
+let cachedUntil = 0;
+
+/**
+ * Lowercase words separated by single spaces, with lookalike characters
+ * replaced, for matching word lists and comparing texts
+ * @param {String} text
+ * @returns {String}
+ */
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[013457@$]/g, char => LOOKALIKES[char])
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Word triples in a normalized text
+ * @param {String} normalized - From normalizeText
+ * @returns {Set<String>}
+ */
+const shingles = (normalized) => {
+  const words = normalized.split(' ');
+  const triples = new Set();
+  for (let i = 0; i + 2 < words.length; i += 1) {
+    triples.add(words.slice(i, i + 3).join(' '));
+  }
+  return triples;
+};
+
+/**
+ * Share of word triples two texts have in common (Jaccard similarity)
+ * @returns {Number} - From 0 to 1
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(triple => {
+    if (b.has(triple)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const countPhoneNumbers = (text) => (text.match(PHONE_PATTERN) || [])
+  .filter(match => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= 10 && digits <= 13;
+  }).length;
+
+/**
+ * Score text against the screening rules
+ * @param {String} text - Text to screen
+ * @param {Object} rules - Screening rules
+ * @param {String[]} [previousTexts] - The author's recent texts, to spot near-duplicates
+ * @returns {Object} - { score, reasons: [{ rule, weight, detail }] }
+ */
+const scoreContent = (text, rules, previousTexts = []) => {
+  const { weights } = rules;
+  const normalized = normalizeText(text);
+  const padded = ` ${normalized} `;
+  const reasons = [];
+
+  if (weights.bannedWord > 0) {
+    const words = [...(rules.bannedWords.en || []), ...(rules.bannedWords.ur || [])];
+    const found = [...new Set(words.map(normalizeText))]
+      .filter(word => word && padded.includes(` ${word} `));
+
+    found.forEach(word => {
+      reasons.push({ rule: 'bannedWord', weight: weights.bannedWord, detail: word });
+    });
+  }
+
+  if (weights.phone > 0 && countPhoneNumbers(text) > 0) {
+    reasons.push({ rule: 'phone', weight: weights.phone });
+  }
+
+  if (weights.email > 0 && (EMAIL_PATTERN.test(text) || SPELLED_EMAIL_PATTERN.test(text))) {
+    reasons.push({ rule: 'email', weight: weights.email });
+  }
+
+  if (weights.whatsapp > 0 && WHATSAPP_PATTERN.test(text)) {
+    reasons.push({ rule: 'whatsapp', weight: weights.whatsapp });
+  }
+
+  if (weights.duplicate > 0 && normalized.split(' ').length >= rules.duplicates.minWords) {
+    const triples = shingles(normalized);
+    const closest = previousTexts.reduce(
+      (best, previous) => Math.max(best, similarity(triples, shingles(normalizeText(previous)))),
+      0
+    );
+
+    if (closest >= rules.duplicates.similarity) {
+      reasons.push({
+        rule: 'duplicate',
+        weight: weights.duplicate,
+        detail: `${Math.round(closest * 100)}% similar to recent content`
+      });
+    }
+  }
+
+  return {
+    score: reasons.reduce((total, reason) => total + reason.weight, 0),
+    reasons
+  };
+};
+
+/**
+ * Current screening rules: the saved ones, or the defaults
+ * @returns {Promise<Object>}
+ */
+const getScreeningRules = async () => {
+  if (cachedRules && Date.now() < cachedUntil) {
+    return cachedRules;
+  }
+
+  const saved = await ScreeningRules.findOne({ key: 'default' }).lean();
+  cachedRules = saved || DEFAULT_SCREENING_RULES;
+  cachedUntil = Date.now() + RULES_CACHE_MS;
+  return cachedRules;
+};
+
+/**
+ * Forget the cached rules, so the next screening reads them from the database
+ */
+const clearScreeningRulesCache = () => {
+  cachedRules = undefined;
+  cachedUntil = 0;
+};
+
+// Trimmed, lowercase and without repeats
+const cleanWordList = (words) => [...new Set(
+  words.map(word => String(word).trim().toLowerCase()).filter(Boolean)
+)];
+
+/**
+ * Change some of the screening rules. Word lists are replaced as a whole,
+ * other settings are changed one by one.
+ * @param {Object} changes - { threshold, bannedWords, weights, duplicates }
+ * @param {ObjectId} actorId - Admin making the change
+ * @returns {Promise<Object>} - The rules now in force
+ */
+const updateScreeningRules = async (changes, actorId) => {
+  const current = (await ScreeningRules.findOne({ key: 'default' }).lean())
+    || DEFAULT_SCREENING_RULES;
+
+  const bannedWords = { ...current.bannedWords, ...changes.bannedWords };
+  ScreeningRules.SCREENING_LANGUAGES.forEach(language => {
+    bannedWords[language] = cleanWordList(bannedWords[language] || []);
+  });
+
+  const rules = await ScreeningRules.findOneAndUpdate(
+    { key: 'default' },
+    {
+      threshold: changes.threshold !== undefined ? changes.threshold : current.threshold,
+      bannedWords,
+      weights: { ...current.weights, ...changes.weights },
+      duplicates: { ...current.duplicates, ...changes.duplicates },
+      updatedBy: actorId,
+      updatedAt: Date.now()
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+
+  cachedRules = rules;
+  cachedUntil = Date.now() + RULES_CACHE_MS;
+  return rules;
+};
+
+/**
+ * Screen the text of a task or application before it is saved. Content
+ * scoring above the threshold is held for review with a 'pending_review'
+ * visibility and a flag explaining why. Content already hidden or held by a
+ * moderator is left alone.
+ * @param {Document} doc - Task or application being saved
+ * @param {Object} options
+ * @param {String[]} options.fields - Text fields to screen
+ * @param {String} options.author - Field holding the author, to find their recent content
+ * @returns {Promise<Object>} - { score, reasons, held }
+ */
+const screenContent = async (doc, { fields, author }) => {
+  if (doc.visibility && doc.visibility !== 'public') {
+    return { score: 0, reasons: [], held: false };
+  }
+
+  const rules = await getScreeningRules();
+  const text = fields.map(field => doc.get(field) || '').join('\n');
+
+  let previousTexts = [];
+  if (rules.weights.duplicate > 0) {
+    const recent = await doc.constructor.find({
+      [author]: doc.get(author),
+      _id: { $ne: doc._id },
+      createdAt: { $gte: new Date(Date.now() - rules.duplicates.windowDays * DAY_MS) }
+    })
+      .select(fields.join(' '))
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+    previousTexts = recent.map(item => fields.map(field => item[field] || '').join('\n'));
+  }
+
+  const { score, reasons } = scoreContent(text, rules, previousTexts);
+  const held = score > rules.threshold;
+
+  if (held) {
+    const summary = reasons
+      .map(reason => (reason.detail ? `${reason.rule} (${reason.detail})` : reason.rule))
+      .join(', ');
+
+    doc.visibility = 'pending_review';
+    doc.flags.push({
+      reason: `Screening score ${score}: ${summary}`.slice(0, 500),
+      source: 'screening'
+    });
+    logger.info(`${doc.constructor.modelName} ${doc._id} held for review, score ${score}`);
+  }
+
+  return { score, reasons, held };
+};
+
+module.exports = {
+  DEFAULT_SCREENING_RULES,
+  normalizeText,
+  scoreContent,
+  getScreeningRules,
+  clearScreeningRulesCache,
+  updateScreeningRules,
+  screenContent
+};
@@ -0,0 +1,239 @@
+const RefreshToken = require('../models/refreshToken.model');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../middleware/error');
+const { generateRefreshToken, verifyRefreshToken, hashToken } = require('./token');
+const { createLogger } = require('./logger');
+
+const logger = createLogger();
+
+// lastSeenAt is only written when it is older than this, not on every request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+/**
+ * Issue the next refresh token of a session and store its hash
+ * @param {Document} session - Session the token belongs to
+ * @returns {Promise<Object>} - { refreshToken, expires }
+ */
+const issueRefreshToken = async (session) => {
+  const { refreshToken, expires } = generateRefreshToken(session.user);
+
+  await RefreshToken.create({
+    user: session.user,
+    session: session._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: expires
+  });
+
+  // The session lasts as long as its newest refresh token
+  session.expiresAt = expires;
+  await session.save();
+
+  return { refreshToken, expires };
+};
+
+/**
+ * Revoke the unrevoked refresh tokens matching a filter
+ */
+const revokeRefreshTokens = (filter, reason) => RefreshToken.updateMany(
+  { ...filter, revokedAt: { $exists: false } },
+  { revokedAt: Date.now(), revokedReason: reason }
+);
+
+/**
+ * End the active sessions matching a filter, with their refresh tokens
+ * @returns {Promise<Number>} - Sessions ended
+ */
+const endSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: { $exists: false } }).select('_id');
+  const ids = sessions.map(session => session._id);
+  if (ids.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: ids } },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  await revokeRefreshTokens({ session: { $in: ids } }, reason);
+
+  return ids.length;
+};
+
+/**
+ * Start a session for a login and issue its first refresh token
+ * @param {ObjectId} userId - Account signing in
+ * @param {Object} [device] - { userAgent, ip } of the request
+ * @returns {Promise<Object>} - { session, refreshToken, expires }
+ */
+const startSession = async (userId, { userAgent, ip } = {}) => {
+  const session = new Session({
+    user: userId,
+    userAgent,
+    ip,
+    // Replaced with the refresh token expiry straight away
+    expiresAt: Date.now()
+  });
+
+  const { refreshToken, expires } = await issueRefreshToken(session);
+  return { session, refreshToken, expires };
+};
+
+/**
+ * Issue a fresh refresh token for an active session, e.g. after switching
+ * roles. Its earlier refresh tokens stop working.
+ * @param {ObjectId} sessionId - Session to continue
+ * @param {ObjectId} userId - Account that must own the session
+ * @returns {Promise<Object|null>} - { session, refreshToken, expires }, or null
+ * when the session is not active
+ */
+const continueSession = async (sessionId, userId) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: { $exists: false }
+  });
+  if (!session) return null;
+
+  await revokeRefreshTokens({ session: session._id }, 'replaced');
+  const { refreshToken, expires } = await issueRefreshToken(session);
+
+  return { session, refreshToken, expires };
+};
+
+/**
+ * Check that the session an access token was issued with is still active,
+ * and record that the device was seen
+ * @param {ObjectId} sessionId - `sid` claim of the access token
+ * @param {ObjectId} userId - Account the token was issued to
+ * @returns {Promise<Boolean>}
+ */
+const touchSession = async (sessionId, userId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId })
+    .select('revokedAt lastSeenAt');
+
+  if (!session || session.revokedAt) return false;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: sessionId }, { lastSeenAt: Date.now() });
+  }
+  return true;
+};
+
+/**
+ * Exchange a refresh token for the next one in its family. Each token can
+ * only be used once: presenting a token that was already exchanged means it
+ * has leaked, so its session is ended.
+ * @param {String} refreshToken - Token from the client
+ * @param {Object} [device] - { userAgent, ip } of the request
+ * @returns {Promise<Object>} - { userId, sessionId, refreshToken, expires }
+ * @throws {ApiError} - 401 when the token is invalid, expired, revoked or reused
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent, ip } = {}) => {
+  try {
+    verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new ApiError(error.message, 401);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  // Claim the token atomically so two requests cannot both exchange it
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: { $exists: false }, revokedAt: { $exists: false } },
+    { usedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!current) {
+    const stored = await RefreshToken.findOne({ tokenHash });
+
+    if (stored && stored.usedAt && !stored.revokedAt) {
+      await endSessions({ _id: stored.session }, 'reuse');
+      logger.warn(`Refresh token reuse detected for account ${stored.user}, `
+        + `ended session ${stored.session}`);
+    }
+    throw new ApiError('Invalid or expired refresh token', 401);
+  }
+
+  const session = await Session.findOne({ _id: current.session, revokedAt: { $exists: false } });
+  if (!session) {
+    throw new ApiError('Invalid or expired refresh token', 401);
+  }
+
+  session.lastSeenAt = Date.now();
+  if (userAgent) session.userAgent = userAgent;
+  if (ip) session.ip = ip;
+  const next = await issueRefreshToken(session);
+
+  return { userId: current.user, sessionId: session._id, ...next };
+};
+
+/**
+ * List an account's active sessions, most recently seen first
+ * @param {ObjectId} userId - Account
+ * @returns {Promise<Document[]>}
+ */
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: Date.now() }
+}).sort({ lastSeenAt: -1 });
+
+/**
+ * End one of an account's sessions
+ * @param {ObjectId} sessionId - Session to end
+ * @param {ObjectId} userId - Account that must own it
+ * @param {String} reason - Why, e.g. 'logout'
+ * @returns {Promise<Boolean>} - False when no such active session exists
+ */
+const endSession = async (sessionId, userId, reason) => (
+  (await endSessions({ _id: sessionId, user: userId }, reason)) > 0
+);
+
+/**
+ * End every session of an account except one
+ * @param {ObjectId} userId - Account
+ * @param {ObjectId} [keepSessionId] - Session to keep, usually the current one
+ * @param {String} reason - Why
+ * @returns {Promise<Number>} - Sessions ended
+ */
+const endOtherSessions = (userId, keepSessionId, reason) => endSessions(
+  keepSessionId ? { user: userId, _id: { $ne: keepSessionId } } : { user: userId },
+  reason
+);
+
+/**
+ * End every session of an account, on all devices
+ * @param {ObjectId} userId - Account
+ * @param {String} reason - Why, e.g. 'logout'
+ * @returns {Promise<Number>} - Sessions ended
+ */
+const endAllSessions = (userId, reason) => endSessions({ user: userId }, reason);
+
+/**
+ * Sign an account out everywhere: end its sessions and revoke every access
+ * token issued so far. Tokens carry their issue time in whole seconds, so the
+ * cut-off is rounded down and tokens issued after it (e.g. a login straight
+ * after a password reset) keep working.
+ * @param {ObjectId} userId - Account
+ * @param {String} reason - Why, e.g. 'admin' or 'password_reset'
+ * @returns {Promise<Number>} - Sessions ended
+ */
+const revokeAccountTokens = async (userId, reason) => {
+  await User.updateOne(
+    { _id: userId },
+    { tokensValidAfter: new Date(Math.floor(Date.now() / 1000) * 1000) }
+  );
+  return endAllSessions(userId, reason);
+};
+
+module.exports = {
+  startSession,
+  continueSession,
+  touchSession,
+  rotateRefreshToken,
+  listSessions,
+  endSession,
+  endOtherSessions,
+  endAllSessions,
+  revokeAccountTokens
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { maskPhone } = require('./phone');
+
+const logger = createLogger();
+
+/**
+ * SMS providers deliver a text message and resolve to { messageId }.
+ * Any object with a `name` and `send({ to, body })` can be used, see
+ * setSmsProvider. Numbers are always in E.164 format.
+ */
+
+/**
+ * Development and test stand-in that writes messages to the log instead of
+ * sending them. With SMS_LOG_FILE set, each message is also appended to that
+ * file as a JSON line. The last messages are kept in `sent` for tests.
+ */
+class ConsoleSmsProvider {
+  constructor({ file = process.env.SMS_LOG_FILE } = {}) {
+    this.name = 'console';
+    this.file = file;
+    this.sent = [];
+  }
+
+  async send({ to, body }) {
+    const messageId = `console-${Date.now()}-${this.sent.length + 1}`;
+    const message = { to, body, messageId, sentAt: new Date().toISOString() };
+
+    this.sent.push(message);
+    if (this.sent.length > 100) this.sent.shift();
+
+    if (this.file) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, `${JSON.stringify(message)}\n`);
+    }
+
+    // Only log the full message outside production, it contains the code
+    if (process.env.NODE_ENV === 'production') {
+      logger.warn(`SMS to ${maskPhone(to)} was not sent: no SMS provider is configured`);
+    } else {
+      logger.info(`SMS to ${to}: ${body}`);
+    }
+
+    return { messageId };
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+const PROVIDERS = {
+  console: ConsoleSmsProvider
+};
+
+/**
+ * Register an SMS provider class so it can be selected with SMS_PROVIDER
+ * @param {String} name - Provider key
+ * @param {Function} Provider - Class with a `send({ to, body })` method
+ */
+const registerSmsProvider = (name, Provider) => {
+  PROVIDERS[name] = Provider;
+};
+
+/**
+ * Create the provider named by SMS_PROVIDER (default: console)
+ * @param {String} [name] - Provider key
+ * @returns {Object} - Provider
+ */
+const createSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return new Provider();
+};
+
+let provider = null;
+
+/**
+ * Get the provider used to send messages, creating it on first use
+ * @returns {Object} - Provider
+ */
+const getSmsProvider = () => {
+  if (!provider) {
+    provider = createSmsProvider();
+  }
+  return provider;
+};
+
+/**
+ * Replace the provider, e.g. with a gateway adapter or a test double
+ * @param {Object} smsProvider - Object with `name` and `send({ to, body })`
+ */
+const setSmsProvider = (smsProvider) => {
+  provider = smsProvider;
+};
+
+/**
+ * Send a text message through the current provider
+ * @param {Object} message - { to, body }
+ * @returns {Promise<Object>} - { messageId }
+ */
+const sendSms = (message) => getSmsProvider().send(message);
+
+module.exports = {
+  ConsoleSmsProvider,
+  registerSmsProvider,
+  createSmsProvider,
+  getSmsProvider,
+  setSmsProvider,
+  sendSms
+};
@@ -1,11 +1,18 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { createLogger } = require('./logger');
+const RevokedToken = require('../models/revokedToken.model');
 
 const logger = createLogger();
 
-// In-memory token blacklist (would be replaced by Redis in real production)
-const tokenBlacklist = new Set();
+// Revocations are stored in MongoDB and cached here so most requests don't
+// need a query. Tokens revoked on another instance are seen once the cached
+// "not revoked" answer expires.
+const REVOCATION_CACHE_MS = Number(process.env.TOKEN_REVOCATION_CACHE_MS || 30 * 1000);
+const REVOCATION_CACHE_SIZE = 5000;
+
+// Token hash -> { revoked, until }
+const revocationCache = new Map();
 
 /**
  * Generate JWT token for authentication
@@ -34,7 +41,8 @@ const generateToken = (payload) => {
 };
 
 /**
- * Generate refresh token
+ * Generate refresh token. Each token gets a random ID so no two are alike,
+ * see utils/sessions for how they are stored and rotated.
  * 
  * @param {String} userId - User ID
  * @returns {Object} - Object containing refresh token and expiry date
@@ -43,7 +51,7 @@ const generateRefreshToken = (userId) => {
   try {
     // Using a longer expiry for refresh token
     const refreshToken = jwt.sign(
-      { id: userId },
+      { id: userId, jti: crypto.randomBytes(16).toString('hex') },
       process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
       { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
     );
@@ -61,15 +69,57 @@ const generateRefreshToken = (userId) => {
 };
 
 /**
- * Verify JWT token
+ * Hash a token for storage
+ * 
+ * @param {String} token - Token to hash
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Remember whether a token is revoked, dropping the oldest entry when full
+ * 
+ * @param {String} tokenHash - Token hash
+ * @param {Boolean} revoked - Whether the token is revoked
+ * @param {Number} until - When to stop trusting the entry (ms)
+ */
+const cacheRevocation = (tokenHash, revoked, until) => {
+  revocationCache.delete(tokenHash);
+  revocationCache.set(tokenHash, { revoked, until });
+
+  if (revocationCache.size > REVOCATION_CACHE_SIZE) {
+    revocationCache.delete(revocationCache.keys().next().value);
+  }
+};
+
+/**
+ * Look a token up in the local cache
+ * 
+ * @param {String} tokenHash - Token hash
+ * @returns {Boolean|undefined} - Cached answer, or undefined when unknown
+ */
+const cachedRevocation = (tokenHash) => {
+  const entry = revocationCache.get(tokenHash);
+  if (!entry) return undefined;
+
+  if (entry.until <= Date.now()) {
+    revocationCache.delete(tokenHash);
+    return undefined;
+  }
+  return entry.revoked;
+};
+
+/**
+ * Verify JWT token signature and expiry. This only sees revocations known
+ * to this instance; use verifyAccessToken to also check the database.
  * 
  * @param {String} token - Token to verify
  * @returns {Object} - Decoded token payload
  */
 const verifyToken = (token) => {
   try {
-    // First check if token is blacklisted
-    if (tokenBlacklist.has(token)) {
+    // First check if token is known to be revoked
+    if (cachedRevocation(hashToken(token)) === true) {
       throw new Error('Token has been revoked');
     }
     
@@ -95,11 +145,6 @@ const verifyToken = (token) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    // Check if token is blacklisted
-    if (tokenBlacklist.has(token)) {
-      throw new Error('Refresh token has been revoked');
-    }
-    
     // Verify the token
     const decoded = jwt.verify(
       token,
@@ -118,41 +163,79 @@ const verifyRefreshToken = (token) => {
 };
 
 /**
- * Add token to blacklist
+ * Check whether a token has been revoked, using the local cache when it can
  * 
- * @param {String} token - Token to blacklist
+ * @param {String} token - Access token
+ * @returns {Promise<Boolean>}
  */
-const blacklistToken = (token) => {
+const isTokenRevoked = async (token) => {
+  const tokenHash = hashToken(token);
+  const cached = cachedRevocation(tokenHash);
+  if (cached !== undefined) return cached;
+
+  const entry = await RevokedToken.findOne({ tokenHash }).select('expiresAt').lean();
+
+  if (entry) {
+    cacheRevocation(tokenHash, true, entry.expiresAt.getTime());
+    return true;
+  }
+  cacheRevocation(tokenHash, false, Date.now() + REVOCATION_CACHE_MS);
+  return false;
+};
+
+/**
+ * Verify an access token, including revocations made on other instances
+ * 
+ * @param {String} token - Token to verify
+ * @returns {Promise<Object>} - Decoded token payload
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = verifyToken(token);
+
+  if (await isTokenRevoked(token)) {
+    throw new Error('Token has been revoked');
+  }
+  return decoded;
+};
+
+/**
+ * Revoke an access token until it expires
+ * 
+ * @param {String} token - Token to revoke
+ * @param {String} [reason] - Why, e.g. 'logout'
+ */
+const blacklistToken = async (token, reason = 'logout') => {
   try {
     if (!token) return;
-    
-    // Add to blacklist
-    tokenBlacklist.add(token);
-    
-    // Get token expiry to know when to remove it from blacklist
+
     const decoded = jwt.decode(token);
-    if (decoded && decoded.exp) {
-      const expiryMs = decoded.exp * 1000 - Date.now();
-      
-      // Schedule removal from blacklist after expiry to prevent memory leak
-      // In production, this would use Redis with TTL
-      if (expiryMs > 0) {
-        setTimeout(() => {
-          tokenBlacklist.delete(token);
-        }, expiryMs);
-      }
-    }
+    // Tokens without an expiry can't be stored with a TTL, nor are any issued
+    if (!decoded || !decoded.exp || decoded.exp * 1000 <= Date.now()) return;
+
+    const tokenHash = hashToken(token);
+    const expiresAt = new Date(decoded.exp * 1000);
+
+    // Known locally straight away, other instances see it from the database
+    cacheRevocation(tokenHash, true, expiresAt.getTime());
+
+    await RevokedToken.updateOne(
+      { tokenHash },
+      { $setOnInsert: { tokenHash, user: decoded.id, reason, expiresAt } },
+      { upsert: true }
+    );
   } catch (error) {
-    logger.error('Error blacklisting token:', error);
+    logger.error(`Error revoking token: ${error.message}`);
   }
 };
 
 /**
- * Generate password reset token and calculate expiry
+ * Generate password reset token and calculate expiry. Also used for other
+ * single-use emailed tokens, such as magic sign-in links.
  * 
+ * @param {Number} [expiresInMs] - Lifetime in milliseconds (default 10 minutes)
  * @returns {Object} - Object containing reset token and expiry date
  */
-const generatePasswordResetToken = () => {
+const generatePasswordResetToken = (expiresInMs = 10 * 60 * 1000) => {
   // Generate random token
   const resetToken = crypto.randomBytes(32).toString('hex');
   
@@ -162,8 +245,8 @@ const generatePasswordResetToken = () => {
     .update(resetToken)
     .digest('hex');
   
-  // Set expiry (10 minutes)
-  const resetTokenExpiry = Date.now() + 10 * 60 * 1000;
+  // Set expiry
+  const resetTokenExpiry = Date.now() + expiresInMs;
   
   return {
     resetToken,       // Unhashed - to send via email
@@ -172,11 +255,112 @@ const generatePasswordResetToken = () => {
   };
 };
 
+/**
+ * Secret for email verification tokens. It differs from the access token
+ * secret so a verification link can never be used as an access token.
+ */
+const emailVerificationSecret = () => (
+  process.env.JWT_EMAIL_SECRET || `${process.env.JWT_SECRET}:email-verification`
+);
+
+/**
+ * Generate a signed email verification token.
+ * The token names the address, so it stops working if the email changes.
+ * 
+ * @param {Object} user - Account with _id and email
+ * @returns {Object} - Object containing token and expiry date
+ */
+const generateEmailVerificationToken = (user) => {
+  const token = jwt.sign(
+    { id: user._id, email: user.email },
+    emailVerificationSecret(),
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+
+  const decoded = jwt.decode(token);
+
+  return {
+    token,
+    expires: new Date(decoded.exp * 1000)
+  };
+};
+
+/**
+ * Verify an email verification token
+ * 
+ * @param {String} token - Token from the verification link
+ * @returns {Object} - Decoded payload with id and email
+ */
+const verifyEmailVerificationToken = (token) => {
+  try {
+    return jwt.verify(token, emailVerificationSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Verification link expired');
+    }
+    throw new Error('Invalid verification link');
+  }
+};
+
+/**
+ * Secret for two-factor challenge tokens, kept apart from the access token
+ * secret so a challenge cannot be used to call the API
+ */
+const twoFactorChallengeSecret = () => (
+  process.env.JWT_2FA_SECRET || `${process.env.JWT_SECRET}:two-factor-challenge`
+);
+
+/**
+ * Generate a short-lived token proving the password (or Google) step of a
+ * login passed, to be exchanged for real tokens with a second factor
+ * 
+ * @param {Object} user - Account with _id and role
+ * @returns {Object} - Object containing token and expiry date
+ */
+const generateTwoFactorChallengeToken = (user) => {
+  const token = jwt.sign(
+    { id: user._id, role: user.role },
+    twoFactorChallengeSecret(),
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+
+  const decoded = jwt.decode(token);
+
+  return {
+    token,
+    expires: new Date(decoded.exp * 1000)
+  };
+};
+
+/**
+ * Verify a two-factor challenge token
+ * 
+ * @param {String} token - Challenge token from login
+ * @returns {Object} - Decoded payload with id and role
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, twoFactorChallengeSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Login challenge expired. Please log in again');
+    }
+    throw new Error('Invalid login challenge');
+  }
+};
+
 module.exports = {
   generateToken,
   generateRefreshToken,
   verifyToken,
   verifyRefreshToken,
+  verifyAccessToken,
+  isTokenRevoked,
   blacklistToken,
-  generatePasswordResetToken
+  hashToken,
+  generatePasswordResetToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
 };
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/error');
+const totp = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILURES = 5;
+const LOCK_MS = 15 * 60 * 1000;
+
+// Fields that are hidden by default and needed to check a second factor
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret '
+  + '+twoFactorRecoveryCodes +twoFactorLastStep +twoFactorFailures +twoFactorLockedUntil';
+
+/**
+ * Key for encrypting authenticator secrets at rest
+ */
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:two-factor`)
+  .digest();
+
+/**
+ * Encrypt a secret with AES-256-GCM
+ * @param {String} secret - Base32 secret
+ * @returns {String} - iv:tag:ciphertext in hex
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a secret stored by encryptSecret
+ * @param {String} stored - iv:tag:ciphertext in hex
+ * @returns {String} - Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate a fresh set of one-time recovery codes, storing their hashes
+ * @param {Document} user - Account
+ * @returns {String[]} - Codes to show the user once, e.g. 3f9a-c21b
+ */
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Start enrolling an authenticator app. The secret only takes effect once a
+ * code from the app is confirmed.
+ * @param {Document} user - Account loaded with TWO_FACTOR_FIELDS
+ * @returns {Promise<Object>} - { secret, otpauthUrl }
+ * @throws {ApiError} - 400 when two-factor authentication is already on
+ */
+const startEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUrl: totp.buildOtpauthUrl({
+      secret,
+      account: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'Kamnet'
+    })
+  };
+};
+
+/**
+ * Turn two-factor authentication on with a code from the newly added app
+ * @param {Document} user - Account loaded with TWO_FACTOR_FIELDS
+ * @param {String} code - Code from the authenticator app
+ * @returns {Promise<String[]>} - Recovery codes
+ * @throws {ApiError} - 400 without a pending enrollment or for a wrong code
+ */
+const confirmEnrollment = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError('Start two-factor setup first', 400);
+  }
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = totp.verifyCode(secret, code);
+
+  if (step === null) {
+    throw new ApiError('Invalid authentication code', 400);
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = Date.now();
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastStep = step;
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  return recoveryCodes;
+};
+
+// Paths written atomically while checking a second factor
+const CHECK_PATHS = [
+  'twoFactorLastStep',
+  'twoFactorRecoveryCodes',
+  'twoFactorFailures',
+  'twoFactorLockedUntil'
+];
+
+/**
+ * Check a second factor: a code from the app or an unused recovery code.
+ * Codes are claimed and failures counted with single atomic updates, so
+ * parallel requests can neither reuse a code nor get past the lockout.
+ * @param {Document} user - Account loaded with TWO_FACTOR_FIELDS
+ * @param {String} code - Authenticator or recovery code
+ * @returns {Promise<String>} - 'totp' or 'recovery'
+ * @throws {ApiError} - 400 for a wrong code, 429 while locked
+ */
+const verifySecondFactor = async (user, code) => {
+  const User = user.constructor;
+  const input = String(code || '');
+  const notLocked = { _id: user._id, twoFactorLockedUntil: { $not: { $gt: new Date() } } };
+  let method = null;
+
+  // Claim a code and clear the failure count in one update
+  const claim = (filter, update) => User.findOneAndUpdate(
+    { ...notLocked, ...filter },
+    {
+      ...update,
+      $set: { ...update.$set, twoFactorFailures: 0 },
+      $unset: { twoFactorLockedUntil: 1 }
+    },
+    { new: true }
+  ).select(TWO_FACTOR_FIELDS);
+
+  const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), input);
+  // A code that has already been used cannot be replayed
+  let stored = step === null ? null : await claim(
+    { $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } }
+  );
+
+  if (stored) {
+    method = 'totp';
+  } else {
+    const hash = hashRecoveryCode(input);
+    stored = await claim(
+      { twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    if (stored) method = 'recovery';
+  }
+
+  if (!method) {
+    const failed = await User.findOneAndUpdate(
+      notLocked,
+      { $inc: { twoFactorFailures: 1 } },
+      { new: true }
+    ).select(TWO_FACTOR_FIELDS);
+
+    if (!failed) {
+      throw new ApiError('Too many incorrect codes. Please try again later', 429);
+    }
+    if (failed.twoFactorFailures >= MAX_FAILURES) {
+      await User.updateOne(
+        { _id: user._id },
+        { twoFactorFailures: 0, twoFactorLockedUntil: Date.now() + LOCK_MS }
+      );
+      throw new ApiError('Too many incorrect codes. Please try again later', 429);
+    }
+    throw new ApiError('Invalid authentication code', 400);
+  }
+
+  // Bring the loaded account up to date without writing these paths again
+  CHECK_PATHS.forEach(path => {
+    user.set(path, stored.get(path));
+    user.unmarkModified(path);
+  });
+  return method;
+};
+
+/**
+ * Turn two-factor authentication off, after checking a current code
+ * @param {Document} user - Account loaded with TWO_FACTOR_FIELDS
+ * @param {String} code - Authenticator or recovery code
+ * @throws {ApiError} - 400 when it is not enabled or the code is wrong
+ */
+const disableTwoFactor = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+
+  await verifySecondFactor(user, code);
+
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastStep = undefined;
+  await user.save({ validateBeforeSave: false });
+};
+
+/**
+ * Replace the recovery codes, after checking a current code
+ * @param {Document} user - Account loaded with TWO_FACTOR_FIELDS
+ * @param {String} code - Authenticator or recovery code
+ * @returns {Promise<String[]>} - New recovery codes
+ * @throws {ApiError} - 400 when it is not enabled or the code is wrong
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw new ApiError('Two-factor authentication is not enabled', 400);
+  }
+
+  await verifySecondFactor(user, code);
+
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+  return recoveryCodes;
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,4 +1,24 @@
 const { body, param, query } = require('express-validator');
+const { NOTIFICATION_TYPES } = require('../models/notification.model');
+const { ROLES, SELF_SERVICE_ROLES, STAFF_ROLES } = require('../models/user.model');
+const { REPORT_TARGET_TYPES, REPORT_CATEGORIES } = require('../models/report.model');
+const { TRANSACTION_TYPES } = require('../models/ledgerTransaction.model');
+
+// Shared rules for the milestone plan of a task
+const milestonePlan = [
+  body('milestones')
+    .optional()
+    .isArray().withMessage('Milestones must be an array'),
+  body('milestones.*.title')
+    .trim()
+    .not().isEmpty().withMessage('Milestone title is required')
+    .isLength({ max: 100 }).withMessage('Milestone title cannot be more than 100 characters'),
+  body('milestones.*.amount')
+    .isNumeric().withMessage('Milestone amount must be a number')
+    .custom(value => value > 0).withMessage('Milestone amount must be greater than 0'),
+  body('milestones.*.dueDate')
+    .isISO8601().withMessage('Milestone due date must be a valid date')
+];
 
 /**
  * Express-validator schemas for API endpoints
@@ -51,6 +71,18 @@ const validationSchemas = {
       .isEmail().withMessage('Please provide a valid email address')
   ],
   
+  magicLink: [
+    body('email')
+      .trim()
+      .not().isEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Please provide a valid email address')
+  ],
+
+  magicLinkLogin: [
+    body('token')
+      .not().isEmpty().withMessage('Sign-in token is required')
+  ],
+  
   resetPassword: [
     param('token')
       .not().isEmpty().withMessage('Reset token is required'),
@@ -59,6 +91,163 @@ const validationSchemas = {
       .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
   ],
 
+  addRole: [
+    body('role')
+      .isIn(SELF_SERVICE_ROLES).withMessage(`Role must be one of: ${SELF_SERVICE_ROLES.join(', ')}`)
+  ],
+
+  switchRole: [
+    body('role')
+      .isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ],
+
+  staffRoles: [
+    body('roles')
+      .isArray().withMessage('Roles must be an array'),
+    body('roles.*')
+      .isIn(STAFF_ROLES).withMessage(`Role must be one of: ${STAFF_ROLES.join(', ')}`)
+  ],
+
+  // Moderation validations
+  moderationReason: [
+    body('reason')
+      .isString().withMessage('Reason is required')
+      .trim()
+      .not().isEmpty().withMessage('Reason is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+  ],
+
+  optionalModerationReason: [
+    body('reason')
+      .optional()
+      .isString().withMessage('Reason must be text')
+      .trim()
+      .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+  ],
+
+  suspendUser: [
+    body('reason')
+      .isString().withMessage('Reason is required')
+      .trim()
+      .not().isEmpty().withMessage('Reason is required')
+      .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+    body('until')
+      .optional()
+      .isISO8601().withMessage('Until must be a valid date')
+      .custom(value => new Date(value) > new Date()).withMessage('Until must be in the future')
+  ],
+
+  // Report validations
+  createReport: [
+    body('targetType')
+      .isIn(REPORT_TARGET_TYPES)
+      .withMessage(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`),
+    body('target')
+      .isMongoId().withMessage('Invalid target ID format'),
+    body('category')
+      .isIn(REPORT_CATEGORIES)
+      .withMessage(`Category must be one of: ${REPORT_CATEGORIES.join(', ')}`),
+    body('description')
+      .optional()
+      .isString().withMessage('Description must be text')
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Description cannot be more than 1000 characters')
+  ],
+
+  closeReport: [
+    body('note')
+      .optional()
+      .isString().withMessage('Note must be text')
+      .trim()
+      .isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+  ],
+
+  reviewFlaggedContent: [
+    body('decision')
+      .isIn(['approve', 'remove']).withMessage('Decision must be approve or remove'),
+    body('reason')
+      .if(body('decision').equals('remove'))
+      .isString().withMessage('Reason is required to remove content')
+      .trim()
+      .not().isEmpty().withMessage('Reason is required to remove content'),
+    body('reason')
+      .optional()
+      .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+  ],
+
+  // Only the settings sent are changed; word lists are replaced as a whole
+  updateScreeningRules: [
+    body('threshold')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Threshold must be a number of 0 or more')
+      .toFloat(),
+    body(['bannedWords.en', 'bannedWords.ur'])
+      .optional()
+      .isArray({ max: 1000 }).withMessage('Banned words must be an array of at most 1000 entries'),
+    body(['bannedWords.en.*', 'bannedWords.ur.*'])
+      .isString().withMessage('Banned words must be text')
+      .trim()
+      .isLength({ min: 1, max: 100 }).withMessage('Banned words must be 1 to 100 characters'),
+    body([
+      'weights.bannedWord',
+      'weights.phone',
+      'weights.email',
+      'weights.whatsapp',
+      'weights.duplicate'
+    ])
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Weights must be numbers of 0 or more')
+      .toFloat(),
+    body('duplicates.similarity')
+      .optional()
+      .isFloat({ min: 0, max: 1 }).withMessage('Similarity must be between 0 and 1')
+      .toFloat(),
+    body(['duplicates.windowDays', 'duplicates.minWords'])
+      .optional()
+      .isInt({ min: 1 }).withMessage('Duplicate window and minimum words must be 1 or more')
+      .toInt()
+  ],
+
+  testScreeningRules: [
+    body('text')
+      .isString().withMessage('Text is required')
+      .not().isEmpty().withMessage('Text is required')
+      .isLength({ max: 10000 }).withMessage('Text cannot be more than 10000 characters')
+  ],
+
+  sendPhoneOtp: [
+    body('phone')
+      .isString().withMessage('Phone number is required')
+      .trim()
+      .not().isEmpty().withMessage('Phone number is required')
+  ],
+
+  verifyPhone: [
+    body('phone')
+      .isString().withMessage('Phone number is required')
+      .trim()
+      .not().isEmpty().withMessage('Phone number is required'),
+    body('code')
+      .trim()
+      .matches(/^\d{6}$/).withMessage('Verification code must be 6 digits')
+  ],
+
+  twoFactorCode: [
+    body('code')
+      .isString().withMessage('Authentication code is required')
+      .trim()
+      .not().isEmpty().withMessage('Authentication code is required')
+  ],
+
+  verifyTwoFactorLogin: [
+    body('challengeToken')
+      .not().isEmpty().withMessage('Challenge token is required'),
+    body('code')
+      .isString().withMessage('Authentication code is required')
+      .trim()
+      .not().isEmpty().withMessage('Authentication code is required')
+  ],
+
   // User profile validations
   completeProfile: [
     body('name')
@@ -102,7 +291,10 @@ const validationSchemas = {
     body('postalCode')
       .optional()
       .trim()
-      .isLength({ max: 20 }).withMessage('Postal code cannot be more than 20 characters')
+      .isLength({ max: 20 }).withMessage('Postal code cannot be more than 20 characters'),
+    body('language')
+      .optional()
+      .isIn(['en', 'ur']).withMessage('Language must be en or ur')
   ],
   
   // Task validations
@@ -153,7 +345,8 @@ const validationSchemas = {
       .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
     body('coordinates.lng')
       .not().isEmpty().withMessage('Longitude is required')
-      .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+      .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    ...milestonePlan
   ],
   
   updateTask: [
@@ -171,7 +364,135 @@ const validationSchemas = {
       .custom(value => value > 0).withMessage('Budget must be greater than 0'),
     body('status')
       .optional()
-      .isIn(['open', 'in-progress', 'completed', 'cancelled']).withMessage('Invalid status')
+      .isIn(['open', 'in-progress', 'completed', 'cancelled']).withMessage('Invalid status'),
+    ...milestonePlan
+  ],
+  
+  updateTaskStatus: [
+    body('status')
+      .not().isEmpty().withMessage('Status is required')
+      .isIn(['open', 'in-progress', 'completed', 'cancelled']).withMessage('Invalid status'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+  ],
+  
+  // Milestone validations
+  submitMilestone: [
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Submission message cannot be more than 1000 characters'),
+    body('attachments')
+      .optional()
+      .isArray().withMessage('Attachments must be an array'),
+    body('attachments.*.filename')
+      .not().isEmpty().withMessage('Attachment filename is required'),
+    body('attachments.*.path')
+      .isURL().withMessage('Attachment path must be a valid URL')
+  ],
+  
+  reviewMilestone: [
+    body('feedback')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Feedback cannot be more than 1000 characters')
+  ],
+  
+  requestMilestoneRevision: [
+    body('feedback')
+      .trim()
+      .not().isEmpty().withMessage('Please describe the revisions needed')
+      .isLength({ max: 1000 }).withMessage('Feedback cannot be more than 1000 characters')
+  ],
+  
+  // Wallet validations
+  walletTransactions: [
+    query('currency')
+      .optional()
+      .isIn(['PKR', 'USD']).withMessage('Currency must be PKR or USD'),
+    query('type')
+      .optional()
+      // Every type the ledger writes, including withdrawal reversals
+      .isIn(TRANSACTION_TYPES).withMessage('Invalid transaction type')
+  ],
+  
+  creditWallet: [
+    body('accountId')
+      .isMongoId().withMessage('Invalid account ID format'),
+    body('accountRole')
+      .isIn(['user', 'talent']).withMessage('Account role must be either user or talent'),
+    body('amount')
+      .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('currency')
+      .isIn(['PKR', 'USD']).withMessage('Currency must be PKR or USD'),
+    body('reference')
+      .trim()
+      .not().isEmpty().withMessage('A unique reference is required'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters')
+  ],
+  
+  // Review validations
+  createReview: [
+    body('rating')
+      .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number between 1 and 5')
+      .toInt(),
+    body('comment')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 }).withMessage('Review cannot be more than 1000 characters')
+  ],
+  
+  // Message validations
+  sendMessage: [
+    body('body')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 }).withMessage('Message cannot be more than 2000 characters')
+  ],
+  
+  // Notification validations
+  updateNotificationPreferences: [
+    body('preferences')
+      .isObject().withMessage('Preferences must be an object keyed by notification type')
+      .custom(preferences => Object.keys(preferences).every(type => NOTIFICATION_TYPES[type]))
+      .withMessage(
+        `Notification types must be one of: ${Object.keys(NOTIFICATION_TYPES).join(', ')}`
+      ),
+    body('preferences.*')
+      .isObject().withMessage('Each preference must be an object with inApp and/or email'),
+    body('preferences.*.inApp')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('inApp must be true or false'),
+    body('preferences.*.email')
+      .optional()
+      .isBoolean({ strict: true }).withMessage('email must be true or false')
+  ],
+  
+  // Payment validations
+  createPayment: [
+    body('provider')
+      .trim()
+      .not().isEmpty().withMessage('Payment provider is required'),
+    body('amount')
+      .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+      .toFloat(),
+    body('currency')
+      .optional()
+      .isIn(['PKR', 'USD']).withMessage('Currency must be PKR or USD'),
+    body('mobileNumber')
+      .optional()
+      .trim()
+      .matches(/^(\+92|0)?3\d{9}$/).withMessage('Please provide a valid Pakistani mobile number'),
+    body('scenario')
+      .optional()
+      .isIn(['success', 'failure', 'delayed'])
+      .withMessage('Scenario must be success, failure or delayed')
   ],
   
   // Application validations
@@ -0,0 +1,215 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const Application = require('../src/models/application.model');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAfter = (date, hours) => new Date(date.getTime() + hours * HOUR_MS);
+
+describe('Admin analytics', () => {
+  let admin;
+  let adminToken;
+
+  // Two weeks starting Monday 2 March 2026
+  const RANGE = 'from=2026-03-02T00:00:00Z&to=2026-03-16T00:00:00Z';
+
+  beforeEach(async () => {
+    admin = await User.create({
+      name: 'Analytics Admin',
+      email: 'analytics-admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = signToken(admin);
+
+    const owners = await Promise.all([1, 2].map(n => User.create({
+      name: `Analytics Owner ${n}`,
+      email: `analytics-owner${n}@example.com`,
+      password: 'password123'
+    })));
+    const talents = await Promise.all([1, 2].map(n => User.create({
+      name: `Analytics Talent ${n}`,
+      email: `analytics-talent${n}@example.com`,
+      password: 'password123',
+      role: 'talent'
+    })));
+
+    // Posts a task, an application to it and, when hired, accepts the application
+    const postTask = async ({ title, owner, talent, category, city, currency, createdAt,
+      hoursToApply, hoursToHire, price, status }) => {
+      const task = await Task.create({
+        title,
+        description: `${title} for the analytics tests`,
+        user: owner._id,
+        budget: price,
+        currency,
+        location: `${city}, Pakistan`,
+        category,
+        deadlineDate: hoursAfter(createdAt, 24 * 30),
+        address: { city, province: 'Punjab' },
+        coordinates: { lat: 31.5204, lng: 74.3587 },
+        createdAt
+      });
+
+      const application = await Application.create({
+        task: task._id,
+        talent: talent._id,
+        coverLetter: 'I can do this',
+        proposedBudget: price,
+        currency,
+        estimatedCompletionTime: { value: 2, unit: 'days' },
+        createdAt: hoursAfter(createdAt, hoursToApply)
+      });
+
+      if (hoursToHire) {
+        application.status = 'accepted';
+        await application.save();
+
+        task.hiredTalent = talent._id;
+        task.hiredApplication = application._id;
+        task.status = status;
+        task.statusHistory.push({
+          from: 'open',
+          to: 'in-progress',
+          actor: owner._id,
+          actorRole: 'owner',
+          at: hoursAfter(createdAt, hoursToHire)
+        });
+        await task.save();
+      }
+    };
+
+    await postTask({
+      title: 'Build a shop website',
+      owner: owners[0],
+      talent: talents[0],
+      category: 'Development',
+      city: 'Lahore',
+      currency: 'PKR',
+      createdAt: new Date('2026-03-02T10:00:00Z'),
+      hoursToApply: 2,
+      hoursToHire: 5,
+      price: 40000,
+      status: 'completed'
+    });
+    await postTask({
+      title: 'Design a menu card',
+      owner: owners[1],
+      talent: talents[1],
+      category: 'Design',
+      city: 'Karachi',
+      currency: 'PKR',
+      createdAt: new Date('2026-03-03T10:00:00Z'),
+      hoursToApply: 4,
+      price: 5000
+    });
+    await postTask({
+      title: 'Design a company logo',
+      owner: owners[0],
+      talent: talents[0],
+      category: 'Design',
+      city: 'Lahore',
+      currency: 'USD',
+      createdAt: new Date('2026-03-10T10:00:00Z'),
+      hoursToApply: 1,
+      hoursToHire: 10,
+      price: 100,
+      status: 'in-progress'
+    });
+  });
+
+  const getAnalytics = (params, token = adminToken) => request(app)
+    .get(`/api/admin/analytics?${RANGE}&${params}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should report weekly metrics and a summary of the range', async () => {
+    const res = await getAnalytics('granularity=week');
+
+    expect(res.statusCode).toBe(200);
+    const { summary, series } = res.body.data;
+
+    expect(summary).toMatchObject({
+      tasksPosted: 3,
+      applications: 3,
+      hires: 2,
+      completions: 1,
+      completionRate: 0.5,
+      gmv: { PKR: 40000, USD: 100 },
+      activeUsers: 2,
+      activeTalents: 2
+    });
+    expect(summary.hireRate).toBeCloseTo(0.6667);
+
+    expect(series).toHaveLength(2);
+    expect(series[0]).toMatchObject({
+      period: '2026-03-02T00:00:00.000Z',
+      tasksPosted: 2,
+      applications: 2,
+      hires: 1,
+      hireRate: 0.5,
+      completionRate: 1,
+      medianHoursToHire: 5,
+      gmv: { PKR: 40000, USD: 0 }
+    });
+    expect(series[0].medianHoursToFirstApplication).toBeGreaterThanOrEqual(2);
+    expect(series[0].medianHoursToFirstApplication).toBeLessThanOrEqual(4);
+    expect(series[1]).toMatchObject({
+      period: '2026-03-09T00:00:00.000Z',
+      tasksPosted: 1,
+      medianHoursToFirstApplication: 1,
+      medianHoursToHire: 10,
+      gmv: { PKR: 0, USD: 100 }
+    });
+  });
+
+  it('should break metrics down by city and filter by category', async () => {
+    const byCity = await getAnalytics('granularity=month&groupBy=city');
+    expect(byCity.body.data.series).toEqual([
+      expect.objectContaining({ city: 'Karachi', tasksPosted: 1, applications: 1, hires: 0 }),
+      expect.objectContaining({ city: 'Lahore', tasksPosted: 2, applications: 2, hires: 2 })
+    ]);
+
+    const design = await getAnalytics('category=Design');
+    expect(design.body.data.summary).toMatchObject({ tasksPosted: 2, applications: 2 });
+  });
+
+  it('should export the series as CSV', async () => {
+    const res = await request(app)
+      .get(`/api/admin/analytics/export?${RANGE}&granularity=week&groupBy=category`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toBe('period,category,tasksPosted,applications,hires,hireRate,completions,'
+      + 'completionRate,medianHoursToFirstApplication,medianHoursToHire,gmvPKR,gmvUSD,'
+      + 'activeUsers,activeTalents');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toMatch(/^2026-03-02T00:00:00.000Z,Design,1,1,0,0,0,,4,,0,0,1,1$/);
+  });
+
+  it('should reject bad ranges and time zones', async () => {
+    const backwards = await request(app)
+      .get('/api/admin/analytics?from=2026-03-16&to=2026-03-02')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(backwards.statusCode).toBe(400);
+
+    const timezone = await getAnalytics('timezone=Mars/Olympus');
+    expect(timezone.statusCode).toBe(400);
+  });
+
+  it('should keep analytics from staff without the permission', async () => {
+    const moderator = await User.create({
+      name: 'Analytics Moderator',
+      email: 'analytics-moderator@example.com',
+      password: 'password123',
+      role: 'moderator'
+    });
+
+    const res = await getAnalytics('granularity=week', signToken(moderator));
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const AuditEvent = require('../src/models/auditEvent.model');
+const { diffChanges } = require('../src/utils/audit');
+
+// Domain event listeners run after the response is sent
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+describe('Audit log', () => {
+  let owner;
+  let admin;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Audited Owner',
+      email: 'audited@example.com',
+      password: 'password123'
+    });
+    admin = await User.create({
+      name: 'Audit Admin',
+      email: 'audit-admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+  });
+
+  const createTask = () => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${signToken(owner)}`)
+    .send({
+      title: 'Audited Task',
+      description: 'A task whose changes are recorded',
+      budget: 3000,
+      currency: 'PKR',
+      location: 'Islamabad, Pakistan',
+      category: 'Design',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Islamabad', province: 'Islamabad Capital Territory' },
+      coordinates: { lat: 33.6844, lng: 73.0479 }
+    });
+
+  it('should only report fields that changed', () => {
+    expect(diffChanges({ title: 'Old', budget: 10 }, { title: 'New', budget: 10 }))
+      .toEqual([{ field: 'title', before: 'Old', after: 'New' }]);
+  });
+
+  it('should record logins and failed logins with the request ID', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'audited@example.com', password: 'wrong-password' });
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('X-Request-Id', 'req-login-1')
+      .send({ email: 'audited@example.com', password: 'password123' });
+
+    expect(res.headers['x-request-id']).toBe('req-login-1');
+
+    const failed = await AuditEvent.findOne({ action: 'auth.login_failed' });
+    expect(failed.target.toString()).toBe(owner._id.toString());
+    expect(failed.metadata.reason).toBe('invalid_credentials');
+
+    const login = await AuditEvent.findOne({ action: 'auth.login' });
+    expect(login.actor.toString()).toBe(owner._id.toString());
+    expect(login.requestId).toBe('req-login-1');
+    expect(login.ip).toBeDefined();
+  });
+
+  it('should record task edits as a before and after diff', async () => {
+    const created = await createTask();
+    const taskId = created.body.data._id;
+
+    await request(app)
+      .put(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${signToken(owner)}`)
+      .send({ title: 'Renamed Task' });
+
+    const update = await AuditEvent.findOne({ action: 'task.update', target: taskId });
+    expect(update.actor.toString()).toBe(owner._id.toString());
+    expect(update.changes).toHaveLength(1);
+    expect(update.changes[0]).toMatchObject({
+      field: 'title',
+      before: 'Audited Task',
+      after: 'Renamed Task'
+    });
+  });
+
+  it('should record status transitions', async () => {
+    const created = await createTask();
+    const taskId = created.body.data._id;
+
+    await request(app)
+      .put(`/api/tasks/${taskId}/status`)
+      .set('Authorization', `Bearer ${signToken(owner)}`)
+      .send({ status: 'cancelled', reason: 'No longer needed' });
+    await settle();
+
+    const event = await AuditEvent.findOne({ action: 'task.status_change', target: taskId });
+    expect(event.changes[0]).toMatchObject({ field: 'status', before: 'open', after: 'cancelled' });
+    expect(event.metadata.reason).toBe('No longer needed');
+    expect(event.requestId).toBeDefined();
+  });
+
+  it('should not allow audit events to be changed or deleted', async () => {
+    const event = await AuditEvent.create({ action: 'auth.login', actor: owner._id });
+
+    await expect(AuditEvent.updateOne({ _id: event._id }, { action: 'task.delete' }))
+      .rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteOne({ _id: event._id })).rejects.toThrow('append-only');
+
+    event.ip = '127.0.0.1';
+    await expect(event.save()).rejects.toThrow('append-only');
+  });
+
+  it('should let admins filter and export the audit log', async () => {
+    await createTask();
+    await request(app)
+      .put(`/api/users/${owner._id}/profile`)
+      .set('Authorization', `Bearer ${signToken(owner)}`)
+      .send({ bio: 'Now with a bio' });
+
+    const res = await request(app)
+      .get(`/api/admin/audit-events?actor=${owner._id}&action=user.profile_update`)
+      .set('Authorization', `Bearer ${signToken(admin)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].changes.map(change => change.field)).toContain('bio');
+
+    const csv = await request(app)
+      .get(`/api/admin/audit-events/export?target=${owner._id}`)
+      .set('Authorization', `Bearer ${signToken(admin)}`);
+
+    expect(csv.statusCode).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/text\/csv/);
+    const lines = csv.text.trim().split('\r\n');
+    expect(lines[0]).toMatch(/^createdAt,action,actor/);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toMatch(/user\.profile_update/);
+  });
+
+  it('should not let other accounts read the audit log', async () => {
+    const res = await request(app)
+      .get('/api/admin/audit-events')
+      .set('Authorization', `Bearer ${signToken(owner)}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
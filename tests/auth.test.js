@@ -1,6 +1,7 @@
 const request = require('supertest');
 const { app } = require('../index');
 const User = require('../src/models/user.model');
+const RefreshToken = require('../src/models/refreshToken.model');
 const tokenUtils = require('../src/utils/token');
 const emailService = require('../src/utils/emailService');
 const crypto = require('crypto');
@@ -17,7 +18,8 @@ const testUser = {
 jest.mock('../src/utils/emailService', () => ({
   sendWelcomeEmail: jest.fn().mockResolvedValue(true),
   sendPasswordResetEmail: jest.fn().mockResolvedValue(true),
-  sendApplicationNotification: jest.fn().mockResolvedValue(true)
+  sendApplicationNotification: jest.fn().mockResolvedValue(true),
+  sendVerificationEmail: jest.fn().mockResolvedValue(true)
 }));
 
 // Mock token utilities
@@ -173,21 +175,20 @@ describe('Auth API', () => {
     let refreshTokenString;
 
     beforeEach(async () => {
-      // Create a test user with refresh token
+      // Log in to get a stored refresh token
       user = await User.create(testUser);
-      const { refreshToken } = tokenUtils.generateRefreshToken(user._id);
-      refreshTokenString = refreshToken;
-      
-      // Store refresh token in user document
-      user.refreshToken = refreshToken;
-      user.refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-      await user.save();
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+      refreshTokenString = res.body.refreshToken;
     });
 
+    const refresh = (refreshToken) => request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken });
+
     it('should issue a new access token with valid refresh token', async () => {
-      const res = await request(app)
-        .post('/api/auth/refresh-token')
-        .send({ refreshToken: refreshTokenString });
+      const res = await refresh(refreshTokenString);
 
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
@@ -195,6 +196,55 @@ describe('Auth API', () => {
       expect(res.body).toHaveProperty('expires');
     });
 
+    it('should only put the account ID, role and session in the new access token', async () => {
+      const res = await refresh(refreshTokenString);
+      const { id, role, sid, iat, exp, ...rest } = tokenUtils.verifyToken(res.body.token);
+
+      expect(id).toBe(user._id.toString());
+      expect(role).toBe('user');
+      expect(sid).toBeDefined();
+      expect(iat && exp).toBeTruthy();
+      expect(rest).toEqual({});
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+      const firstRes = await refresh(refreshTokenString);
+      expect(firstRes.body.refreshToken).toBeDefined();
+      expect(firstRes.body.refreshToken).not.toBe(refreshTokenString);
+
+      const secondRes = await refresh(firstRes.body.refreshToken);
+      expect(secondRes.statusCode).toBe(200);
+
+      const stored = await RefreshToken.findOne({
+        tokenHash: tokenUtils.hashToken(refreshTokenString)
+      });
+      expect(stored.usedAt).toBeTruthy();
+      expect(stored.tokenHash).not.toBe(refreshTokenString);
+    });
+
+    it('should revoke the token family when a used refresh token is reused', async () => {
+      const rotatedRes = await refresh(refreshTokenString);
+
+      const reuseRes = await refresh(refreshTokenString);
+      expect(reuseRes.statusCode).toBe(401);
+
+      // The token issued by the rotation no longer works either
+      const afterRes = await refresh(rotatedRes.body.refreshToken);
+      expect(afterRes.statusCode).toBe(401);
+    });
+
+    it('should keep other devices signed in when a token is reused', async () => {
+      const otherDevice = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      await refresh(refreshTokenString);
+      await refresh(refreshTokenString);
+
+      const res = await refresh(otherDevice.body.refreshToken);
+      expect(res.statusCode).toBe(200);
+    });
+
     it('should reject invalid refresh token', async () => {
       const res = await request(app)
         .post('/api/auth/refresh-token')
@@ -337,10 +387,9 @@ describe('Auth API', () => {
       const { token } = tokenUtils.generateToken({ id: user._id, role: user.role });
       
       // Make sure the user has a refresh token to invalidate
-      const { refreshToken } = tokenUtils.generateRefreshToken(user._id);
-      user.refreshToken = refreshToken;
-      user.refreshTokenExpiry = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      await user.save();
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
 
       const res = await request(app)
         .post('/api/auth/logout')
@@ -349,10 +398,11 @@ describe('Auth API', () => {
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
       
-      // Verify user's refresh token was cleared
-      const updatedUser = await User.findById(user._id);
-      expect(updatedUser.refreshToken).toBeUndefined();
-      expect(updatedUser.refreshTokenExpiry).toBeUndefined();
+      // Verify user's refresh token was revoked
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: loginRes.body.refreshToken });
+      expect(refreshRes.statusCode).toBe(401);
       
       // Verify token was blacklisted
       expect(tokenUtils.blacklistToken).toHaveBeenCalledWith(token);
@@ -365,4 +415,79 @@ describe('Auth API', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  // Test account roles
+  describe('Account roles', () => {
+    let user;
+    let token;
+
+    beforeEach(async () => {
+      user = await User.create(testUser);
+      ({ token } = tokenUtils.generateToken({ id: user._id, role: 'user' }));
+    });
+
+    it('should start new accounts with the role they registered as', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'New Talent',
+          email: 'talent@example.com',
+          password: 'password123',
+          role: 'talent'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.user.role).toBe('talent');
+      expect(res.body.user.roles).toEqual(['talent']);
+    });
+
+    it('should add the talent role and switch between roles', async () => {
+      const addRes = await request(app)
+        .post('/api/auth/roles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'talent' });
+
+      expect(addRes.statusCode).toBe(200);
+      expect(addRes.body.user.roles).toEqual(['user', 'talent']);
+      expect(addRes.body.user.role).toBe('talent');
+      expect(tokenUtils.verifyToken(addRes.body.token).role).toBe('talent');
+
+      const switchRes = await request(app)
+        .put('/api/auth/active-role')
+        .set('Authorization', `Bearer ${addRes.body.token}`)
+        .send({ role: 'user' });
+
+      expect(switchRes.statusCode).toBe(200);
+      expect(switchRes.body.user.role).toBe('user');
+      expect(tokenUtils.verifyToken(switchRes.body.token).role).toBe('user');
+    });
+
+    it('should not switch to a role the account does not hold', async () => {
+      const res = await request(app)
+        .put('/api/auth/active-role')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'admin' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should not let accounts give themselves the admin role', async () => {
+      const res = await request(app)
+        .post('/api/auth/roles')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'admin' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reject tokens for a role the account does not hold', async () => {
+      const { token: talentToken } = tokenUtils.generateToken({ id: user._id, role: 'talent' });
+
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${talentToken}`);
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
 });
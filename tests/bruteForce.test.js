@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const AuthThrottle = require('../src/models/authThrottle.model');
+const emailService = require('../src/utils/emailService');
+const { MemoryTransport } = require('../src/utils/emailTransports');
+const { processOutbox } = require('../src/utils/emailOutbox');
+
+// Skip the progressive delay so the next attempt is counted straight away
+const skipDelay = () => AuthThrottle.updateMany({}, { $unset: { nextAttemptAt: 1 } });
+
+describe('Brute-force protection', () => {
+  let user;
+  let transport;
+
+  beforeEach(async () => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+
+    user = await User.create({
+      name: 'Guarded User',
+      email: 'guarded@example.com',
+      password: 'password123'
+    });
+  });
+
+  const login = (password, email = 'guarded@example.com') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  const failLogins = async (times, email) => {
+    for (let i = 0; i < times; i += 1) {
+      await skipDelay();
+      await login('wrong-password', email);
+    }
+  };
+
+  it('should slow down attempts after a few failures', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      const res = await login('wrong-password');
+      expect(res.statusCode).toBe(401);
+    }
+
+    const res = await login('password123');
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should lock the account after too many failures and email the owner', async () => {
+    await failLogins(10);
+
+    const res = await login('password123');
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toMatch(/temporarily locked/);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+    await processOutbox();
+    const email = transport.sent.find(sent => sent.to === 'guarded@example.com'
+      && sent.subject === 'Sign-in to your account has been locked');
+    expect(email).toBeDefined();
+  });
+
+  it('should lock unknown emails the same way without sending email', async () => {
+    await failLogins(10, 'nobody@example.com');
+
+    const res = await login('password123', 'nobody@example.com');
+    expect(res.statusCode).toBe(429);
+    expect(res.body.message).toMatch(/temporarily locked/);
+
+    await processOutbox();
+    expect(transport.sent).toHaveLength(0);
+  });
+
+  it('should forget failures after a successful login', async () => {
+    await failLogins(3);
+
+    const ok = await login('password123');
+    expect(ok.statusCode).toBe(200);
+
+    const entry = await AuthThrottle.findOne({ key: 'login:account:guarded@example.com' });
+    expect(entry).toBeNull();
+  });
+
+  it('should let an admin unlock the account', async () => {
+    const admin = await User.create({
+      name: 'Unlocking Admin',
+      email: 'unlocker@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    await failLogins(10);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${signToken(admin)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.cleared).toBe(1);
+
+    const ok = await login('password123');
+    expect(ok.statusCode).toBe(200);
+  });
+
+  it('should not let other users unlock accounts', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${signToken(user)}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should limit password reset requests per account', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'guarded@example.com' });
+      expect(res.statusCode).toBe(200);
+    }
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'guarded@example.com' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should throttle guessing reset tokens', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      const res = await request(app)
+        .put(`/api/auth/reset-password/guess-${i}`)
+        .send({ password: 'newpassword123' });
+      expect(res.statusCode).toBe(400);
+    }
+
+    const res = await request(app)
+      .put('/api/auth/reset-password/guess-5')
+      .send({ password: 'newpassword123' });
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should lift a login lockout when the password is reset', async () => {
+    await failLogins(10);
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const reset = await request(app)
+      .put(`/api/auth/reset-password/${resetToken}`)
+      .send({ password: 'newpassword123' });
+    expect(reset.statusCode).toBe(200);
+
+    const ok = await login('newpassword123');
+    expect(ok.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const OutboxEmail = require('../src/models/outboxEmail.model');
+const emailService = require('../src/utils/emailService');
+const { MemoryTransport } = require('../src/utils/emailTransports');
+const { processOutbox } = require('../src/utils/emailOutbox');
+const { signToken } = require('./test-config');
+
+const brokenTransport = {
+  name: 'broken',
+  send: async () => {
+    throw new Error('SMTP server unavailable');
+  }
+};
+
+describe('Email outbox', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+  });
+
+  it('should queue the welcome email and deliver it from the worker', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Queued User', email: 'queued@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(201);
+    expect(transport.sent).toHaveLength(0);
+
+    const result = await processOutbox();
+    const email = await OutboxEmail.findOne({
+      to: 'queued@example.com',
+      subject: 'Welcome to Kamnet Marketplace!'
+    });
+    const welcome = transport.sent.find(sent => sent.subject === email.subject);
+
+    // Registration queues the welcome and verification emails
+    expect(result.sent).toBe(2);
+    expect(email.status).toBe('sent');
+    expect(email.messageId).toBe(welcome.messageId);
+  });
+
+  it('should not fail forgot password when the mail server is down', async () => {
+    emailService.setTransport(brokenTransport);
+    await User.create({ name: 'Forgetful', email: 'forgot@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'forgot@example.com' });
+
+    expect(res.statusCode).toBe(200);
+
+    const result = await processOutbox();
+    expect(result.retrying).toBe(1);
+  });
+
+  it('should back off exponentially and dead-letter after max attempts', async () => {
+    emailService.setTransport(brokenTransport);
+    const queued = await emailService.sendEmail({ to: 'a@example.com', subject: 'Hi', text: 'Hi' });
+    queued.maxAttempts = 3;
+    await queued.save();
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      const before = Date.now();
+      await processOutbox();
+      const email = await OutboxEmail.findById(queued._id);
+
+      expect(email.attempts).toBe(attempt);
+      if (email.status === 'pending') {
+        delays.push(email.nextAttemptAt.getTime() - before);
+        email.nextAttemptAt = Date.now();
+        await email.save();
+      }
+    }
+
+    const email = await OutboxEmail.findById(queued._id);
+    expect(email.status).toBe('dead');
+    expect(email.lastError).toBe('SMTP server unavailable');
+    expect(delays).toHaveLength(2);
+    expect(delays[1]).toBeGreaterThan(delays[0] * 1.5);
+  });
+
+  it('should not send emails before they are due', async () => {
+    await OutboxEmail.create({
+      to: 'later@example.com',
+      subject: 'Later',
+      text: 'Later',
+      nextAttemptAt: Date.now() + 60 * 1000
+    });
+
+    expect((await processOutbox()).sent).toBe(0);
+  });
+
+  describe('Admin status', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const admin = await User.create({
+        name: 'Outbox Admin',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      adminToken = signToken(admin);
+    });
+
+    it('should list emails by status and retry dead ones', async () => {
+      const dead = await OutboxEmail.create({
+        to: 'dead@example.com',
+        subject: 'Dead',
+        text: 'Dead',
+        status: 'dead',
+        attempts: 6
+      });
+      await OutboxEmail.create({ to: 'pending@example.com', subject: 'Pending', text: 'Pending' });
+
+      const listRes = await request(app)
+        .get('/api/admin/email-outbox?status=dead')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(listRes.statusCode).toBe(200);
+      expect(listRes.body.count).toBe(1);
+      expect(listRes.body.summary).toEqual(expect.objectContaining({ dead: 1, pending: 1 }));
+
+      const retryRes = await request(app)
+        .post(`/api/admin/email-outbox/${dead._id}/retry`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(retryRes.statusCode).toBe(200);
+      expect(retryRes.body.data.status).toBe('pending');
+
+      await processOutbox();
+      expect(transport.sent.map(email => email.to)).toContain('dead@example.com');
+    });
+
+    it('should not show the body of queued emails to staff', async () => {
+      const email = await OutboxEmail.create({
+        to: 'reset@example.com',
+        subject: 'Reset your password',
+        text: 'Reset it at http://test.com/reset-password/secret-token',
+        html: '<a href="http://test.com/reset-password/secret-token">Reset</a>'
+      });
+
+      const res = await request(app)
+        .get(`/api/admin/email-outbox/${email._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.subject).toBe('Reset your password');
+      expect(res.body.data.text).toBeUndefined();
+      expect(res.body.data.html).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const emailService = require('../src/utils/emailService');
+const { renderEmail, TEMPLATE_NAMES } = require('../src/utils/emailTemplates');
+const { signToken } = require('./test-config');
+
+describe('Email templates', () => {
+  describe('renderEmail', () => {
+    it('should render the layout, partials and variables', () => {
+      const email = renderEmail('application-received', {
+        locale: 'en',
+        data: {
+          name: 'Ayesha',
+          applicantName: 'Bilal',
+          taskTitle: 'Fix the sink',
+          proposedBudget: 2500,
+          currency: 'PKR',
+          taskUrl: 'https://kamnet.pk/tasks/1'
+        }
+      });
+
+      expect(email.subject).toBe('New application for "Fix the sink"');
+      expect(email.html).toContain('dir="ltr"');
+      expect(email.html).toContain('Bilal');
+      expect(email.html).toContain('https://kamnet.pk/tasks/1');
+      expect(email.html).toContain('The Kamnet Team');
+      expect(email.text).not.toMatch(/<[a-z]/);
+    });
+
+    it('should render Urdu right-to-left and fall back to English', () => {
+      const urdu = renderEmail('welcome', { locale: 'ur', data: { name: 'Ayesha' } });
+      const fallback = renderEmail('welcome', { locale: 'fr', data: { name: 'Ayesha' } });
+
+      expect(urdu.html).toContain('dir="rtl"');
+      expect(urdu.subject).toBe('کام نیٹ مارکیٹ پلیس میں خوش آمدید!');
+      expect(fallback.subject).toBe('Welcome to Kamnet Marketplace!');
+    });
+
+    it('should escape variables', () => {
+      const email = renderEmail('welcome', { data: { name: '<script>alert(1)</script>' } });
+
+      expect(email.html).not.toContain('<script>');
+    });
+
+    it('should reject unknown templates', () => {
+      expect(() => renderEmail('nope', {})).toThrow('Unknown email template');
+    });
+  });
+
+  describe('EmailService', () => {
+    let sendEmail;
+
+    beforeEach(() => {
+      sendEmail = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ messageId: 'test' });
+    });
+
+    afterEach(() => {
+      sendEmail.mockRestore();
+    });
+
+    it('should send the password reset email in the account language', async () => {
+      await emailService.sendPasswordResetEmail({
+        email: 'ayesha@example.com',
+        token: 'abc123',
+        name: 'Ayesha',
+        language: 'ur'
+      });
+
+      const [options] = sendEmail.mock.calls[0];
+      expect(options.to).toBe('ayesha@example.com');
+      expect(options.html).toContain('dir="rtl"');
+      expect(options.html).toContain('/reset-password/abc123');
+      expect(options.text).toContain('/reset-password/abc123');
+    });
+  });
+
+  describe('Admin preview', () => {
+    let adminToken;
+    let talentToken;
+
+    beforeEach(async () => {
+      const admin = await User.create({
+        name: 'Template Admin',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      const talent = await User.create({
+        name: 'Template Talent',
+        email: 'talent@example.com',
+        password: 'password123',
+        role: 'talent'
+      });
+
+      adminToken = signToken(admin);
+      talentToken = signToken(talent);
+    });
+
+    it('should list every template', async () => {
+      const res = await request(app)
+        .get('/api/admin/email-templates')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map(template => template.name)).toEqual(TEMPLATE_NAMES);
+    });
+
+    it('should render any template with sample data', async () => {
+      for (const name of TEMPLATE_NAMES) {
+        const res = await request(app)
+          .get(`/api/admin/email-templates/${name}/preview?locale=ur&format=json`)
+          .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.subject).toBeTruthy();
+        expect(res.body.data.html).toContain('dir="rtl"');
+      }
+
+      const htmlRes = await request(app)
+        .get('/api/admin/email-templates/payment-released/preview')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(htmlRes.statusCode).toBe(200);
+      expect(htmlRes.headers['content-type']).toMatch(/html/);
+    });
+
+    it('should return 404 for unknown templates and 403 for non-admins', async () => {
+      const missingRes = await request(app)
+        .get('/api/admin/email-templates/nope/preview')
+        .set('Authorization', `Bearer ${adminToken}`);
+      const forbiddenRes = await request(app)
+        .get('/api/admin/email-templates')
+        .set('Authorization', `Bearer ${talentToken}`);
+
+      expect(missingRes.statusCode).toBe(404);
+      expect(forbiddenRes.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const emailService = require('../src/utils/emailService');
+const { MemoryTransport } = require('../src/utils/emailTransports');
+const { processOutbox } = require('../src/utils/emailOutbox');
+const { generateEmailVerificationToken } = require('../src/utils/token');
+
+// Pull the verification token out of the last verification email
+const tokenFromEmail = (transport) => {
+  const email = transport.sent.find(sent => sent.subject === 'Verify your email address');
+  return email.text.match(/verify-email\/([\w.-]+)/)[1];
+};
+
+describe('Email verification', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  it('should email a link on registration that verifies the account', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'New User', email: 'verify@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+
+    await processOutbox();
+    const token = tokenFromEmail(transport);
+
+    const verifyRes = await request(app)
+      .get(`/api/auth/verify-email/${token}`)
+      .set('Accept', 'application/json');
+
+    expect(verifyRes.statusCode).toBe(200);
+
+    const user = await User.findOne({ email: 'verify@example.com' });
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeTruthy();
+  });
+
+  it('should redirect browsers to the frontend', async () => {
+    const user = await User.create({
+      name: 'Browser User',
+      email: 'browser@example.com',
+      password: 'password123'
+    });
+    const { token } = generateEmailVerificationToken(user);
+
+    const res = await request(app)
+      .get(`/api/auth/verify-email/${token}`)
+      .set('Accept', 'text/html');
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toContain('/login?emailVerified=true');
+  });
+
+  it('should fall back to the default frontend when none is configured', async () => {
+    const frontend = process.env.FRONTEND_URL;
+    delete process.env.FRONTEND_URL;
+
+    try {
+      const user = await User.create({
+        name: 'Unconfigured User',
+        email: 'unconfigured@example.com',
+        password: 'password123'
+      });
+      const { token } = generateEmailVerificationToken(user);
+
+      const res = await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .set('Accept', 'text/html');
+
+      expect(res.headers.location).toBe('https://kamnet.pk/login?emailVerified=true');
+    } finally {
+      process.env.FRONTEND_URL = frontend;
+    }
+  });
+
+  it('should reject invalid tokens and access tokens', async () => {
+    const user = await User.create({
+      name: 'Token User',
+      email: 'token@example.com',
+      password: 'password123'
+    });
+
+    const invalidRes = await request(app)
+      .get('/api/auth/verify-email/not-a-token')
+      .set('Accept', 'application/json');
+    expect(invalidRes.statusCode).toBe(400);
+
+    const accessRes = await request(app)
+      .get(`/api/auth/verify-email/${signToken(user)}`)
+      .set('Accept', 'application/json');
+    expect(accessRes.statusCode).toBe(400);
+
+    expect((await User.findById(user._id)).emailVerified).toBe(false);
+  });
+
+  it('should throttle resending the verification email', async () => {
+    const user = await User.create({
+      name: 'Resend User',
+      email: 'resend@example.com',
+      password: 'password123'
+    });
+    const token = signToken(user);
+
+    const firstRes = await request(app)
+      .post('/api/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(firstRes.statusCode).toBe(200);
+
+    const secondRes = await request(app)
+      .post('/api/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${token}`);
+    expect(secondRes.statusCode).toBe(429);
+    expect(Number(secondRes.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('should block posting tasks until verified when required', async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+    const user = await User.create({
+      name: 'Unverified Poster',
+      email: 'poster@example.com',
+      password: 'password123'
+    });
+    const token = signToken(user);
+    const task = {
+      title: 'Unverified Task',
+      description: 'A task posted before the email was verified',
+      budget: 1000,
+      currency: 'PKR',
+      location: 'Lahore, Pakistan',
+      category: 'Design',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Lahore', province: 'Punjab' },
+      coordinates: { lat: 31.5204, lng: 74.3587 }
+    };
+
+    const blockedRes = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send(task);
+    expect(blockedRes.statusCode).toBe(403);
+
+    user.emailVerified = true;
+    await user.save();
+
+    const allowedRes = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send(task);
+    expect(allowedRes.statusCode).toBe(201);
+    expect(await Task.countDocuments({ user: user._id })).toBe(1);
+  });
+});
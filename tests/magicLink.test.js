@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const emailService = require('../src/utils/emailService');
+const { MemoryTransport } = require('../src/utils/emailTransports');
+const { processOutbox } = require('../src/utils/emailOutbox');
+
+// Pull the sign-in token out of the last magic link email
+const tokenFromEmail = (transport) => {
+  const email = transport.sent.filter(sent => sent.subject === 'Your Kamnet sign-in link').pop();
+  return email.text.match(/magic-login\/([a-f0-9]+)/)[1];
+};
+
+describe('Magic link login', () => {
+  let transport;
+
+  beforeEach(async () => {
+    transport = new MemoryTransport();
+    emailService.setTransport(transport);
+
+    await User.create({
+      name: 'Mobile Talent',
+      email: 'mobile@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+  });
+
+  const requestLink = (email = 'mobile@example.com') => request(app)
+    .post('/api/auth/magic-link')
+    .send({ email });
+
+  const useLink = (token) => request(app)
+    .post('/api/auth/magic-link/verify')
+    .send({ token });
+
+  it('should email a link that signs the user in', async () => {
+    const res = await requestLink();
+    expect(res.statusCode).toBe(200);
+
+    await processOutbox();
+    const loginRes = await useLink(tokenFromEmail(transport));
+
+    expect(loginRes.statusCode).toBe(200);
+    expect(loginRes.body.token).toBeDefined();
+    expect(loginRes.body.refreshToken).toBeDefined();
+    expect(loginRes.body.user.email).toBe('mobile@example.com');
+    expect(loginRes.body.user.magicLinkToken).toBeUndefined();
+    expect(loginRes.body.user.emailVerified).toBe(true);
+  });
+
+  it('should only store a hash of the token', async () => {
+    await requestLink();
+    await processOutbox();
+    const token = tokenFromEmail(transport);
+
+    const user = await User.findOne({ email: 'mobile@example.com' }).select('+magicLinkToken');
+    expect(user.magicLinkToken).toBeDefined();
+    expect(user.magicLinkToken).not.toBe(token);
+  });
+
+  it('should only work once', async () => {
+    await requestLink();
+    await processOutbox();
+    const token = tokenFromEmail(transport);
+
+    expect((await useLink(token)).statusCode).toBe(200);
+    expect((await useLink(token)).statusCode).toBe(400);
+  });
+
+  it('should reject expired links', async () => {
+    await requestLink();
+    await processOutbox();
+    const token = tokenFromEmail(transport);
+
+    await User.updateOne(
+      { email: 'mobile@example.com' },
+      { magicLinkExpire: Date.now() - 1000 }
+    );
+
+    const res = await useLink(token);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should not reveal whether an account exists', async () => {
+    const res = await requestLink('nobody@example.com');
+
+    expect(res.statusCode).toBe(200);
+    await processOutbox();
+    expect(transport.sent).toHaveLength(0);
+  });
+
+  it('should throttle link requests', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      expect((await requestLink()).statusCode).toBe(200);
+    }
+
+    const res = await requestLink();
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  it('should throttle guessing tokens', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      expect((await useLink(`guess-${i}`)).statusCode).toBe(400);
+    }
+
+    const res = await useLink('guess-5');
+    expect(res.statusCode).toBe(429);
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const Application = require('../src/models/application.model');
+const { messageAttachmentDir } = require('../src/utils/fileUpload');
+const { signToken } = require('./test-config');
+
+describe('Application message threads', () => {
+  let ownerToken;
+  let talentToken;
+  let adminToken;
+  let outsiderToken;
+  let application;
+
+  beforeEach(async () => {
+    const owner = await User.create({
+      name: 'Thread Owner',
+      email: 'owner@example.com',
+      password: 'password123',
+      role: 'user'
+    });
+    const talent = await User.create({
+      name: 'Thread Talent',
+      email: 'talent@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+    const admin = await User.create({
+      name: 'Thread Admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    const outsider = await User.create({
+      name: 'Outsider',
+      email: 'outsider@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+
+    ownerToken = signToken(owner);
+    talentToken = signToken(talent);
+    adminToken = signToken(admin);
+    outsiderToken = signToken(outsider);
+
+    const task = await Task.create({
+      title: 'Thread Task',
+      description: 'A task with a conversation',
+      user: owner._id,
+      budget: 2000,
+      currency: 'PKR',
+      location: 'Lahore, Pakistan',
+      category: 'Design',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Lahore', province: 'Punjab' },
+      coordinates: { lat: 31.5204, lng: 74.3587 }
+    });
+
+    application = await Application.create({
+      task: task._id,
+      talent: talent._id,
+      coverLetter: 'I would like to discuss the details of this task with you.',
+      proposedBudget: 2000,
+      estimatedCompletionTime: { value: 2, unit: 'days' }
+    });
+  });
+
+  const send = (token, body) => request(app)
+    .post(`/api/applications/${application._id}/messages`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ body });
+
+  const history = (token) => request(app)
+    .get(`/api/applications/${application._id}/messages`)
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should exchange messages between the owner and the applicant', async () => {
+    const first = await send(ownerToken, 'When can you start?');
+    const second = await send(talentToken, 'Tomorrow morning.');
+
+    expect(first.statusCode).toBe(201);
+    expect(second.statusCode).toBe(201);
+
+    const res = await history(ownerToken);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(2);
+    expect(res.body.data[0].body).toBe('Tomorrow morning.');
+    expect(res.body.unreadCount).toBe(1);
+  });
+
+  it('should track unread counts and read receipts', async () => {
+    await send(ownerToken, 'First question');
+    await send(ownerToken, 'Second question');
+
+    let unread = await request(app)
+      .get('/api/conversations/unread-count')
+      .set('Authorization', `Bearer ${talentToken}`);
+    expect(unread.body.data.unreadCount).toBe(2);
+
+    const threads = await request(app)
+      .get('/api/conversations')
+      .set('Authorization', `Bearer ${talentToken}`);
+    expect(threads.body.data).toHaveLength(1);
+    expect(threads.body.data[0].unreadCount).toBe(2);
+
+    const read = await request(app)
+      .put(`/api/applications/${application._id}/messages/read`)
+      .set('Authorization', `Bearer ${talentToken}`);
+    expect(read.body.data.markedCount).toBe(2);
+
+    unread = await request(app)
+      .get('/api/conversations/unread-count')
+      .set('Authorization', `Bearer ${talentToken}`);
+    expect(unread.body.data.unreadCount).toBe(0);
+
+    const res = await history(ownerToken);
+    expect(res.body.data.every(message => message.readAt)).toBe(true);
+  });
+
+  it('should paginate the history', async () => {
+    for (let i = 1; i <= 3; i += 1) {
+      await send(ownerToken, `Message ${i}`);
+    }
+
+    const res = await request(app)
+      .get(`/api/applications/${application._id}/messages?page=2&limit=2`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.headers['x-total-count']).toBe('3');
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].body).toBe('Message 1');
+  });
+
+  it('should let admins read but not post', async () => {
+    await send(ownerToken, 'Hello');
+
+    const readRes = await history(adminToken);
+    const postRes = await send(adminToken, 'Moderator here');
+
+    expect(readRes.statusCode).toBe(200);
+    expect(postRes.statusCode).toBe(403);
+  });
+
+  it('should keep other accounts out of the thread', async () => {
+    const readRes = await history(outsiderToken);
+    const postRes = await send(outsiderToken, 'Hi');
+
+    expect(readRes.statusCode).toBe(403);
+    expect(postRes.statusCode).toBe(403);
+  });
+
+  it('should only serve attachments to the thread', async () => {
+    // Smallest valid PNG: a single transparent pixel
+    const pixel = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR4nGNgYAAAAAMA'
+      + 'ASsJTYQAAAAASUVORK5CYII=', 'base64');
+
+    try {
+      const sendRes = await request(app)
+        .post(`/api/applications/${application._id}/messages`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .attach('attachments', pixel, 'sketch.png');
+      expect(sendRes.statusCode).toBe(201);
+
+      const { pathname } = new URL(sendRes.body.data.attachments[0].path);
+      expect(pathname).toMatch(/^\/api\/applications\/.+\/messages\/attachments\//);
+
+      const download = (token) => request(app)
+        .get(pathname)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect((await download(ownerToken)).statusCode).toBe(200);
+      expect((await download(outsiderToken)).statusCode).toBe(403);
+      expect((await request(app).get(pathname)).statusCode).toBe(401);
+    } finally {
+      fs.rmSync(messageAttachmentDir(application._id), { recursive: true, force: true });
+    }
+  });
+
+  it('should reject empty messages', async () => {
+    const res = await send(ownerToken, '');
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+const Application = require('../src/models/application.model');
+const Notification = require('../src/models/notification.model');
+const Wallet = require('../src/models/wallet.model');
+const { migrateAccounts } = require('../src/utils/migrateAccounts');
+
+describe('Account migration', () => {
+  let talents;
+
+  beforeEach(() => {
+    talents = mongoose.connection.collection('talents');
+  });
+
+  it('should move talents without an account and merge those with one', async () => {
+    const poster = await User.collection.insertOne({
+      name: 'Both Roles',
+      email: 'both@example.com',
+      role: 'user'
+    });
+    const { insertedId: mergedTalentId } = await talents.insertOne({
+      name: 'Both Roles',
+      email: 'both@example.com',
+      role: 'talent',
+      skills: ['Plumbing'],
+      bio: 'Plumber in Lahore'
+    });
+    const { insertedId: movedTalentId } = await talents.insertOne({
+      name: 'Only Talent',
+      email: 'talent@example.com',
+      role: 'talent'
+    });
+
+    const taskId = new mongoose.Types.ObjectId();
+    await Application.collection.insertOne({
+      task: taskId,
+      talent: mergedTalentId,
+      status: 'pending'
+    });
+    await Notification.collection.insertOne({
+      recipient: mergedTalentId,
+      recipientModel: 'Talent',
+      type: 'application_accepted'
+    });
+    await Wallet.collection.insertOne({
+      kind: 'talent',
+      owner: mergedTalentId,
+      ownerModel: 'Talent'
+    });
+
+    const result = await migrateAccounts();
+
+    expect(result).toEqual({ moved: 1, merged: 1, skipped: 0 });
+
+    const merged = await User.findById(poster.insertedId);
+    expect(merged.roles).toEqual(['user', 'talent']);
+    expect(merged.skills).toEqual(['Plumbing']);
+    expect(merged.bio).toBe('Plumber in Lahore');
+
+    const moved = await User.findById(movedTalentId);
+    expect(moved.roles).toEqual(['talent']);
+
+    const application = await Application.collection.findOne({ task: taskId });
+    expect(application.talent).toEqual(poster.insertedId);
+
+    const notification = await Notification.collection.findOne({});
+    expect(notification.recipient).toEqual(poster.insertedId);
+    expect(notification.recipientModel).toBeUndefined();
+
+    const wallet = await Wallet.collection.findOne({ kind: 'talent' });
+    expect(wallet.owner).toEqual(poster.insertedId);
+    expect(wallet.ownerModel).toBe('User');
+
+    // Running it again changes nothing
+    expect(await migrateAccounts()).toEqual({ moved: 0, merged: 0, skipped: 0 });
+  });
+});
@@ -0,0 +1,264 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const ModerationAction = require('../src/models/moderationAction.model');
+
+describe('Moderation', () => {
+  let owner;
+  let moderator;
+  let support;
+  let task;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Reported Owner',
+      email: 'reported@example.com',
+      password: 'password123'
+    });
+    moderator = await User.create({
+      name: 'Content Moderator',
+      email: 'content-moderator@example.com',
+      password: 'password123',
+      role: 'moderator'
+    });
+    support = await User.create({
+      name: 'Support Agent',
+      email: 'support-agent@example.com',
+      password: 'password123',
+      role: 'support'
+    });
+    task = await Task.create({
+      title: 'Questionable Task',
+      description: 'A task that needs a closer look',
+      user: owner._id,
+      budget: 1500,
+      currency: 'PKR',
+      location: 'Karachi, Pakistan',
+      category: 'Writing',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Karachi', province: 'Sindh' },
+      coordinates: { lat: 24.8607, lng: 67.0011 }
+    });
+  });
+
+  describe('accounts', () => {
+    it('should search accounts by name or email', async () => {
+      const res = await request(app)
+        .get('/api/admin/users?q=reported')
+        .set('Authorization', `Bearer ${signToken(support)}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].email).toBe('reported@example.com');
+      expect(res.body.data[0].password).toBeUndefined();
+    });
+
+    it('should suspend an account until a date and refuse its requests', async () => {
+      const until = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      const res = await request(app)
+        .post(`/api/admin/users/${owner._id}/suspend`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Spam listings', until });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.status).toBe('suspended');
+
+      // Tokens issued after the suspension are refused too
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${signToken(owner)}`);
+      expect(me.statusCode).toBe(403);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reported@example.com', password: 'password123' });
+      expect(login.statusCode).toBe(403);
+      expect(login.body.message).toMatch(/suspended until/);
+
+      const entry = await ModerationAction.findOne({ target: owner._id });
+      expect(entry.action).toBe('account.suspend');
+      expect(entry.reason).toBe('Spam listings');
+    });
+
+    it('should keep moderation details off the public profile', async () => {
+      await request(app)
+        .post(`/api/admin/users/${owner._id}/suspend`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Spam listings', until: new Date(Date.now() + 60 * 60 * 1000) });
+
+      const res = await request(app).get(`/api/users/${owner._id}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.name).toBe('Reported Owner');
+      ['statusReason', 'statusChangedBy', 'suspendedUntil', 'tokensValidAfter',
+        'notificationPreferences', 'magicLinkExpire'].forEach(field => {
+        expect(res.body.data[field]).toBeUndefined();
+      });
+    });
+
+    it('should let accounts back in once their suspension ends', async () => {
+      await User.updateOne({ _id: owner._id }, {
+        status: 'suspended',
+        suspendedUntil: new Date(Date.now() - 1000)
+      });
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reported@example.com', password: 'password123' });
+      expect(login.statusCode).toBe(200);
+    });
+
+    it('should ban and reinstate an account', async () => {
+      const ban = await request(app)
+        .post(`/api/admin/users/${owner._id}/ban`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Fraud' });
+      expect(ban.statusCode).toBe(200);
+
+      const reinstate = await request(app)
+        .post(`/api/admin/users/${owner._id}/reinstate`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Appeal accepted' });
+      expect(reinstate.statusCode).toBe(200);
+      expect(reinstate.body.data.status).toBe('active');
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reported@example.com', password: 'password123' });
+      expect(login.statusCode).toBe(200);
+    });
+
+    it('should require a reason to suspend', async () => {
+      const res = await request(app)
+        .post(`/api/admin/users/${owner._id}/suspend`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not let moderators suspend staff or support suspend anyone', async () => {
+      const staffRes = await request(app)
+        .post(`/api/admin/users/${support._id}/suspend`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Not allowed' });
+      const supportRes = await request(app)
+        .post(`/api/admin/users/${owner._id}/suspend`)
+        .set('Authorization', `Bearer ${signToken(support)}`)
+        .send({ reason: 'Not allowed' });
+
+      expect(staffRes.statusCode).toBe(403);
+      expect(supportRes.statusCode).toBe(403);
+    });
+  });
+
+  describe('tasks', () => {
+    it('should hide a task from public listings and show it again', async () => {
+      const hide = await request(app)
+        .post(`/api/admin/tasks/${task._id}/hide`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Misleading listing' });
+      expect(hide.statusCode).toBe(200);
+
+      const hidden = await request(app).get(`/api/tasks/${task._id}`);
+      expect(hidden.statusCode).toBe(404);
+
+      const listed = await request(app).get('/api/tasks');
+      expect(listed.body.data).toHaveLength(0);
+
+      const unhide = await request(app)
+        .post(`/api/admin/tasks/${task._id}/unhide`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`);
+      expect(unhide.statusCode).toBe(200);
+
+      const shown = await request(app).get(`/api/tasks/${task._id}`);
+      expect(shown.statusCode).toBe(200);
+    });
+
+    it('should still show a hidden task to its owner, hired talent and staff', async () => {
+      const talent = await User.create({
+        name: 'Hired Talent',
+        email: 'hired-talent@example.com',
+        password: 'password123',
+        role: 'talent'
+      });
+      const stranger = await User.create({
+        name: 'Curious Stranger',
+        email: 'curious-stranger@example.com',
+        password: 'password123'
+      });
+      await Task.updateOne({ _id: task._id }, {
+        hiredTalent: talent._id,
+        visibility: 'pending_review',
+        flags: [{ reason: 'Reported by several accounts', source: 'reports' }]
+      });
+
+      const viewAs = (account) => request(app)
+        .get(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${signToken(account)}`);
+
+      expect((await viewAs(owner)).statusCode).toBe(200);
+      expect((await viewAs(talent)).statusCode).toBe(200);
+      expect((await viewAs(moderator)).statusCode).toBe(200);
+      expect((await viewAs(stranger)).statusCode).toBe(404);
+    });
+
+    it('should force-close a task', async () => {
+      const res = await request(app)
+        .post(`/api/admin/tasks/${task._id}/close`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Prohibited service' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.status).toBe('cancelled');
+
+      const again = await request(app)
+        .post(`/api/admin/tasks/${task._id}/close`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ reason: 'Prohibited service' });
+      expect(again.statusCode).toBe(400);
+    });
+
+    it('should review flagged tasks', async () => {
+      await Task.updateOne({ _id: task._id }, {
+        visibility: 'pending_review',
+        flags: [{ reason: 'Contact details in description', source: 'screening' }]
+      });
+
+      const queue = await request(app)
+        .get('/api/admin/flagged?type=task')
+        .set('Authorization', `Bearer ${signToken(moderator)}`);
+      expect(queue.statusCode).toBe(200);
+      expect(queue.body.data).toHaveLength(1);
+
+      const review = await request(app)
+        .post(`/api/admin/flagged/task/${task._id}/review`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ decision: 'approve' });
+      expect(review.statusCode).toBe(200);
+      expect(review.body.data.visibility).toBe('public');
+
+      const updated = await Task.findById(task._id);
+      expect(updated.flags).toHaveLength(0);
+    });
+  });
+
+  it('should list moderation actions for staff with access to the log', async () => {
+    await request(app)
+      .post(`/api/admin/tasks/${task._id}/hide`)
+      .set('Authorization', `Bearer ${signToken(moderator)}`)
+      .send({ reason: 'Misleading listing' });
+
+    const res = await request(app)
+      .get(`/api/admin/moderation-log?target=${task._id}`)
+      .set('Authorization', `Bearer ${signToken(support)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].action).toBe('task.hide');
+    expect(res.body.data[0].actor.email).toBe('content-moderator@example.com');
+  });
+});
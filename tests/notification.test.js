@@ -0,0 +1,175 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const Notification = require('../src/models/notification.model');
+const emailService = require('../src/utils/emailService');
+const { notifyApproachingDeadlines } = require('../src/utils/notifications');
+const { signToken } = require('./test-config');
+
+// Notifications are created by event listeners after the response is sent
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+describe('Notifications', () => {
+  let owner;
+  let talent;
+  let ownerToken;
+  let talentToken;
+  let task;
+  let sendEmail;
+
+  beforeEach(async () => {
+    sendEmail = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ messageId: 'test' });
+
+    owner = await User.create({
+      name: 'Notified Owner',
+      email: 'owner@example.com',
+      password: 'password123',
+      role: 'user'
+    });
+    talent = await User.create({
+      name: 'Notified Talent',
+      email: 'talent@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+
+    ownerToken = signToken(owner);
+    talentToken = signToken(talent);
+
+    task = await Task.create({
+      title: 'Notified Task',
+      description: 'A task that raises notifications',
+      user: owner._id,
+      budget: 1000,
+      currency: 'PKR',
+      location: 'Lahore, Pakistan',
+      category: 'Design',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Lahore', province: 'Punjab' },
+      coordinates: { lat: 31.5204, lng: 74.3587 }
+    });
+  });
+
+  afterEach(() => {
+    sendEmail.mockRestore();
+  });
+
+  const apply = () => request(app)
+    .post(`/api/applications/tasks/${task._id}/apply`)
+    .set('Authorization', `Bearer ${talentToken}`)
+    .send({
+      coverLetter: 'I have done many similar tasks and can start work immediately on this one.',
+      proposedBudget: 1000,
+      estimatedCompletionTime: { value: 2, unit: 'days' }
+    });
+
+  const setPreferences = (preferences) => request(app)
+    .put('/api/notifications/preferences')
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ preferences });
+
+  it('should notify the owner in-app and by email when someone applies', async () => {
+    await apply();
+    await settle();
+
+    const res = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.unreadCount).toBe(1);
+    expect(res.body.data[0].type).toBe('application_submitted');
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'owner@example.com' }));
+  });
+
+  it('should respect per-type channel preferences', async () => {
+    const prefRes = await setPreferences({ application_submitted: { email: false } });
+
+    expect(prefRes.statusCode).toBe(200);
+    expect(prefRes.body.data.application_submitted).toEqual({ inApp: true, email: false });
+
+    await apply();
+    await settle();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(await Notification.countDocuments({ recipient: owner._id })).toBe(1);
+
+    await setPreferences({ application_submitted: { inApp: false } });
+    const secondTalent = await User.create({
+      name: 'Second Talent',
+      email: 'second@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+    talentToken = signToken(secondTalent);
+
+    await apply();
+    await settle();
+
+    expect(await Notification.countDocuments({ recipient: owner._id })).toBe(1);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown notification types', async () => {
+    const res = await setPreferences({ everything: { email: false } });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should mark notifications as read', async () => {
+    await apply();
+    await settle();
+
+    const [notification] = await Notification.find({ recipient: owner._id });
+
+    const readRes = await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(readRes.statusCode).toBe(200);
+    expect(readRes.body.data.readAt).toBeTruthy();
+
+    const otherRes = await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set('Authorization', `Bearer ${talentToken}`);
+    expect(otherRes.statusCode).toBe(404);
+
+    await Notification.create({
+      recipient: owner._id,
+      type: 'task_cancelled',
+      title: 'Task cancelled',
+      message: 'A task was cancelled.'
+    });
+
+    const allRes = await request(app)
+      .put('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${ownerToken}`);
+    expect(allRes.body.data.markedCount).toBe(1);
+  });
+
+  it('should notify the applicant when their application is rejected', async () => {
+    const applyRes = await apply();
+
+    await request(app)
+      .put(`/api/applications/${applyRes.body.data.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ status: 'rejected' });
+    await settle();
+
+    const notification = await Notification.findOne({ recipient: talent._id });
+    expect(notification.type).toBe('application_rejected');
+  });
+
+  it('should remind the owner and hired talent once before the deadline', async () => {
+    task.status = 'in-progress';
+    task.hiredTalent = talent._id;
+    task.deadlineDate = new Date(Date.now() + 6 * 60 * 60 * 1000);
+    await task.save();
+
+    expect(await notifyApproachingDeadlines()).toBe(1);
+    expect(await notifyApproachingDeadlines()).toBe(0);
+
+    const reminders = await Notification.find({ type: 'deadline_approaching' });
+    expect(reminders).toHaveLength(2);
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Payment = require('../src/models/payment.model');
+const Wallet = require('../src/models/wallet.model');
+const payments = require('../src/utils/payments');
+const { signToken } = require('./test-config');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Payments', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Paying User',
+      email: 'payer@example.com',
+      password: 'password123',
+      role: 'user'
+    });
+    token = signToken(user);
+    payments.getProvider('mock').config.delayMs = 100;
+  });
+
+  const topUp = (scenario, amount = 2500) => request(app)
+    .post('/api/payments/top-ups')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ provider: 'mock', amount, currency: 'PKR', scenario });
+
+  const balance = async () => {
+    const wallet = await Wallet.findOne({ kind: 'user', owner: user._id });
+    return wallet ? wallet.balances.PKR : 0;
+  };
+
+  it('should list the mock provider in tests', async () => {
+    const res = await request(app)
+      .get('/api/payments/providers')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(provider => provider.name)).toContain('mock');
+  });
+
+  it('should credit the wallet when a top-up succeeds', async () => {
+    const res = await topUp('success');
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.payment.status).toBe('pending');
+
+    await wait(50);
+
+    const payment = await Payment.findOne({ reference: res.body.data.payment.reference });
+    expect(payment.status).toBe('succeeded');
+    expect(await balance()).toBe(250000);
+  });
+
+  it('should leave the wallet unchanged when a top-up fails', async () => {
+    const res = await topUp('failure');
+    await wait(50);
+
+    const payment = await Payment.findOne({ reference: res.body.data.payment.reference });
+    expect(payment.status).toBe('failed');
+    expect(await balance()).toBe(0);
+  });
+
+  it('should keep a delayed top-up pending until the callback arrives', async () => {
+    const res = await topUp('delayed');
+    const { reference } = res.body.data.payment;
+
+    const pending = await request(app)
+      .get(`/api/payments/${reference}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(pending.body.data.status).toBe('pending');
+
+    await wait(250);
+
+    const completed = await request(app)
+      .get(`/api/payments/${reference}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(completed.body.data.status).toBe('succeeded');
+  });
+
+  it('should reject callbacks with an invalid signature', async () => {
+    const res = await topUp('delayed');
+    const callback = { ...res.body.data.checkout.callback, amount: 99999999 };
+
+    const callbackRes = await request(app)
+      .post('/api/payments/callbacks/mock')
+      .send(callback);
+
+    expect(callbackRes.statusCode).toBe(400);
+  });
+
+  it('should ignore replayed callbacks', async () => {
+    const res = await topUp('success');
+    await wait(50);
+
+    const replay = await request(app)
+      .post('/api/payments/callbacks/mock')
+      .send(res.body.data.checkout.callback);
+
+    expect(replay.statusCode).toBe(200);
+    expect(replay.body.data.status).toBe('succeeded');
+    expect(await balance()).toBe(250000);
+  });
+
+  it('should debit the wallet for a payout and refund it when the payout fails', async () => {
+    await topUp('success', 1000);
+    await wait(50);
+
+    const res = await request(app)
+      .post('/api/payments/payouts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ provider: 'mock', amount: 400, currency: 'PKR', scenario: 'failure' });
+
+    expect(res.statusCode).toBe(201);
+    expect(await balance()).toBe(60000);
+
+    await wait(50);
+
+    const payout = await Payment.findOne({ reference: res.body.data.reference });
+    expect(payout.status).toBe('failed');
+    expect(await balance()).toBe(100000);
+  });
+
+  it('should filter the wallet history by withdrawal reversals', async () => {
+    await topUp('success', 1000);
+    await wait(50);
+    await request(app)
+      .post('/api/payments/payouts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ provider: 'mock', amount: 400, currency: 'PKR', scenario: 'failure' });
+    await wait(50);
+
+    const res = await request(app)
+      .get('/api/wallet/transactions?type=withdrawal_reversal')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].type).toBe('withdrawal_reversal');
+  });
+
+  it('should only enable the mock provider outside tests when asked to', () => {
+    const mock = payments.getProvider('mock');
+    const env = { ...process.env };
+
+    try {
+      delete process.env.NODE_ENV;
+      delete process.env.PAYMENTS_MOCK_ENABLED;
+      expect(mock.isConfigured()).toBe(false);
+
+      process.env.NODE_ENV = 'development';
+      expect(mock.isConfigured()).toBe(false);
+
+      process.env.PAYMENTS_MOCK_ENABLED = 'true';
+      expect(mock.isConfigured()).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+      process.env.PAYMENTS_MOCK_ENABLED = 'true';
+      delete process.env.MOCK_PAYMENT_SECRET;
+      expect(mock.isConfigured()).toBe(false);
+
+      process.env.MOCK_PAYMENT_SECRET = 'a-long-random-secret';
+      expect(mock.isConfigured()).toBe(true);
+    } finally {
+      process.env = env;
+    }
+  });
+
+  it('should refuse payouts larger than the wallet balance', async () => {
+    const res = await request(app)
+      .post('/api/payments/payouts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ provider: 'mock', amount: 400, currency: 'PKR' });
+
+    expect(res.statusCode).toBe(402);
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const ModerationAction = require('../src/models/moderationAction.model');
+const { PERMISSIONS, hasPermission, permissionsFor } = require('../src/utils/permissions');
+
+describe('Permissions', () => {
+  describe('registry', () => {
+    it('should give admins every permission', () => {
+      expect(permissionsFor('admin')).toEqual(Object.keys(PERMISSIONS));
+    });
+
+    it('should map staff roles to their permissions', () => {
+      expect(hasPermission('moderator', 'task:update:any')).toBe(true);
+      expect(hasPermission('moderator', 'wallet:credit')).toBe(false);
+      expect(hasPermission('support', 'user:unlock')).toBe(true);
+      expect(hasPermission('support', 'task:delete:any')).toBe(false);
+      expect(hasPermission('user', 'task:update:any')).toBe(false);
+    });
+
+    it('should only grant registered permissions to registered roles', () => {
+      expect(hasPermission('nobody', 'task:create')).toBe(false);
+      expect(() => hasPermission('admin', 'task:fly')).toThrow('Unknown permission');
+    });
+  });
+
+  describe('routes', () => {
+    let owner;
+    let moderator;
+    let support;
+    let admin;
+    let task;
+
+    beforeEach(async () => {
+      owner = await User.create({
+        name: 'Task Owner',
+        email: 'owner@example.com',
+        password: 'password123'
+      });
+      moderator = await User.create({
+        name: 'Task Moderator',
+        email: 'moderator@example.com',
+        password: 'password123',
+        role: 'moderator'
+      });
+      support = await User.create({
+        name: 'Support Agent',
+        email: 'support@example.com',
+        password: 'password123',
+        role: 'support'
+      });
+      admin = await User.create({
+        name: 'Staff Admin',
+        email: 'staff-admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      task = await Task.create({
+        title: 'Moderated Task',
+        description: 'A task staff may need to edit',
+        user: owner._id,
+        budget: 2000,
+        currency: 'PKR',
+        location: 'Lahore, Pakistan',
+        category: 'Design',
+        deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        address: { city: 'Lahore', province: 'Punjab' },
+        coordinates: { lat: 31.5204, lng: 74.3587 }
+      });
+    });
+
+    const updateTask = (account) => request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${signToken(account)}`)
+      .send({ title: 'Edited title' });
+
+    it('should let moderators edit any task', async () => {
+      const res = await updateTask(moderator);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.title).toBe('Edited title');
+    });
+
+    it('should not let support staff edit tasks', async () => {
+      const res = await updateTask(support);
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should let staff with user:view:any list accounts', async () => {
+      const supportRes = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${signToken(support)}`);
+      const ownerRes = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${signToken(owner)}`);
+
+      expect(supportRes.statusCode).toBe(200);
+      expect(ownerRes.statusCode).toBe(403);
+    });
+
+    it('should let admins edit any profile', async () => {
+      const res = await request(app)
+        .put(`/api/users/${owner._id}/profile`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ bio: 'Updated by an admin' });
+
+      expect(res.statusCode).toBe(200);
+
+      const updated = await User.findById(owner._id);
+      expect(updated.bio).toBe('Updated by an admin');
+    });
+
+    it('should not let users edit other profiles', async () => {
+      const res = await request(app)
+        .put(`/api/users/${admin._id}/profile`)
+        .set('Authorization', `Bearer ${signToken(owner)}`)
+        .send({ bio: 'Not mine' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should check each admin route for its own permission', async () => {
+      const unlockRes = await request(app)
+        .post(`/api/admin/users/${owner._id}/unlock`)
+        .set('Authorization', `Bearer ${signToken(support)}`);
+      const rolesRes = await request(app)
+        .put(`/api/admin/users/${owner._id}/roles`)
+        .set('Authorization', `Bearer ${signToken(support)}`)
+        .send({ roles: ['support'] });
+
+      expect(unlockRes.statusCode).toBe(200);
+      expect(rolesRes.statusCode).toBe(403);
+    });
+
+    it('should let admins grant and remove staff roles', async () => {
+      const grantRes = await request(app)
+        .put(`/api/admin/users/${owner._id}/roles`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ roles: ['moderator'] });
+
+      expect(grantRes.statusCode).toBe(200);
+      expect(grantRes.body.data.roles).toEqual(['user', 'moderator']);
+
+      const moderatorToken = signToken(owner, 'moderator');
+      expect((await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${moderatorToken}`)).statusCode).toBe(200);
+
+      await request(app)
+        .put(`/api/admin/users/${owner._id}/roles`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ roles: [] });
+
+      // Tokens for the removed role stop working
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${moderatorToken}`);
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should record staff role changes in the moderation log', async () => {
+      await request(app)
+        .put(`/api/admin/users/${owner._id}/roles`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ roles: ['moderator'] });
+
+      const entry = await ModerationAction.findOne({ action: 'account.roles', target: owner._id });
+      expect(String(entry.actor)).toBe(String(admin._id));
+      expect(entry.details.before.roles).toEqual(['user']);
+      expect(entry.details.after.roles).toEqual(['user', 'moderator']);
+    });
+
+    it('should reject roles that are not staff roles', async () => {
+      const res = await request(app)
+        .put(`/api/admin/users/${owner._id}/roles`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ roles: ['talent'] });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not let admins change their own staff roles', async () => {
+      const res = await request(app)
+        .put(`/api/admin/users/${admin._id}/roles`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ roles: [] });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
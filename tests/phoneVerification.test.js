@@ -0,0 +1,146 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const PhoneOtp = require('../src/models/phoneOtp.model');
+const { ConsoleSmsProvider, setSmsProvider } = require('../src/utils/smsProviders');
+const { normalizePakistaniPhone } = require('../src/utils/phone');
+
+// Pull the code out of the last text message
+const lastCode = (provider) => provider.sent[provider.sent.length - 1].body.match(/\d{6}/)[0];
+
+describe('Phone verification', () => {
+  let provider;
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    provider = new ConsoleSmsProvider({ file: null });
+    setSmsProvider(provider);
+
+    user = await User.create({
+      name: 'Phone User',
+      email: 'phone@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+    token = signToken(user);
+  });
+
+  const sendOtp = (phone, authToken = token) => request(app)
+    .post('/api/auth/phone/otp')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ phone });
+
+  const verify = (phone, code, authToken = token) => request(app)
+    .post('/api/auth/phone/verify')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ phone, code });
+
+  it('should normalize Pakistani mobile numbers to E.164', () => {
+    expect(normalizePakistaniPhone('0300 1234567')).toBe('+923001234567');
+    expect(normalizePakistaniPhone('+92 (321) 765-4321')).toBe('+923217654321');
+    expect(normalizePakistaniPhone('0092 345 1112223')).toBe('+923451112223');
+    expect(normalizePakistaniPhone('3001234567')).toBe('+923001234567');
+    expect(normalizePakistaniPhone('042 35761234')).toBeNull();
+    expect(normalizePakistaniPhone('+14155550123')).toBeNull();
+  });
+
+  it('should send a code and verify the number', async () => {
+    const res = await sendOtp('0300-1234567');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.phone).toBe('+923001234567');
+    expect(provider.sent[0].to).toBe('+923001234567');
+
+    const otp = await PhoneOtp.findOne({ user: user._id });
+    expect(otp.codeHash).not.toContain(lastCode(provider));
+
+    const verifyRes = await verify('+923001234567', lastCode(provider));
+
+    expect(verifyRes.statusCode).toBe(200);
+    expect(verifyRes.body.data.phoneVerified).toBe(true);
+
+    const profileRes = await request(app).get(`/api/talents/${user._id}`);
+    expect(profileRes.body.data.phone).toBe('+923001234567');
+    expect(profileRes.body.data.phoneVerified).toBe(true);
+  });
+
+  it('should reject numbers that are not Pakistani mobiles', async () => {
+    const res = await sendOtp('042 35761234');
+
+    expect(res.statusCode).toBe(400);
+    expect(provider.sent).toHaveLength(0);
+  });
+
+  it('should throttle resending codes', async () => {
+    await sendOtp('03001234567');
+    const res = await sendOtp('03001234567');
+
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(provider.sent).toHaveLength(1);
+  });
+
+  it('should stop accepting a code after too many wrong attempts', async () => {
+    await sendOtp('03001234567');
+    const code = lastCode(provider);
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 4; i += 1) {
+      const res = await verify('03001234567', wrong);
+      expect(res.statusCode).toBe(400);
+    }
+
+    const lastWrong = await verify('03001234567', wrong);
+    expect(lastWrong.statusCode).toBe(429);
+
+    const correct = await verify('03001234567', code);
+    expect(correct.statusCode).toBe(429);
+    expect((await User.findById(user._id)).phoneVerified).toBe(false);
+  });
+
+  it('should not verify a number already verified on another account', async () => {
+    await User.create({
+      name: 'First Owner',
+      email: 'first@example.com',
+      password: 'password123',
+      phone: '+923001234567',
+      phoneVerified: true
+    });
+
+    const res = await sendOtp('03001234567');
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should verify a new number on an account that is already verified', async () => {
+    process.env.PHONE_OTP_RESEND_SECONDS = '0';
+
+    try {
+      await sendOtp('03001234567');
+      await verify('03001234567', lastCode(provider));
+
+      await sendOtp('03009999999');
+      const res = await verify('03009999999', lastCode(provider));
+      expect(res.statusCode).toBe(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.phone).toBe('+923009999999');
+      expect(updated.phoneVerified).toBe(true);
+    } finally {
+      delete process.env.PHONE_OTP_RESEND_SECONDS;
+    }
+  });
+
+  it('should require verifying again after the number changes', async () => {
+    user.phone = '+923001234567';
+    user.phoneVerified = true;
+    await user.save();
+
+    user.phone = '+923009999999';
+    await user.save();
+
+    expect(user.phoneVerified).toBe(false);
+  });
+});
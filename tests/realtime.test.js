@@ -0,0 +1,160 @@
+const http = require('http');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const { initRealtime, closeRealtime } = require('../src/utils/realtime');
+const { blacklistToken } = require('../src/utils/token');
+const { signToken } = require('./test-config');
+
+describe('Realtime gateway', () => {
+  let server;
+  let url;
+  let sockets = [];
+  let owner;
+  let ownerToken;
+  let talentToken;
+  let adminToken;
+  let task;
+
+  beforeAll((done) => {
+    server = http.createServer(app);
+    initRealtime(server);
+    server.listen(0, () => {
+      url = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(async () => {
+    await closeRealtime();
+  });
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Realtime Owner',
+      email: 'owner@example.com',
+      password: 'password123',
+      role: 'user'
+    });
+    const talent = await User.create({
+      name: 'Realtime Talent',
+      email: 'talent@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+
+    const admin = await User.create({
+      name: 'Realtime Admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    ownerToken = signToken(owner);
+    talentToken = signToken(talent);
+    adminToken = signToken(admin);
+
+    task = await Task.create({
+      title: 'Realtime Task',
+      description: 'A task followed in real time',
+      user: owner._id,
+      budget: 1500,
+      currency: 'PKR',
+      location: 'Lahore, Pakistan',
+      category: 'Design',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Lahore', province: 'Punjab' },
+      coordinates: { lat: 31.5204, lng: 74.3587 }
+    });
+  });
+
+  afterEach(() => {
+    sockets.forEach(socket => socket.close());
+    sockets = [];
+  });
+
+  const connect = (token) => new Promise((resolve, reject) => {
+    const socket = connectClient(url, {
+      auth: token ? { token } : {},
+      transports: ['websocket'],
+      reconnection: false
+    });
+    sockets.push(socket);
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+
+  const nextEvent = (socket, event) => new Promise(resolve => socket.once(event, resolve));
+
+  const apply = () => request(app)
+    .post(`/api/applications/tasks/${task._id}/apply`)
+    .set('Authorization', `Bearer ${talentToken}`)
+    .send({
+      coverLetter: 'I have done many similar tasks and can start work immediately on this one.',
+      proposedBudget: 1500,
+      estimatedCompletionTime: { value: 2, unit: 'days' }
+    });
+
+  it('should reject connections without a token', async () => {
+    await expect(connect()).rejects.toThrow('Not authorized, no token');
+  });
+
+  it('should reject blacklisted tokens', async () => {
+    blacklistToken(ownerToken);
+
+    await expect(connect(ownerToken)).rejects.toThrow('Not authorized');
+  });
+
+  it('should push new applications to the task owner', async () => {
+    const socket = await connect(ownerToken);
+    const received = nextEvent(socket, 'application:created');
+
+    await apply();
+
+    const event = await received;
+    expect(event.taskId).toBe(task._id.toString());
+  });
+
+  it('should push application and task status changes to the applicant', async () => {
+    const applyRes = await apply();
+    const socket = await connect(talentToken);
+    const applicationEvent = nextEvent(socket, 'application:status');
+    const taskEvent = nextEvent(socket, 'task:status');
+
+    // Accepting moves the agreed price into escrow, so fund the owner first
+    await request(app)
+      .post('/api/wallet/credit')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        accountId: owner._id.toString(),
+        accountRole: 'user',
+        amount: 1500,
+        currency: 'PKR',
+        reference: 'realtime-funding'
+      });
+
+    await request(app)
+      .put(`/api/applications/${applyRes.body.data.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ status: 'accepted' });
+
+    expect((await applicationEvent).to).toBe('accepted');
+    expect((await taskEvent).to).toBe('in-progress');
+  });
+
+  it('should push messages to the recipient', async () => {
+    const applyRes = await apply();
+    const socket = await connect(ownerToken);
+    const received = nextEvent(socket, 'message:created');
+
+    await request(app)
+      .post(`/api/applications/${applyRes.body.data.id}/messages`)
+      .set('Authorization', `Bearer ${talentToken}`)
+      .send({ body: 'Hello from the talent' });
+
+    const event = await received;
+    expect(event.message.body).toBe('Hello from the talent');
+  });
+});
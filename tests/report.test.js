@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const Application = require('../src/models/application.model');
+const Report = require('../src/models/report.model');
+const ModerationAction = require('../src/models/moderationAction.model');
+
+describe('Reports', () => {
+  let owner;
+  let reporters;
+  let moderator;
+  let task;
+
+  beforeEach(async () => {
+    process.env.REPORT_HIDE_THRESHOLD = '2';
+
+    owner = await User.create({
+      name: 'Suspicious Owner',
+      email: 'suspicious@example.com',
+      password: 'password123'
+    });
+    reporters = await Promise.all([1, 2].map(n => User.create({
+      name: `Careful Talent ${n}`,
+      email: `careful${n}@example.com`,
+      password: 'password123',
+      role: 'talent'
+    })));
+    moderator = await User.create({
+      name: 'Report Moderator',
+      email: 'report-moderator@example.com',
+      password: 'password123',
+      role: 'moderator'
+    });
+    task = await Task.create({
+      title: 'Easy Money Task',
+      description: 'Pay a deposit first to get the job',
+      user: owner._id,
+      budget: 50000,
+      currency: 'PKR',
+      location: 'Lahore, Pakistan',
+      category: 'Other',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Lahore', province: 'Punjab' },
+      coordinates: { lat: 31.5204, lng: 74.3587 }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.REPORT_HIDE_THRESHOLD;
+  });
+
+  const report = (account, body) => request(app)
+    .post('/api/reports')
+    .set('Authorization', `Bearer ${signToken(account)}`)
+    .send(body);
+
+  const reportTask = (account) => report(account, {
+    targetType: 'task',
+    target: task._id,
+    category: 'scam',
+    description: 'Asks for a deposit'
+  });
+
+  it('should report a task once per account', async () => {
+    const res = await reportTask(reporters[0]);
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.status).toBe('open');
+
+    const again = await reportTask(reporters[0]);
+    expect(again.statusCode).toBe(409);
+  });
+
+  it('should not let owners report their own task', async () => {
+    const res = await reportTask(owner);
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should hide a task from listings once it reaches the threshold', async () => {
+    await reportTask(reporters[0]);
+    let listed = await request(app).get('/api/tasks');
+    expect(listed.body.data).toHaveLength(1);
+
+    await reportTask(reporters[1]);
+
+    listed = await request(app).get('/api/tasks');
+    expect(listed.body.data).toHaveLength(0);
+
+    const featured = await request(app).get('/api/tasks/featured');
+    expect(featured.body).toHaveLength(0);
+
+    const updated = await Task.findById(task._id);
+    expect(updated.visibility).toBe('pending_review');
+    expect(updated.flags[0].source).toBe('reports');
+  });
+
+  it('should list the task again when its reports are dismissed', async () => {
+    await reportTask(reporters[0]);
+    await reportTask(reporters[1]);
+    const reports = await Report.find({ target: task._id });
+
+    for (const { _id } of reports) {
+      const res = await request(app)
+        .post(`/api/admin/reports/${_id}/dismiss`)
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ note: 'Deposit is for materials' });
+      expect(res.statusCode).toBe(200);
+    }
+
+    const updated = await Task.findById(task._id);
+    expect(updated.visibility).toBe('public');
+    expect(updated.flags).toHaveLength(0);
+  });
+
+  it('should only let the task owner report an application', async () => {
+    const application = await Application.create({
+      task: task._id,
+      talent: reporters[0]._id,
+      coverLetter: 'Rude cover letter',
+      proposedBudget: 40000,
+      estimatedCompletionTime: { value: 2, unit: 'days' }
+    });
+    const body = { targetType: 'application', target: application._id, category: 'abuse' };
+
+    expect((await report(reporters[1], body)).statusCode).toBe(403);
+    expect((await report(owner, body)).statusCode).toBe(201);
+  });
+
+  it('should give staff a triage queue and let them resolve reports', async () => {
+    await report(reporters[0], { targetType: 'user', target: owner._id, category: 'fake_profile' });
+    await report(reporters[1], { targetType: 'user', target: owner._id, category: 'fake_profile' });
+
+    const queue = await request(app)
+      .get('/api/admin/reports?targetType=user')
+      .set('Authorization', `Bearer ${signToken(moderator)}`);
+
+    expect(queue.statusCode).toBe(200);
+    expect(queue.body.data).toHaveLength(2);
+    expect(queue.body.data[0].openReportsForTarget).toBe(2);
+
+    const resolve = await request(app)
+      .post(`/api/admin/reports/${queue.body.data[0]._id}/resolve`)
+      .set('Authorization', `Bearer ${signToken(moderator)}`)
+      .send({ note: 'Account suspended' });
+
+    expect(resolve.statusCode).toBe(200);
+    expect(resolve.body.data.status).toBe('resolved');
+
+    const entry = await ModerationAction.findOne({ action: 'report.resolve' });
+    expect(String(entry.actor)).toBe(String(moderator._id));
+    expect(String(entry.target)).toBe(String(owner._id));
+    expect(entry.reason).toBe('Account suspended');
+    expect(String(entry.details.report)).toBe(String(queue.body.data[0]._id));
+
+    const again = await request(app)
+      .post(`/api/admin/reports/${queue.body.data[0]._id}/dismiss`)
+      .set('Authorization', `Bearer ${signToken(moderator)}`);
+    expect(again.statusCode).toBe(400);
+  });
+
+  it('should keep the triage queue from other accounts', async () => {
+    const res = await request(app)
+      .get('/api/admin/reports')
+      .set('Authorization', `Bearer ${signToken(reporters[0])}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
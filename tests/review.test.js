@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const { signToken } = require('./test-config');
+
+describe('Reviews', () => {
+  let owner;
+  let talent;
+  let ownerToken;
+  let talentToken;
+  let task;
+
+  const taskData = {
+    title: 'Reviewed Task',
+    description: 'A task that gets reviewed',
+    budget: 3000,
+    currency: 'PKR',
+    location: 'Karachi, Pakistan',
+    category: 'Writing',
+    deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    address: { city: 'Karachi', province: 'Sindh' },
+    coordinates: { lat: 24.8607, lng: 67.0011 }
+  };
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Review Owner',
+      email: 'owner@example.com',
+      password: 'password123',
+      role: 'user'
+    });
+    talent = await User.create({
+      name: 'Review Talent',
+      email: 'talent@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+
+    ownerToken = signToken(owner);
+    talentToken = signToken(talent);
+
+    task = await Task.create({
+      ...taskData,
+      user: owner._id,
+      status: 'completed',
+      hiredTalent: talent._id
+    });
+  });
+
+  const review = (token, body, taskId = task._id) => request(app)
+    .post(`/api/tasks/${taskId}/reviews`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  it('should let the owner and the hired talent review each other', async () => {
+    const ownerRes = await review(ownerToken, { rating: 5, comment: 'Great work' });
+    const talentRes = await review(talentToken, { rating: 4 });
+
+    expect(ownerRes.statusCode).toBe(201);
+    expect(ownerRes.body.data.direction).toBe('owner_to_talent');
+    expect(ownerRes.body.data.reviewee).toBe(talent._id.toString());
+    expect(talentRes.statusCode).toBe(201);
+    expect(talentRes.body.data.direction).toBe('talent_to_owner');
+    expect(talentRes.body.data.reviewee).toBe(owner._id.toString());
+  });
+
+  it('should allow only one review per side per task', async () => {
+    await review(ownerToken, { rating: 5 });
+    const res = await review(ownerToken, { rating: 1 });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should reject reviews before the task is completed', async () => {
+    const openTask = await Task.create({ ...taskData, user: owner._id });
+    const res = await review(ownerToken, { rating: 5 }, openTask._id);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should reject reviews from accounts outside the task', async () => {
+    const outsider = await User.create({
+      name: 'Outsider',
+      email: 'outsider@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+    const res = await review(signToken(outsider), { rating: 1 });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  it('should validate the rating', async () => {
+    const res = await review(ownerToken, { rating: 6 });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should show rating aggregates on profiles', async () => {
+    const secondTask = await Task.create({
+      ...taskData,
+      user: owner._id,
+      status: 'completed',
+      hiredTalent: talent._id
+    });
+    await review(ownerToken, { rating: 5 });
+    await review(ownerToken, { rating: 4 }, secondTask._id);
+    await review(talentToken, { rating: 3 });
+
+    const talentRes = await request(app).get(`/api/talents/${talent._id}`);
+    expect(talentRes.body.data.averageRating).toBe(4.5);
+    expect(talentRes.body.data.reviewCount).toBe(2);
+    expect(talentRes.body.data.completedTasks).toBe(2);
+
+    const ownerRes = await request(app).get(`/api/users/${owner._id}`);
+    expect(ownerRes.body.data.averageRating).toBe(3);
+    expect(ownerRes.body.data.reviewCount).toBe(1);
+
+    const listRes = await request(app).get(`/api/users/${talent._id}/reviews`);
+    expect(listRes.body.count).toBe(2);
+  });
+});
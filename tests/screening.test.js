@@ -0,0 +1,222 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const {
+  DEFAULT_SCREENING_RULES,
+  scoreContent,
+  clearScreeningRulesCache
+} = require('../src/utils/screening');
+
+const LONG_DESCRIPTION = 'Need someone to paint two bedrooms and the hallway of a house in '
+  + 'Johar Town with washable emulsion, all walls and ceilings, paint supplied by me';
+
+describe('Content screening', () => {
+  describe('scoreContent', () => {
+    const score = (text, previous) => scoreContent(text, DEFAULT_SCREENING_RULES, previous);
+
+    it('should find banned Roman Urdu words, even with lookalike characters', () => {
+      const result = score('Tum k4m1na ho');
+      expect(result.reasons).toEqual([
+        expect.objectContaining({ rule: 'bannedWord', detail: 'kamina' })
+      ]);
+    });
+
+    it('should not match banned words inside other words', () => {
+      expect(score('Scunthorpe kuttab shop').score).toBe(0);
+    });
+
+    it('should find phone numbers, emails and WhatsApp links', () => {
+      expect(score('Call me on 0300-1234567').reasons[0].rule).toBe('phone');
+      expect(score('Mail ali [at] mail [dot] com').reasons[0].rule).toBe('email');
+      expect(score('Join https://wa.me/923001234567').reasons.map(r => r.rule))
+        .toEqual(expect.arrayContaining(['whatsapp']));
+    });
+
+    it('should not take prices or short numbers for phone numbers', () => {
+      expect(score('Budget is 15000 PKR for 3 rooms').score).toBe(0);
+    });
+
+    it('should spot near-duplicates of recent content', () => {
+      const copy = `${LONG_DESCRIPTION} please`;
+      expect(score(copy, [LONG_DESCRIPTION]).reasons[0].rule).toBe('duplicate');
+      expect(score(copy, ['Fix a leaking kitchen tap']).score).toBe(0);
+    });
+  });
+
+  describe('Screening on save', () => {
+    let owner;
+    let talent;
+    let admin;
+    let taskData;
+
+    beforeEach(async () => {
+      owner = await User.create({
+        name: 'Screened Owner',
+        email: 'screened-owner@example.com',
+        password: 'password123'
+      });
+      talent = await User.create({
+        name: 'Screened Talent',
+        email: 'screened-talent@example.com',
+        password: 'password123',
+        role: 'talent'
+      });
+      admin = await User.create({
+        name: 'Screening Admin',
+        email: 'screening-admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      taskData = {
+        title: 'Paint two bedrooms',
+        description: LONG_DESCRIPTION,
+        budget: 15000,
+        currency: 'PKR',
+        location: 'Lahore, Pakistan',
+        category: 'Other',
+        deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+        address: { city: 'Lahore', province: 'Punjab' },
+        coordinates: { lat: 31.5204, lng: 74.3587 }
+      };
+    });
+
+    afterEach(() => {
+      clearScreeningRulesCache();
+    });
+
+    const postTask = (body) => request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${signToken(owner)}`)
+      .send(body);
+
+    it('should list clean tasks', async () => {
+      const res = await postTask(taskData);
+      expect(res.statusCode).toBe(201);
+
+      const task = await Task.findById(res.body.data._id);
+      expect(task.visibility).toBe('public');
+    });
+
+    it('should hold tasks with contact details for review', async () => {
+      const res = await postTask({
+        ...taskData,
+        description: 'Whatsapp me at https://wa.me/923001234567 for details'
+      });
+      expect(res.statusCode).toBe(201);
+
+      const task = await Task.findById(res.body.data._id);
+      expect(task.visibility).toBe('pending_review');
+      expect(task.flags[0].source).toBe('screening');
+      expect(task.flags[0].reason).toMatch(/whatsapp/);
+
+      const listed = await request(app).get('/api/tasks');
+      expect(listed.body.data).toHaveLength(0);
+
+      const flagged = await request(app)
+        .get('/api/admin/flagged?type=task')
+        .set('Authorization', `Bearer ${signToken(admin)}`);
+      expect(flagged.body.data).toHaveLength(1);
+    });
+
+    it('should hold a near-copy of the author\'s recent task with contact details', async () => {
+      await postTask(taskData);
+      const res = await postTask({ ...taskData, description: `${LONG_DESCRIPTION} 03001234567` });
+
+      const task = await Task.findById(res.body.data._id);
+      expect(task.visibility).toBe('pending_review');
+      expect(task.flags[0].reason).toMatch(/duplicate/);
+    });
+
+    it('should list a reused cover letter that is otherwise clean', async () => {
+      const coverLetter = 'I have painted many houses in Lahore over the last five years, '
+        + 'I bring my own rollers and drop sheets and always leave the rooms clean';
+      const apply = async () => {
+        const task = await Task.create({ ...taskData, user: owner._id });
+        return request(app)
+          .post(`/api/applications/tasks/${task._id}/apply`)
+          .set('Authorization', `Bearer ${signToken(talent)}`)
+          .send({
+            coverLetter,
+            proposedBudget: 12000,
+            estimatedCompletionTime: { value: 2, unit: 'days' }
+          });
+      };
+
+      expect((await apply()).body.data.visibility).toBe('public');
+      const res = await apply();
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.visibility).toBe('public');
+    });
+
+    it('should keep held applications from the task owner until approved', async () => {
+      const task = await Task.create({ ...taskData, user: owner._id });
+
+      const applyRes = await request(app)
+        .post(`/api/applications/tasks/${task._id}/apply`)
+        .set('Authorization', `Bearer ${signToken(talent)}`)
+        .send({
+          coverLetter: 'Kaam ho jayega, pehle fees do phir shuru karunga',
+          proposedBudget: 12000,
+          estimatedCompletionTime: { value: 2, unit: 'days' }
+        });
+      expect(applyRes.statusCode).toBe(201);
+      expect(applyRes.body.data.visibility).toBe('pending_review');
+
+      const applicationId = applyRes.body.data.id;
+      const ownerToken = signToken(owner);
+
+      const hidden = await request(app)
+        .get(`/api/applications/${applicationId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(hidden.statusCode).toBe(404);
+
+      const review = await request(app)
+        .post(`/api/admin/flagged/application/${applicationId}/review`)
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ decision: 'approve' });
+      expect(review.statusCode).toBe(200);
+
+      const shown = await request(app)
+        .get(`/api/applications/${applicationId}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(shown.statusCode).toBe(200);
+    });
+
+    it('should let admins change the word lists at runtime', async () => {
+      const update = await request(app)
+        .put('/api/admin/screening-rules')
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ bannedWords: { ur: ['Jhoota Kaam'] } });
+      expect(update.statusCode).toBe(200);
+      expect(update.body.data.bannedWords.ur).toEqual(['jhoota kaam']);
+      expect(update.body.data.bannedWords.en).toEqual(DEFAULT_SCREENING_RULES.bannedWords.en);
+
+      const test = await request(app)
+        .post('/api/admin/screening-rules/test')
+        .set('Authorization', `Bearer ${signToken(admin)}`)
+        .send({ text: 'Yeh jhoota kaam hai' });
+      expect(test.body.data.held).toBe(true);
+
+      const res = await postTask({ ...taskData, description: 'Yeh jhoota kaam hai' });
+      const task = await Task.findById(res.body.data._id);
+      expect(task.visibility).toBe('pending_review');
+    });
+
+    it('should only let admins manage the rules', async () => {
+      const moderator = await User.create({
+        name: 'Screening Moderator',
+        email: 'screening-moderator@example.com',
+        password: 'password123',
+        role: 'moderator'
+      });
+
+      const res = await request(app)
+        .put('/api/admin/screening-rules')
+        .set('Authorization', `Bearer ${signToken(moderator)}`)
+        .send({ threshold: 100 });
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
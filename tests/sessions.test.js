@@ -0,0 +1,106 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+
+describe('Sessions', () => {
+  let laptop;
+  let phone;
+
+  const login = (userAgent, email = 'sessions@example.com') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email, password: 'password123' });
+
+  const getSessions = (token) => request(app)
+    .get('/api/auth/sessions')
+    .set('Authorization', `Bearer ${token}`);
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh-token')
+    .send({ refreshToken });
+
+  beforeEach(async () => {
+    await User.create({
+      name: 'Many Devices',
+      email: 'sessions@example.com',
+      password: 'password123'
+    });
+
+    laptop = (await login('Mozilla/5.0 (Windows NT 10.0) Chrome/120.0')).body;
+    phone = (await login('Mozilla/5.0 (Linux; Android 14) Chrome/120.0 Mobile')).body;
+  });
+
+  it('should list the devices the account is signed in on', async () => {
+    const res = await getSessions(laptop.token);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(2);
+
+    const current = res.body.data.find(session => session.current);
+    expect(current.userAgent).toContain('Windows');
+    expect(current.lastSeenAt).toBeDefined();
+    expect(res.body.data.filter(session => session.current)).toHaveLength(1);
+  });
+
+  it('should sign out another device', async () => {
+    const { body } = await getSessions(laptop.token);
+    const other = body.data.find(session => !session.current);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${other.id}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect((await getSessions(phone.token)).statusCode).toBe(401);
+    expect((await refresh(phone.refreshToken)).statusCode).toBe(401);
+    expect((await getSessions(laptop.token)).body.count).toBe(1);
+  });
+
+  it('should not end sessions of other accounts', async () => {
+    await User.create({
+      name: 'Someone Else',
+      email: 'else@example.com',
+      password: 'password123'
+    });
+    const other = (await login('curl/8.0', 'else@example.com')).body;
+    const { body } = await getSessions(other.token);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${body.data[0].id}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.statusCode).toBe(404);
+    expect((await getSessions(other.token)).statusCode).toBe(200);
+  });
+
+  it('should log out everywhere else', async () => {
+    const res = await request(app)
+      .delete('/api/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.endedCount).toBe(1);
+    expect((await refresh(phone.refreshToken)).statusCode).toBe(401);
+    expect((await refresh(laptop.refreshToken)).statusCode).toBe(200);
+  });
+
+  it('should only end the current session on logout', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect((await refresh(laptop.refreshToken)).statusCode).toBe(401);
+    expect((await refresh(phone.refreshToken)).statusCode).toBe(200);
+  });
+
+  it('should keep the session when switching roles', async () => {
+    await request(app)
+      .post('/api/auth/roles')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .send({ role: 'talent' });
+
+    const res = await getSessions(phone.token);
+    expect(res.body.count).toBe(2);
+  });
+});
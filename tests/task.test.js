@@ -2,6 +2,9 @@ const request = require('supertest');
 const { app } = require('../index');
 const User = require('../src/models/user.model');
 const Task = require('../src/models/task.model');
+const Application = require('../src/models/application.model');
+const Wallet = require('../src/models/wallet.model');
+const ledger = require('../src/utils/ledger');
 const jwt = require('jsonwebtoken');
 
 describe('Task API', () => {
@@ -256,4 +259,429 @@ describe('Task API', () => {
       expect(res.body.success).toBe(false);
     });
   });
+  // Test task lifecycle transitions
+  describe('PUT /api/tasks/:id/status', () => {
+    let talentId;
+    let talentToken;
+
+    beforeEach(async () => {
+      const talent = await User.create({
+        name: 'Hired Talent',
+        email: 'hired@example.com',
+        password: 'password123',
+        role: 'talent'
+      });
+
+      talentId = talent._id;
+      talentToken = jwt.sign(
+        { id: talent._id, role: talent.role },
+        process.env.JWT_SECRET || 'testsecret',
+        { expiresIn: '1h' }
+      );
+    });
+
+    it('should not start a task without a hired talent', async () => {
+      const res = await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'in-progress' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should not reopen a completed task', async () => {
+      await Task.findByIdAndUpdate(taskId, { status: 'completed' });
+
+      const res = await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'open' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should let the hired talent release the task but not complete it', async () => {
+      await Task.findByIdAndUpdate(taskId, { status: 'in-progress', hiredTalent: talentId });
+
+      const completeRes = await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ status: 'completed' });
+
+      expect(completeRes.statusCode).toBe(403);
+
+      const releaseRes = await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ status: 'open', reason: 'Cannot meet the deadline' });
+
+      expect(releaseRes.statusCode).toBe(200);
+      expect(releaseRes.body.data.status).toBe('open');
+
+      const task = await Task.findById(taskId);
+      expect(task.hiredTalent).toBeUndefined();
+    });
+
+    it('should record transitions in the task history', async () => {
+      await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'cancelled', reason: 'No longer needed' });
+
+      const res = await request(app)
+        .get(`/api/tasks/${taskId}/history`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.history).toHaveLength(2);
+      expect(res.body.data.history[1]).toMatchObject({
+        from: 'open',
+        to: 'cancelled',
+        actor: userId.toString(),
+        actorRole: 'owner',
+        reason: 'No longer needed'
+      });
+    });
+
+    it('should not expose the history to unrelated accounts', async () => {
+      const res = await request(app)
+        .get(`/api/tasks/${taskId}/history`)
+        .set('Authorization', `Bearer ${talentToken}`);
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+  });
+  // Test accepting an application when the hire cannot be saved
+  describe('Failed hires', () => {
+    it('should give the escrow back when the hire is not saved', async () => {
+      const talent = await User.create({
+        name: 'Unlucky Talent',
+        email: 'unlucky@example.com',
+        password: 'password123',
+        role: 'talent'
+      });
+      const application = await Application.create({
+        task: taskId,
+        talent: talent._id,
+        coverLetter: 'I can build this within the week.',
+        proposedBudget: 4500,
+        currency: 'PKR',
+        estimatedCompletionTime: { value: 5, unit: 'days' }
+      });
+      await ledger.deposit({
+        accountId: userId,
+        role: 'user',
+        amount: 10000,
+        currency: 'PKR',
+        reference: 'bank-10000'
+      });
+
+      const accept = () => request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'accepted' });
+
+      const save = jest.spyOn(Task.prototype, 'save')
+        .mockRejectedValueOnce(new Error('Write conflict'));
+      try {
+        expect((await accept()).statusCode).toBe(500);
+      } finally {
+        save.mockRestore();
+      }
+
+      const ownerWallet = await ledger.getAccountWallet(userId, 'user');
+      expect(ownerWallet.balances.PKR).toBe(1000000);
+
+      // The application can still be accepted, holding the price again
+      expect((await accept()).statusCode).toBe(200);
+      const escrow = await Wallet.findOne({ kind: 'escrow', owner: taskId });
+      expect(escrow.balances.PKR).toBe(450000);
+    });
+  });
+  // Test tasks with a hired talent and escrow held
+  describe('Hired tasks', () => {
+    let talentToken;
+    let application;
+    let rival;
+
+    beforeEach(async () => {
+      const [talent, rivalTalent] = await Promise.all([1, 2].map(n => User.create({
+        name: `Applicant ${n}`,
+        email: `applicant${n}@example.com`,
+        password: 'password123',
+        role: 'talent'
+      })));
+
+      talentToken = jwt.sign(
+        { id: talent._id, role: talent.role },
+        process.env.JWT_SECRET || 'testsecret',
+        { expiresIn: '1h' }
+      );
+
+      application = await Application.create({
+        task: taskId,
+        talent: talent._id,
+        coverLetter: 'I can build this within the week.',
+        proposedBudget: 4500,
+        currency: 'PKR',
+        estimatedCompletionTime: { value: 5, unit: 'days' }
+      });
+      rival = await Application.create({
+        task: taskId,
+        talent: rivalTalent._id,
+        coverLetter: 'I have built several APIs like this one.',
+        proposedBudget: 4000,
+        currency: 'PKR',
+        estimatedCompletionTime: { value: 4, unit: 'days' }
+      });
+
+      // Fund escrow and hire the first applicant
+      await ledger.deposit({
+        accountId: userId,
+        role: 'user',
+        amount: 10000,
+        currency: 'PKR',
+        reference: 'bank-10000'
+      });
+      await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'accepted' });
+
+      expect((await Application.findById(rival._id)).status).toBe('rejected');
+    });
+
+    it('should reopen the other applications when the hired talent withdraws', async () => {
+      const res = await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ status: 'withdrawn' });
+      expect(res.statusCode).toBe(200);
+
+      const reopened = await Task.findById(taskId);
+      expect(reopened.status).toBe('open');
+      // Status changes do not count as new applications
+      expect(reopened.applicationsCount).toBe(2);
+      expect((await Application.findById(rival._id)).status).toBe('pending');
+
+      const hireRes = await request(app)
+        .put(`/api/applications/${rival._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'accepted' });
+      expect(hireRes.statusCode).toBe(200);
+    });
+
+    it('should withdraw the hired application when the task is reopened', async () => {
+      const res = await request(app)
+        .put(`/api/tasks/${taskId}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'open' });
+      expect(res.statusCode).toBe(200);
+
+      expect((await Application.findById(application._id)).status).toBe('withdrawn');
+      expect((await Application.findById(rival._id)).status).toBe('pending');
+    });
+
+    it('should start the milestones afresh for the next hire', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      await Task.findByIdAndUpdate(taskId, {
+        milestones: [
+          { title: 'Schema', amount: 2000, dueDate: new Date(Date.now() + 2 * day) },
+          { title: 'Endpoints', amount: 3000, dueDate: new Date(Date.now() + 6 * day) }
+        ]
+      });
+      const task = await Task.findById(taskId);
+      const milestoneUrl = `/api/tasks/${taskId}/milestones/${task.milestones[0]._id}`;
+
+      await request(app)
+        .post(`${milestoneUrl}/submit`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ message: 'Schema done' });
+      const approveRes = await request(app)
+        .put(`${milestoneUrl}/approve`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+      expect(approveRes.statusCode).toBe(200);
+
+      await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ status: 'withdrawn' });
+
+      const reopened = await Task.findById(taskId);
+      expect(reopened.milestones.map(milestone => milestone.status))
+        .toEqual(['pending', 'pending']);
+      expect(reopened.milestones[0].submissions).toHaveLength(0);
+      expect(reopened.milestones[0].approvedAt).toBeUndefined();
+    });
+
+    it('should not reject the hired application', async () => {
+      const res = await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'rejected' });
+
+      expect(res.statusCode).toBe(400);
+      expect((await Application.findById(application._id)).status).toBe('accepted');
+      expect((await Task.findById(taskId)).status).toBe('in-progress');
+    });
+
+    it('should not delete a hired task holding escrow', async () => {
+      const res = await request(app)
+        .delete(`/api/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(res.statusCode).toBe(400);
+      expect(await Task.exists({ _id: taskId })).toBeTruthy();
+
+      const escrow = await Wallet.findOne({ kind: 'escrow', owner: taskId });
+      expect(escrow.balances.PKR).toBe(450000);
+    });
+  });
+  // Test milestone workflow
+  describe('Task milestones', () => {
+    let talentToken;
+    let milestoneTaskId;
+    let milestoneIds;
+
+    const day = 24 * 60 * 60 * 1000;
+    const milestones = [
+      { title: 'Design mockups', amount: 2000, dueDate: new Date(Date.now() + 2 * day) },
+      { title: 'Implementation', amount: 3000, dueDate: new Date(Date.now() + 6 * day) }
+    ];
+
+    beforeEach(async () => {
+      const talent = await User.create({
+        name: 'Milestone Talent',
+        email: 'milestones@example.com',
+        password: 'password123',
+        role: 'talent'
+      });
+
+      talentToken = jwt.sign(
+        { id: talent._id, role: talent.role },
+        process.env.JWT_SECRET || 'testsecret',
+        { expiresIn: '1h' }
+      );
+
+      const task = await Task.create({
+        ...testTask,
+        user: userId,
+        milestones,
+        status: 'in-progress',
+        hiredTalent: talent._id
+      });
+
+      milestoneTaskId = task._id;
+      milestoneIds = task.milestones.map(milestone => milestone._id);
+    });
+
+    it('should reject milestones that do not add up to the budget', async () => {
+      const res = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ ...testTask, milestones: [milestones[0]] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should not complete the task while milestones are unapproved', async () => {
+      const res = await request(app)
+        .put(`/api/tasks/${milestoneTaskId}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'completed' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should complete the task once every milestone is approved', async () => {
+      for (const milestoneId of milestoneIds) {
+        const submitRes = await request(app)
+          .post(`/api/tasks/${milestoneTaskId}/milestones/${milestoneId}/submit`)
+          .set('Authorization', `Bearer ${talentToken}`)
+          .send({ message: 'Work delivered' });
+
+        expect(submitRes.statusCode).toBe(200);
+        expect(submitRes.body.data.status).toBe('submitted');
+
+        const approveRes = await request(app)
+          .put(`/api/tasks/${milestoneTaskId}/milestones/${milestoneId}/approve`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({});
+
+        expect(approveRes.statusCode).toBe(200);
+      }
+
+      const task = await Task.findById(milestoneTaskId);
+      expect(task.status).toBe('completed');
+    });
+
+    it('should only show submissions to the people working on the task', async () => {
+      await request(app)
+        .post(`/api/tasks/${milestoneTaskId}/milestones/${milestoneIds[0]}/submit`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ message: 'Mockups attached' });
+
+      const stranger = await User.create({
+        name: 'Curious Stranger',
+        email: 'stranger@example.com',
+        password: 'password123'
+      });
+      const strangerToken = jwt.sign(
+        { id: stranger._id, role: stranger.role },
+        process.env.JWT_SECRET || 'testsecret',
+        { expiresIn: '1h' }
+      );
+      const getMilestones = (token) => request(app)
+        .get(`/api/tasks/${milestoneTaskId}/milestones`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const ownerRes = await getMilestones(userToken);
+      expect(ownerRes.statusCode).toBe(200);
+      expect(ownerRes.body.data[0].submissions).toHaveLength(1);
+
+      const strangerRes = await getMilestones(strangerToken);
+      expect(strangerRes.statusCode).toBe(200);
+      expect(strangerRes.body.data[0].title).toBe('Design mockups');
+      expect(strangerRes.body.data[0].submissions).toBeUndefined();
+
+      await Task.findByIdAndUpdate(milestoneTaskId, { visibility: 'hidden' });
+      expect((await getMilestones(strangerToken)).statusCode).toBe(404);
+      expect((await getMilestones(talentToken)).statusCode).toBe(200);
+
+      const anonymousRes = await request(app).get(`/api/tasks/${milestoneTaskId}/milestones`);
+      expect(anonymousRes.statusCode).toBe(401);
+    });
+
+    it('should allow resubmission after a revision request', async () => {
+      const milestoneUrl = `/api/tasks/${milestoneTaskId}/milestones/${milestoneIds[0]}`;
+
+      await request(app)
+        .post(`${milestoneUrl}/submit`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ message: 'First draft' });
+
+      const revisionRes = await request(app)
+        .put(`${milestoneUrl}/request-revision`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ feedback: 'Please use the brand colours' });
+
+      expect(revisionRes.statusCode).toBe(200);
+      expect(revisionRes.body.data.status).toBe('revision-requested');
+
+      const resubmitRes = await request(app)
+        .post(`${milestoneUrl}/submit`)
+        .set('Authorization', `Bearer ${talentToken}`)
+        .send({ message: 'Second draft' });
+
+      expect(resubmitRes.statusCode).toBe(200);
+      expect(resubmitRes.body.data.submissions).toHaveLength(2);
+    });
+  });
 });
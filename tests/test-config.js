@@ -19,6 +19,22 @@ process.env.EMAIL_FROM = 'test@example.com';
 process.env.EMAIL_FROM_NAME = 'Test System';
 process.env.FRONTEND_URL = 'http://test.com';
 
+const jwt = require('jsonwebtoken');
+
+/**
+ * Sign an access token for a test account
+ * @param {Object} account - User document
+ * @param {String} [role] - Role to act as, the account's active role by default
+ * @param {Object} [claims] - Extra claims, e.g. a backdated `iat`
+ * @returns {String}
+ */
+const signToken = (account, role = account.role, claims = {}) => jwt.sign(
+  { id: account._id, role, ...claims },
+  process.env.JWT_SECRET || 'testsecret',
+  { expiresIn: '1h' }
+);
+
 module.exports = {
-  testEnvironment: 'node'
+  testEnvironment: 'node',
+  signToken
 };
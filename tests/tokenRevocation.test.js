@@ -0,0 +1,101 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const RevokedToken = require('../src/models/revokedToken.model');
+const { hashToken, isTokenRevoked } = require('../src/utils/token');
+
+// Tokens issued a minute ago, so an account-wide revocation now covers them
+const signOldToken = (account) => signToken(
+  account,
+  account.role,
+  { iat: Math.floor(Date.now() / 1000) - 60 }
+);
+
+describe('Token revocation', () => {
+  let user;
+  let admin;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Revoked User',
+      email: 'revoked@example.com',
+      password: 'password123'
+    });
+    admin = await User.create({
+      name: 'Revoking Admin',
+      email: 'revoker@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+  });
+
+  const getMe = (token) => request(app)
+    .get('/api/auth/me')
+    .set('Authorization', `Bearer ${token}`);
+
+  it('should store logged out tokens until they expire', async () => {
+    const token = signOldToken(user);
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+
+    const entry = await RevokedToken.findOne({ tokenHash: hashToken(token) });
+    expect(entry).not.toBeNull();
+    expect(entry.expiresAt.getTime()).toBe(jwt.decode(token).exp * 1000);
+    expect(await isTokenRevoked(token)).toBe(true);
+
+    const res = await getMe(token);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should reject tokens revoked by another instance', async () => {
+    const token = signOldToken(user);
+
+    // Written straight to the database, as another instance would
+    await RevokedToken.create({
+      tokenHash: hashToken(token),
+      expiresAt: new Date(jwt.decode(token).exp * 1000)
+    });
+
+    const res = await getMe(token);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('should let admins revoke every token of an account', async () => {
+    const userToken = signOldToken(user);
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'revoked@example.com', password: 'password123' });
+
+    const res = await request(app)
+      .post(`/api/admin/users/${user._id}/revoke-tokens`)
+      .set('Authorization', `Bearer ${signOldToken(admin)}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.sessionsEnded).toBe(1);
+
+    expect((await getMe(userToken)).statusCode).toBe(401);
+
+    const refreshRes = await request(app)
+      .post('/api/auth/refresh-token')
+      .send({ refreshToken: loginRes.body.refreshToken });
+    expect(refreshRes.statusCode).toBe(401);
+
+    // Logging in again works
+    const newLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'revoked@example.com', password: 'password123' });
+    expect((await getMe(newLogin.body.token)).statusCode).toBe(200);
+  });
+
+  it('should not let other accounts revoke tokens', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${admin._id}/revoke-tokens`)
+      .set('Authorization', `Bearer ${signOldToken(user)}`);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { signToken } = require('./test-config');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const totp = require('../src/utils/totp');
+
+describe('Two-factor authentication', () => {
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Careful Admin',
+      email: 'admin2fa@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    token = signToken(user);
+  });
+
+  // Enroll the account and return the secret and recovery codes
+  const enroll = async () => {
+    const setupRes = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    const { secret } = setupRes.body.data;
+
+    const confirmRes = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generateCode(secret) });
+
+    return { setupRes, confirmRes, secret, recoveryCodes: confirmRes.body.data.recoveryCodes };
+  };
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: 'admin2fa@example.com', password: 'password123' });
+
+  const verifyLogin = (challengeToken, code) => request(app)
+    .post('/api/auth/2fa/verify')
+    .send({ challengeToken, code });
+
+  it('should match the RFC 6238 test vector', () => {
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(totp.generateCode(secret, totp.timeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(secret, totp.timeStep(1111111109 * 1000))).toBe('081804');
+  });
+
+  it('should enroll with an otpauth URI and return recovery codes', async () => {
+    const { setupRes, confirmRes } = await enroll();
+
+    expect(setupRes.statusCode).toBe(200);
+    expect(setupRes.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/Kamnet:/);
+    expect(confirmRes.statusCode).toBe(200);
+    expect(confirmRes.body.data.recoveryCodes).toHaveLength(10);
+
+    const stored = await User.findById(user._id).select('+twoFactorSecret');
+    expect(stored.twoFactorEnabled).toBe(true);
+    expect(stored.twoFactorSecret).not.toContain(setupRes.body.data.secret);
+  });
+
+  it('should not enable two-factor authentication with a wrong code', async () => {
+    await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '12345' });
+
+    expect(res.statusCode).toBe(400);
+    expect((await User.findById(user._id)).twoFactorEnabled).toBe(false);
+  });
+
+  it('should return a challenge on login and issue tokens after the code', async () => {
+    const { secret } = await enroll();
+
+    const loginRes = await login();
+
+    expect(loginRes.statusCode).toBe(200);
+    expect(loginRes.body.twoFactorRequired).toBe(true);
+    expect(loginRes.body.token).toBeUndefined();
+
+    // The challenge is not an access token
+    const meRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${loginRes.body.challengeToken}`);
+    expect(meRes.statusCode).toBe(401);
+
+    const wrongRes = await verifyLogin(loginRes.body.challengeToken, '000000');
+    expect(wrongRes.statusCode).toBe(400);
+
+    // The code used to confirm setup cannot be replayed, so use the next one
+    const code = totp.generateCode(secret, totp.timeStep() + 1);
+    const verifyRes = await verifyLogin(loginRes.body.challengeToken, code);
+
+    expect(verifyRes.statusCode).toBe(200);
+    expect(verifyRes.body.token).toBeDefined();
+    expect(verifyRes.body.user.twoFactorSecret).toBeUndefined();
+  });
+
+  it('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enroll();
+    const { body } = await login();
+
+    const firstRes = await verifyLogin(body.challengeToken, recoveryCodes[0]);
+    expect(firstRes.statusCode).toBe(200);
+
+    const secondRes = await verifyLogin(body.challengeToken, recoveryCodes[0]);
+    expect(secondRes.statusCode).toBe(400);
+  });
+
+  it('should accept a recovery code sent in parallel only once', async () => {
+    const { recoveryCodes } = await enroll();
+    const { body } = await login();
+
+    const results = await Promise.all([1, 2, 3].map(() => (
+      verifyLogin(body.challengeToken, recoveryCodes[0])
+    )));
+
+    expect(results.filter(res => res.statusCode === 200)).toHaveLength(1);
+  });
+
+  it('should count wrong codes sent in parallel towards the lock', async () => {
+    const { secret } = await enroll();
+    const { body } = await login();
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => verifyLogin(body.challengeToken, '000000')));
+
+    const code = totp.generateCode(secret, totp.timeStep() + 1);
+    const res = await verifyLogin(body.challengeToken, code);
+    expect(res.statusCode).toBe(429);
+  });
+
+  it('should lock two-factor sign-in after 5 wrong codes', async () => {
+    const { secret } = await enroll();
+    const { body } = await login();
+
+    for (let attempt = 1; attempt < 5; attempt += 1) {
+      const wrongRes = await verifyLogin(body.challengeToken, '000000');
+      expect(wrongRes.statusCode).toBe(400);
+    }
+
+    const lockedRes = await verifyLogin(body.challengeToken, '000000');
+    expect(lockedRes.statusCode).toBe(429);
+
+    // Even the right code is refused until the lock ends
+    const code = totp.generateCode(secret, totp.timeStep() + 1);
+    const correctRes = await verifyLogin(body.challengeToken, code);
+    expect(correctRes.statusCode).toBe(429);
+    expect(correctRes.body.token).toBeUndefined();
+  });
+
+  it('should disable two-factor authentication with a recovery code', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: recoveryCodes[1] });
+
+    expect(res.statusCode).toBe(200);
+
+    const loginRes = await login();
+    expect(loginRes.body.twoFactorRequired).toBeUndefined();
+    expect(loginRes.body.token).toBeDefined();
+  });
+
+  it('should keep admins without two-factor out of admin routes when required', async () => {
+    process.env.ADMIN_REQUIRE_2FA = 'true';
+
+    try {
+      const blockedRes = await request(app)
+        .get('/api/admin/email-templates')
+        .set('Authorization', `Bearer ${token}`);
+      expect(blockedRes.statusCode).toBe(403);
+
+      await enroll();
+
+      const allowedRes = await request(app)
+        .get('/api/admin/email-templates')
+        .set('Authorization', `Bearer ${token}`);
+      expect(allowedRes.statusCode).toBe(200);
+    } finally {
+      delete process.env.ADMIN_REQUIRE_2FA;
+    }
+  });
+});
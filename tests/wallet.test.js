@@ -0,0 +1,161 @@
+const request = require('supertest');
+const { app } = require('../index');
+const User = require('../src/models/user.model');
+const Task = require('../src/models/task.model');
+const Application = require('../src/models/application.model');
+const Wallet = require('../src/models/wallet.model');
+const ledger = require('../src/utils/ledger');
+const { signToken } = require('./test-config');
+
+describe('Wallet and escrow', () => {
+  let owner;
+  let talent;
+  let ownerToken;
+  let talentToken;
+  let adminToken;
+  let task;
+  let application;
+
+  beforeEach(async () => {
+    owner = await User.create({
+      name: 'Wallet Owner',
+      email: 'owner@example.com',
+      password: 'password123',
+      role: 'user'
+    });
+    talent = await User.create({
+      name: 'Wallet Talent',
+      email: 'talent@example.com',
+      password: 'password123',
+      role: 'talent'
+    });
+    const admin = await User.create({
+      name: 'Wallet Admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    ownerToken = signToken(owner);
+    talentToken = signToken(talent);
+    adminToken = signToken(admin);
+
+    task = await Task.create({
+      title: 'Escrow Task',
+      description: 'A task paid through escrow',
+      user: owner._id,
+      budget: 5000,
+      currency: 'PKR',
+      location: 'Lahore, Pakistan',
+      category: 'Design',
+      deadlineDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      address: { city: 'Lahore', province: 'Punjab' },
+      coordinates: { lat: 31.5204, lng: 74.3587 }
+    });
+
+    application = await Application.create({
+      task: task._id,
+      talent: talent._id,
+      coverLetter: 'I can deliver this design work within the week.',
+      proposedBudget: 4500.5,
+      currency: 'PKR',
+      estimatedCompletionTime: { value: 5, unit: 'days' }
+    });
+  });
+
+  const fundOwner = (amount) => request(app)
+    .post('/api/wallet/credit')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({
+      accountId: owner._id.toString(),
+      accountRole: 'user',
+      amount,
+      currency: 'PKR',
+      reference: `bank-${amount}`
+    });
+
+  const acceptApplication = () => request(app)
+    .put(`/api/applications/${application._id}`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ status: 'accepted' });
+
+  it('should refuse to hire when the owner cannot fund escrow', async () => {
+    const res = await acceptApplication();
+
+    expect(res.statusCode).toBe(402);
+
+    const unchangedTask = await Task.findById(task._id);
+    expect(unchangedTask.status).toBe('open');
+  });
+
+  it('should hold the agreed price in escrow when an application is accepted', async () => {
+    await fundOwner(10000);
+
+    const res = await acceptApplication();
+    expect(res.statusCode).toBe(200);
+
+    const walletRes = await request(app)
+      .get('/api/wallet')
+      .set('Authorization', `Bearer ${ownerToken}`);
+
+    expect(walletRes.body.data.balances.PKR).toBe(5499.5);
+
+    const escrow = await Wallet.findOne({ kind: 'escrow', owner: task._id });
+    expect(escrow.balances.PKR).toBe(450050);
+  });
+
+  it('should release escrow to the talent when the task completes', async () => {
+    await fundOwner(10000);
+    await acceptApplication();
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/status`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ status: 'completed' });
+
+    expect(res.statusCode).toBe(200);
+
+    const walletRes = await request(app)
+      .get('/api/wallet')
+      .set('Authorization', `Bearer ${talentToken}`);
+
+    expect(walletRes.body.data.balances.PKR).toBe(4500.5);
+
+    const historyRes = await request(app)
+      .get('/api/wallet/transactions')
+      .set('Authorization', `Bearer ${talentToken}`);
+
+    expect(historyRes.body.data).toHaveLength(1);
+    expect(historyRes.body.data[0]).toMatchObject({
+      type: 'escrow_release',
+      direction: 'credit',
+      amount: 4500.5
+    });
+  });
+
+  it('should refund escrow to the owner when the task is cancelled', async () => {
+    await fundOwner(10000);
+    await acceptApplication();
+
+    await request(app)
+      .put(`/api/tasks/${task._id}/status`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ status: 'cancelled' });
+
+    const ownerWallet = await ledger.getAccountWallet(owner._id, 'user');
+    expect(ownerWallet.balances.PKR).toBe(1000000);
+  });
+
+  it('should reconcile wallet balances with the ledger', async () => {
+    await fundOwner(10000);
+    await acceptApplication();
+
+    const res = await request(app)
+      .get('/api/wallet/reconcile')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.balanced).toBe(true);
+    expect(res.body.data.map(report => report.currency)).toEqual(['PKR', 'USD']);
+  });
+});